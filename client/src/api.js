@@ -2,13 +2,21 @@
  * API Communication
  */
 
+import { getClientHeaders } from './locks.js';
+
+// Version of the change log format produced by the tree, checked by the server
+const CHANGE_LOG_VERSION = 1;
+
 /**
  * Validate folder structure with server
  * @param {string} absolutePath - Server path
  * @param {Array} folderStructure - Folder structure to validate
+ * @param {Object} options - { compareContents, profile, ignorePatterns, followSymlinks }
+ * @param {Function} onProgress - Called with { scanned, differences } while the
+ *   server scans; when given, the response is streamed
  * @returns {Promise<Object>} Response data
  */
-export async function validateFolder(absolutePath, folderStructure) {
+export async function validateFolder(absolutePath, folderStructure, options = {}, onProgress = null) {
   const response = await fetch('/api/validate', {
     method: 'POST',
     headers: {
@@ -16,7 +24,135 @@ export async function validateFolder(absolutePath, folderStructure) {
     },
     body: JSON.stringify({
       absolutePath,
-      folderStructure
+      folderStructure,
+      ...options,
+      stream: Boolean(onProgress)
+    })
+  });
+
+  // Requests rejected before the scan started are answered with plain JSON
+  if (!onProgress || !response.headers.get('Content-Type')?.includes('application/x-ndjson')) {
+    return response.json();
+  }
+
+  let result = null;
+  await readNdjson(response, line => {
+    if (line.type === 'progress') {
+      onProgress(line);
+    } else if (line.type === 'result') {
+      const { type, ...data } = line;
+      result = data;
+    }
+  });
+
+  return result || { ok: false, error: 'Validation ended without a result' };
+}
+
+/**
+ * Read a streamed NDJSON response line by line
+ * @param {Response} response - Fetch response
+ * @param {Function} onLine - Called with every parsed line
+ */
+async function readNdjson(response, onLine) {
+  const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = '';
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+
+    buffer += value;
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    for (const line of lines) {
+      if (line.trim()) onLine(JSON.parse(line));
+    }
+  }
+
+  if (buffer.trim()) onLine(JSON.parse(buffer));
+}
+
+/**
+ * Load one folder level of a server folder's structure
+ * @param {string} absolutePath - Server path
+ * @param {string} relativePath - Folder to load, empty for the top level
+ * @param {Object} options - { ignorePatterns, followSymlinks }
+ * @returns {Promise<Object>} Response data with the items
+ */
+export async function loadTree(absolutePath, relativePath = '', options = {}) {
+  const response = await fetch('/api/tree', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({
+      absolutePath,
+      path: relativePath,
+      ...options
+    })
+  });
+
+  return response.json();
+}
+
+/**
+ * List the files and folders inside an archive of a server folder
+ * @param {string} absolutePath - Server path
+ * @param {string} relativePath - Path of the archive
+ * @param {Object} options - { ignorePatterns }
+ * @returns {Promise<Object>} Response data with the entries
+ */
+export async function listArchiveEntries(absolutePath, relativePath, options = {}) {
+  const response = await fetch('/api/archives/entries', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({
+      absolutePath,
+      path: relativePath,
+      ...options
+    })
+  });
+
+  return response.json();
+}
+
+/**
+ * List one level of a server directory
+ * @param {string} absolutePath - Directory to list, or empty for the allowed roots
+ * @param {string} prefix - Only list names starting with this
+ * @param {number} limit - Maximum number of entries
+ * @returns {Promise<Object>} Response data with the entries
+ */
+export async function browse(absolutePath = '', prefix = '', limit = null) {
+  const params = new URLSearchParams();
+  if (absolutePath) params.set('path', absolutePath);
+  if (prefix) params.set('prefix', prefix);
+  if (limit) params.set('limit', String(limit));
+
+  const response = await fetch(`/api/browse?${params}`);
+  return response.json();
+}
+
+/**
+ * Simulate changes on the server without applying them
+ * @param {string} absolutePath - Server path
+ * @param {Array} changeLog - Changes to simulate
+ * @param {Object} options - { ignorePatterns, followSymlinks, secondaryPath }
+ * @returns {Promise<Object>} Response data with a verdict per operation
+ */
+export async function planChanges(absolutePath, changeLog, options = {}) {
+  const response = await fetch('/api/plan', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({
+      absolutePath,
+      changeLog,
+      changeLogVersion: CHANGE_LOG_VERSION,
+      ...options
     })
   });
 
@@ -24,22 +160,30 @@ export async function validateFolder(absolutePath, folderStructure) {
 }
 
 /**
- * Apply changes to server
+ * Start a job applying changes on the server
  * @param {string} absolutePath - Server path
  * @param {Array} changeLog - Changes to apply
- * @param {boolean} clone - Whether to create backup
- * @returns {Promise<Object>} Response data
+ * @param {boolean} clone - Whether to keep a backup
+ * @param {Array<string>} ignorePatterns - Ignore patterns besides the defaults
+ * @param {Object|null} fingerprint - Fingerprint of the tree the changes were made on
+ * @param {string|null} secondaryPath - Second folder of the transfers, if any
+ * @returns {Promise<Object>} Response data with the job ID
  */
-export async function applyChanges(absolutePath, changeLog, clone) {
+export async function applyChanges(absolutePath, changeLog, clone, ignorePatterns = [], fingerprint = null, secondaryPath = null) {
   const response = await fetch('/api/apply-changes', {
     method: 'POST',
     headers: {
-      'Content-Type': 'application/json'
+      'Content-Type': 'application/json',
+      ...getClientHeaders()
     },
     body: JSON.stringify({
       absolutePath,
       changeLog,
-      clone
+      changeLogVersion: CHANGE_LOG_VERSION,
+      clone,
+      ignorePatterns,
+      fingerprint,
+      secondaryPath
     })
   });
 
@@ -47,17 +191,214 @@ export async function applyChanges(absolutePath, changeLog, clone) {
 }
 
 /**
- * Remove backup folder
- * @param {string} absolutePath - Original folder path
+ * Get how much of an upload the server received
+ * @param {string} id - Upload ID
+ * @returns {Promise<Object>} Response data with the upload status
+ */
+export async function getUpload(id) {
+  const response = await fetch(`/api/uploads/${encodeURIComponent(id)}`);
+
+  return response.json();
+}
+
+/**
+ * Send a chunk of a file to upload
+ * @param {string} id - Upload ID
+ * @param {number} offset - Position of the chunk in the file, 0 starts the upload over
+ * @param {number} size - Size of the whole file
+ * @param {Blob} chunk - Chunk data
+ * @returns {Promise<Object>} Response data with the upload status
+ */
+export async function uploadChunk(id, offset, size, chunk) {
+  const params = new URLSearchParams({ offset: String(offset), size: String(size) });
+  const response = await fetch(`/api/uploads/${encodeURIComponent(id)}?${params}`, {
+    method: 'PUT',
+    headers: {
+      'Content-Type': 'application/octet-stream'
+    },
+    body: chunk
+  });
+
+  return response.json();
+}
+
+/**
+ * Get the status of a job
+ * @param {string} id - Job ID
  * @returns {Promise<Object>} Response data
  */
-export async function removeBackup(absolutePath) {
-  const response = await fetch('/api/remove-backup', {
+export async function getJob(id) {
+  const response = await fetch(`/api/jobs/${encodeURIComponent(id)}`);
+
+  return response.json();
+}
+
+/**
+ * Ask a job to stop and roll back
+ * @param {string} id - Job ID
+ * @returns {Promise<Object>} Response data
+ */
+export async function cancelJob(id) {
+  const response = await fetch(`/api/jobs/${encodeURIComponent(id)}/cancel`, {
+    method: 'POST'
+  });
+
+  return response.json();
+}
+
+/**
+ * Receive the status updates of a job through Server-Sent Events
+ * @param {string} id - Job ID
+ * @param {Function} onUpdate - Called with every job status
+ * @param {Function} onError - Called when the connection fails
+ * @returns {EventSource} Event source, close it to stop listening
+ */
+export function subscribeToJob(id, onUpdate, onError) {
+  const source = new EventSource(`/api/jobs/${encodeURIComponent(id)}/events`);
+  source.onmessage = (event) => onUpdate(JSON.parse(event.data));
+  source.onerror = onError;
+  return source;
+}
+
+/**
+ * List backups kept on the server
+ * @param {string} absolutePath - Optional server path to filter by
+ * @returns {Promise<Object>} Response data
+ */
+export async function listBackups(absolutePath = '') {
+  const query = absolutePath ? `?absolutePath=${encodeURIComponent(absolutePath)}` : '';
+  const response = await fetch(`/api/backups${query}`);
+
+  return response.json();
+}
+
+/**
+ * List the users and groups of the server
+ * @returns {Promise<Object>} Response data
+ */
+export async function listAccounts() {
+  const response = await fetch('/api/accounts');
+
+  return response.json();
+}
+
+/**
+ * List the change sets applied on the server, newest first
+ * @param {Object} filters - Optional filters
+ * @param {string} filters.absolutePath - Only changes to this folder and the folders inside it
+ * @param {string} filters.from - Only changes started on or after this date
+ * @param {string} filters.to - Only changes started on or before this date
+ * @returns {Promise<Object>} Response data
+ */
+export async function listHistory({ absolutePath = '', from = '', to = '' } = {}) {
+  const params = new URLSearchParams();
+  if (absolutePath) params.set('absolutePath', absolutePath);
+  if (from) params.set('from', from);
+  if (to) params.set('to', to);
+  const query = params.toString();
+  const response = await fetch(`/api/history${query ? `?${query}` : ''}`);
+
+  return response.json();
+}
+
+/**
+ * Get an applied change set with its change log and operation outcomes
+ * @param {string} id - History entry ID
+ * @returns {Promise<Object>} Response data
+ */
+export async function getHistoryEntry(id) {
+  const response = await fetch(`/api/history/${encodeURIComponent(id)}`);
+
+  return response.json();
+}
+
+/**
+ * Restore a backup, undoing its change set
+ * @param {string} id - Backup ID
+ * @returns {Promise<Object>} Response data
+ */
+export async function restoreBackup(id) {
+  const response = await fetch(`/api/backups/${encodeURIComponent(id)}/restore`, {
+    method: 'POST',
+    headers: getClientHeaders()
+  });
+
+  return response.json();
+}
+
+/**
+ * Delete a backup
+ * @param {string} id - Backup ID
+ * @returns {Promise<Object>} Response data
+ */
+export async function deleteBackup(id) {
+  const response = await fetch(`/api/backups/${encodeURIComponent(id)}`, {
+    method: 'DELETE',
+    headers: getClientHeaders()
+  });
+
+  return response.json();
+}
+
+/**
+ * List the items in the trash of the server, newest first
+ * @param {string} absolutePath - Optional server path; only items deleted from inside it are listed
+ * @returns {Promise<Object>} Response data
+ */
+export async function listTrash(absolutePath = '') {
+  const query = absolutePath ? `?absolutePath=${encodeURIComponent(absolutePath)}` : '';
+  const response = await fetch(`/api/trash${query}`);
+
+  return response.json();
+}
+
+/**
+ * Restore a trashed item where it was deleted from
+ * @param {string} id - Trash item ID
+ * @param {string} conflict - What to do when its path is taken: "fail", "rename" or "overwrite"
+ * @returns {Promise<Object>} Response data
+ */
+export async function restoreTrashItem(id, conflict = 'fail') {
+  const response = await fetch(`/api/trash/${encodeURIComponent(id)}/restore`, {
     method: 'POST',
     headers: {
-      'Content-Type': 'application/json'
+      'Content-Type': 'application/json',
+      ...getClientHeaders()
+    },
+    body: JSON.stringify({ conflict })
+  });
+
+  return response.json();
+}
+
+/**
+ * Delete a trashed item for good
+ * @param {string} id - Trash item ID
+ * @returns {Promise<Object>} Response data
+ */
+export async function deleteTrashItem(id) {
+  const response = await fetch(`/api/trash/${encodeURIComponent(id)}`, {
+    method: 'DELETE',
+    headers: getClientHeaders()
+  });
+
+  return response.json();
+}
+
+/**
+ * Purge the trash
+ * @param {Object} policy - { absolutePath, maxAgeDays, maxSizeMB }, the
+ *   server's retention policy being used when no limit is given
+ * @returns {Promise<Object>} Response data
+ */
+export async function purgeTrash({ absolutePath = '', maxAgeDays, maxSizeMB } = {}) {
+  const response = await fetch('/api/trash/purge', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...getClientHeaders()
     },
-    body: JSON.stringify({ absolutePath })
+    body: JSON.stringify({ absolutePath: absolutePath || undefined, maxAgeDays, maxSizeMB })
   });
 
   return response.json();
@@ -0,0 +1,362 @@
+/**
+ * Archives
+ *
+ * Packs an item into a zip or tar.gz archive and extracts archives into a
+ * folder. Both happen on the server when the changes are applied; until then
+ * the new archive and the extracted items are shown in the tree as pending
+ * items. Archives already on the server are listed from it, so what they
+ * hold can be previewed and checked against the items it would replace.
+ */
+
+import { state } from './state.js';
+import { elements } from './dom.js';
+import { escapeHtml, getParentPath } from './utils.js';
+import { showModal, hideModal, showError } from './modal.js';
+import { findItemByPath, getCopyName, isValidName } from './folder.js';
+import { isPathIgnored } from './ignore.js';
+import { loadChildren } from './server-tree.js';
+import * as api from './api.js';
+
+const EXTENSIONS = {
+  zip: '.zip',
+  'tar.gz': '.tar.gz'
+};
+
+const ARCHIVE_NAME = /\.(zip|tar\.gz|tgz|tar)$/i;
+
+const CONFLICTS = {
+  fail: 'Stop, extract nothing',
+  skip: 'Keep the existing items',
+  overwrite: 'Replace the existing items',
+  rename: 'Keep both, renaming the extracted items'
+};
+
+/**
+ * Check whether a file name looks like an archive that can be extracted
+ * @param {string} name - File name
+ * @returns {boolean} Whether the name ends with a zip, tar.gz, tgz or tar extension
+ */
+export function isArchiveName(name) {
+  return ARCHIVE_NAME.test(name);
+}
+
+/**
+ * Check a path typed for a new item, loading its folder from the server
+ * @param {string} newPath - Path of the new item
+ * @returns {Promise<string|null>} Problem, or null when the path can be used
+ */
+async function checkNewPath(newPath) {
+  if (!newPath || !newPath.split('/').every(segment => segment && isValidName(segment))) {
+    return 'Invalid path';
+  }
+  if (isPathIgnored(state.isIgnored, newPath)) {
+    return `"${newPath}" matches an ignore pattern`;
+  }
+
+  const parentPath = getParentPath(newPath);
+  const parent = parentPath ? findItemByPath(state.folderStructure, parentPath) : null;
+  if (parentPath && (!parent || !parent.isDirectory || parent.isSymlink)) {
+    return `There is no folder "${parentPath}"`;
+  }
+
+  try {
+    if (parent) await loadChildren(parent);
+  } catch (err) {
+    return `Cannot load "${parentPath}": ${err.message}`;
+  }
+  return null;
+}
+
+/**
+ * Show the dialog archiving an item
+ * @param {string} itemPath - Path of the item
+ * @param {Object} item - Tree item
+ * @param {Function} onArchive - Called with { to, format, deleteSource, override }
+ */
+export function showArchiveDialog(itemPath, item, onArchive) {
+  showModal(`
+    <div class="submit-modal">
+      <h3>🗜️ Archive</h3>
+      <p class="submit-path">${escapeHtml(itemPath)}</p>
+      <form class="permissions-form" id="archiveForm">
+        <label>Format
+          <select class="select" id="archiveFormat">
+            <option value="zip">zip</option>
+            <option value="tar.gz">tar.gz</option>
+          </select>
+        </label>
+        <label>Archive path
+          <input type="text" class="input" id="archivePath" value="${escapeHtml(itemPath + EXTENSIONS.zip)}" />
+        </label>
+        <label class="permissions-check"><input type="checkbox" id="archiveDelete" /> Delete the original once archived</label>
+        <label class="permissions-check"><input type="checkbox" id="archiveOverride" /> Replace an existing item with that path</label>
+        <p class="permissions-error" id="archiveError"></p>
+      </form>
+      <div class="modal-actions">
+        <button type="button" class="btn btn-secondary" id="archiveCancelBtn">Cancel</button>
+        <button type="button" class="btn btn-primary" id="archiveApplyBtn">Archive</button>
+      </div>
+    </div>
+  `, true);
+
+  const formatEl = document.getElementById('archiveFormat');
+  const pathEl = document.getElementById('archivePath');
+  const errorEl = document.getElementById('archiveError');
+
+  // Follow the format with the extension, unless the user chose another one
+  let format = 'zip';
+  formatEl.addEventListener('change', () => {
+    if (pathEl.value.endsWith(EXTENSIONS[format])) {
+      pathEl.value = pathEl.value.slice(0, -EXTENSIONS[format].length) + EXTENSIONS[formatEl.value];
+    }
+    format = formatEl.value;
+  });
+
+  document.getElementById('archiveCancelBtn').addEventListener('click', hideModal);
+  document.getElementById('archiveApplyBtn').addEventListener('click', async () => {
+    const to = pathEl.value.trim().replace(/^\/+|\/+$/g, '');
+    const override = document.getElementById('archiveOverride').checked;
+
+    let problem = await checkNewPath(to);
+    const existing = problem ? null : findItemByPath(state.folderStructure, to);
+    if (!problem && (to === itemPath || to.startsWith(`${itemPath}/`))) {
+      problem = 'The archive cannot be written inside the item it holds';
+    } else if (!problem && existing && !override) {
+      problem = `"${to}" already exists`;
+    }
+    if (problem) {
+      errorEl.textContent = `❌ ${problem}`;
+      return;
+    }
+
+    hideModal();
+    onArchive({
+      to,
+      format: formatEl.value,
+      deleteSource: document.getElementById('archiveDelete').checked,
+      override: Boolean(existing) && override
+    });
+  });
+}
+
+/**
+ * List an archive of the server folder
+ * @param {Object} item - Archive item, with its sourcePath
+ * @returns {Promise<Object|null>} { format, entries, truncated }, or null when
+ *   the archive is not on the server yet
+ */
+async function listEntries(item) {
+  if (!item.sourcePath || item.pendingArchive) return null;
+
+  const data = await api.listArchiveEntries(elements.absolutePathInput.value.trim(), item.sourcePath, {
+    ignorePatterns: state.ignorePatterns
+  });
+  if (!data.ok) {
+    throw new Error(data.error || 'Failed to list the archive');
+  }
+  return data;
+}
+
+/**
+ * Show the dialog extracting an archive
+ * @param {string} itemPath - Path of the archive
+ * @param {Object} item - Archive item
+ * @param {Function} onExtract - Called with { to, conflict, entries }
+ */
+export async function showExtractDialog(itemPath, item, onExtract) {
+  showModal(`
+    <div class="processing-modal">
+      <div class="spinner"></div>
+      <h3>Reading the archive...</h3>
+    </div>
+  `, false);
+
+  let listing;
+  try {
+    listing = await listEntries(item);
+  } catch (err) {
+    showError(`Cannot read "${itemPath}": ${err.message}`);
+    return;
+  }
+
+  let summary = 'The archive is not on the server yet, its contents are checked when the changes are applied.';
+  if (listing) {
+    summary = `${listing.entries.length} item(s) in this ${listing.format} archive.`;
+    if (listing.truncated) summary += ' Only the first ones are previewed, the rest are checked when applying.';
+  }
+
+  showModal(`
+    <div class="submit-modal">
+      <h3>📤 Extract</h3>
+      <p class="submit-path">${escapeHtml(itemPath)}</p>
+      <p class="backup-note">${escapeHtml(summary)}</p>
+      <form class="permissions-form" id="extractForm">
+        <label>Extract into folder
+          <input type="text" class="input" id="extractPath" value="${escapeHtml(itemPath.replace(ARCHIVE_NAME, ''))}" />
+        </label>
+        <label>Items that exist already
+          <select class="select" id="extractConflict">
+            ${Object.entries(CONFLICTS).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+          </select>
+        </label>
+        <p class="permissions-error" id="extractError"></p>
+      </form>
+      <div class="modal-actions">
+        <button type="button" class="btn btn-secondary" id="extractCancelBtn">Cancel</button>
+        <button type="button" class="btn btn-primary" id="extractApplyBtn">Extract</button>
+      </div>
+    </div>
+  `, true);
+
+  const errorEl = document.getElementById('extractError');
+
+  document.getElementById('extractCancelBtn').addEventListener('click', hideModal);
+  document.getElementById('extractApplyBtn').addEventListener('click', async () => {
+    const to = document.getElementById('extractPath').value.trim().replace(/^\/+|\/+$/g, '');
+
+    let problem = await checkNewPath(to);
+    const existing = problem ? null : findItemByPath(state.folderStructure, to);
+    if (!problem && existing && (!existing.isDirectory || existing.isSymlink)) {
+      problem = `"${to}" is not a folder`;
+    }
+    if (problem) {
+      errorEl.textContent = `❌ ${problem}`;
+      return;
+    }
+
+    hideModal();
+    onExtract({
+      to,
+      conflict: document.getElementById('extractConflict').value,
+      entries: listing ? listing.entries : []
+    });
+  });
+}
+
+/**
+ * Build pending tree items from the entries of an archive
+ * @param {Array} entries - Entries from the server
+ * @returns {Array} Items, with the folders entries are missing
+ */
+export function buildEntryItems(entries) {
+  const lastModified = new Date().toISOString();
+  const root = { children: [] };
+  const folders = new Map([['', root]]);
+
+  const getFolder = (segments) => {
+    const key = segments.join('/');
+    if (!folders.has(key)) {
+      const folder = { name: segments[segments.length - 1], isDirectory: true, size: 0, lastModified, children: [], pendingExtract: true };
+      getFolder(segments.slice(0, -1)).children.push(folder);
+      folders.set(key, folder);
+    }
+    return folders.get(key);
+  };
+
+  for (const entry of entries) {
+    const segments = entry.path.split('/');
+    if (entry.isDirectory) {
+      getFolder(segments);
+      continue;
+    }
+    const parent = getFolder(segments.slice(0, -1));
+    const name = segments[segments.length - 1];
+    parent.children = parent.children.filter(child => child.name !== name);
+    parent.children.push({
+      name,
+      isDirectory: false,
+      size: entry.size,
+      lastModified,
+      ...(entry.isSymlink && { isSymlink: true, linkTarget: entry.linkTarget, linkFollowed: false }),
+      pendingExtract: true
+    });
+  }
+  return root.children;
+}
+
+/**
+ * Order names the way the server reads a folder
+ * @param {Array} items - Items
+ * @returns {Array} Sorted copy
+ */
+function byName(items) {
+  return [...items].sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+}
+
+/**
+ * Check whether both items are folders an extraction merges
+ * @param {Object} item - Extracted item
+ * @param {Object} existing - Existing item
+ * @returns {boolean} Whether they are merged
+ */
+function isMerged(item, existing) {
+  return item.isDirectory && existing.isDirectory && !existing.isSymlink;
+}
+
+/**
+ * Load the existing folders extracted folders are merged into
+ * @param {Object} folder - Existing folder item
+ * @param {Array} items - Extracted items
+ */
+export async function loadMergedFolders(folder, items) {
+  await loadChildren(folder);
+  for (const item of items) {
+    const existing = folder.children.find(child => child.name === item.name);
+    if (existing && isMerged(item, existing)) {
+      await loadMergedFolders(existing, item.children);
+    }
+  }
+}
+
+/**
+ * List the existing items extracted items would replace
+ * @param {Array} folderItems - Items of the existing folder, loaded
+ * @param {Array} items - Extracted items
+ * @param {string} folderPath - Path of the folder
+ * @returns {Array<string>} Paths of the existing items
+ */
+export function findExtractConflicts(folderItems, items, folderPath) {
+  return items.flatMap(item => {
+    const itemPath = folderPath ? `${folderPath}/${item.name}` : item.name;
+    const existing = folderItems.find(child => child.name === item.name);
+    if (!existing) return [];
+    if (isMerged(item, existing)) return findExtractConflicts(existing.children || [], item.children, itemPath);
+    return [itemPath];
+  });
+}
+
+/**
+ * Merge extracted items into an existing folder, as the server does
+ * @param {Array} folderItems - Items of the existing folder, loaded
+ * @param {Array} items - Extracted items
+ * @param {string} conflict - "skip", "overwrite" or "rename"
+ */
+export function mergeEntryItems(folderItems, items, conflict) {
+  for (const item of byName(items)) {
+    const index = folderItems.findIndex(child => child.name === item.name);
+    const existing = folderItems[index];
+
+    if (!existing) {
+      folderItems.push(item);
+    } else if (isMerged(item, existing)) {
+      mergeEntryItems(existing.children, item.children, conflict);
+    } else if (conflict === 'overwrite') {
+      folderItems.splice(index, 1, item);
+    } else if (conflict === 'rename') {
+      item.name = getCopyName(folderItems, item.name);
+      folderItems.push(item);
+    }
+  }
+}
+
+/**
+ * Forget the pending archives and extracted items once the changes were applied
+ * @param {Array} structure - Folder structure
+ */
+export function clearPendingArchives(structure) {
+  for (const item of structure) {
+    delete item.pendingArchive;
+    delete item.pendingExtract;
+    if (item.children) clearPendingArchives(item.children);
+  }
+}
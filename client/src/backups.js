@@ -0,0 +1,177 @@
+/**
+ * Backup Manager
+ */
+
+import { escapeHtml, formatSize, formatDate } from './utils.js';
+import { showModal, hideModal, showError } from './modal.js';
+import { getErrorMessage } from './locks.js';
+import * as api from './api.js';
+
+/**
+ * Generate HTML for the list of backups
+ * @param {Array} backups - Backups from the server
+ * @returns {string} List HTML
+ */
+function generateBackupListHtml(backups) {
+  if (backups.length === 0) {
+    return '<p class="no-changes">No backups available</p>';
+  }
+
+  return backups.map(backup => `
+    <div class="backup-item">
+      <div class="backup-item-info">
+        <code>${escapeHtml(backup.sourcePath)}</code>
+        <small>
+          ${formatDate(new Date(backup.createdAt))} ·
+          ${backup.changeCount} change(s) ·
+          ${formatSize(backup.size)} kept
+        </small>
+      </div>
+      <div class="backup-item-actions">
+        <button type="button" class="btn btn-secondary btn-small" data-restore="${escapeHtml(backup.id)}">↩️ Restore</button>
+        <button type="button" class="btn btn-danger btn-small" data-delete="${escapeHtml(backup.id)}">🗑️</button>
+      </div>
+    </div>
+  `).join('');
+}
+
+/**
+ * Show the backup manager
+ * @param {string} absolutePath - Optional server path to filter by
+ */
+export async function showBackupManager(absolutePath = '') {
+  showModal(`
+    <div class="processing-modal">
+      <div class="spinner"></div>
+      <h3>Loading Backups...</h3>
+    </div>
+  `, false);
+
+  let data;
+  try {
+    data = await api.listBackups(absolutePath);
+  } catch (err) {
+    showError(`Network error: ${err.message}`);
+    return;
+  }
+
+  if (!data.ok) {
+    showError(data.error || 'Failed to list backups');
+    return;
+  }
+
+  const { maxAgeDays, maxCount } = data.retention;
+
+  showModal(`
+    <div class="submit-modal">
+      <h3>🗂️ Backups</h3>
+      ${absolutePath ? `
+        <p class="submit-subtitle">Backups of:</p>
+        <p class="submit-path">${escapeHtml(absolutePath)}</p>
+      ` : ''}
+      <div class="diff-container">
+        <div class="diff-header">
+          <span>Backups (${data.backups.length})</span>
+        </div>
+        <div class="diff-list">${generateBackupListHtml(data.backups)}</div>
+      </div>
+      <p class="backup-note">
+        Restoring undoes the change set that produced the backup. Backups are removed
+        automatically after ${maxAgeDays} day(s), and only the newest ${maxCount} are kept.
+      </p>
+      ${absolutePath ? `
+        <div class="modal-actions">
+          <button type="button" class="btn btn-secondary" id="showAllBackupsBtn">Show all backups</button>
+        </div>
+      ` : ''}
+    </div>
+  `, true);
+
+  document.getElementById('showAllBackupsBtn')?.addEventListener('click', () => {
+    showBackupManager();
+  });
+
+  document.querySelectorAll('[data-restore]').forEach(btn => {
+    const backup = data.backups.find(b => b.id === btn.dataset.restore);
+    btn.addEventListener('click', () => confirmRestore(backup, absolutePath));
+  });
+
+  document.querySelectorAll('[data-delete]').forEach(btn => {
+    btn.addEventListener('click', () => runBackupAction(
+      'Removing Backup...',
+      () => api.deleteBackup(btn.dataset.delete),
+      absolutePath
+    ));
+  });
+}
+
+/**
+ * Ask for confirmation before restoring a backup
+ * @param {Object} backup - Backup to restore
+ * @param {string} absolutePath - Filter to return to
+ */
+function confirmRestore(backup, absolutePath) {
+  showModal(`
+    <div class="status status-warning">
+      <div class="status-icon">↩️</div>
+      <h3>Restore Backup?</h3>
+      <p>This undoes the ${backup.changeCount} change(s) applied to
+        "<strong>${escapeHtml(backup.sourcePath)}</strong>" on
+        ${formatDate(new Date(backup.createdAt))}.</p>
+    </div>
+    <div class="modal-actions">
+      <button type="button" class="btn btn-secondary" id="restoreCancelBtn">Cancel</button>
+      <button type="button" class="btn btn-danger" id="restoreConfirmBtn">Restore</button>
+    </div>
+  `, false);
+
+  document.getElementById('restoreCancelBtn').addEventListener('click', () => {
+    showBackupManager(absolutePath);
+  });
+  document.getElementById('restoreConfirmBtn').addEventListener('click', () => {
+    runBackupAction('Restoring Backup...', () => api.restoreBackup(backup.id), absolutePath);
+  });
+}
+
+/**
+ * Run a backup action and show its result
+ * @param {string} title - Processing title
+ * @param {Function} action - Function returning the API response
+ * @param {string} absolutePath - Filter to return to
+ */
+async function runBackupAction(title, action, absolutePath) {
+  showModal(`
+    <div class="processing-modal">
+      <div class="spinner"></div>
+      <h3>${title}</h3>
+      <p>Please wait...</p>
+    </div>
+  `, false);
+
+  try {
+    const data = await action();
+
+    if (data.ok) {
+      showModal(`
+        <div class="status status-success">
+          <div class="status-icon">✅</div>
+          <h3>Done!</h3>
+          <p>${escapeHtml(data.message)}</p>
+        </div>
+        <div class="modal-actions">
+          <button type="button" class="btn btn-secondary" id="backupDoneBtn">Close</button>
+          <button type="button" class="btn btn-primary" id="backupBackBtn">Back to backups</button>
+        </div>
+      `, false);
+
+      document.getElementById('backupDoneBtn').addEventListener('click', hideModal);
+      document.getElementById('backupBackBtn').addEventListener('click', () => {
+        showBackupManager(absolutePath);
+      });
+    } else {
+      showError(getErrorMessage(data, 'Backup action failed'));
+    }
+  } catch (err) {
+    showError(`Network error: ${err.message}`);
+  }
+}
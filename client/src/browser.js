@@ -0,0 +1,331 @@
+/**
+ * Server Path Browser
+ *
+ * Autocompletion for the absolute path input and a modal to navigate the
+ * server's allowed roots. Recently validated paths are kept in localStorage.
+ */
+
+import { elements } from './dom.js';
+import { escapeHtml, formatSize } from './utils.js';
+import { showModal, hideModal } from './modal.js';
+import { updateButtonState } from './ui.js';
+import * as api from './api.js';
+
+const RECENT_PATHS_KEY = 'folderBulkOperations.recentPaths';
+const MAX_RECENT_PATHS = 10;
+const AUTOCOMPLETE_DELAY_MS = 200;
+const SUGGESTION_LIMIT = 50;
+
+let suggestions = [];
+let activeSuggestion = -1;
+let autocompleteTimer = null;
+let autocompleteRequest = 0;
+
+/**
+ * Get the recently used server paths, newest first
+ * @returns {Array<string>} Paths
+ */
+export function getRecentPaths() {
+  try {
+    const paths = JSON.parse(localStorage.getItem(RECENT_PATHS_KEY));
+    return Array.isArray(paths) ? paths : [];
+  } catch (err) {
+    return [];
+  }
+}
+
+/**
+ * Remember a server path as recently used
+ * @param {string} absolutePath - Path to remember
+ */
+export function rememberPath(absolutePath) {
+  const paths = [absolutePath, ...getRecentPaths().filter(p => p !== absolutePath)];
+  localStorage.setItem(RECENT_PATHS_KEY, JSON.stringify(paths.slice(0, MAX_RECENT_PATHS)));
+}
+
+/**
+ * Join a directory and an entry name
+ * @param {string} dirPath - Directory path
+ * @param {string} name - Entry name
+ * @returns {string} Joined path
+ */
+function joinPath(dirPath, name) {
+  return dirPath.endsWith('/') ? `${dirPath}${name}` : `${dirPath}/${name}`;
+}
+
+/**
+ * Put a path in the absolute path input
+ * @param {string} absolutePath - Selected path
+ */
+function setPath(absolutePath) {
+  elements.absolutePathInput.value = absolutePath;
+  updateButtonState();
+}
+
+/**
+ * Show the autocomplete suggestions
+ * @param {Array} items - { path, hint } suggestions
+ */
+function renderSuggestions(items) {
+  suggestions = items;
+  activeSuggestion = -1;
+
+  const list = elements.pathSuggestions;
+  if (items.length === 0) {
+    list.hidden = true;
+    list.innerHTML = '';
+    return;
+  }
+
+  list.innerHTML = items.map((item, index) => `
+    <li class="path-suggestion" data-index="${index}">
+      <span class="path-suggestion-path">${escapeHtml(item.path)}</span>
+      ${item.hint ? `<small>${escapeHtml(item.hint)}</small>` : ''}
+    </li>
+  `).join('');
+  list.hidden = false;
+}
+
+/**
+ * Highlight a suggestion
+ * @param {number} index - Suggestion index
+ */
+function setActiveSuggestion(index) {
+  activeSuggestion = index;
+  elements.pathSuggestions.querySelectorAll('.path-suggestion').forEach((el, i) => {
+    el.classList.toggle('active', i === index);
+    if (i === index) el.scrollIntoView({ block: 'nearest' });
+  });
+}
+
+/**
+ * Accept a suggestion
+ * @param {number} index - Suggestion index
+ */
+function acceptSuggestion(index) {
+  const suggestion = suggestions[index];
+  if (!suggestion) return;
+  setPath(suggestion.path);
+  renderSuggestions([]);
+}
+
+/**
+ * Suggest recent paths and allowed roots for an empty input
+ * @returns {Promise<Array>} Suggestions
+ */
+async function getStartSuggestions() {
+  const recent = getRecentPaths().map(p => ({ path: p, hint: 'recent' }));
+  const data = await api.browse();
+  const roots = data.ok
+    ? data.entries.filter(entry => !recent.some(r => r.path === entry.name)).map(entry => ({ path: entry.name, hint: 'allowed root' }))
+    : [];
+  return [...recent, ...roots];
+}
+
+/**
+ * Suggest the folders matching the last segment of the typed path
+ * @param {string} value - Input value
+ * @returns {Promise<Array>} Suggestions
+ */
+async function getFolderSuggestions(value) {
+  const slash = value.lastIndexOf('/');
+  if (slash === -1) return [];
+
+  const dirPath = value.slice(0, slash) || '/';
+  const prefix = value.slice(slash + 1);
+  const data = await api.browse(dirPath, prefix, SUGGESTION_LIMIT);
+  if (!data.ok) return [];
+
+  return data.entries
+    .filter(entry => entry.isDirectory)
+    .map(entry => ({
+      path: joinPath(value.slice(0, slash + 1), entry.name),
+      hint: entry.writable ? '' : 'read only'
+    }));
+}
+
+/**
+ * Refresh the suggestions for the current input value
+ */
+async function updateSuggestions() {
+  const value = elements.absolutePathInput.value;
+  const request = ++autocompleteRequest;
+
+  try {
+    const items = value.trim() ? await getFolderSuggestions(value) : await getStartSuggestions();
+    // Ignore answers to outdated input
+    if (request === autocompleteRequest && document.activeElement === elements.absolutePathInput) {
+      renderSuggestions(items);
+    }
+  } catch (err) {
+    renderSuggestions([]);
+  }
+}
+
+/**
+ * Attach autocompletion to the absolute path input
+ */
+export function initPathAutocomplete() {
+  const input = elements.absolutePathInput;
+
+  input.addEventListener('input', () => {
+    clearTimeout(autocompleteTimer);
+    autocompleteTimer = setTimeout(updateSuggestions, AUTOCOMPLETE_DELAY_MS);
+  });
+
+  input.addEventListener('focus', updateSuggestions);
+
+  input.addEventListener('blur', () => {
+    clearTimeout(autocompleteTimer);
+    autocompleteRequest++;
+    renderSuggestions([]);
+  });
+
+  input.addEventListener('keydown', (e) => {
+    if (elements.pathSuggestions.hidden) return;
+
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setActiveSuggestion((activeSuggestion + 1) % suggestions.length);
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActiveSuggestion(activeSuggestion <= 0 ? suggestions.length - 1 : activeSuggestion - 1);
+    } else if ((e.key === 'Enter' || e.key === 'Tab') && activeSuggestion !== -1) {
+      e.preventDefault();
+      acceptSuggestion(activeSuggestion);
+    } else if (e.key === 'Escape') {
+      e.stopPropagation();
+      renderSuggestions([]);
+    }
+  });
+
+  // mousedown fires before the input loses focus
+  elements.pathSuggestions.addEventListener('mousedown', (e) => {
+    const item = e.target.closest('.path-suggestion');
+    if (!item) return;
+    e.preventDefault();
+    acceptSuggestion(Number(item.dataset.index));
+  });
+}
+
+/**
+ * Generate HTML for the entries of a listing
+ * @param {Object} listing - Response of /api/browse
+ * @returns {string} List HTML
+ */
+function generateEntriesHtml(listing) {
+  const rows = [];
+
+  if (listing.path) {
+    rows.push(`
+      <div class="browser-entry browser-entry-dir" data-path="${escapeHtml(listing.parent || '')}">
+        <span class="browser-entry-icon">⬆️</span>
+        <span class="browser-entry-name">${listing.parent ? '..' : 'Allowed roots'}</span>
+      </div>
+    `);
+  }
+
+  for (const entry of listing.entries) {
+    const entryPath = listing.path ? joinPath(listing.path, entry.name) : entry.name;
+    const icon = entry.type === 'symlink' ? '🔗' : entry.isDirectory ? '📁' : '📄';
+    rows.push(`
+      <div class="browser-entry ${entry.isDirectory ? 'browser-entry-dir' : ''}" ${entry.isDirectory ? `data-path="${escapeHtml(entryPath)}"` : ''}>
+        <span class="browser-entry-icon">${icon}</span>
+        <span class="browser-entry-name">${escapeHtml(entry.name)}${entry.linkTarget ? ` <small>→ ${escapeHtml(entry.linkTarget)}</small>` : ''}</span>
+        ${entry.permissions ? `
+          <code class="browser-entry-mode" title="${entry.writable ? 'Writable' : 'Not writable'} by the server">${entry.permissions}</code>
+          <span class="browser-entry-size">${entry.size !== null ? formatSize(entry.size) : ''}</span>
+        ` : ''}
+      </div>
+    `);
+  }
+
+  if (listing.entries.length === 0) {
+    rows.push('<p class="no-changes">Empty folder</p>');
+  }
+
+  if (listing.truncated) {
+    rows.push(`<p class="browser-note">Only the first ${listing.entries.length} entries are shown</p>`);
+  }
+
+  return rows.join('');
+}
+
+/**
+ * Show the server browser at a path
+ * @param {string} absolutePath - Folder to show, or empty for the allowed roots
+ */
+export async function showPathBrowser(absolutePath = '') {
+  showModal(`
+    <div class="processing-modal">
+      <div class="spinner"></div>
+      <h3>Loading...</h3>
+    </div>
+  `, true);
+
+  let listing;
+  let error = null;
+  try {
+    const data = await api.browse(absolutePath);
+    if (data.ok) {
+      listing = data;
+    } else {
+      error = data.error || 'Cannot browse this folder';
+    }
+  } catch (err) {
+    error = `Network error: ${err.message}`;
+  }
+
+  if (!listing) {
+    // Fall back to the allowed roots, keeping the error visible
+    if (absolutePath) {
+      const data = await api.browse().catch(() => null);
+      if (data?.ok) listing = data;
+    }
+    if (!listing) {
+      listing = { path: null, parent: null, entries: [], truncated: false };
+    }
+  }
+
+  const recentPaths = listing.path ? [] : getRecentPaths();
+
+  showModal(`
+    <div class="submit-modal path-browser">
+      <h3>📂 Browse Server</h3>
+      <p class="submit-path">${escapeHtml(listing.path || 'Allowed roots')}</p>
+      ${error ? `<p class="browser-error">${escapeHtml(error)}</p>` : ''}
+      <div class="diff-container">
+        <div class="diff-list">${generateEntriesHtml(listing)}</div>
+      </div>
+      ${recentPaths.length > 0 ? `
+        <div class="diff-container">
+          <div class="diff-header"><span>Recent paths</span></div>
+          <div class="diff-list">
+            ${recentPaths.map(p => `
+              <div class="browser-entry browser-entry-dir" data-path="${escapeHtml(p)}">
+                <span class="browser-entry-icon">🕘</span>
+                <span class="browser-entry-name">${escapeHtml(p)}</span>
+              </div>
+            `).join('')}
+          </div>
+        </div>
+      ` : ''}
+      <div class="modal-actions">
+        <button type="button" class="btn btn-secondary" id="browserCancelBtn">Cancel</button>
+        <button type="button" class="btn btn-primary" id="browserSelectBtn" ${listing.path ? '' : 'disabled'}>
+          Use this folder
+        </button>
+      </div>
+    </div>
+  `, true);
+
+  elements.modalContent.querySelectorAll('.browser-entry-dir').forEach(el => {
+    el.addEventListener('click', () => showPathBrowser(el.dataset.path));
+  });
+
+  document.getElementById('browserCancelBtn').addEventListener('click', hideModal);
+  document.getElementById('browserSelectBtn').addEventListener('click', () => {
+    setPath(listing.path);
+    hideModal();
+  });
+}
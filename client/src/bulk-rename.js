@@ -0,0 +1,299 @@
+/**
+ * Bulk Rename
+ *
+ * Renames the selected items of a folder from a pattern: a regular expression
+ * replacement, a sequence number, a case change and tokens for the item's
+ * modification date and parent folder. Every new name is previewed and
+ * checked for collisions before anything is renamed.
+ */
+
+import { state } from './state.js';
+import { escapeHtml } from './utils.js';
+import { showModal, hideModal } from './modal.js';
+import { isValidName } from './folder.js';
+import { isPathIgnored } from './ignore.js';
+
+const CASES = {
+  none: name => name,
+  lower: name => name.toLowerCase(),
+  upper: name => name.toUpperCase(),
+  title: name => name.toLowerCase().replace(/(^|[\s_.-])(\p{L})/gu, (match, separator, letter) => separator + letter.toUpperCase())
+};
+
+/**
+ * Split a name into its stem and extension; folders and hidden names
+ * without another dot have no extension
+ * @param {Object} item - Tree item
+ * @returns {Object} { stem, extension } - extension with its dot
+ */
+function splitExtension(item) {
+  const dot = item.name.lastIndexOf('.');
+  if (item.isDirectory || dot <= 0) return { stem: item.name, extension: '' };
+  return { stem: item.name.slice(0, dot), extension: item.name.slice(dot) };
+}
+
+/**
+ * Format the modification date of an item as YYYY-MM-DD, in local time
+ * @param {Object} item - Tree item
+ * @returns {string} Date
+ */
+function formatDay(item) {
+  const date = new Date(item.lastModified);
+  if (Number.isNaN(date.getTime())) return '';
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Compute the new name of an item
+ * @param {Object} item - Tree item
+ * @param {Object} options - Rename options
+ * @param {RegExp} options.find - What to replace in the name
+ * @param {string} options.replace - Replacement, with $1 groups and {tokens}
+ * @param {number} options.number - Sequence number of the item
+ * @param {number} options.padding - Minimum digits of the sequence number
+ * @param {string} options.parentName - Name of the folder, for {parent}
+ * @param {string} options.caseChange - Key of CASES
+ * @param {boolean} options.keepExtension - Leave the extension of files alone
+ * @returns {string} New name
+ */
+function computeName(item, options) {
+  const { stem, extension } = options.keepExtension ? splitExtension(item) : { stem: item.name, extension: '' };
+
+  const tokens = {
+    name: stem,
+    n: String(options.number).padStart(options.padding, '0'),
+    date: formatDay(item),
+    parent: options.parentName
+  };
+  // Token values are inserted literally, "$" would refer to a group otherwise
+  const replacement = options.replace.replace(/\{(name|n|date|parent)\}/g, (match, token) => tokens[token].replace(/\$/g, '$$$$'));
+
+  return CASES[options.caseChange](stem.replace(options.find, replacement)) + extension;
+}
+
+/**
+ * Order renames so every target name is free when its turn comes
+ * @param {Array} renames - { oldName, newName } of the changed items
+ * @returns {Object} { ordered, cyclic } - renames that can run in order, and
+ *   those waiting on each other, such as two items swapping names
+ */
+function orderRenames(renames) {
+  const ordered = [];
+  let pending = renames;
+
+  while (pending.length > 0) {
+    const taken = new Set(pending.map(rename => rename.oldName));
+    const ready = pending.filter(rename => !taken.has(rename.newName));
+    if (ready.length === 0) break;
+    ordered.push(...ready);
+    pending = pending.filter(rename => !ready.includes(rename));
+  }
+
+  return { ordered, cyclic: pending };
+}
+
+/**
+ * Work out the new name of every item and the problems preventing the rename
+ * @param {string} folderPath - Folder path, empty for the root
+ * @param {Array} items - Items of the folder
+ * @param {Set<Object>} selected - Items to rename
+ * @param {Object} options - Rename options, see computeName
+ * @returns {Array} { item, newName, status, message } for every item
+ */
+function previewRenames(folderPath, items, selected, options) {
+  let number = options.start;
+  const rows = items.map(item => {
+    if (!selected.has(item)) {
+      return { item, newName: item.name, status: 'skipped' };
+    }
+    const newName = computeName(item, { ...options, number });
+    number += options.step;
+    return { item, newName, status: newName === item.name ? 'unchanged' : 'ok' };
+  });
+
+  // Names every item will have; the items of a name beyond the first collide
+  const byName = new Map();
+  for (const row of rows) {
+    byName.set(row.newName, [...(byName.get(row.newName) || []), row]);
+  }
+
+  for (const row of rows) {
+    if (row.status !== 'ok') continue;
+    const newPath = folderPath ? `${folderPath}/${row.newName}` : row.newName;
+    const others = byName.get(row.newName).filter(other => other !== row);
+
+    if (!row.newName || !isValidName(row.newName)) {
+      row.status = 'error';
+      row.message = 'Invalid name';
+    } else if (isPathIgnored(state.isIgnored, newPath)) {
+      row.status = 'error';
+      row.message = 'Matches an ignore pattern';
+    } else if (others.length > 0) {
+      row.status = 'error';
+      row.message = `Same name as ${others.map(other => `"${other.item.name}"`).join(', ')}`;
+    }
+  }
+
+  // Items that cannot be renamed keep their name, which may be taken in turn
+  for (let blocked = true; blocked;) {
+    const kept = new Set(rows.filter(row => row.status === 'error').map(row => row.item.name));
+    blocked = false;
+    for (const row of rows) {
+      if (row.status === 'ok' && kept.has(row.newName)) {
+        row.status = 'error';
+        row.message = `"${row.newName}" keeps its name`;
+        blocked = true;
+      }
+    }
+  }
+
+  const renames = rows
+    .filter(row => row.status === 'ok')
+    .map(row => ({ oldName: row.item.name, newName: row.newName, row }));
+  for (const { row } of orderRenames(renames).cyclic) {
+    row.status = 'error';
+    row.message = 'Swaps names with another item, rename it in two steps';
+  }
+
+  return rows;
+}
+
+/**
+ * Generate HTML for the before/after preview
+ * @param {Array} rows - Rows from previewRenames
+ * @returns {string} List HTML
+ */
+function generatePreviewHtml(rows) {
+  if (rows.length === 0) {
+    return '<p class="no-changes">This folder is empty</p>';
+  }
+
+  return rows.map((row, index) => `
+    <label class="diff-item bulk-rename-row ${row.status === 'error' ? 'diff-item-error' : ''}">
+      <input type="checkbox" data-index="${index}" ${row.status !== 'skipped' ? 'checked' : ''} />
+      <span class="diff-description">
+        ${escapeHtml(row.item.name)}
+        ${row.status === 'ok' || row.status === 'error' ? ` → <strong>${escapeHtml(row.newName)}</strong>` : ''}
+        ${row.status === 'unchanged' ? ' <small class="bulk-rename-note">unchanged</small>' : ''}
+        ${row.message ? ` <small class="bulk-rename-note">❌ ${escapeHtml(row.message)}</small>` : ''}
+      </span>
+    </label>
+  `).join('');
+}
+
+/**
+ * Show the bulk rename dialog for the items of a folder
+ * @param {string} folderPath - Folder path, empty for the root
+ * @param {Array} items - Items of the folder
+ * @param {Function} onRename - Called with the { oldName, newName } renames, in a safe order
+ */
+export function showBulkRename(folderPath, items, onRename) {
+  const parentName = folderPath ? folderPath.split('/').pop() : state.rootFolderName;
+  const selected = new Set(items);
+
+  showModal(`
+    <div class="submit-modal">
+      <h3>🔤 Bulk Rename</h3>
+      <p class="submit-path">${escapeHtml(folderPath || state.rootFolderName || '/')}</p>
+      <div class="bulk-rename-form">
+        <label>Find (regular expression)
+          <input type="text" class="input" id="bulkFind" placeholder="Whole name when empty" />
+        </label>
+        <label>Replace with
+          <input type="text" class="input" id="bulkReplace" value="{name}" />
+        </label>
+        <small class="bulk-rename-help">
+          Tokens: <code>{name}</code> name, <code>{n}</code> number, <code>{date}</code> modification date,
+          <code>{parent}</code> folder name, <code>$1</code> first group of the expression.
+          Every match is replaced.
+        </small>
+        <div class="bulk-rename-options">
+          <label>Start <input type="number" class="input" id="bulkStart" value="1" /></label>
+          <label>Step <input type="number" class="input" id="bulkStep" value="1" /></label>
+          <label>Digits <input type="number" class="input" id="bulkPadding" value="1" min="1" max="10" /></label>
+          <label>Case
+            <select class="select" id="bulkCase">
+              <option value="none">Unchanged</option>
+              <option value="lower">lower case</option>
+              <option value="upper">UPPER CASE</option>
+              <option value="title">Title Case</option>
+            </select>
+          </label>
+          <label class="bulk-rename-check"><input type="checkbox" id="bulkIgnoreCase" /> Ignore case</label>
+          <label class="bulk-rename-check"><input type="checkbox" id="bulkKeepExtension" checked /> Keep extensions</label>
+        </div>
+      </div>
+      <div class="diff-container">
+        <div class="diff-header">
+          <span id="bulkSummary"></span>
+        </div>
+        <div class="diff-list" id="bulkPreview"></div>
+      </div>
+      <div class="modal-actions">
+        <button type="button" class="btn btn-secondary" id="bulkCancelBtn">Cancel</button>
+        <button type="button" class="btn btn-primary" id="bulkRenameBtn" disabled>Rename</button>
+      </div>
+    </div>
+  `, true);
+
+  const form = document.querySelector('.bulk-rename-form');
+  const previewEl = document.getElementById('bulkPreview');
+  const summaryEl = document.getElementById('bulkSummary');
+  const renameBtn = document.getElementById('bulkRenameBtn');
+  let rows = [];
+
+  const update = () => {
+    const value = id => document.getElementById(id).value;
+    let find;
+    try {
+      const flags = document.getElementById('bulkIgnoreCase').checked ? 'gi' : 'g';
+      find = new RegExp(value('bulkFind') || '^.*$', flags);
+    } catch (err) {
+      summaryEl.textContent = `❌ ${err.message}`;
+      renameBtn.disabled = true;
+      return;
+    }
+
+    rows = previewRenames(folderPath, items, selected, {
+      find,
+      replace: value('bulkReplace'),
+      start: Number(value('bulkStart')) || 0,
+      step: Number(value('bulkStep')) || 0,
+      padding: Math.min(Math.max(Number(value('bulkPadding')) || 1, 1), 10),
+      parentName,
+      caseChange: value('bulkCase'),
+      keepExtension: document.getElementById('bulkKeepExtension').checked
+    });
+    previewEl.innerHTML = generatePreviewHtml(rows);
+
+    const changed = rows.filter(row => row.status === 'ok').length;
+    const errors = rows.filter(row => row.status === 'error').length;
+    summaryEl.textContent = errors > 0
+      ? `${errors} conflict(s) to fix · ${changed} item(s) to rename`
+      : `${changed} item(s) to rename · ${selected.size} selected`;
+    renameBtn.disabled = errors > 0 || changed === 0;
+  };
+
+  form.addEventListener('input', update);
+  previewEl.addEventListener('change', (e) => {
+    const item = items[Number(e.target.dataset.index)];
+    if (e.target.checked) {
+      selected.add(item);
+    } else {
+      selected.delete(item);
+    }
+    update();
+  });
+
+  document.getElementById('bulkCancelBtn').addEventListener('click', hideModal);
+  renameBtn.addEventListener('click', () => {
+    const renames = rows
+      .filter(row => row.status === 'ok')
+      .map(row => ({ oldName: row.item.name, newName: row.newName }));
+    hideModal();
+    onRename(orderRenames(renames).ordered);
+  });
+
+  update();
+}
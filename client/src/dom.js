@@ -4,15 +4,31 @@
 
 export const elements = {
   absolutePathInput: document.getElementById('absolutePath'),
+  pathSuggestions: document.getElementById('pathSuggestions'),
+  browseBtn: document.getElementById('browseBtn'),
+  validationProfileSelect: document.getElementById('validationProfile'),
   folderInput: document.getElementById('folderInput'),
   selectFolderBtn: document.getElementById('selectFolderBtn'),
+  serverModeBtn: document.getElementById('serverModeBtn'),
   selectedFolderName: document.getElementById('selectedFolderName'),
+  compareContentsCheckbox: document.getElementById('compareContentsCheckbox'),
+  followSymlinksCheckbox: document.getElementById('followSymlinksCheckbox'),
+  ignorePatternsInput: document.getElementById('ignorePatterns'),
   previewSection: document.getElementById('previewSection'),
   previewStats: document.getElementById('previewStats'),
   folderTree: document.getElementById('folderTree'),
+  treePanes: document.getElementById('treePanes'),
+  secondPane: document.getElementById('secondPane'),
+  secondaryPathInput: document.getElementById('secondaryPathInput'),
+  openSecondaryBtn: document.getElementById('openSecondaryBtn'),
+  closeSecondaryBtn: document.getElementById('closeSecondaryBtn'),
+  secondaryTree: document.getElementById('secondaryTree'),
   startChangesBtn: document.getElementById('startChangesBtn'),
   submitChangesBtn: document.getElementById('submitChangesBtn'),
   resetBtn: document.getElementById('resetBtn'),
+  backupsBtn: document.getElementById('backupsBtn'),
+  historyBtn: document.getElementById('historyBtn'),
+  trashBtn: document.getElementById('trashBtn'),
   modalOverlay: document.getElementById('modalOverlay'),
   modalContent: document.getElementById('modalContent'),
   modalCloseBtn: document.getElementById('modalCloseBtn')
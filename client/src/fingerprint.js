@@ -0,0 +1,43 @@
+/**
+ * Tree Fingerprint
+ *
+ * The server fingerprints the folders it scans (see server/fingerprint.js).
+ * The fingerprint is kept here and sent back with the change log, so the
+ * server can refuse changes to a tree that changed in the meantime.
+ */
+
+import { state } from './state.js';
+
+const FINGERPRINT_VERSION = 1;
+
+/**
+ * Add the listing of a folder loaded in server mode to the fingerprint
+ * @param {string} folderPath - Server path of the folder, empty for the top level
+ * @param {Object} listing - Fingerprint of the folder from /api/tree
+ */
+export function recordListing(folderPath, listing) {
+  if (!state.fingerprint) {
+    state.fingerprint = { version: FINGERPRINT_VERSION, followSymlinks: state.followSymlinks, folders: {} };
+  }
+  state.fingerprint.folders[folderPath] = listing;
+}
+
+/**
+ * Bring the fingerprint up to date after changes were applied
+ * @param {Object|null} update - { removed, folders } from the apply job, or
+ *   null when the server could not scan the changed folders again
+ */
+export function applyFingerprintUpdate(update) {
+  if (!state.fingerprint) return;
+
+  // Without an update the fingerprint no longer describes the tree
+  if (!update) {
+    state.fingerprint = null;
+    return;
+  }
+
+  for (const folderPath of update.removed) {
+    delete state.fingerprint.folders[folderPath];
+  }
+  Object.assign(state.fingerprint.folders, update.folders);
+}
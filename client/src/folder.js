@@ -3,13 +3,38 @@
  */
 
 import { state, deepClone } from './state.js';
+import { hashFiles } from './hashing.js';
+
+/**
+ * Get the path of a selected file relative to the selected folder
+ * @param {File} file - File from the folder input
+ * @returns {string} Relative path
+ */
+export function getLocalPath(file) {
+  return file.webkitRelativePath.split('/').slice(1).join('/');
+}
+
+/**
+ * Check whether a selected file or one of its folders is ignored
+ * @param {Function} isIgnored - Ignore matcher
+ * @param {string} relativePath - Path relative to the selected folder
+ * @returns {boolean} Whether the file is left out
+ */
+function isFileIgnored(isIgnored, relativePath) {
+  const segments = relativePath.split('/');
+  return segments.some((_, i) => isIgnored(segments.slice(0, i + 1).join('/'), i < segments.length - 1));
+}
 
 /**
  * Build folder structure from FileList
  * @param {FileList} files - The files from the folder input
- * @returns {Array} Structured folder data
+ * @param {Object} options - Build options
+ * @param {boolean} options.hashContents - Add the SHA-256 of every file as `hash`
+ * @param {Function} options.onProgress - Hashing progress callback
+ * @param {Function} options.isIgnored - Ignore matcher, see createIgnoreMatcher
+ * @returns {Promise<Array>} Structured folder data
  */
-export function buildFolderStructure(files) {
+export async function buildFolderStructure(files, options = {}) {
   const root = [];
   const directories = new Map();
 
@@ -19,8 +44,17 @@ export function buildFolderStructure(files) {
     state.rootFolderName = firstPath.split('/')[0];
   }
 
+  // Leave ignored files out before hashing anything
+  const included = options.isIgnored
+    ? Array.from(files).filter(file => !isFileIgnored(options.isIgnored, getLocalPath(file)))
+    : Array.from(files);
+
+  const hashes = options.hashContents
+    ? await hashFiles(included, options.onProgress)
+    : null;
+
   // Process each file
-  for (const file of files) {
+  for (const file of included) {
     const pathParts = file.webkitRelativePath.split('/');
     // Remove root folder name from path
     pathParts.shift();
@@ -38,12 +72,16 @@ export function buildFolderStructure(files) {
 
       if (isFile) {
         // Add file
-        currentLevel.push({
+        const item = {
           name: part,
           isDirectory: false,
           size: file.size,
           lastModified: new Date(file.lastModified).toISOString()
-        });
+        };
+        if (hashes) {
+          item.hash = hashes.get(file);
+        }
+        currentLevel.push(item);
       } else {
         // Check if directory already exists
         let dir = currentLevel.find(item => item.name === part && item.isDirectory);
@@ -72,6 +110,29 @@ export function buildFolderStructure(files) {
   return root;
 }
 
+/**
+ * Mark the items the server reported as symlinks
+ *
+ * The contents of links that were not followed are unknown to the server, so
+ * they are dropped from the tree.
+ *
+ * @param {Array} structure - Folder structure
+ * @param {Array} symlinks - { path, linkTarget, linkFollowed, linkError } from the server
+ */
+export function markSymlinks(structure, symlinks) {
+  for (const link of symlinks) {
+    const item = findItemByPath(structure, link.path);
+    if (!item) continue;
+
+    item.isSymlink = true;
+    item.linkTarget = link.linkTarget;
+    item.linkFollowed = link.linkFollowed;
+    if (link.linkError) item.linkError = link.linkError;
+    if (item.isDirectory && !link.linkFollowed) item.children = [];
+  }
+  recalculateSizes(structure);
+}
+
 /**
  * Calculate folder statistics
  * @param {Array} structure - Folder structure
@@ -81,11 +142,13 @@ export function calculateStats(structure) {
   let fileCount = 0;
   let dirCount = 0;
   let totalSize = 0;
+  let unloadedCount = 0;
 
   function count(items) {
     for (const item of items) {
       if (item.isDirectory) {
         dirCount++;
+        if (item.childrenLoaded === false) unloadedCount++;
         if (item.children) {
           count(item.children);
         }
@@ -97,7 +160,7 @@ export function calculateStats(structure) {
   }
 
   count(structure);
-  return { fileCount, dirCount, totalSize };
+  return { fileCount, dirCount, totalSize, unloadedCount };
 }
 
 /**
@@ -160,19 +223,50 @@ export function findConflict(targetArray, name, excludeItem = null) {
   return targetArray.find(it => it.name === name && it !== excludeItem) || null;
 }
 
+/**
+ * Check whether a name can be used for an item
+ * @param {string} name - Name to check
+ * @returns {boolean} Whether the name is valid
+ */
+export function isValidName(name) {
+  return name !== '.' && name !== '..' && !/[/\\\0]/.test(name);
+}
+
+/**
+ * Find a free name for a copy placed next to its original
+ * @param {Array} targetArray - Items of the folder
+ * @param {string} name - Name of the original
+ * @returns {string} Name like "report copy.txt" or "report copy 2.txt"
+ */
+export function getCopyName(targetArray, name) {
+  // Keep the extension of files, but not the leading dot of hidden names
+  const dot = name.lastIndexOf('.');
+  const [base, extension] = dot > 0 ? [name.slice(0, dot), name.slice(dot)] : [name, ''];
+
+  let candidate = `${base} copy${extension}`;
+  for (let n = 2; findConflict(targetArray, candidate); n++) {
+    candidate = `${base} copy ${n}${extension}`;
+  }
+  return candidate;
+}
+
 /**
  * Recalculate sizes for all directories in the structure
+ *
+ * The size of folders not loaded from the server yet is unknown (null), and
+ * so is the size of every folder containing one.
+ *
  * @param {Array} structure - Folder structure
- * @returns {number} Total size
+ * @returns {number|null} Total size, or null when unknown
  */
 export function recalculateSizes(structure) {
   let totalSize = 0;
   
   for (const item of structure) {
-    if (item.isDirectory && item.children) {
+    if (item.isDirectory && item.children && item.childrenLoaded !== false) {
       item.size = recalculateSizes(item.children);
     }
-    totalSize += item.size;
+    totalSize = totalSize === null || item.size === null ? null : totalSize + item.size;
   }
   
   return totalSize;
@@ -213,6 +307,9 @@ export function hasStructureChanged(original, current, path = '') {
     
     const currItem = currMap.get(name);
     if (origItem.isDirectory !== currItem.isDirectory) return true;
+    if (origItem.mode !== currItem.mode || origItem.uid !== currItem.uid || origItem.gid !== currItem.gid) return true;
+    // A new archive or extracted item may replace one with the same name
+    if (currItem.pendingArchive || currItem.pendingExtract) return true;
     
     if (origItem.isDirectory && currItem.isDirectory) {
       if (hasStructureChanged(origItem.children || [], currItem.children || [], `${path}/${name}`)) {
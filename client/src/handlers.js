@@ -5,9 +5,21 @@
 import { state, deepClone } from './state.js';
 import { elements } from './dom.js';
 import { escapeHtml, formatSize } from './utils.js';
-import { buildFolderStructure, calculateStats, hasStructureChanged, generateChangeSummary } from './folder.js';
-import { showModal, hideModal, showLoading, showSuccess, showError } from './modal.js';
+import { buildFolderStructure, getLocalPath, markSymlinks, calculateStats, hasStructureChanged, generateChangeSummary } from './folder.js';
+import { showModal, hideModal, showLoading, showSuccess, showError, showProgress, updateProgress } from './modal.js';
 import { renderTree, refreshTreeAndStats } from './tree.js';
+import { showBackupManager } from './backups.js';
+import { showHistory } from './history.js';
+import { showTrash } from './trash.js';
+import { getTransferFolder, reloadSecondFolder } from './second-pane.js';
+import { rememberPath } from './browser.js';
+import { loadServerRoot } from './server-tree.js';
+import { applyFingerprintUpdate } from './fingerprint.js';
+import { sendUploads } from './uploads.js';
+import { normalizeChangeLog } from './normalize.js';
+import { formatOctal, formatOwner, loadAccounts } from './permissions.js';
+import { describeLock, getErrorMessage } from './locks.js';
+import { IGNORE_FILE, DEFAULT_IGNORE_PATTERNS, parseIgnorePatterns, createIgnoreMatcher } from './ignore.js';
 import { updateButtonState, updateSubmitButtonState, resetUI, resetAfterSubmit } from './ui.js';
 import * as api from './api.js';
 
@@ -15,10 +27,11 @@ import * as api from './api.js';
  * Handle folder selection
  * @param {Event} event - Change event
  */
-export function handleFolderSelect(event) {
+export async function handleFolderSelect(event) {
   const files = event.target.files;
   
   if (!files.length) {
+    state.selectedFiles = [];
     state.folderStructure = [];
     elements.selectedFolderName.textContent = '';
     elements.selectedFolderName.classList.remove('active');
@@ -27,15 +40,78 @@ export function handleFolderSelect(event) {
     return;
   }
 
+  state.selectedFiles = files;
+
+  try {
+    await loadSelectedFolder();
+  } catch (err) {
+    showError(err.message);
+  }
+}
+
+/**
+ * Collect the ignore patterns of the selected folder: its .bulkignore file
+ * followed by the patterns entered in the UI
+ * @param {FileList} files - Selected files
+ * @returns {Promise<Array<string>>} Patterns besides the defaults
+ */
+async function readIgnorePatterns(files) {
+  const ignoreFile = Array.from(files).find(file => getLocalPath(file) === IGNORE_FILE);
+  const filePatterns = ignoreFile ? parseIgnorePatterns(await ignoreFile.text()) : [];
+  return [...filePatterns, ...parseIgnorePatterns(elements.ignorePatternsInput.value)];
+}
+
+/**
+ * Handle edits of the ignore patterns by reloading the selected folder
+ */
+export async function handleIgnorePatternsChange() {
+  if (state.isValidated || !state.selectedFiles.length) return;
+
+  try {
+    await loadSelectedFolder();
+  } catch (err) {
+    showError(err.message);
+  }
+}
+
+/**
+ * Build the folder structure of the selected files and show its preview,
+ * hashing file contents when content comparison is enabled
+ */
+async function loadSelectedFolder() {
+  const files = state.selectedFiles;
+  const hashContents = elements.compareContentsCheckbox.checked;
+
+  state.ignorePatterns = await readIgnorePatterns(files);
+  state.isIgnored = createIgnoreMatcher([...DEFAULT_IGNORE_PATTERNS, ...state.ignorePatterns]);
+
+  if (hashContents) {
+    showProgress('Hashing file contents...');
+  }
+
   // Build folder structure
-  state.folderStructure = buildFolderStructure(files);
+  state.folderStructure = await buildFolderStructure(files, {
+    hashContents,
+    isIgnored: state.isIgnored,
+    onProgress: ({ filesDone, filesTotal, bytesDone, bytesTotal }) => {
+      const percent = bytesTotal > 0 ? Math.round((bytesDone / bytesTotal) * 100) : 100;
+      updateProgress(percent, `${filesDone} / ${filesTotal} files · ${formatSize(bytesDone)} of ${formatSize(bytesTotal)}`);
+    }
+  });
+  state.hashedContents = hashContents;
 
-  // Update UI
-  elements.selectedFolderName.textContent = `✓ ${state.rootFolderName} (${files.length} files)`;
-  elements.selectedFolderName.classList.add('active');
+  if (hashContents) {
+    hideModal();
+  }
 
-  // Calculate and display stats
+  // Calculate stats and update UI
   const stats = calculateStats(state.folderStructure);
+  const ignoredCount = files.length - stats.fileCount;
+  elements.selectedFolderName.textContent = ignoredCount > 0
+    ? `✓ ${state.rootFolderName} (${stats.fileCount} files, ${ignoredCount} ignored)`
+    : `✓ ${state.rootFolderName} (${files.length} files)`;
+  elements.selectedFolderName.classList.add('active');
+
   elements.previewStats.innerHTML = `
     <span>📁 ${stats.dirCount} folders</span>
     <span>📄 ${stats.fileCount} files</span>
@@ -65,12 +141,43 @@ export async function handleSubmit() {
     return;
   }
 
-  showLoading('Validating folder structure...');
+  // Content mode needs hashes, which are missing if it was enabled after selecting the folder
+  const compareContents = elements.compareContentsCheckbox.checked;
+  if (compareContents && !state.hashedContents) {
+    try {
+      await loadSelectedFolder();
+    } catch (err) {
+      showError(err.message);
+      return;
+    }
+  }
+
+  showLoading(compareContents ? 'Validating folder structure and contents...' : 'Validating folder structure...');
+
+  // The server compares while it scans and reports how far it got
+  let differenceCount = 0;
+  const onProgress = ({ scanned, differences }) => {
+    differenceCount += differences.length;
+    const text = `${scanned} server entries scanned${differenceCount > 0 ? `, ${differenceCount} differences so far` : ''}`;
+    const status = elements.modalContent.querySelector('p');
+    if (status) status.textContent = text;
+  };
 
   try {
-    const data = await api.validateFolder(absolutePath, state.folderStructure);
+    const data = await api.validateFolder(absolutePath, state.folderStructure, {
+      compareContents,
+      profile: elements.validationProfileSelect.value,
+      ignorePatterns: state.ignorePatterns,
+      followSymlinks: elements.followSymlinksCheckbox.checked
+    }, onProgress);
 
     if (data.ok) {
+      // Browsers see through symlinks, the server tells which items are links
+      markSymlinks(state.folderStructure, data.symlinks || []);
+      state.followSymlinks = elements.followSymlinksCheckbox.checked;
+      state.fingerprint = data.fingerprint || null;
+      rememberPath(absolutePath);
+
       // Store original structure for comparison
       state.originalStructure = deepClone(state.folderStructure);
       state.isValidated = true;
@@ -79,13 +186,7 @@ export async function handleSubmit() {
       // Re-render tree with editing capabilities
       renderTree(state.folderStructure, elements.folderTree);
       updateSubmitButtonState();
-      
-      // Disable path input and folder selection after validation
-      elements.absolutePathInput.disabled = true;
-      elements.folderInput.disabled = true;
-      elements.selectFolderBtn.disabled = true;
-      elements.startChangesBtn.disabled = true;
-      elements.startChangesBtn.textContent = '✓ Validated';
+      lockInputs();
       
       showSuccess(data.message || 'Folder structure validated successfully!', true);
     } else {
@@ -96,15 +197,105 @@ export async function handleSubmit() {
   }
 }
 
+/**
+ * Disable path input and folder selection once editing started
+ */
+function lockInputs() {
+  elements.absolutePathInput.disabled = true;
+  elements.browseBtn.disabled = true;
+  elements.validationProfileSelect.disabled = true;
+  elements.folderInput.disabled = true;
+  elements.selectFolderBtn.disabled = true;
+  elements.serverModeBtn.disabled = true;
+  elements.compareContentsCheckbox.disabled = true;
+  elements.followSymlinksCheckbox.disabled = true;
+  elements.ignorePatternsInput.disabled = true;
+  elements.startChangesBtn.disabled = true;
+  elements.startChangesBtn.textContent = '✓ Validated';
+}
+
+/**
+ * Edit the server folder without a local copy
+ *
+ * The tree is loaded from the server one folder at a time, so there is
+ * nothing to validate and editing starts right away.
+ */
+export async function handleServerMode() {
+  const absolutePath = elements.absolutePathInput.value.trim();
+
+  if (!absolutePath) {
+    showError('Please enter an absolute path');
+    return;
+  }
+
+  state.ignorePatterns = parseIgnorePatterns(elements.ignorePatternsInput.value);
+  state.isIgnored = createIgnoreMatcher([...DEFAULT_IGNORE_PATTERNS, ...state.ignorePatterns]);
+  state.followSymlinks = elements.followSymlinksCheckbox.checked;
+  state.fingerprint = null;
+
+  showLoading('Loading folder from the server...');
+
+  try {
+    await Promise.all([loadServerRoot(), loadAccounts()]);
+  } catch (err) {
+    state.folderStructure = [];
+    showError(err.message);
+    return;
+  }
+
+  rememberPath(absolutePath);
+  state.serverMode = true;
+  state.selectedFiles = [];
+  state.rootFolderName = absolutePath.replace(/\/+$/, '').split('/').pop() || absolutePath;
+  state.originalStructure = deepClone(state.folderStructure);
+  state.isValidated = true;
+  state.changeLog = [];
+
+  elements.selectedFolderName.textContent = `🖥️ Editing on server: ${state.rootFolderName}`;
+  elements.selectedFolderName.classList.add('active');
+  elements.previewSection.style.display = 'block';
+  refreshTreeAndStats();
+  lockInputs();
+  elements.startChangesBtn.textContent = '🖥️ Server mode';
+
+  showSuccess(`Loaded "${state.rootFolderName}" from the server. Folders load as you open them.`, true);
+}
+
+const VERDICT_ICONS = {
+  ok: '✅',
+  warning: '⚠️',
+  error: '❌'
+};
+
+/**
+ * Generate HTML for the server verdict of a single operation
+ * @param {Object} verdict - Operation verdict from /api/plan
+ * @returns {string} Verdict HTML
+ */
+function generateVerdictHtml(verdict) {
+  if (!verdict) return '';
+
+  const issues = verdict.issues
+    .map(issue => `<li class="verdict-issue verdict-${issue.level}">${escapeHtml(issue.message)}</li>`)
+    .join('');
+
+  return `
+    <span class="diff-verdict" title="${verdict.status}">${VERDICT_ICONS[verdict.status]}</span>
+    ${issues ? `<ul class="verdict-issues">${issues}</ul>` : ''}
+  `;
+}
+
 /**
  * Generate diff HTML for displaying changes
+ * @param {Array} changeLog - Change log to display
+ * @param {Array} verdicts - Optional per-operation verdicts from /api/plan
  */
-function generateDiffHtml() {
-  if (state.changeLog.length === 0) {
+function generateDiffHtml(changeLog, verdicts = []) {
+  if (changeLog.length === 0) {
     return '<p class="no-changes">No changes to apply</p>';
   }
 
-  const items = state.changeLog.map((c, index) => {
+  const items = changeLog.map((c, index) => {
     let description = '';
     let icon = '';
     
@@ -120,16 +311,56 @@ function generateDiffHtml() {
       if (c.override) {
         description += ' <span class="override-badge">Override</span>';
       }
+    } else if (c.type === 'copy') {
+      icon = '📑';
+      description = `<strong>Copy:</strong> ${escapeHtml(c.from)} → ${escapeHtml(c.to)}`;
+      if (c.override) {
+        description += ' <span class="override-badge">Override</span>';
+      }
+    } else if (c.type === 'mkdir') {
+      icon = '📁';
+      description = `<strong>New folder:</strong> ${escapeHtml(c.path)}`;
+    } else if (c.type === 'upload') {
+      icon = '⬆️';
+      description = `<strong>Upload:</strong> ${escapeHtml(c.path)} (${formatSize(c.size)})`;
+    } else if (c.type === 'chmod') {
+      icon = '🔐';
+      description = `<strong>Mode:</strong> ${escapeHtml(c.path)} → ${formatOctal(c.mode)}`;
+      if (c.recursive) {
+        description += ` (files ${formatOctal(c.fileMode ?? c.mode)}, recursive)`;
+      }
+    } else if (c.type === 'chown') {
+      icon = '👤';
+      description = `<strong>Owner:</strong> ${escapeHtml(c.path)} → ${escapeHtml(formatOwner({ uid: c.uid ?? '—', gid: c.gid ?? '—' }))}${c.recursive ? ' (recursive)' : ''}`;
+    } else if (c.type === 'archive') {
+      icon = '🗜️';
+      description = `<strong>Archive:</strong> ${escapeHtml(c.path)} → ${escapeHtml(c.to)} (${c.format}${c.deleteSource ? ', original deleted' : ''})`;
+      if (c.override) {
+        description += ' <span class="override-badge">Override</span>';
+      }
+    } else if (c.type === 'extract') {
+      icon = '📤';
+      description = `<strong>Extract:</strong> ${escapeHtml(c.path)} → ${escapeHtml(c.to)} (existing items: ${c.conflict})`;
+    } else if (c.type === 'transfer') {
+      icon = '🚚';
+      description = c.inbound
+        ? `<strong>Transfer in:</strong> ${escapeHtml(c.from)} (second folder) → ${escapeHtml(c.to)}`
+        : `<strong>Transfer out:</strong> ${escapeHtml(c.from)} → ${escapeHtml(c.to)} (second folder)`;
+      if (c.override) {
+        description += ' <span class="override-badge">Override</span>';
+      }
     } else if (c.type === 'delete') {
       icon = '🗑️';
       description = `<strong>Delete:</strong> ${escapeHtml(c.path)}`;
     }
     
+    const verdict = verdicts.find(v => v.index === index);
+
     return `
-      <div class="diff-item">
+      <div class="diff-item ${verdict ? `diff-item-${verdict.status}` : ''}">
         <span class="diff-number">${index + 1}</span>
         <span class="diff-icon">${icon}</span>
-        <span class="diff-description">${description}</span>
+        <span class="diff-description">${description}${generateVerdictHtml(verdict)}</span>
       </div>
     `;
   }).join('');
@@ -137,6 +368,25 @@ function generateDiffHtml() {
   return `<div class="diff-list">${items}</div>`;
 }
 
+// Change log shown in the review modal, which is the one planned and applied
+let reviewedChangeLog = [];
+
+/**
+ * Describe how the recorded changes were compacted for review
+ * @param {Object} review - Result of normalizeChangeLog
+ * @returns {string} Note HTML
+ */
+function generateReviewNoteHtml(review) {
+  if (review.compacted && review.reason) {
+    return `<small class="diff-header-note">Compacted from ${state.changeLog.length} recorded change(s), some kept as they are: ${escapeHtml(review.reason)}</small>`;
+  }
+  if (review.reason) {
+    return `<small class="diff-header-note">Recorded changes sent as they are: ${escapeHtml(review.reason)}</small>`;
+  }
+  if (!review.compacted) return '';
+  return `<small class="diff-header-note">Compacted from ${state.changeLog.length} recorded change(s)</small>`;
+}
+
 /**
  * Handle submit changes - show confirmation modal
  */
@@ -154,6 +404,10 @@ export function handleSubmitChanges() {
   console.log('=== FOLDER CHANGES SUMMARY ===');
   console.log(changeSummary);
   console.log('=== END OF CHANGES ===');
+
+  // Moves of the same item, renames of deleted items and the like are sent once
+  const review = normalizeChangeLog(state.originalStructure, state.changeLog, state.folderStructure, state.isIgnored);
+  reviewedChangeLog = review.changeLog;
   
   // Show confirmation modal with diff
   showModal(`
@@ -161,12 +415,22 @@ export function handleSubmitChanges() {
       <h3>📋 Review Changes</h3>
       <p class="submit-subtitle">The following changes will be applied to:</p>
       <p class="submit-path">${escapeHtml(elements.absolutePathInput.value)}</p>
+      ${getTransferFolder() ? `
+        <p class="submit-subtitle">Items are transferred to and from:</p>
+        <p class="submit-path">${escapeHtml(getTransferFolder())}</p>
+      ` : ''}
       
       <div class="diff-container">
         <div class="diff-header">
-          <span>Changes (${state.changeLog.length})</span>
+          <span>Operations (${reviewedChangeLog.length})</span>
+          ${generateReviewNoteHtml(review)}
         </div>
-        ${generateDiffHtml()}
+        <div id="diffListContainer">${generateDiffHtml(reviewedChangeLog)}</div>
+      </div>
+
+      <div class="plan-status plan-status-pending" id="planStatus">
+        <span class="spinner-small"></span>
+        Checking changes against the server...
       </div>
       
       <div class="safe-clone-option">
@@ -174,15 +438,15 @@ export function handleSubmitChanges() {
           <input type="checkbox" id="safeCloneCheckbox" checked />
           <span class="checkbox-custom"></span>
           <span class="checkbox-text">
-            <strong>Safe clone</strong>
-            <small>Create a backup before applying changes. Allows rollback on error.</small>
+            <strong>Keep backup</strong>
+            <small>Keep deleted and replaced items so the whole change set can be undone later. Failed changes are always rolled back.</small>
           </span>
         </label>
       </div>
       
       <div class="modal-actions">
         <button type="button" class="btn btn-secondary" id="submitCancelBtn">Cancel</button>
-        <button type="button" class="btn btn-primary" id="submitConfirmBtn">Confirm</button>
+        <button type="button" class="btn btn-primary" id="submitConfirmBtn" disabled>Confirm</button>
       </div>
     </div>
   `, false);
@@ -192,77 +456,292 @@ export function handleSubmitChanges() {
     const safeClone = document.getElementById('safeCloneCheckbox').checked;
     applyChangesToServer(safeClone);
   });
+
+  loadPlan(elements.absolutePathInput.value.trim());
+}
+
+/**
+ * Ask the server to simulate the change log and show its verdict in the review modal
+ * @param {string} absolutePath - Server path
+ */
+async function loadPlan(absolutePath) {
+  let data;
+  try {
+    data = await api.planChanges(absolutePath, reviewedChangeLog, {
+      ignorePatterns: state.ignorePatterns,
+      followSymlinks: state.followSymlinks,
+      secondaryPath: getTransferFolder()
+    });
+  } catch (err) {
+    data = { ok: false, error: `Network error: ${err.message}` };
+  }
+
+  // The modal may have been closed while the plan was loading
+  const planStatus = document.getElementById('planStatus');
+  const confirmBtn = document.getElementById('submitConfirmBtn');
+  if (!planStatus || !confirmBtn) return;
+
+  if (data.code === 'INVALID_CHANGE_LOG') {
+    // The server would refuse to apply it as well
+    planStatus.className = 'plan-status plan-status-error';
+    planStatus.textContent = `❌ ${data.error}: ${data.details.map(d => d.message).join('; ')}`;
+    return;
+  }
+
+  if (!data.ok) {
+    planStatus.className = 'plan-status plan-status-warning';
+    planStatus.textContent = `⚠️ Could not check the changes: ${data.error || 'Unknown error'}`;
+    confirmBtn.disabled = false;
+    return;
+  }
+
+  document.getElementById('diffListContainer').innerHTML = generateDiffHtml(reviewedChangeLog, data.operations);
+
+  const { errors, warnings } = data.summary;
+  if (data.locks?.length > 0) {
+    // The folder is busy; applying is refused until the lock is released
+    planStatus.className = 'plan-status plan-status-warning';
+    planStatus.textContent = `${describeLock(data.locks[0])} Applying will fail until it is released.`;
+    confirmBtn.disabled = !data.canApply;
+  } else if (!data.canApply) {
+    planStatus.className = 'plan-status plan-status-error';
+    planStatus.textContent = `❌ ${errors} operation(s) would fail on the server. Fix them before applying.`;
+  } else if (warnings > 0) {
+    planStatus.className = 'plan-status plan-status-warning';
+    planStatus.textContent = `⚠️ All operations can be applied, with ${warnings} warning(s).`;
+    confirmBtn.disabled = false;
+  } else {
+    planStatus.className = 'plan-status plan-status-ok';
+    planStatus.textContent = '✅ All operations can be applied.';
+    confirmBtn.disabled = false;
+  }
 }
 
+// Remembers the running apply job so the page can reconnect after a reload
+const ACTIVE_JOB_KEY = 'folderBulkOperations.activeJob';
+
+const JOB_RECONNECT_DELAY_MS = 2000;
+
+const JOB_TITLES = {
+  queued: 'Starting...',
+  running: 'Applying Changes...',
+  rolling_back: 'Rolling Back...'
+};
+
 /**
  * Apply changes to server
  */
 async function applyChangesToServer(clone) {
   const absolutePath = elements.absolutePathInput.value.trim();
-  
+
+  // Files to upload are sent first; the job only starts once all arrived
+  if (reviewedChangeLog.some(change => change.type === 'upload')) {
+    showProgress('Uploading files...');
+    try {
+      await sendUploads(reviewedChangeLog, ({ filesDone, filesTotal, bytesDone, bytesTotal }) => {
+        const percent = bytesTotal > 0 ? Math.round((bytesDone / bytesTotal) * 100) : 100;
+        updateProgress(percent, `${filesDone} / ${filesTotal} files · ${formatSize(bytesDone)} of ${formatSize(bytesTotal)}`);
+      });
+    } catch (err) {
+      showError(`${err.message}. Nothing was applied.`);
+      return;
+    }
+  }
+
   showModal(`
     <div class="processing-modal">
       <div class="spinner"></div>
-      <h3>Applying Changes...</h3>
-      <p>${clone ? 'Creating backup and applying changes...' : 'Applying changes directly...'}</p>
-      <p class="processing-note">Please wait, do not close this window.</p>
+      <h3>Starting...</h3>
+      <p>${clone ? 'Applying changes and keeping a backup...' : 'Applying changes...'}</p>
     </div>
   `, false);
 
   try {
-    const data = await api.applyChanges(absolutePath, state.changeLog, clone);
+    const data = await api.applyChanges(absolutePath, reviewedChangeLog, clone, state.ignorePatterns, state.fingerprint, getTransferFolder());
 
     if (data.ok) {
-      if (data.clone) {
-        showModal(`
-          <div class="status status-success">
-            <div class="status-icon">✅</div>
-            <h3>Changes Applied Successfully!</h3>
-            <p>${escapeHtml(data.message)}</p>
-            <div class="backup-info">
-              <p>📁 A backup was created at:</p>
-              <code>${escapeHtml(data.tmpPath)}</code>
-              <p class="backup-note">You can remove the backup once you've verified the changes.</p>
-            </div>
-          </div>
-          <div class="modal-actions">
-            <button type="button" class="btn btn-secondary" id="keepBackupBtn">Keep Backup</button>
-            <button type="button" class="btn btn-danger" id="removeBackupBtn">🗑️ Remove Backup</button>
-          </div>
-        `, false);
-
-        document.getElementById('keepBackupBtn').addEventListener('click', () => {
-          hideModal();
-          resetAfterSubmit();
-        });
-        
-        document.getElementById('removeBackupBtn').addEventListener('click', () => {
-          handleRemoveBackup(absolutePath);
-        });
-      } else {
-        showModal(`
-          <div class="status status-success">
-            <div class="status-icon">✅</div>
-            <h3>Changes Applied Successfully!</h3>
-            <p>${escapeHtml(data.message)}</p>
-            <p>All ${state.changeLog.length} changes have been applied to the folder.</p>
-          </div>
-        `, true);
-        
-        elements.modalCloseBtn.addEventListener('click', resetAfterSubmit, { once: true });
-      }
+      localStorage.setItem(ACTIVE_JOB_KEY, data.jobId);
+      trackApplyJob(data.jobId);
+    } else if (data.code === 'TREE_CHANGED') {
+      showError(`${data.error}. Reset and validate again to edit the current tree.`, data.details);
+    } else if (data.code === 'INVALID_CHANGE_LOG') {
+      showError(`${data.error}. Nothing was applied.`, data.details);
     } else {
-      showError(data.error || 'Failed to apply changes');
+      showError(getErrorMessage(data, 'Failed to apply changes'));
     }
   } catch (err) {
     showError(`Network error: ${err.message}`);
   }
 }
 
+/**
+ * Reconnect to an apply job that was running when the page was closed
+ */
+export function resumeApplyJob() {
+  const jobId = localStorage.getItem(ACTIVE_JOB_KEY);
+  if (jobId) {
+    trackApplyJob(jobId);
+  }
+}
+
+/**
+ * Show the progress of an apply job until it finishes
+ * @param {string} jobId - Job ID
+ */
+function trackApplyJob(jobId) {
+  showModal(`
+    <div class="processing-modal">
+      <div class="spinner"></div>
+      <h3 id="jobTitle">Connecting...</h3>
+      <div class="progress-bar">
+        <div class="progress-bar-fill" id="jobProgressFill"></div>
+      </div>
+      <p class="progress-text" id="jobProgressText"></p>
+      <p class="progress-operation" id="jobOperation"></p>
+      <p class="processing-note">You can reload this page, the changes continue on the server.</p>
+    </div>
+    <div class="modal-actions">
+      <button type="button" class="btn btn-danger" id="jobCancelBtn">Cancel</button>
+    </div>
+  `, false);
+
+  const cancelBtn = document.getElementById('jobCancelBtn');
+  cancelBtn.addEventListener('click', async () => {
+    cancelBtn.disabled = true;
+    try {
+      const data = await api.cancelJob(jobId);
+      if (!data.ok) {
+        cancelBtn.disabled = false;
+        document.getElementById('jobOperation').textContent = data.error;
+      }
+    } catch (err) {
+      cancelBtn.disabled = false;
+    }
+  });
+
+  const source = api.subscribeToJob(jobId, (job) => {
+    updateJobProgress(job);
+    if (isJobFinished(job)) {
+      source.close();
+      showJobResult(job);
+    }
+  }, async () => {
+    // The stream broke (server restart, network): check the job before reconnecting
+    source.close();
+    try {
+      const data = await api.getJob(jobId);
+      if (!data.ok) {
+        localStorage.removeItem(ACTIVE_JOB_KEY);
+        showError(data.error || 'The apply job was lost');
+      } else if (isJobFinished(data.job)) {
+        showJobResult(data.job);
+      } else {
+        setTimeout(() => trackApplyJob(jobId), JOB_RECONNECT_DELAY_MS);
+      }
+    } catch (err) {
+      setTimeout(() => trackApplyJob(jobId), JOB_RECONNECT_DELAY_MS);
+    }
+  });
+}
+
+/**
+ * Check whether a job has reached a final status
+ * @param {Object} job - Job status
+ * @returns {boolean} Whether the job is finished
+ */
+function isJobFinished(job) {
+  return ['succeeded', 'failed', 'cancelled'].includes(job.status);
+}
+
+/**
+ * Update the progress modal from a job status
+ * @param {Object} job - Job status
+ */
+function updateJobProgress(job) {
+  const title = document.getElementById('jobTitle');
+  if (!title) return;
+
+  const { current, total, operation, bytes, totalBytes } = job.progress;
+  const percent = total > 0 ? Math.round((current / total) * 100) : 0;
+
+  title.textContent = job.cancelRequested && job.status === 'running'
+    ? 'Cancelling...'
+    : JOB_TITLES[job.status] || 'Applying Changes...';
+  document.getElementById('jobProgressFill').style.width = `${percent}%`;
+  document.getElementById('jobProgressText').textContent = `${current} / ${total} changes (${percent}%)`;
+  // Items copied to another file system report how much is copied
+  document.getElementById('jobOperation').textContent = totalBytes
+    ? `${operation || ''} · ${formatSize(bytes)} of ${formatSize(totalBytes)}`
+    : operation || '';
+  document.getElementById('jobCancelBtn').disabled = job.cancelRequested || job.status === 'rolling_back';
+}
+
+/**
+ * Show the outcome of a finished apply job
+ * @param {Object} job - Finished job status
+ */
+function showJobResult(job) {
+  localStorage.removeItem(ACTIVE_JOB_KEY);
+
+  if (job.status !== 'succeeded') {
+    showError(job.error || 'Failed to apply changes');
+    return;
+  }
+
+  const data = job.result;
+  applyFingerprintUpdate(data.fingerprint);
+  reloadSecondFolder();
+  if (data.clone) {
+    showModal(`
+      <div class="status status-success">
+        <div class="status-icon">✅</div>
+        <h3>Changes Applied Successfully!</h3>
+        <p>${escapeHtml(data.message)}</p>
+        <div class="backup-info">
+          <p>📁 A backup was created at:</p>
+          <code>${escapeHtml(data.tmpPath)}</code>
+          <p class="backup-note">You can remove the backup once you've verified the changes, or restore it later from the backup manager.</p>
+        </div>
+      </div>
+      <div class="modal-actions">
+        <button type="button" class="btn btn-secondary" id="keepBackupBtn">Keep Backup</button>
+        <button type="button" class="btn btn-secondary" id="manageBackupsBtn">🗂️ Manage Backups</button>
+        <button type="button" class="btn btn-danger" id="removeBackupBtn">🗑️ Remove Backup</button>
+      </div>
+    `, false);
+
+    document.getElementById('keepBackupBtn').addEventListener('click', () => {
+      hideModal();
+      resetAfterSubmit();
+    });
+
+    document.getElementById('manageBackupsBtn').addEventListener('click', () => {
+      resetAfterSubmit();
+      showBackupManager(job.basePath);
+    });
+    
+    document.getElementById('removeBackupBtn').addEventListener('click', () => {
+      handleRemoveBackup(data.backupId);
+    });
+  } else {
+    showModal(`
+      <div class="status status-success">
+        <div class="status-icon">✅</div>
+        <h3>Changes Applied Successfully!</h3>
+        <p>${escapeHtml(data.message)}</p>
+        <p>All ${job.progress.total} changes have been applied to the folder.</p>
+      </div>
+    `, true);
+    
+    elements.modalCloseBtn.addEventListener('click', resetAfterSubmit, { once: true });
+  }
+}
+
 /**
  * Handle remove backup
+ * @param {string} backupId - ID of the backup created by the apply
  */
-async function handleRemoveBackup(absolutePath) {
+async function handleRemoveBackup(backupId) {
   showModal(`
     <div class="processing-modal">
       <div class="spinner"></div>
@@ -272,7 +751,7 @@ async function handleRemoveBackup(absolutePath) {
   `, false);
 
   try {
-    const data = await api.removeBackup(absolutePath);
+    const data = await api.deleteBackup(backupId);
 
     if (data.ok) {
       showModal(`
@@ -285,13 +764,34 @@ async function handleRemoveBackup(absolutePath) {
       
       elements.modalCloseBtn.addEventListener('click', resetAfterSubmit, { once: true });
     } else {
-      showError(data.error || 'Failed to remove backup');
+      showError(getErrorMessage(data, 'Failed to remove backup'));
     }
   } catch (err) {
     showError(`Network error: ${err.message}`);
   }
 }
 
+/**
+ * Handle backups button click
+ */
+export function handleShowBackups() {
+  showBackupManager(elements.absolutePathInput.value.trim());
+}
+
+/**
+ * Handle history button click
+ */
+export function handleShowHistory() {
+  showHistory({ absolutePath: elements.absolutePathInput.value.trim() });
+}
+
+/**
+ * Handle trash button click
+ */
+export function handleShowTrash() {
+  showTrash(elements.absolutePathInput.value.trim());
+}
+
 /**
  * Handle reset button click
  */
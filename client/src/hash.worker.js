@@ -0,0 +1,57 @@
+/**
+ * File Hashing Worker
+ *
+ * Hashes one file per message with SHA-256. Small files go through Web
+ * Crypto; larger ones are read in chunks and hashed incrementally.
+ */
+
+import { Sha256 } from './sha256.js';
+
+const CHUNK_SIZE = 4 * 1024 * 1024;
+
+// Web Crypto is only available in secure contexts (https or localhost)
+const subtle = self.crypto?.subtle;
+
+/**
+ * Convert a digest to a hex string
+ * @param {ArrayBuffer} buffer - Digest
+ * @returns {string} Hex string
+ */
+function toHex(buffer) {
+  return Array.from(new Uint8Array(buffer), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Hash a file, reporting the bytes read as it goes
+ * @param {File} file - File to hash
+ * @param {Function} onProgress - Called with the number of bytes read
+ * @returns {Promise<string>} Hex encoded hash
+ */
+async function hashFile(file, onProgress) {
+  if (subtle && file.size <= CHUNK_SIZE) {
+    const digest = await subtle.digest('SHA-256', await file.arrayBuffer());
+    onProgress(file.size);
+    return toHex(digest);
+  }
+
+  const hasher = new Sha256();
+  for (let offset = 0; offset < file.size; offset += CHUNK_SIZE) {
+    const chunk = await file.slice(offset, offset + CHUNK_SIZE).arrayBuffer();
+    hasher.update(new Uint8Array(chunk));
+    onProgress(chunk.byteLength);
+  }
+  return hasher.digest();
+}
+
+self.onmessage = async (event) => {
+  const { id, file } = event.data;
+
+  try {
+    const hash = await hashFile(file, (bytes) => {
+      self.postMessage({ id, type: 'progress', bytes });
+    });
+    self.postMessage({ id, type: 'done', hash });
+  } catch (err) {
+    self.postMessage({ id, type: 'error', error: err.message });
+  }
+};
@@ -0,0 +1,56 @@
+/**
+ * File Content Hashing
+ */
+
+/**
+ * Hash files with SHA-256 in a web worker, one after the other
+ * @param {Array<File>} files - Files to hash
+ * @param {Function} onProgress - Called with { filesDone, filesTotal, bytesDone, bytesTotal }
+ * @returns {Promise<Map<File, string>>} Hex encoded hash of every file
+ */
+export function hashFiles(files, onProgress = () => {}) {
+  const worker = new Worker(new URL('./hash.worker.js', import.meta.url), { type: 'module' });
+  const hashes = new Map();
+  const progress = {
+    filesDone: 0,
+    filesTotal: files.length,
+    bytesDone: 0,
+    bytesTotal: files.reduce((total, file) => total + file.size, 0)
+  };
+
+  return new Promise((resolve, reject) => {
+    const hashNext = () => {
+      if (progress.filesDone === files.length) {
+        worker.terminate();
+        resolve(hashes);
+        return;
+      }
+      worker.postMessage({ id: progress.filesDone, file: files[progress.filesDone] });
+    };
+
+    worker.onmessage = (event) => {
+      const { id, type } = event.data;
+      const file = files[id];
+
+      if (type === 'progress') {
+        progress.bytesDone += event.data.bytes;
+        onProgress({ ...progress });
+      } else if (type === 'done') {
+        hashes.set(file, event.data.hash);
+        progress.filesDone++;
+        onProgress({ ...progress });
+        hashNext();
+      } else if (type === 'error') {
+        worker.terminate();
+        reject(new Error(`Cannot hash ${file.webkitRelativePath}: ${event.data.error}`));
+      }
+    };
+
+    worker.onerror = (event) => {
+      worker.terminate();
+      reject(new Error(event.message || 'Hashing worker failed'));
+    };
+
+    hashNext();
+  });
+}
@@ -0,0 +1,247 @@
+/**
+ * Change History
+ *
+ * Shows the change sets applied on the server, as recorded in its audit log,
+ * filtered by folder and date, and what became of every operation.
+ */
+
+import { escapeHtml, formatDate, formatSize } from './utils.js';
+import { showModal, showError } from './modal.js';
+import { describeClient } from './locks.js';
+import { formatOctal, formatOwner } from './permissions.js';
+import * as api from './api.js';
+
+const STATUS_ICONS = {
+  succeeded: '✅',
+  failed: '❌',
+  cancelled: '⏹️',
+  running: '⏳'
+};
+
+const OUTCOMES = {
+  applied: { icon: '✅', label: 'applied' },
+  rolled_back: { icon: '↩️', label: 'rolled back' },
+  rollback_failed: { icon: '⚠️', label: 'rollback failed' },
+  failed: { icon: '❌', label: 'failed' },
+  not_run: { icon: '⏭️', label: 'not run' }
+};
+
+/**
+ * Summarize how many operations had each outcome
+ * @param {Object} outcomes - Counts by outcome
+ * @returns {string} Summary, e.g. "2 applied · 1 failed"
+ */
+function formatOutcomes(outcomes) {
+  return Object.entries(outcomes)
+    .map(([status, count]) => `${count} ${OUTCOMES[status]?.label || status}`)
+    .join(' · ');
+}
+
+/**
+ * Generate HTML for the list of history entries
+ * @param {Array} entries - Entry summaries from the server
+ * @returns {string} List HTML
+ */
+function generateEntryListHtml(entries) {
+  if (entries.length === 0) {
+    return '<p class="no-changes">No changes recorded</p>';
+  }
+
+  return entries.map(entry => `
+    <div class="backup-item history-item" data-entry="${escapeHtml(entry.id)}">
+      <span class="diff-icon" title="${entry.status}">${STATUS_ICONS[entry.status] || '❔'}</span>
+      <div class="backup-item-info">
+        <code>${escapeHtml(entry.path)}</code>
+        <small>
+          ${formatDate(new Date(entry.startedAt))} ·
+          ${entry.changeCount} change(s)${entry.status !== 'running' ? ` · ${formatOutcomes(entry.outcomes)}` : ' · running'}
+          ${entry.backup ? ' · 🗂️ backup kept' : ''}
+        </small>
+      </div>
+    </div>
+  `).join('');
+}
+
+/**
+ * Describe a change of a recorded change log
+ * @param {Object} change - Change log entry
+ * @returns {Object} { icon, html }
+ */
+function describeChange(change) {
+  const override = change.override ? ' <span class="override-badge">Override</span>' : '';
+  if (change.type === 'move') {
+    return { icon: '📦', html: `<strong>Move:</strong> ${escapeHtml(change.from)} → ${escapeHtml(change.to)}${override}` };
+  }
+  if (change.type === 'rename') {
+    return { icon: '✏️', html: `<strong>Rename:</strong> ${escapeHtml(change.path)} → ${escapeHtml(change.newName)}${override}` };
+  }
+  if (change.type === 'copy') {
+    return { icon: '📑', html: `<strong>Copy:</strong> ${escapeHtml(change.from)} → ${escapeHtml(change.to)}${override}` };
+  }
+  if (change.type === 'mkdir') {
+    return { icon: '📁', html: `<strong>New folder:</strong> ${escapeHtml(change.path)}` };
+  }
+  if (change.type === 'upload') {
+    return { icon: '⬆️', html: `<strong>Upload:</strong> ${escapeHtml(change.path)} (${formatSize(change.size)})` };
+  }
+  if (change.type === 'chmod') {
+    const files = change.recursive ? ` (files ${formatOctal(change.fileMode ?? change.mode)}, recursive)` : '';
+    return { icon: '🔐', html: `<strong>Mode:</strong> ${escapeHtml(change.path)} → ${formatOctal(change.mode)}${files}` };
+  }
+  if (change.type === 'chown') {
+    const owner = formatOwner({ uid: change.uid ?? '—', gid: change.gid ?? '—' });
+    return { icon: '👤', html: `<strong>Owner:</strong> ${escapeHtml(change.path)} → ${escapeHtml(owner)}${change.recursive ? ' (recursive)' : ''}` };
+  }
+  if (change.type === 'archive') {
+    const details = `${change.format}${change.deleteSource ? ', original deleted' : ''}`;
+    return { icon: '🗜️', html: `<strong>Archive:</strong> ${escapeHtml(change.path)} → ${escapeHtml(change.to)} (${escapeHtml(details)})${override}` };
+  }
+  if (change.type === 'extract') {
+    return { icon: '📤', html: `<strong>Extract:</strong> ${escapeHtml(change.path)} → ${escapeHtml(change.to)} (existing items: ${escapeHtml(change.conflict || 'fail')})` };
+  }
+  if (change.type === 'transfer') {
+    return change.inbound
+      ? { icon: '🚚', html: `<strong>Transfer in:</strong> ${escapeHtml(change.from)} (second folder) → ${escapeHtml(change.to)}${override}` }
+      : { icon: '🚚', html: `<strong>Transfer out:</strong> ${escapeHtml(change.from)} → ${escapeHtml(change.to)} (second folder)${override}` };
+  }
+  if (change.type === 'delete') {
+    return { icon: '🗑️', html: `<strong>Delete:</strong> ${escapeHtml(change.path)}` };
+  }
+  return { icon: '❔', html: `<strong>${escapeHtml(change.type)}</strong>` };
+}
+
+/**
+ * Generate HTML for the operations of a history entry with their outcome
+ * @param {Object} entry - Full history entry
+ * @returns {string} List HTML
+ */
+function generateOperationsHtml(entry) {
+  return entry.changeLog.map((change, index) => {
+    const { icon, html } = describeChange(change);
+    const outcome = entry.operations?.find(op => op.index === index);
+    const { icon: outcomeIcon, label } = OUTCOMES[outcome?.status] || { icon: '⏳', label: 'running' };
+    const failed = outcome?.status === 'failed' || outcome?.status === 'rollback_failed';
+
+    return `
+      <div class="diff-item ${failed ? 'diff-item-error' : ''}">
+        <span class="diff-number">${index + 1}</span>
+        <span class="diff-icon">${icon}</span>
+        <span class="diff-description">
+          ${html}
+          <span class="diff-verdict" title="${label}">${outcomeIcon}</span>
+          ${outcome?.error ? `<ul class="verdict-issues"><li class="verdict-issue verdict-error">${escapeHtml(outcome.error)}</li></ul>` : ''}
+        </span>
+      </div>
+    `;
+  }).join('');
+}
+
+/**
+ * Show the history, optionally filtered
+ * @param {Object} filters - { absolutePath, from, to }, dates as YYYY-MM-DD
+ */
+export async function showHistory(filters = {}) {
+  const { absolutePath = '', from = '', to = '' } = filters;
+
+  showModal(`
+    <div class="processing-modal">
+      <div class="spinner"></div>
+      <h3>Loading History...</h3>
+    </div>
+  `, false);
+
+  let data;
+  try {
+    data = await api.listHistory({ absolutePath, from, to });
+  } catch (err) {
+    showError(`Network error: ${err.message}`);
+    return;
+  }
+
+  if (!data.ok) {
+    showError(data.error || 'Failed to load the history');
+    return;
+  }
+
+  showModal(`
+    <div class="submit-modal">
+      <h3>🕘 History</h3>
+      <form class="history-filters" id="historyFilters">
+        <input type="text" class="input" id="historyPathInput" placeholder="All folders" value="${escapeHtml(absolutePath)}" />
+        <label>From <input type="date" class="input" id="historyFromInput" value="${escapeHtml(from)}" /></label>
+        <label>To <input type="date" class="input" id="historyToInput" value="${escapeHtml(to)}" /></label>
+        <button type="submit" class="btn btn-secondary btn-small">Filter</button>
+      </form>
+      <div class="diff-container">
+        <div class="diff-header">
+          <span>Change sets (${data.entries.length < data.total ? `newest ${data.entries.length} of ${data.total}` : data.total})</span>
+        </div>
+        <div class="diff-list">${generateEntryListHtml(data.entries)}</div>
+      </div>
+      <p class="backup-note">
+        Every change set applied on the server is recorded, including the ones
+        that failed or were cancelled and rolled back.
+      </p>
+    </div>
+  `, true);
+
+  document.getElementById('historyFilters').addEventListener('submit', (e) => {
+    e.preventDefault();
+    showHistory({
+      absolutePath: document.getElementById('historyPathInput').value.trim(),
+      from: document.getElementById('historyFromInput').value,
+      to: document.getElementById('historyToInput').value
+    });
+  });
+
+  document.querySelectorAll('[data-entry]').forEach(el => {
+    el.addEventListener('click', () => showHistoryEntry(el.dataset.entry, filters));
+  });
+}
+
+/**
+ * Show a history entry with its operations
+ * @param {string} id - History entry ID
+ * @param {Object} filters - Filters of the list to return to
+ */
+async function showHistoryEntry(id, filters) {
+  let data;
+  try {
+    data = await api.getHistoryEntry(id);
+  } catch (err) {
+    showError(`Network error: ${err.message}`);
+    return;
+  }
+
+  if (!data.ok) {
+    showError(data.error || 'Failed to load the history entry');
+    return;
+  }
+
+  const { entry } = data;
+
+  showModal(`
+    <div class="submit-modal">
+      <h3>${STATUS_ICONS[entry.status] || '❔'} Change Set ${escapeHtml(entry.status)}</h3>
+      <p class="submit-path">${escapeHtml(entry.path)}</p>
+      <ul class="history-details">
+        <li><strong>Started:</strong> ${formatDate(new Date(entry.startedAt))}</li>
+        <li><strong>Finished:</strong> ${entry.finishedAt ? formatDate(new Date(entry.finishedAt)) : 'still running'}</li>
+        <li><strong>By:</strong> ${escapeHtml(describeClient(entry.client))}</li>
+        <li><strong>Backup:</strong> ${entry.backup ? `<code>${escapeHtml(entry.backup.path)}</code>` : 'none'}</li>
+        ${entry.error ? `<li><strong>Error:</strong> ${escapeHtml(entry.error)}</li>` : ''}
+      </ul>
+      <div class="diff-container">
+        <div class="diff-header">
+          <span>Operations (${entry.changeLog.length})</span>
+        </div>
+        <div class="diff-list">${generateOperationsHtml(entry)}</div>
+      </div>
+      <div class="modal-actions">
+        <button type="button" class="btn btn-secondary" id="historyBackBtn">Back to history</button>
+      </div>
+    </div>
+  `, true);
+
+  document.getElementById('historyBackBtn').addEventListener('click', () => showHistory(filters));
+}
@@ -0,0 +1,100 @@
+/**
+ * Path Locks
+ *
+ * The server locks a folder while changes are applied to it or a backup of it
+ * is restored. Requests changing folders carry the identity of this browser
+ * and tab, so a locked folder can be reported as held by this tab, another
+ * tab or another client.
+ */
+
+import { formatDate, generateId } from './utils.js';
+
+const CLIENT_ID_KEY = 'folderBulkOperations.clientId';
+const TAB_ID_KEY = 'folderBulkOperations.tabId';
+
+const OPERATION_LABELS = {
+  apply: 'applying changes',
+  restore: 'restoring a backup',
+  delete_backup: 'removing a backup',
+  prune: 'pruning old backups'
+};
+
+/**
+ * Get an ID kept in a storage, creating it on first use
+ * @param {Storage} storage - localStorage for the browser, sessionStorage for the tab
+ * @param {string} key - Storage key
+ * @returns {string} ID
+ */
+function getStoredId(storage, key) {
+  let id = storage.getItem(key);
+  if (!id) {
+    id = generateId();
+    storage.setItem(key, id);
+  }
+  return id;
+}
+
+/**
+ * Get the headers identifying this browser and tab to the server
+ * @returns {Object} Request headers
+ */
+export function getClientHeaders() {
+  return {
+    'X-Client-Id': getStoredId(localStorage, CLIENT_ID_KEY),
+    'X-Client-Tab': getStoredId(sessionStorage, TAB_ID_KEY)
+  };
+}
+
+/**
+ * Name the browser of a user agent string
+ * @param {string|null} userAgent - User agent
+ * @returns {string} Browser name
+ */
+function getBrowserName(userAgent) {
+  if (!userAgent) return 'an unknown browser';
+  if (userAgent.includes('Edg/')) return 'Edge';
+  if (userAgent.includes('Firefox/')) return 'Firefox';
+  if (userAgent.includes('Chrome/')) return 'Chrome';
+  if (userAgent.includes('Safari/')) return 'Safari';
+  return userAgent.split(' ')[0];
+}
+
+/**
+ * Describe the client behind a request, such as the owner of a lock
+ * @param {Object|null} owner - Client identity from the server, null for the server itself
+ * @returns {string} Client description
+ */
+export function describeClient(owner) {
+  if (!owner) return 'the server';
+
+  const { 'X-Client-Id': clientId, 'X-Client-Tab': tabId } = getClientHeaders();
+  if (owner.clientId === clientId) {
+    return owner.tabId === tabId ? 'this tab' : 'another tab of this browser';
+  }
+  return `${getBrowserName(owner.userAgent)} at ${owner.address}`;
+}
+
+/**
+ * Describe a lock for the user
+ * @param {Object} lock - Lock from the server
+ * @returns {string} Description
+ */
+export function describeLock(lock) {
+  const operation = OPERATION_LABELS[lock.operation] || lock.operation;
+  const minutes = Math.floor((Date.now() - new Date(lock.since).getTime()) / 60000);
+  const age = minutes < 1 ? 'less than a minute ago' : `${minutes} min ago`;
+  return `🔒 ${lock.paths.join(', ')} is locked by ${describeClient(lock.owner)} (${operation}) since ${formatDate(new Date(lock.since))}, ${age}.`;
+}
+
+/**
+ * Get the message of a failed response, describing the lock when the folder was locked
+ * @param {Object} data - Response data
+ * @param {string} fallback - Message when the response has none
+ * @returns {string} Error message
+ */
+export function getErrorMessage(data, fallback) {
+  if (data.code === 'PATH_LOCKED' && data.lock) {
+    return `${describeLock(data.lock)} Try again once it is done.`;
+  }
+  return data.error || fallback;
+}
@@ -5,7 +5,9 @@
 import { elements } from './dom.js';
 import { hideModal } from './modal.js';
 import { updateButtonState, updateSubmitButtonState } from './ui.js';
-import { handleFolderSelect, handleSubmit, handleSubmitChanges, handleReset } from './handlers.js';
+import { initPathAutocomplete, showPathBrowser } from './browser.js';
+import { initSecondPane } from './second-pane.js';
+import { handleFolderSelect, handleIgnorePatternsChange, handleServerMode, handleSubmit, handleSubmitChanges, handleReset, handleShowBackups, handleShowHistory, handleShowTrash, resumeApplyJob } from './handlers.js';
 
 /**
  * Initialize event listeners
@@ -17,14 +19,24 @@ function initEventListeners() {
   });
 
   elements.folderInput.addEventListener('change', handleFolderSelect);
+  elements.serverModeBtn.addEventListener('click', handleServerMode);
+  elements.ignorePatternsInput.addEventListener('change', handleIgnorePatternsChange);
 
   // Path input
   elements.absolutePathInput.addEventListener('input', updateButtonState);
+  initPathAutocomplete();
+  elements.browseBtn.addEventListener('click', () => {
+    showPathBrowser(elements.absolutePathInput.value.trim());
+  });
+  initSecondPane();
 
   // Action buttons
   elements.startChangesBtn.addEventListener('click', handleSubmit);
   elements.submitChangesBtn.addEventListener('click', handleSubmitChanges);
   elements.resetBtn.addEventListener('click', handleReset);
+  elements.backupsBtn.addEventListener('click', handleShowBackups);
+  elements.historyBtn.addEventListener('click', handleShowHistory);
+  elements.trashBtn.addEventListener('click', handleShowTrash);
 
   // Modal
   elements.modalCloseBtn.addEventListener('click', hideModal);
@@ -35,6 +47,13 @@ function initEventListeners() {
     }
   });
 
+  // Files dropped next to the tree must not replace the page
+  for (const type of ['dragover', 'drop']) {
+    window.addEventListener(type, (event) => {
+      if (event.dataTransfer?.types.includes('Files')) event.preventDefault();
+    });
+  }
+
   // Keyboard support
   document.addEventListener('keydown', (event) => {
     if (event.key === 'Escape' && elements.modalOverlay.style.display !== 'none') {
@@ -52,6 +71,7 @@ function init() {
   initEventListeners();
   updateButtonState();
   updateSubmitButtonState();
+  resumeApplyJob();
   console.log('Folder Bulk Operations initialized');
 }
 
@@ -35,6 +35,35 @@ export function showLoading(message = 'Processing...') {
   `, false);
 }
 
+/**
+ * Show a progress modal
+ * @param {string} title - Progress title
+ */
+export function showProgress(title) {
+  showModal(`
+    <div class="processing-modal">
+      <div class="spinner"></div>
+      <h3>${title}</h3>
+      <div class="progress-bar">
+        <div class="progress-bar-fill" id="progressFill"></div>
+      </div>
+      <p class="progress-text" id="progressText"></p>
+    </div>
+  `, false);
+}
+
+/**
+ * Update the progress modal
+ * @param {number} percent - Completion between 0 and 100
+ * @param {string} text - Progress description
+ */
+export function updateProgress(percent, text) {
+  const fill = document.getElementById('progressFill');
+  if (!fill) return;
+  fill.style.width = `${percent}%`;
+  document.getElementById('progressText').textContent = text;
+}
+
 /**
  * Show success modal
  * @param {string} message - Success message
@@ -78,7 +107,12 @@ export function showError(error, details = []) {
       <div class="error-details">
         <strong>Details:</strong>
         <ul>
-          ${details.slice(0, 10).map(d => `<li>${escapeHtml(d.message)}</li>`).join('')}
+          ${details.slice(0, 10).map(d => `
+            <li>
+              ${escapeHtml(d.message)}
+              ${d.rule ? `<small class="difference-rule">${escapeHtml(d.rule)}</small>` : ''}
+            </li>
+          `).join('')}
           ${details.length > 10 ? `<li>...and ${details.length - 10} more differences</li>` : ''}
         </ul>
       </div>
@@ -0,0 +1,689 @@
+/**
+ * Change Log Normalizer
+ *
+ * The change log records every gesture: an item moved three times gives
+ * three moves, and a folder renamed then deleted gives a rename the server
+ * performs for nothing. Before the changes are reviewed, the log is replayed
+ * against the original structure to find where every item ends up, and
+ * rewritten as the fewest operations reaching the same result.
+ *
+ * Runs of moves, renames, deletes, new folders and uploads are compacted.
+ * The other changes are kept as they are and where they are, as copies,
+ * archives, extractions, transfers, modes and owners depend on the state of
+ * the tree at their point of the log. Within a run, deleted items go first,
+ * then the items are placed top down at their final path. An item in the
+ * way of another is set aside under a temporary name, which resolves swaps
+ * and rename cycles, and what is left of the deleted items goes last.
+ *
+ * The compacted log is replayed in turn and only used when it gives the
+ * edited structure; otherwise the recorded log is sent as it is. Folders not
+ * loaded from the server are assumed to hold whatever the log refers to.
+ */
+
+import { isPathIgnored } from './ignore.js';
+
+// Changes compacted together; the others end a run
+const RUN_TYPES = ['move', 'rename', 'delete', 'mkdir', 'upload'];
+
+const MAX_TEMPORARY_NAMES = 100;
+
+/**
+ * Where the items of a tree are: the parent and name of every item, and the
+ * children of every folder by name. Items are plain objects compared by
+ * identity, so two layouts of the same items tell what moved.
+ */
+class Layout {
+  /**
+   * @param {Object} root - Root item
+   */
+  constructor(root) {
+    this.root = root;
+    this.positions = new Map();
+    this.children = new Map();
+  }
+
+  /**
+   * Copy the layout, sharing the items
+   * @returns {Layout} Copy
+   */
+  clone() {
+    const copy = new Layout(this.root);
+    for (const [item, position] of this.positions) copy.positions.set(item, { ...position });
+    for (const [item, children] of this.children) copy.children.set(item, new Map(children));
+    return copy;
+  }
+
+  /**
+   * Get the child of a folder
+   * @param {Object} parent - Folder item
+   * @param {string} name - Child name
+   * @returns {Object|null} Child item
+   */
+  get(parent, name) {
+    return this.children.get(parent)?.get(name) || null;
+  }
+
+  /**
+   * Put an item in a folder
+   * @param {Object} item - Item, which must not be placed already
+   * @param {Object} parent - Folder item
+   * @param {string} name - Name of the item there
+   */
+  place(item, parent, name) {
+    if (!this.children.has(parent)) this.children.set(parent, new Map());
+    this.children.get(parent).set(name, item);
+    this.positions.set(item, { parent, name });
+  }
+
+  /**
+   * Take an item out of its folder, with everything inside it
+   * @param {Object} item - Placed item
+   */
+  detach(item) {
+    const position = this.positions.get(item);
+    this.children.get(position.parent).delete(position.name);
+    this.positions.delete(item);
+  }
+
+  /**
+   * Get the path of a placed item
+   * @param {Object} item - Item
+   * @returns {string} Slash separated path, empty for the root
+   */
+  pathOf(item) {
+    const names = [];
+    for (let current = item; current !== this.root; current = this.positions.get(current).parent) {
+      names.unshift(this.positions.get(current).name);
+    }
+    return names.join('/');
+  }
+
+  /**
+   * Join the path of a folder and a name
+   * @param {Object} parent - Folder item
+   * @param {string} name - Name
+   * @returns {string} Path
+   */
+  pathIn(parent, name) {
+    const parentPath = this.pathOf(parent);
+    return parentPath ? `${parentPath}/${name}` : name;
+  }
+
+  /**
+   * Check whether an item is a folder's descendant or the folder itself
+   * @param {Object} item - Item
+   * @param {Object} folder - Folder item
+   * @returns {boolean} Whether the item is inside the folder
+   */
+  isWithin(item, folder) {
+    for (let current = item; current; current = this.positions.get(current)?.parent) {
+      if (current === folder) return true;
+    }
+    return false;
+  }
+
+  /**
+   * List an item and everything inside it
+   * @param {Object} item - Item
+   * @returns {Array} Items
+   */
+  subtree(item) {
+    const items = [item];
+    for (let i = 0; i < items.length; i++) {
+      items.push(...(this.children.get(items[i])?.values() || []));
+    }
+    return items;
+  }
+
+  /**
+   * Forget the items that are not in the tree anymore
+   */
+  prune() {
+    const reachable = new Set(this.subtree(this.root));
+    for (const item of this.positions.keys()) {
+      if (!reachable.has(item)) this.positions.delete(item);
+    }
+    for (const item of this.children.keys()) {
+      if (!reachable.has(item)) this.children.delete(item);
+    }
+  }
+}
+
+/**
+ * Split a change log path
+ * @param {string} path - Slash separated path
+ * @returns {Object} { parentPath, name }
+ */
+function splitPath(path) {
+  const index = path.lastIndexOf('/');
+  return index === -1
+    ? { parentPath: '', name: path }
+    : { parentPath: path.slice(0, index), name: path.slice(index + 1) };
+}
+
+/**
+ * Replays changes on the layout of a folder structure
+ *
+ * Items of folders whose contents are not known are created the first time
+ * the log refers to them, in the layout at the start of the current run too,
+ * since they were there all along.
+ */
+class Replay {
+  /**
+   * @param {Array} structure - Original folder structure
+   */
+  constructor(structure) {
+    this.layout = new Layout({ isDirectory: true, complete: true });
+    this.start = null;
+    this.addItems(structure, this.layout.root);
+  }
+
+  /**
+   * Add the items of a structure to the layout
+   * @param {Array} items - Structure items
+   * @param {Object} parent - Folder item to add them to
+   */
+  addItems(items, parent) {
+    for (const item of items) {
+      const loaded = item.isDirectory && item.childrenLoaded !== false && Array.isArray(item.children);
+      const node = { isDirectory: item.isDirectory, complete: !item.isDirectory || loaded };
+      this.layout.place(node, parent, item.name);
+      if (loaded) this.addItems(item.children, node);
+    }
+  }
+
+  /**
+   * Start a run of compacted changes, remembering the layout it starts from
+   */
+  beginRun() {
+    this.start ??= this.layout.clone();
+  }
+
+  /**
+   * End the current run
+   * @returns {Layout|null} Layout at the start of the run
+   */
+  endRun() {
+    const start = this.start;
+    this.start = null;
+    this.layout.prune();
+    return start;
+  }
+
+  /**
+   * Find the item at a path, creating it in folders whose contents are unknown
+   * @param {string} path - Slash separated path, empty for the root
+   * @returns {Object} Item
+   */
+  resolve(path) {
+    let current = this.layout.root;
+    for (const name of path.split('/').filter(Boolean)) {
+      current = this.layout.get(current, name) || this.discover(current, name);
+    }
+    return current;
+  }
+
+  /**
+   * Create an item that was in a folder all along
+   * @param {Object} parent - Folder item whose contents are unknown
+   * @param {string} name - Name of the item
+   * @returns {Object} Item
+   */
+  discover(parent, name) {
+    const known = this.start && !this.start.positions.has(parent) && parent !== this.layout.root;
+    if (parent.complete || parent.isDirectory === false || known || this.start?.get(parent, name)) {
+      throw new Error(`"${this.layout.pathIn(parent, name)}" does not exist at this point of the log`);
+    }
+
+    const item = { isDirectory: null, complete: false };
+    this.layout.place(item, parent, name);
+    this.start?.place(item, parent, name);
+    return item;
+  }
+
+  /**
+   * Take the item in the way of a change out of the tree
+   * @param {Object} parent - Folder item
+   * @param {string} name - Name the change uses
+   * @param {boolean} override - Whether the change replaces an existing item
+   * @param {Object} change - Change, for the timestamp
+   */
+  clearTarget(parent, name, override, change) {
+    let existing = this.layout.get(parent, name);
+    if (!existing && override && !parent.complete) existing = this.discover(parent, name);
+    if (!existing) return;
+
+    if (!override) {
+      throw new Error(`"${this.layout.pathIn(parent, name)}" exists at this point of the log`);
+    }
+    this.remove(existing, 'override', change);
+  }
+
+  /**
+   * Take an item out of the tree, with everything inside it
+   * @param {Object} item - Item
+   * @param {string} reason - "delete" or "override"
+   * @param {Object} change - Change removing it
+   */
+  remove(item, reason, change) {
+    for (const removed of this.layout.subtree(item)) {
+      removed.removedBy = reason;
+      removed.removedAt = change.timestamp;
+    }
+    this.layout.detach(item);
+  }
+
+  /**
+   * Move an item, replacing what is in the way with override
+   * @param {string} fromPath - Path of the item
+   * @param {string} toPath - New path of the item
+   * @param {boolean} override - Whether an existing item is replaced
+   * @param {Object} change - Change
+   */
+  move(fromPath, toPath, override, change) {
+    const item = this.resolve(fromPath);
+    const { parentPath, name } = splitPath(toPath);
+    const parent = this.resolve(parentPath);
+    if (this.layout.isWithin(parent, item)) {
+      throw new Error(`"${fromPath}" cannot be moved into itself`);
+    }
+    if (this.layout.get(parent, name) === item) return;
+
+    this.clearTarget(parent, name, override, change);
+    this.layout.detach(item);
+    this.layout.place(item, parent, name);
+    item.changedAt = change.timestamp;
+  }
+
+  /**
+   * Create an item at a path
+   * @param {string} path - Path of the new item
+   * @param {Object} item - Item
+   * @param {boolean} override - Whether an existing item is replaced
+   * @param {Object} change - Change
+   */
+  create(path, item, override, change) {
+    const { parentPath, name } = splitPath(path);
+    const parent = this.resolve(parentPath);
+    this.clearTarget(parent, name, override, change);
+    this.layout.place(item, parent, name);
+  }
+
+  /**
+   * Copy an item and everything known inside it
+   * @param {Object} item - Item
+   * @returns {Object} Copy
+   */
+  cloneItem(item) {
+    const copy = { isDirectory: item.isDirectory, complete: item.complete };
+    for (const [name, child] of this.layout.children.get(item) || []) {
+      this.layout.place(this.cloneItem(child), copy, name);
+    }
+    return copy;
+  }
+
+  /**
+   * Apply a change to the layout
+   * @param {Object} change - Change log entry
+   */
+  apply(change) {
+    const override = Boolean(change.override);
+
+    if (change.type === 'move') {
+      this.move(change.from, change.to, override, change);
+    } else if (change.type === 'rename') {
+      const { parentPath } = splitPath(change.path);
+      this.move(change.path, parentPath ? `${parentPath}/${change.newName}` : change.newName, override, change);
+    } else if (change.type === 'delete') {
+      this.remove(this.resolve(change.path), 'delete', change);
+    } else if (change.type === 'mkdir') {
+      this.create(change.path, { isDirectory: true, complete: true, createdBy: change }, false, change);
+    } else if (change.type === 'upload') {
+      this.create(change.path, { isDirectory: false, complete: true, createdBy: change }, false, change);
+    } else if (change.type === 'copy') {
+      this.create(change.to, this.cloneItem(this.resolve(change.from)), override, change);
+    } else if (change.type === 'archive') {
+      const source = this.resolve(change.path);
+      this.create(change.to, { isDirectory: false, complete: true }, override, change);
+      if (change.deleteSource) this.layout.detach(source);
+    } else if (change.type === 'extract') {
+      this.resolve(change.path);
+      const { parentPath, name } = splitPath(change.to);
+      const parent = this.resolve(parentPath);
+      const existing = this.layout.get(parent, name);
+      // Extracted entries are merged into an existing folder
+      if (existing) {
+        existing.complete = false;
+      } else {
+        this.layout.place({ isDirectory: true, complete: false }, parent, name);
+      }
+    } else if (change.type === 'transfer' && change.inbound) {
+      this.create(change.to, { isDirectory: null, complete: false }, override, change);
+    } else if (change.type === 'transfer') {
+      this.layout.detach(this.resolve(change.from));
+    } else if (change.type === 'chmod' || change.type === 'chown') {
+      this.resolve(change.path);
+    } else {
+      throw new Error(`unknown change type "${change.type}"`);
+    }
+  }
+}
+
+/**
+ * Write the operations taking a run from its start layout to its end layout
+ */
+class RunEmitter {
+  /**
+   * @param {Layout} start - Layout at the start of the run
+   * @param {Layout} end - Layout at the end of the run
+   * @param {Function} isIgnored - Ignore matcher, temporary names must not match
+   */
+  constructor(start, end, isIgnored) {
+    this.current = start.clone();
+    this.end = end;
+    this.isIgnored = isIgnored;
+    this.alive = new Set(end.subtree(end.root));
+    // Folders and uploads made in the run; those of earlier runs are there already
+    this.created = new Set([...this.alive].filter(item => item !== end.root && !start.positions.has(item)));
+    this.operations = [];
+    this.temporaryCount = 0;
+  }
+
+  /**
+   * Check whether an item is at its final place, and its folders too
+   * @param {Object} item - Item
+   * @returns {boolean} Whether the item is in place
+   */
+  isInPlace(item) {
+    for (let current = item; current !== this.end.root; current = this.end.positions.get(current).parent) {
+      if (this.hasMoved(current)) return false;
+    }
+    return true;
+  }
+
+  /**
+   * Check whether an item in the way of another can be replaced right away:
+   * it was replaced in the run and nothing inside it is kept
+   * @param {Object} item - Item in the way
+   * @returns {boolean} Whether the item can be overridden
+   */
+  isReplaceable(item) {
+    return item.removedBy === 'override' && !this.alive.has(item)
+      && this.current.subtree(item).every(inside => !this.alive.has(inside));
+  }
+
+  /**
+   * Delete the items removed in the run that hold nothing to keep, at the
+   * top of what goes
+   */
+  deleteRemoved() {
+    for (const item of this.current.subtree(this.current.root)) {
+      const position = this.current.positions.get(item);
+      if (!position || this.alive.has(item) || item.removedBy !== 'delete') continue;
+      if (!this.alive.has(position.parent) || !this.current.isWithin(item, this.current.root)) continue;
+      if (this.current.subtree(item).some(inside => this.alive.has(inside))) continue;
+      this.delete(item);
+    }
+  }
+
+  /**
+   * Delete an item where it is now
+   * @param {Object} item - Item
+   */
+  delete(item) {
+    this.operations.push({
+      type: 'delete',
+      timestamp: item.removedAt,
+      path: this.current.pathOf(item),
+      itemName: this.current.positions.get(item).name,
+      ...(item.isDirectory !== null ? { isDirectory: item.isDirectory } : {})
+    });
+    this.current.detach(item);
+  }
+
+  /**
+   * Put an item at its final place
+   * @param {Object} item - Kept item
+   * @param {boolean} override - Whether it replaces the item in its way
+   */
+  place(item, override) {
+    const { parent, name } = this.end.positions.get(item);
+    const existing = this.current.get(parent, name);
+
+    // New folders and uploads cannot replace anything themselves
+    if (existing && this.created.has(item)) {
+      this.delete(existing);
+    } else if (existing) {
+      this.current.detach(existing);
+    }
+
+    if (this.created.has(item)) {
+      this.operations.push({ ...item.createdBy, path: this.current.pathIn(parent, name) });
+      this.current.place(item, parent, name);
+      return;
+    }
+
+    const position = this.current.positions.get(item);
+    const path = this.current.pathOf(item);
+    if (position.parent === parent) {
+      this.operations.push({ type: 'rename', timestamp: item.changedAt, path, oldName: position.name, newName: name, override });
+    } else {
+      this.operations.push({ type: 'move', timestamp: item.changedAt, from: path, to: this.current.pathIn(parent, name), override });
+    }
+    this.current.detach(item);
+    this.current.place(item, parent, name);
+  }
+
+  /**
+   * Rename an item in the way of another to a free temporary name
+   * @param {Object} item - Item in the way
+   * @param {Object} placed - Item to put in its place
+   */
+  setAside(item, placed) {
+    const { parent, name } = this.current.positions.get(item);
+    let temporaryName;
+    do {
+      if (++this.temporaryCount > MAX_TEMPORARY_NAMES) {
+        throw new Error('too many items in the way of each other');
+      }
+      temporaryName = `${name}.swap-${this.temporaryCount}`;
+    } while (this.current.get(parent, temporaryName) || this.end.get(parent, temporaryName)
+      || isPathIgnored(this.isIgnored, this.current.pathIn(parent, temporaryName)));
+
+    this.operations.push({
+      type: 'rename',
+      timestamp: placed.changedAt || placed.createdBy?.timestamp,
+      path: this.current.pathOf(item),
+      oldName: name,
+      newName: temporaryName,
+      override: false
+    });
+    this.current.detach(item);
+    this.current.place(item, parent, temporaryName);
+  }
+
+  /**
+   * Check whether an item has another folder or name at the end of the run;
+   * the items inside it follow it
+   * @param {Object} item - Kept item
+   * @returns {boolean} Whether the item needs an operation
+   */
+  hasMoved(item) {
+    const position = this.current.positions.get(item);
+    const final = this.end.positions.get(item);
+    return !position || position.parent !== final.parent || position.name !== final.name;
+  }
+
+  /**
+   * Place every kept item that moved, was renamed or was created in the run
+   */
+  placeItems() {
+    const pending = new Set([...this.alive].filter(item => item !== this.end.root && this.hasMoved(item)));
+
+    while (pending.size > 0) {
+      // Items whose final folder is in place, and which do not go inside themselves
+      const ready = [...pending].filter(item => {
+        const { parent } = this.end.positions.get(item);
+        return this.isInPlace(parent) && !(this.current.positions.has(item) && this.current.isWithin(parent, item));
+      });
+      if (ready.length === 0) {
+        throw new Error('the items cannot be placed in any order');
+      }
+
+      const placeable = ready.find(item => {
+        const { parent, name } = this.end.positions.get(item);
+        const existing = this.current.get(parent, name);
+        return !existing || this.isReplaceable(existing);
+      });
+
+      if (placeable) {
+        const { parent, name } = this.end.positions.get(placeable);
+        this.place(placeable, Boolean(this.current.get(parent, name)));
+        pending.delete(placeable);
+      } else {
+        const { parent, name } = this.end.positions.get(ready[0]);
+        this.setAside(this.current.get(parent, name), ready[0]);
+      }
+    }
+  }
+
+  /**
+   * Delete what is left of the items removed in the run
+   */
+  deleteLeftovers() {
+    const leftovers = this.current.subtree(this.current.root).filter(item => !this.alive.has(item));
+    for (const item of leftovers) {
+      const position = this.current.positions.get(item);
+      if (position && this.alive.has(position.parent)) this.delete(item);
+    }
+  }
+
+  /**
+   * Check that the operations lead to the end layout
+   */
+  verify() {
+    const matches = (item) => {
+      const children = this.current.children.get(item) || new Map();
+      const expected = this.end.children.get(item) || new Map();
+      if (children.size !== expected.size) return false;
+      return [...expected].every(([name, child]) => children.get(name) === child && matches(child));
+    };
+    if (!matches(this.current.root)) {
+      throw new Error('the compacted operations do not give the same tree');
+    }
+  }
+
+  /**
+   * Write the operations of the run
+   * @returns {Array} Change log entries
+   */
+  emit() {
+    this.deleteRemoved();
+    this.placeItems();
+    this.deleteLeftovers();
+    this.verify();
+    return this.operations;
+  }
+}
+
+/**
+ * Rewrite a change log as the fewest operations with the same result
+ * @param {Array} structure - Original folder structure
+ * @param {Array} changeLog - Recorded change log
+ * @param {Function} isIgnored - Ignore matcher of the folder
+ * @returns {Object} { changeLog, reason } - the compacted change log, and why
+ *   runs that cannot be compacted were kept as recorded, if any
+ */
+function compactChangeLog(structure, changeLog, isIgnored) {
+  const replay = new Replay(structure);
+  const compacted = [];
+  let reason = null;
+  let run = [];
+
+  const endRun = () => {
+    if (run.length === 0) return;
+    const start = replay.endRun();
+    let operations;
+    try {
+      operations = new RunEmitter(start, replay.layout, isIgnored).emit();
+    } catch (err) {
+      reason ??= err.message;
+      operations = run;
+    }
+    compacted.push(...(operations.length < run.length ? operations : run));
+    run = [];
+  };
+
+  for (const change of changeLog) {
+    if (RUN_TYPES.includes(change.type)) {
+      replay.beginRun();
+      replay.apply(change);
+      run.push(change);
+    } else {
+      endRun();
+      replay.apply(change);
+      compacted.push(change);
+    }
+  }
+  endRun();
+
+  return { changeLog: compacted, reason };
+}
+
+/**
+ * Check that a replayed layout gives a folder structure
+ *
+ * Folders whose contents are unknown on either side match whatever they hold.
+ *
+ * @param {Layout} layout - Replayed layout
+ * @param {Object} folder - Folder item of the layout
+ * @param {Array} items - Items of the structure in that folder
+ * @returns {boolean} Whether they match
+ */
+function matchesStructure(layout, folder, items) {
+  const children = layout.children.get(folder) || new Map();
+  if (folder.complete && children.size !== items.length) return false;
+
+  for (const [name, child] of children) {
+    const item = items.find(other => other.name === name);
+    if (!item) return false;
+    if (child.isDirectory !== null && child.isDirectory !== item.isDirectory) return false;
+    if (item.isDirectory && item.childrenLoaded !== false && Array.isArray(item.children)
+      && !matchesStructure(layout, child, item.children)) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Compact the change log before it is reviewed and applied
+ * @param {Array} originalStructure - Structure the changes were made on
+ * @param {Array} changeLog - Recorded change log
+ * @param {Array} folderStructure - Edited structure
+ * @param {Function} isIgnored - Ignore matcher of the folder
+ * @returns {Object} { changeLog, compacted, reason } - the log to send,
+ *   whether it differs from the recorded one, and why recorded changes are
+ *   kept as they are, in whole or in part
+ */
+export function normalizeChangeLog(originalStructure, changeLog, folderStructure, isIgnored) {
+  let compacted;
+  let reason;
+  try {
+    ({ changeLog: compacted, reason } = compactChangeLog(originalStructure, changeLog, isIgnored));
+
+    if (compacted.length === changeLog.length && compacted.every((change, i) => change === changeLog[i])) {
+      return { changeLog, compacted: false, reason };
+    }
+
+    const replay = new Replay(originalStructure);
+    compacted.forEach(change => replay.apply(change));
+    if (!matchesStructure(replay.layout, replay.layout.root, folderStructure)) {
+      throw new Error('the compacted operations do not give the edited tree');
+    }
+  } catch (err) {
+    return { changeLog, compacted: false, reason: err.message };
+  }
+
+  return { changeLog: compacted, compacted: true, reason };
+}
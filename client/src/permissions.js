@@ -0,0 +1,234 @@
+/**
+ * Permissions
+ *
+ * Shows the mode and owner of the items loaded from the server, and edits
+ * them for a single item or a folder and everything inside it. Owners are
+ * numeric IDs on the server; the names of its users and groups are loaded
+ * with the folder so they can be shown and typed instead.
+ */
+
+import { escapeHtml } from './utils.js';
+import { showModal, hideModal } from './modal.js';
+import * as api from './api.js';
+
+// Names of the server's users and groups by ID, and why they could not be listed
+const accounts = {
+  users: new Map(),
+  groups: new Map(),
+  error: null
+};
+
+/**
+ * Load the users and groups of the server
+ *
+ * Owners are shown as IDs when they cannot be listed; the permissions dialog
+ * tells why and only takes IDs then.
+ */
+export async function loadAccounts() {
+  try {
+    const data = await api.listAccounts();
+    if (!data.ok) {
+      accounts.error = data.error || 'Unknown error';
+      return;
+    }
+    accounts.users = new Map(data.users.map(user => [user.id, user.name]));
+    accounts.groups = new Map(data.groups.map(group => [group.id, group.name]));
+    accounts.error = null;
+  } catch (err) {
+    accounts.error = `Network error: ${err.message}`;
+  }
+}
+
+/**
+ * Format a mode as octal digits, e.g. "0755"
+ * @param {number} mode - Permission bits
+ * @returns {string} Octal mode
+ */
+export function formatOctal(mode) {
+  return mode.toString(8).padStart(4, '0');
+}
+
+/**
+ * Format a mode the way ls does, e.g. "rwxr-xr-x"
+ * @param {number} mode - Permission bits
+ * @returns {string} Symbolic mode
+ */
+export function formatMode(mode) {
+  const special = [
+    { bit: 0o4000, set: 's', unset: 'S' },
+    { bit: 0o2000, set: 's', unset: 'S' },
+    { bit: 0o1000, set: 't', unset: 'T' }
+  ];
+
+  return special.map(({ bit, set, unset }, index) => {
+    const shift = 6 - index * 3;
+    const read = mode & (0o4 << shift) ? 'r' : '-';
+    const write = mode & (0o2 << shift) ? 'w' : '-';
+    const execute = mode & (0o1 << shift);
+    if (mode & bit) return read + write + (execute ? set : unset);
+    return read + write + (execute ? 'x' : '-');
+  }).join('');
+}
+
+/**
+ * Format the owner of an item as "user:group", with names where known
+ * @param {Object} item - Tree item with uid and gid
+ * @returns {string} Owner
+ */
+export function formatOwner(item) {
+  return `${accounts.users.get(item.uid) ?? item.uid}:${accounts.groups.get(item.gid) ?? item.gid}`;
+}
+
+/**
+ * Parse an octal mode typed by the user
+ * @param {string} value - Input value
+ * @returns {number|null} Mode, or null when invalid
+ */
+function parseMode(value) {
+  if (!/^[0-7]{1,4}$/.test(value.trim())) return null;
+  return Number.parseInt(value.trim(), 8);
+}
+
+/**
+ * Parse a user or group typed by the user, by name or ID
+ * @param {string} value - Input value
+ * @param {Map} names - Names by ID
+ * @returns {number|null} ID, or null when unknown
+ */
+function parseAccount(value, names) {
+  const trimmed = value.trim();
+  if (/^\d+$/.test(trimmed)) return Number(trimmed);
+  for (const [id, name] of names) {
+    if (name === trimmed) return id;
+  }
+  return null;
+}
+
+/**
+ * List an item and the loaded items inside it
+ * @param {Object} item - Tree item
+ * @returns {Array} Items
+ */
+function collectItems(item) {
+  return [item, ...(item.children || []).filter(child => !child.isSymlink).flatMap(collectItems)];
+}
+
+/**
+ * Check whether some of the items inside a folder were not loaded yet
+ * @param {Object} item - Tree item
+ * @returns {boolean} Whether items are missing
+ */
+function hasUnloaded(item) {
+  return collectItems(item).some(child => child.childrenLoaded === false);
+}
+
+/**
+ * Generate the options of a datalist
+ * @param {Map} names - Names by ID
+ * @returns {string} Options HTML
+ */
+function generateOptionsHtml(names) {
+  return [...names.values()].map(name => `<option value="${escapeHtml(name)}"></option>`).join('');
+}
+
+/**
+ * Show the permissions dialog of an item
+ * @param {string} itemPath - Path of the item
+ * @param {Object} item - Tree item with mode, uid and gid
+ * @param {Function} onApply - Called with { chmod, chown, recursive }: the
+ *   { mode, fileMode } and { uid, gid } to set, null when unchanged
+ */
+export function showPermissions(itemPath, item, onApply) {
+  const isFolder = item.isDirectory && !item.isSymlink;
+  // Files inside a folder default to its mode without the execute bits
+  const defaultFileMode = item.mode & ~0o111;
+
+  showModal(`
+    <div class="submit-modal">
+      <h3>🔐 Permissions</h3>
+      <p class="submit-path">${escapeHtml(itemPath)}</p>
+      <form class="permissions-form" id="permissionsForm">
+        <label>Mode
+          <input type="text" class="input" id="permMode" value="${formatOctal(item.mode)}" maxlength="4" />
+          <code class="permissions-preview" id="permModePreview">${formatMode(item.mode)}</code>
+        </label>
+        <label>Owner
+          <input type="text" class="input" id="permUser" ${accounts.error ? '' : 'list="permUsers"'} value="${escapeHtml(accounts.users.get(item.uid) ?? String(item.uid))}" />
+        </label>
+        <label>Group
+          <input type="text" class="input" id="permGroup" ${accounts.error ? '' : 'list="permGroups"'} value="${escapeHtml(accounts.groups.get(item.gid) ?? String(item.gid))}" />
+        </label>
+        ${accounts.error ? `
+          <p class="permissions-note">⚠️ Users and groups could not be listed (${escapeHtml(accounts.error)}), enter numeric IDs.</p>
+        ` : `
+          <datalist id="permUsers">${generateOptionsHtml(accounts.users)}</datalist>
+          <datalist id="permGroups">${generateOptionsHtml(accounts.groups)}</datalist>
+        `}
+        ${isFolder ? `
+          <label class="permissions-check"><input type="checkbox" id="permRecursive" /> Apply to everything inside</label>
+          <label>Mode of the files inside
+            <input type="text" class="input" id="permFileMode" value="${formatOctal(defaultFileMode)}" maxlength="4" disabled />
+            <code class="permissions-preview" id="permFileModePreview">${formatMode(defaultFileMode)}</code>
+          </label>
+        ` : ''}
+        <p class="permissions-error" id="permError"></p>
+      </form>
+      <div class="modal-actions">
+        <button type="button" class="btn btn-secondary" id="permCancelBtn">Cancel</button>
+        <button type="button" class="btn btn-primary" id="permApplyBtn">Apply</button>
+      </div>
+    </div>
+  `, true);
+
+  const value = id => document.getElementById(id)?.value ?? '';
+  const recursiveEl = document.getElementById('permRecursive');
+  const errorEl = document.getElementById('permError');
+
+  document.getElementById('permissionsForm').addEventListener('input', () => {
+    for (const [inputId, previewId] of [['permMode', 'permModePreview'], ['permFileMode', 'permFileModePreview']]) {
+      const previewEl = document.getElementById(previewId);
+      if (!previewEl) continue;
+      const mode = parseMode(value(inputId));
+      previewEl.textContent = mode === null ? 'invalid' : formatMode(mode);
+    }
+    if (recursiveEl) {
+      document.getElementById('permFileMode').disabled = !recursiveEl.checked;
+    }
+  });
+
+  document.getElementById('permCancelBtn').addEventListener('click', hideModal);
+  document.getElementById('permApplyBtn').addEventListener('click', () => {
+    const recursive = recursiveEl?.checked ?? false;
+    const mode = parseMode(value('permMode'));
+    const fileMode = recursive ? parseMode(value('permFileMode')) : mode;
+    const uid = parseAccount(value('permUser'), accounts.users);
+    const gid = parseAccount(value('permGroup'), accounts.groups);
+
+    const problems = [
+      mode === null || fileMode === null ? 'Modes are 1 to 4 octal digits, such as 755' : null,
+      uid === null ? `Unknown user "${value('permUser')}"` : null,
+      gid === null ? `Unknown group "${value('permGroup')}"` : null
+    ].filter(Boolean);
+    if (problems.length > 0) {
+      errorEl.textContent = `❌ ${problems.join(' · ')}`;
+      return;
+    }
+
+    // Only what differs is changed; items not loaded yet might differ
+    const items = recursive ? collectItems(item) : [item];
+    const unknown = recursive && hasUnloaded(item);
+    const modeOf = other => (other === item || other.isDirectory ? mode : fileMode);
+    const changesMode = unknown || items.some(other => other.mode !== modeOf(other));
+    const changesUid = unknown || items.some(other => other.uid !== uid);
+    const changesGid = unknown || items.some(other => other.gid !== gid);
+
+    hideModal();
+    onApply({
+      chmod: changesMode ? { mode, fileMode } : null,
+      chown: changesUid || changesGid
+        ? { uid: changesUid ? uid : undefined, gid: changesGid ? gid : undefined }
+        : null,
+      recursive
+    });
+  });
+}
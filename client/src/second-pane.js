@@ -0,0 +1,358 @@
+/**
+ * Second Pane
+ *
+ * In server mode a second folder, for instance an archive volume, can be
+ * opened next to the edited one. Items dragged between the two panes become
+ * transfers: the server moves them, copying and verifying them first when
+ * the folders are on different file systems. The second pane only takes
+ * transfers; its own items are not renamed or moved around.
+ */
+
+import { state, deepClone } from './state.js';
+import { elements } from './dom.js';
+import { escapeHtml, formatDate } from './utils.js';
+import { findItemByPath, findItemLocation, findConflict, recalculateSizes, sortItems } from './folder.js';
+import { showModal, hideModal, showError } from './modal.js';
+import { isPathIgnored } from './ignore.js';
+import { loadChildren, loadSecondaryRoot } from './server-tree.js';
+import { refreshTreeAndStats, getItemIcon, getPendingLabel, formatItemSize } from './tree.js';
+
+/**
+ * Get the second folder to send with the change log
+ * @returns {string|null} Server path of the second folder, or null when
+ *   nothing is transferred
+ */
+export function getTransferFolder() {
+  const transfers = state.changeLog.some(change => change.type === 'transfer');
+  return transfers && state.secondary ? state.secondary.absolutePath : null;
+}
+
+/**
+ * Open a folder of the server in the second pane
+ * @param {string} absolutePath - Server path of the folder
+ */
+async function openSecondFolder(absolutePath) {
+  if (!absolutePath) {
+    showError('Please enter the path of the second folder');
+    return;
+  }
+  if (getTransferFolder()) {
+    showError('Apply or reset the pending transfers before opening another folder');
+    return;
+  }
+
+  elements.openSecondaryBtn.disabled = true;
+  state.secondaryError = null;
+  try {
+    state.secondary = { absolutePath, structure: await loadSecondaryRoot(absolutePath) };
+  } catch (err) {
+    showError(`Cannot open "${absolutePath}": ${err.message}`);
+    return;
+  } finally {
+    elements.openSecondaryBtn.disabled = false;
+  }
+  renderSecondPane();
+}
+
+/**
+ * Close the second folder
+ */
+function closeSecondFolder() {
+  if (getTransferFolder()) {
+    showError('Apply or reset the pending transfers before closing the second folder');
+    return;
+  }
+  state.secondary = null;
+  state.secondaryError = null;
+  renderSecondPane();
+}
+
+/**
+ * Load the second folder again once changes were applied
+ */
+export async function reloadSecondFolder() {
+  if (!state.secondary) return;
+
+  try {
+    state.secondary.structure = await loadSecondaryRoot(state.secondary.absolutePath);
+  } catch (err) {
+    // Shown in the pane, the result of the applied changes stays on screen
+    state.secondaryError = `Cannot reload "${state.secondary.absolutePath}": ${err.message}`;
+    state.secondary = null;
+  }
+  renderSecondPane();
+}
+
+/**
+ * Set up the controls of the second pane
+ */
+export function initSecondPane() {
+  elements.openSecondaryBtn.addEventListener('click', () => {
+    openSecondFolder(elements.secondaryPathInput.value.trim());
+  });
+  elements.secondaryPathInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') openSecondFolder(elements.secondaryPathInput.value.trim());
+  });
+  elements.closeSecondaryBtn.addEventListener('click', closeSecondFolder);
+}
+
+/**
+ * Render the second pane, which is only shown while editing on the server
+ */
+export function renderSecondPane() {
+  const shown = state.serverMode && state.isValidated;
+  elements.secondPane.style.display = shown ? 'block' : 'none';
+  elements.treePanes.classList.toggle('tree-panes-split', shown);
+  if (!shown) return;
+
+  const opened = Boolean(state.secondary);
+  elements.secondaryPathInput.disabled = opened;
+  elements.openSecondaryBtn.style.display = opened ? 'none' : '';
+  elements.closeSecondaryBtn.style.display = opened ? '' : 'none';
+  elements.secondaryTree.innerHTML = '';
+
+  if (!opened) {
+    elements.secondaryTree.innerHTML = state.secondaryError
+      ? `<p class="no-changes">⚠️ ${escapeHtml(state.secondaryError)}. Open it again once it is available.</p>`
+      : '<p class="no-changes">Open a second folder to move items between the two</p>';
+    return;
+  }
+
+  const rootDropZone = document.createElement('div');
+  rootDropZone.className = 'drop-zone drop-zone-root';
+  rootDropZone.innerHTML = '<span>Drop here to transfer to the root of the second folder</span>';
+  setupTransferTarget(rootDropZone, null, '');
+  elements.secondaryTree.appendChild(rootDropZone);
+
+  renderItems(state.secondary.structure, elements.secondaryTree, '');
+}
+
+/**
+ * Render items of the second folder
+ * @param {Array} items - Items to render
+ * @param {HTMLElement} container - Container element
+ * @param {string} currentPath - Path of their parent in the second folder
+ */
+function renderItems(items, container, currentPath) {
+  for (const item of items) {
+    const itemPath = currentPath ? `${currentPath}/${item.name}` : item.name;
+    const itemEl = document.createElement('div');
+    itemEl.className = 'tree-item';
+
+    const headerEl = document.createElement('div');
+    headerEl.className = 'tree-item-header';
+
+    const enterable = item.isDirectory && !item.isSymlink;
+    const hasChildren = enterable && (item.childrenLoaded === false || item.children?.length > 0);
+
+    const toggleEl = document.createElement('span');
+    toggleEl.className = 'tree-toggle';
+    toggleEl.style.visibility = hasChildren ? 'visible' : 'hidden';
+    toggleEl.textContent = '▶';
+
+    headerEl.innerHTML = `
+      <span class="tree-icon">${getItemIcon(item)}</span>
+      <span class="tree-name">${escapeHtml(item.name)}</span>
+      ${getPendingLabel(item) ? `<span class="tree-pending-badge">${getPendingLabel(item)}</span>` : ''}
+      <span class="tree-meta">
+        <span class="tree-size">${formatItemSize(item.size)}</span>
+        <span class="tree-date">${formatDate(new Date(item.lastModified))}</span>
+      </span>
+    `;
+    headerEl.prepend(toggleEl);
+
+    headerEl.draggable = true;
+    headerEl.addEventListener('dragstart', (e) => {
+      e.stopPropagation();
+      state.draggedItem = item;
+      state.draggedItemPath = itemPath;
+      state.draggedFromSecondary = true;
+      headerEl.classList.add('dragging');
+      e.dataTransfer.effectAllowed = 'move';
+      e.dataTransfer.setData('text/plain', itemPath);
+    });
+    headerEl.addEventListener('dragend', () => {
+      headerEl.classList.remove('dragging');
+      state.draggedItem = null;
+      state.draggedItemPath = null;
+      state.draggedFromSecondary = false;
+      document.querySelectorAll('.drag-over').forEach(el => el.classList.remove('drag-over'));
+      document.querySelectorAll('.drop-target').forEach(el => el.classList.remove('drop-target'));
+    });
+
+    itemEl.appendChild(headerEl);
+
+    if (enterable) {
+      setupTransferTarget(headerEl, item, itemPath);
+
+      const childrenEl = document.createElement('div');
+      childrenEl.className = 'tree-children';
+      if (item.children?.length > 0) renderItems(item.children, childrenEl, itemPath);
+      itemEl.appendChild(childrenEl);
+
+      headerEl.addEventListener('click', async () => {
+        if (item.childrenLoaded === false) {
+          toggleEl.textContent = '⏳';
+          try {
+            await loadChildren(item);
+          } catch (err) {
+            showError(`Cannot load "${itemPath}": ${err.message}`);
+            return;
+          } finally {
+            toggleEl.textContent = '▶';
+          }
+          renderItems(item.children, childrenEl, itemPath);
+          toggleEl.style.visibility = item.children.length > 0 ? 'visible' : 'hidden';
+        }
+        toggleEl.classList.toggle('expanded');
+        childrenEl.classList.toggle('expanded');
+      });
+    }
+
+    container.appendChild(itemEl);
+  }
+}
+
+/**
+ * Make an element of the second pane take items dragged from the edited tree
+ * @param {HTMLElement} el - Folder header or drop zone
+ * @param {Object|null} folder - Folder item, null for the root
+ * @param {string} folderPath - Path of the folder in the second folder
+ */
+function setupTransferTarget(el, folder, folderPath) {
+  const highlight = folder ? 'drop-target' : 'drag-over';
+
+  el.addEventListener('dragover', (e) => {
+    if (!state.draggedItem || state.draggedFromSecondary) return;
+    e.preventDefault();
+    e.stopPropagation();
+    el.classList.add(highlight);
+    e.dataTransfer.dropEffect = 'move';
+  });
+
+  el.addEventListener('dragleave', () => {
+    el.classList.remove(highlight);
+  });
+
+  el.addEventListener('drop', async (e) => {
+    if (!state.draggedItem || state.draggedFromSecondary) return;
+    e.preventDefault();
+    e.stopPropagation();
+    el.classList.remove(highlight);
+
+    // The drag ends while the folder's contents load
+    const draggedItem = state.draggedItem;
+    const draggedItemPath = state.draggedItemPath;
+    if (folder) {
+      try {
+        await loadChildren(folder);
+      } catch (err) {
+        showError(`Cannot load "${folderPath}": ${err.message}`);
+        return;
+      }
+    }
+
+    transferItem(draggedItem, draggedItemPath, folderPath, folder ? folder.children : state.secondary.structure, false);
+  });
+}
+
+/**
+ * Transfer an item dropped from the second pane into a folder of the edited tree
+ * @param {Object} draggedItem - Dropped item
+ * @param {string} draggedItemPath - Path of the item in the second folder
+ * @param {string} targetPath - Folder path, empty for the root
+ * @param {Array} targetChildren - Items of the folder
+ */
+export function dropFromSecondary(draggedItem, draggedItemPath, targetPath, targetChildren) {
+  transferItem(draggedItem, draggedItemPath, targetPath, targetChildren, true);
+}
+
+/**
+ * Transfer an item into a folder of the other pane, asking first when the name is taken
+ * @param {Object} item - Transferred item
+ * @param {string} fromPath - Path of the item in its pane
+ * @param {string} targetPath - Folder path in the other pane, empty for the root
+ * @param {Array} targetChildren - Items of the folder
+ * @param {boolean} inbound - Whether the item comes from the second folder
+ */
+function transferItem(item, fromPath, targetPath, targetChildren, inbound) {
+  const toPath = targetPath ? `${targetPath}/${item.name}` : item.name;
+  if (inbound && isPathIgnored(state.isIgnored, toPath)) {
+    showError(`"${toPath}" matches an ignore pattern and cannot be used`);
+    return;
+  }
+
+  const conflict = findConflict(targetChildren, item.name);
+  if (!conflict) {
+    performTransfer(fromPath, targetPath, inbound);
+    return;
+  }
+
+  showModal(`
+    <div class="status status-warning">
+      <div class="status-icon">⚠️</div>
+      <h3>Name Conflict</h3>
+      <p>A ${conflict.isDirectory ? 'folder' : 'file'} named "<strong>${escapeHtml(item.name)}</strong>" already exists in
+        "${escapeHtml(targetPath || 'root')}" of the ${inbound ? 'edited' : 'second'} folder.</p>
+      <p>Do you want to replace it?</p>
+    </div>
+    <div class="modal-actions">
+      <button type="button" class="btn btn-secondary" id="conflictCancelBtn">Cancel</button>
+      <button type="button" class="btn btn-danger" id="conflictConfirmBtn">Replace</button>
+    </div>
+  `, false);
+
+  document.getElementById('conflictCancelBtn').addEventListener('click', hideModal);
+  document.getElementById('conflictConfirmBtn').addEventListener('click', () => {
+    hideModal();
+    performTransfer(fromPath, targetPath, inbound, true);
+  });
+}
+
+/**
+ * Perform the transfer operation
+ * @param {string} fromPath - Path of the item in its pane
+ * @param {string} targetPath - Folder path in the other pane, empty for the root
+ * @param {boolean} inbound - Whether the item comes from the second folder
+ * @param {boolean} override - Whether the item replaces one with its name
+ */
+export function performTransfer(fromPath, targetPath, inbound, override = false) {
+  const [sourceStructure, targetStructure] = inbound
+    ? [state.secondary.structure, state.folderStructure]
+    : [state.folderStructure, state.secondary.structure];
+
+  const sourceLocation = findItemLocation(sourceStructure, fromPath);
+  if (!sourceLocation) return;
+
+  const targetArray = targetPath ? findItemByPath(targetStructure, targetPath)?.children : targetStructure;
+  if (!targetArray) return;
+
+  // Folders not loaded yet keep their sourcePath and sourceFolder, and load
+  // from where they are until the changes are applied
+  const transferredItem = deepClone(sourceLocation.item);
+  transferredItem.pendingTransfer = true;
+  sourceLocation.parent.splice(sourceLocation.index, 1);
+
+  if (override) {
+    const existingIndex = targetArray.findIndex(it => it.name === transferredItem.name);
+    if (existingIndex !== -1) {
+      targetArray.splice(existingIndex, 1);
+    }
+  }
+
+  targetArray.push(transferredItem);
+  sortItems(targetArray);
+  recalculateSizes(state.folderStructure);
+  recalculateSizes(state.secondary.structure);
+
+  state.changeLog.push({
+    type: 'transfer',
+    timestamp: new Date().toISOString(),
+    from: fromPath,
+    to: targetPath ? `${targetPath}/${transferredItem.name}` : transferredItem.name,
+    inbound,
+    override
+  });
+
+  refreshTreeAndStats();
+}
@@ -0,0 +1,122 @@
+/**
+ * Server Tree Loading
+ *
+ * In server mode there is no local copy: the structure is fetched from the
+ * server one folder at a time. Folders not loaded yet have
+ * `childrenLoaded: false`, and every item remembers in `sourcePath` where it
+ * is on the server, since moves made before a folder is opened or an archive
+ * is listed change their path. Items of the second folder of transfers also
+ * remember it in `sourceFolder`, as they may be transferred before they are
+ * opened.
+ */
+
+import { state } from './state.js';
+import { elements } from './dom.js';
+import { findItemByPath, recalculateSizes, sortItems } from './folder.js';
+import { recordListing } from './fingerprint.js';
+import * as api from './api.js';
+
+// Pending requests by folder item, so concurrent expands and drops share one
+const pendingLoads = new WeakMap();
+
+/**
+ * Remember the server path of the items of a loaded level
+ * @param {Array} items - Items from /api/tree
+ * @param {string} parentPath - Server path of their parent
+ * @param {string|null} sourceFolder - Second folder they come from, if any
+ * @returns {Array} The same items
+ */
+function setSourcePaths(items, parentPath, sourceFolder) {
+  for (const item of items) {
+    item.sourcePath = parentPath ? `${parentPath}/${item.name}` : item.name;
+    if (sourceFolder) item.sourceFolder = sourceFolder;
+  }
+  return items;
+}
+
+/**
+ * Fetch one folder level from the server
+ *
+ * Only the levels of the edited folder are recorded in its fingerprint; the
+ * second folder is not checked for changes made meanwhile.
+ *
+ * @param {string} relativePath - Server path of the folder, empty for the root
+ * @param {string|null} sourceFolder - Second folder to read from instead of the edited one
+ * @returns {Promise<Array>} Items of the folder
+ */
+async function fetchLevel(relativePath, sourceFolder = null) {
+  const data = await api.loadTree(sourceFolder || elements.absolutePathInput.value.trim(), relativePath, {
+    ignorePatterns: state.ignorePatterns,
+    followSymlinks: state.followSymlinks
+  });
+
+  if (!data.ok) {
+    throw new Error(data.error || 'Failed to load the folder');
+  }
+  if (!sourceFolder) recordListing(relativePath, data.fingerprint);
+  return setSourcePaths(data.items, relativePath, sourceFolder);
+}
+
+/**
+ * Load the top level of the server folder as the structure to edit
+ */
+export async function loadServerRoot() {
+  const items = await fetchLevel('');
+  sortItems(items);
+  state.folderStructure = items;
+}
+
+/**
+ * Load the top level of the second folder of transfers
+ * @param {string} absolutePath - Server path of the second folder
+ * @returns {Promise<Array>} Items of the folder
+ */
+export async function loadSecondaryRoot(absolutePath) {
+  const items = await fetchLevel('', absolutePath);
+  sortItems(items);
+  return items;
+}
+
+/**
+ * Load the children of a folder that was not loaded yet
+ *
+ * The children are added to the original structure too, so loading a folder
+ * never counts as a change.
+ *
+ * @param {Object} item - Folder item of state.folderStructure
+ */
+export async function loadChildren(item) {
+  if (item.childrenLoaded !== false) return;
+
+  if (!pendingLoads.has(item)) {
+    pendingLoads.set(item, fetchLevel(item.sourcePath, item.sourceFolder).finally(() => pendingLoads.delete(item)));
+  }
+  const children = await pendingLoads.get(item);
+  if (item.childrenLoaded !== false) return;
+
+  const original = !item.sourceFolder && findItemByPath(state.originalStructure, item.sourcePath);
+  for (const target of original ? [item, original] : [item]) {
+    target.children = JSON.parse(JSON.stringify(children));
+    target.childrenLoaded = true;
+    sortItems(target.children);
+  }
+
+  recalculateSizes(state.folderStructure);
+  recalculateSizes(state.originalStructure);
+  if (state.secondary) recalculateSizes(state.secondary.structure);
+}
+
+/**
+ * Point the items at their current path once changes were applied, which
+ * also makes the transferred items part of the edited folder
+ * @param {Array} structure - Folder structure
+ * @param {string} parentPath - Path of the items' parent
+ */
+export function resetSourcePaths(structure, parentPath = '') {
+  for (const item of structure) {
+    item.sourcePath = parentPath ? `${parentPath}/${item.name}` : item.name;
+    delete item.sourceFolder;
+    delete item.pendingTransfer;
+    if (item.children) resetSourcePaths(item.children, item.sourcePath);
+  }
+}
@@ -0,0 +1,123 @@
+/**
+ * Incremental SHA-256
+ *
+ * Web Crypto can only digest a whole buffer at once, so large files are fed
+ * to this implementation chunk by chunk to keep memory flat.
+ */
+
+const K = new Uint32Array([
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+  0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+  0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+  0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+  0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+  0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+]);
+
+const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+
+export class Sha256 {
+  constructor() {
+    this.state = new Uint32Array([
+      0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a,
+      0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19
+    ]);
+    this.block = new Uint8Array(64);
+    this.blockLength = 0;
+    this.bytesHashed = 0;
+    this.w = new Uint32Array(64);
+  }
+
+  /**
+   * Hash one 64-byte block
+   * @param {Uint8Array} bytes - Source bytes
+   * @param {number} offset - Offset of the block in bytes
+   */
+  processBlock(bytes, offset) {
+    const w = this.w;
+    for (let i = 0; i < 16; i++) {
+      const j = offset + i * 4;
+      w[i] = (bytes[j] << 24) | (bytes[j + 1] << 16) | (bytes[j + 2] << 8) | bytes[j + 3];
+    }
+    for (let i = 16; i < 64; i++) {
+      const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+      const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+      w[i] = (w[i - 16] + s0 + w[i - 7] + s1) | 0;
+    }
+
+    let [a, b, c, d, e, f, g, h] = this.state;
+    for (let i = 0; i < 64; i++) {
+      const s1 = rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25);
+      const ch = (e & f) ^ (~e & g);
+      const t1 = (h + s1 + ch + K[i] + w[i]) | 0;
+      const s0 = rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22);
+      const maj = (a & b) ^ (a & c) ^ (b & c);
+      const t2 = (s0 + maj) | 0;
+      h = g;
+      g = f;
+      f = e;
+      e = (d + t1) | 0;
+      d = c;
+      c = b;
+      b = a;
+      a = (t1 + t2) | 0;
+    }
+
+    const state = this.state;
+    state[0] += a; state[1] += b; state[2] += c; state[3] += d;
+    state[4] += e; state[5] += f; state[6] += g; state[7] += h;
+  }
+
+  /**
+   * Feed more data
+   * @param {Uint8Array} data - Next chunk
+   * @returns {Sha256} This hasher
+   */
+  update(data) {
+    let pos = 0;
+    this.bytesHashed += data.length;
+
+    // Complete a partially filled block first
+    if (this.blockLength > 0) {
+      const take = Math.min(64 - this.blockLength, data.length);
+      this.block.set(data.subarray(0, take), this.blockLength);
+      this.blockLength += take;
+      pos = take;
+      if (this.blockLength < 64) return this;
+      this.processBlock(this.block, 0);
+      this.blockLength = 0;
+    }
+
+    for (; pos + 64 <= data.length; pos += 64) {
+      this.processBlock(data, pos);
+    }
+
+    this.block.set(data.subarray(pos), 0);
+    this.blockLength = data.length - pos;
+    return this;
+  }
+
+  /**
+   * Finish hashing
+   * @returns {string} Hex encoded hash
+   */
+  digest() {
+    const padding = new Uint8Array(this.blockLength < 56 ? 64 - this.blockLength : 128 - this.blockLength);
+    padding[0] = 0x80;
+
+    // Message length in bits as a 64-bit big-endian number
+    const bitsHigh = Math.floor(this.bytesHashed / 0x20000000);
+    const bitsLow = (this.bytesHashed % 0x20000000) * 8;
+    const view = new DataView(padding.buffer);
+    view.setUint32(padding.length - 8, bitsHigh);
+    view.setUint32(padding.length - 4, bitsLow);
+
+    const bytesHashed = this.bytesHashed;
+    this.update(padding);
+    this.bytesHashed = bytesHashed;
+
+    return Array.from(this.state, word => word.toString(16).padStart(8, '0')).join('');
+  }
+}
@@ -4,26 +4,48 @@
 
 // Application state
 export const state = {
+  selectedFiles: [],
+  hashedContents: false,
+  ignorePatterns: [],
+  isIgnored: () => false,
+  followSymlinks: true,
   folderStructure: [],
   originalStructure: [],
   rootFolderName: '',
   isValidated: false,
+  serverMode: false,
+  fingerprint: null,
   draggedItem: null,
   draggedItemPath: null,
-  changeLog: []
+  draggedFromSecondary: false,
+  secondary: null,
+  secondaryError: null,
+  changeLog: [],
+  uploads: new Map()
 };
 
 /**
  * Reset state to initial values
  */
 export function resetState() {
+  state.selectedFiles = [];
+  state.hashedContents = false;
+  state.ignorePatterns = [];
+  state.isIgnored = () => false;
+  state.followSymlinks = true;
   state.folderStructure = [];
   state.originalStructure = [];
   state.rootFolderName = '';
   state.isValidated = false;
+  state.serverMode = false;
+  state.fingerprint = null;
   state.draggedItem = null;
   state.draggedItemPath = null;
+  state.draggedFromSecondary = false;
+  state.secondary = null;
+  state.secondaryError = null;
   state.changeLog = [];
+  state.uploads = new Map();
 }
 
 /**
@@ -0,0 +1,284 @@
+/**
+ * Trash
+ *
+ * Lists the items deleted on the server, which are kept in the trash of
+ * their root, to restore them where they were or delete them for good.
+ */
+
+import { escapeHtml, formatSize, formatDate } from './utils.js';
+import { showModal, hideModal, showError } from './modal.js';
+import { getErrorMessage } from './locks.js';
+import * as api from './api.js';
+
+/**
+ * Generate HTML for the list of trashed items
+ * @param {Array} items - Trash items from the server
+ * @returns {string} List HTML
+ */
+function generateTrashListHtml(items) {
+  if (items.length === 0) {
+    return '<p class="no-changes">The trash is empty</p>';
+  }
+
+  return items.map(item => `
+    <div class="backup-item">
+      <div class="backup-item-info">
+        <code>${item.isDirectory ? '📁' : '📄'} ${escapeHtml(item.path)}</code>
+        <small>
+          Deleted ${formatDate(new Date(item.deletedAt))} ·
+          ${formatSize(item.size)}
+        </small>
+      </div>
+      <div class="backup-item-actions">
+        <button type="button" class="btn btn-secondary btn-small" data-restore="${escapeHtml(item.id)}">↩️ Restore</button>
+        <button type="button" class="btn btn-danger btn-small" data-delete="${escapeHtml(item.id)}" title="Delete for good">🗑️</button>
+      </div>
+    </div>
+  `).join('');
+}
+
+/**
+ * Show the trash
+ * @param {string} absolutePath - Optional server path; only items deleted
+ *   from inside it are shown
+ */
+export async function showTrash(absolutePath = '') {
+  showModal(`
+    <div class="processing-modal">
+      <div class="spinner"></div>
+      <h3>Loading Trash...</h3>
+    </div>
+  `, false);
+
+  let data;
+  try {
+    data = await api.listTrash(absolutePath);
+  } catch (err) {
+    showError(`Network error: ${err.message}`);
+    return;
+  }
+
+  if (!data.ok) {
+    showError(data.error || 'Failed to list the trash');
+    return;
+  }
+
+  const { maxAgeDays, maxSizeMB } = data.retention;
+
+  showModal(`
+    <div class="submit-modal">
+      <h3>🗑️ Trash</h3>
+      ${absolutePath ? `
+        <p class="submit-subtitle">Deleted from:</p>
+        <p class="submit-path">${escapeHtml(absolutePath)}</p>
+      ` : ''}
+      <div class="diff-container">
+        <div class="diff-header">
+          <span>Items (${data.items.length}) · ${formatSize(data.size)}</span>
+        </div>
+        <div class="diff-list">${generateTrashListHtml(data.items)}</div>
+      </div>
+      <form class="history-filters" id="trashPurgeForm">
+        <label>Purge items older than <input type="number" class="input" id="trashAgeInput" min="0" step="any" /> day(s)</label>
+        <label>or beyond <input type="number" class="input" id="trashSizeInput" min="0" step="any" /> MB</label>
+        <button type="submit" class="btn btn-danger btn-small">Purge</button>
+      </form>
+      <p class="backup-note">
+        Items are purged automatically after ${maxAgeDays} day(s), and the oldest ones
+        once the trash of a root holds more than ${maxSizeMB} MB.
+      </p>
+      ${absolutePath ? `
+        <div class="modal-actions">
+          <button type="button" class="btn btn-secondary" id="showAllTrashBtn">Show the whole trash</button>
+        </div>
+      ` : ''}
+    </div>
+  `, true);
+
+  document.getElementById('showAllTrashBtn')?.addEventListener('click', () => {
+    showTrash();
+  });
+
+  document.querySelectorAll('[data-restore]').forEach(btn => {
+    const item = data.items.find(other => other.id === btn.dataset.restore);
+    btn.addEventListener('click', () => restoreItem(item, absolutePath));
+  });
+
+  document.querySelectorAll('[data-delete]').forEach(btn => {
+    const item = data.items.find(other => other.id === btn.dataset.delete);
+    btn.addEventListener('click', () => confirmDelete(item, absolutePath));
+  });
+
+  document.getElementById('trashPurgeForm').addEventListener('submit', (e) => {
+    e.preventDefault();
+    const age = document.getElementById('trashAgeInput').value;
+    const size = document.getElementById('trashSizeInput').value;
+    confirmPurge({
+      absolutePath,
+      maxAgeDays: age === '' ? undefined : Number(age),
+      maxSizeMB: size === '' ? undefined : Number(size)
+    });
+  });
+}
+
+/**
+ * Restore a trashed item, asking what to do when its path is taken
+ * @param {Object} item - Trash item
+ * @param {string} absolutePath - Filter to return to
+ */
+async function restoreItem(item, absolutePath) {
+  showModal(`
+    <div class="processing-modal">
+      <div class="spinner"></div>
+      <h3>Restoring...</h3>
+      <p>Please wait...</p>
+    </div>
+  `, false);
+
+  let data;
+  try {
+    data = await api.restoreTrashItem(item.id);
+  } catch (err) {
+    showError(`Network error: ${err.message}`);
+    return;
+  }
+
+  if (data.code !== 'TRASH_TARGET_EXISTS') {
+    showResult(data, 'Failed to restore the item', absolutePath);
+    return;
+  }
+
+  showModal(`
+    <div class="status status-warning">
+      <div class="status-icon">⚠️</div>
+      <h3>Path Taken</h3>
+      <p>"<strong>${escapeHtml(item.path)}</strong>" exists again. Keep both items,
+        restoring this one under another name, or replace the existing one? A
+        replaced item is moved to the trash.</p>
+    </div>
+    <div class="modal-actions">
+      <button type="button" class="btn btn-secondary" id="restoreCancelBtn">Cancel</button>
+      <button type="button" class="btn btn-primary" id="restoreRenameBtn">Keep both</button>
+      <button type="button" class="btn btn-danger" id="restoreOverwriteBtn">Replace</button>
+    </div>
+  `, false);
+
+  document.getElementById('restoreCancelBtn').addEventListener('click', () => {
+    showTrash(absolutePath);
+  });
+  for (const [id, conflict] of [['restoreRenameBtn', 'rename'], ['restoreOverwriteBtn', 'overwrite']]) {
+    document.getElementById(id).addEventListener('click', () => {
+      runTrashAction('Restoring...', () => api.restoreTrashItem(item.id, conflict), absolutePath);
+    });
+  }
+}
+
+/**
+ * Ask for confirmation before deleting a trashed item for good
+ * @param {Object} item - Trash item
+ * @param {string} absolutePath - Filter to return to
+ */
+function confirmDelete(item, absolutePath) {
+  showModal(`
+    <div class="status status-warning">
+      <div class="status-icon">🗑️</div>
+      <h3>Delete for Good?</h3>
+      <p>"<strong>${escapeHtml(item.path)}</strong>" will be removed from the trash
+        and cannot be restored anymore.</p>
+    </div>
+    <div class="modal-actions">
+      <button type="button" class="btn btn-secondary" id="trashCancelBtn">Cancel</button>
+      <button type="button" class="btn btn-danger" id="trashConfirmBtn">Delete</button>
+    </div>
+  `, false);
+
+  document.getElementById('trashCancelBtn').addEventListener('click', () => {
+    showTrash(absolutePath);
+  });
+  document.getElementById('trashConfirmBtn').addEventListener('click', () => {
+    runTrashAction('Deleting...', () => api.deleteTrashItem(item.id), absolutePath);
+  });
+}
+
+/**
+ * Ask for confirmation before purging the trash
+ * @param {Object} policy - { absolutePath, maxAgeDays, maxSizeMB }
+ */
+function confirmPurge(policy) {
+  const limits = [
+    policy.maxAgeDays !== undefined ? `deleted more than ${policy.maxAgeDays} day(s) ago` : null,
+    policy.maxSizeMB !== undefined ? `beyond the newest ${policy.maxSizeMB} MB` : null
+  ].filter(Boolean);
+
+  showModal(`
+    <div class="status status-warning">
+      <div class="status-icon">🗑️</div>
+      <h3>Purge Trash?</h3>
+      <p>Items ${limits.length > 0 ? limits.join(' or ') : 'beyond the retention policy'}
+        will be deleted for good.</p>
+    </div>
+    <div class="modal-actions">
+      <button type="button" class="btn btn-secondary" id="trashCancelBtn">Cancel</button>
+      <button type="button" class="btn btn-danger" id="trashConfirmBtn">Purge</button>
+    </div>
+  `, false);
+
+  document.getElementById('trashCancelBtn').addEventListener('click', () => {
+    showTrash(policy.absolutePath);
+  });
+  document.getElementById('trashConfirmBtn').addEventListener('click', () => {
+    runTrashAction('Purging Trash...', () => api.purgeTrash(policy), policy.absolutePath);
+  });
+}
+
+/**
+ * Run a trash action and show its result
+ * @param {string} title - Processing title
+ * @param {Function} action - Function returning the API response
+ * @param {string} absolutePath - Filter to return to
+ */
+async function runTrashAction(title, action, absolutePath) {
+  showModal(`
+    <div class="processing-modal">
+      <div class="spinner"></div>
+      <h3>${title}</h3>
+      <p>Please wait...</p>
+    </div>
+  `, false);
+
+  try {
+    showResult(await action(), 'Trash action failed', absolutePath);
+  } catch (err) {
+    showError(`Network error: ${err.message}`);
+  }
+}
+
+/**
+ * Show the response of a trash action
+ * @param {Object} data - Response data
+ * @param {string} fallback - Error message when the server gave none
+ * @param {string} absolutePath - Filter to return to
+ */
+function showResult(data, fallback, absolutePath) {
+  if (!data.ok) {
+    showError(getErrorMessage(data, fallback));
+    return;
+  }
+
+  showModal(`
+    <div class="status status-success">
+      <div class="status-icon">✅</div>
+      <h3>Done!</h3>
+      <p>${escapeHtml(data.message)}</p>
+    </div>
+    <div class="modal-actions">
+      <button type="button" class="btn btn-secondary" id="trashDoneBtn">Close</button>
+      <button type="button" class="btn btn-primary" id="trashBackBtn">Back to the trash</button>
+    </div>
+  `, false);
+
+  document.getElementById('trashDoneBtn').addEventListener('click', hideModal);
+  document.getElementById('trashBackBtn').addEventListener('click', () => {
+    showTrash(absolutePath);
+  });
+}
@@ -4,26 +4,149 @@
 
 import { state } from './state.js';
 import { elements } from './dom.js';
-import { formatSize, formatDate, escapeHtml, getParentPath } from './utils.js';
-import { findItemByPath, findItemLocation, findConflict, recalculateSizes, sortItems, calculateStats } from './folder.js';
-import { showModal, hideModal, showError } from './modal.js';
+import { formatSize, formatDate, escapeHtml, getParentPath, generateId } from './utils.js';
+import { findItemByPath, findItemLocation, findConflict, getCopyName, isValidName, recalculateSizes, sortItems, calculateStats } from './folder.js';
+import { showModal, hideModal, showError, showProgress, updateProgress } from './modal.js';
 import { updateSubmitButtonState } from './ui.js';
+import { isPathIgnored } from './ignore.js';
+import { loadChildren } from './server-tree.js';
+import { hashFiles } from './hashing.js';
+import { showBulkRename } from './bulk-rename.js';
+import { formatMode, formatOctal, formatOwner, showPermissions } from './permissions.js';
+import {
+  buildEntryItems,
+  findExtractConflicts,
+  isArchiveName,
+  loadMergedFolders,
+  mergeEntryItems,
+  showArchiveDialog,
+  showExtractDialog
+} from './archives.js';
+import { dropFromSecondary, renderSecondPane } from './second-pane.js';
+
+/**
+ * Refuse a change whose result would be hidden by the ignore rules
+ * @param {string} newPath - Path of the item after the change
+ * @returns {boolean} Whether the change was refused
+ */
+function rejectIgnoredPath(newPath) {
+  if (!isPathIgnored(state.isIgnored, newPath)) return false;
+  showError(`"${newPath}" matches an ignore pattern and cannot be used`);
+  return true;
+}
+
+/**
+ * Check whether a drag copies the item instead of moving it
+ * @param {DragEvent} e - Drag event
+ * @returns {boolean} Whether Ctrl or Alt is held
+ */
+function isCopyDrag(e) {
+  return e.ctrlKey || e.altKey;
+}
+
+/**
+ * Check whether a drag brings files from outside the page, to upload
+ * @param {DragEvent} e - Drag event
+ * @returns {boolean} Whether files are dragged in
+ */
+function isFileDrag(e) {
+  return !state.draggedItem && e.dataTransfer.types.includes('Files');
+}
+
+/**
+ * Get the files of a drop from outside the page
+ *
+ * Must be called before the drop handler awaits anything, the data of a
+ * drop is only readable while the event is handled.
+ *
+ * @param {DataTransfer} dataTransfer - Data of the drop
+ * @returns {Object} { files, folderCount } - Dropped files and how many folders were left out
+ */
+function getDroppedFiles(dataTransfer) {
+  const files = [];
+  let folderCount = 0;
+  for (const entry of dataTransfer.items) {
+    if (entry.kind !== 'file') continue;
+    if (entry.webkitGetAsEntry?.()?.isDirectory) {
+      folderCount++;
+    } else {
+      files.push(entry.getAsFile());
+    }
+  }
+  return { files, folderCount };
+}
+
+/**
+ * Get the icon of a tree item
+ * @param {Object} item - Tree item
+ * @returns {string} Icon
+ */
+export function getItemIcon(item) {
+  if (item.isSymlink) return '🔗';
+  if (item.pendingUpload) return '⬆️';
+  if (item.pendingArchive) return '🗜️';
+  return item.isDirectory ? '📁' : '📄';
+}
+
+/**
+ * Get the badge of an item created when the changes are applied
+ * @param {Object} item - Tree item
+ * @returns {string|null} Badge text, or null for other items
+ */
+export function getPendingLabel(item) {
+  if (item.pendingUpload) return 'to upload';
+  if (item.pendingArchive) return 'to archive';
+  if (item.pendingExtract) return 'to extract';
+  if (item.pendingTransfer) return 'to transfer';
+  return null;
+}
+
+/**
+ * Describe where a symlink points to
+ * @param {Object} item - Symlink item
+ * @returns {string} Description
+ */
+function describeLink(item) {
+  if (item.linkError === 'broken') return `Broken link to ${item.linkTarget}`;
+  if (item.linkError === 'cycle') return `Link to ${item.linkTarget}, which contains it (not followed)`;
+  if (!item.linkFollowed) return `Link to ${item.linkTarget} (not followed)`;
+  return `Link to ${item.linkTarget}. Its contents cannot be changed here.`;
+}
 
 /**
  * Render folder tree
  * @param {Array} items - Items to render
  * @param {HTMLElement} container - Container element
  * @param {string} currentPath - Current path prefix
+ * @param {boolean} readOnly - Render without editing, for the contents of linked folders
  */
-export function renderTree(items, container, currentPath = '') {
+export function renderTree(items, container, currentPath = '', readOnly = false) {
   container.innerHTML = '';
 
-  // Add drop zone for root level if this is the root container
+  // Add the new folder action and drop zone for root level if this is the root container
   if (currentPath === '' && state.isValidated) {
+    const rootActions = document.createElement('div');
+    rootActions.className = 'tree-root-actions';
+    const newFolderBtn = document.createElement('button');
+    newFolderBtn.type = 'button';
+    newFolderBtn.className = 'btn btn-secondary btn-small';
+    newFolderBtn.textContent = '➕ New folder';
+    newFolderBtn.addEventListener('click', () => startNewFolder('', state.folderStructure, container));
+    rootActions.appendChild(newFolderBtn);
+    const bulkRenameBtn = document.createElement('button');
+    bulkRenameBtn.type = 'button';
+    bulkRenameBtn.className = 'btn btn-secondary btn-small';
+    bulkRenameBtn.textContent = '🔤 Bulk rename';
+    bulkRenameBtn.addEventListener('click', () => {
+      showBulkRename('', state.folderStructure, renames => performBulkRename('', renames));
+    });
+    rootActions.appendChild(bulkRenameBtn);
+    container.appendChild(rootActions);
+
     const rootDropZone = document.createElement('div');
     rootDropZone.className = 'drop-zone drop-zone-root';
     rootDropZone.dataset.targetPath = '';
-    rootDropZone.innerHTML = '<span>Drop here to move to root</span>';
+    rootDropZone.innerHTML = '<span>Drop here to move to root (hold Ctrl or Alt to copy)</span>';
     setupDropZone(rootDropZone, '');
     container.appendChild(rootDropZone);
   }
@@ -37,7 +160,9 @@ export function renderTree(items, container, currentPath = '') {
     const headerEl = document.createElement('div');
     headerEl.className = 'tree-item-header';
 
-    const hasChildren = item.isDirectory && item.children && item.children.length > 0;
+    const notLoaded = item.isDirectory && item.childrenLoaded === false;
+    const hasChildren = item.isDirectory && item.children && (item.children.length > 0 || notLoaded);
+    const editable = state.isValidated && !readOnly;
 
     // Create elements
     const toggleEl = document.createElement('span');
@@ -47,7 +172,7 @@ export function renderTree(items, container, currentPath = '') {
 
     const iconEl = document.createElement('span');
     iconEl.className = 'tree-icon';
-    iconEl.textContent = item.isDirectory ? '📁' : '📄';
+    iconEl.textContent = getItemIcon(item);
 
     const nameEl = document.createElement('span');
     nameEl.className = 'tree-name';
@@ -56,17 +181,41 @@ export function renderTree(items, container, currentPath = '') {
     const metaEl = document.createElement('span');
     metaEl.className = 'tree-meta';
     metaEl.innerHTML = `
-      <span class="tree-size">${formatSize(item.size)}</span>
+      <span class="tree-size">${formatItemSize(item.size)}</span>
       <span class="tree-date">${formatDate(new Date(item.lastModified))}</span>
     `;
+    // Only items loaded from the server know their mode and owner
+    if (item.mode !== undefined) {
+      metaEl.insertAdjacentHTML('afterbegin', `
+        <span class="tree-mode" title="${formatOctal(item.mode)}">${formatMode(item.mode)}</span>
+        <span class="tree-owner">${escapeHtml(formatOwner(item))}</span>
+      `);
+    }
 
     headerEl.appendChild(toggleEl);
     headerEl.appendChild(iconEl);
     headerEl.appendChild(nameEl);
+
+    const pending = getPendingLabel(item);
+    if (pending) {
+      const pendingEl = document.createElement('span');
+      pendingEl.className = 'tree-pending-badge';
+      pendingEl.textContent = pending;
+      headerEl.appendChild(pendingEl);
+    }
+
+    if (item.isSymlink) {
+      const linkEl = document.createElement('span');
+      linkEl.className = `tree-link-target ${item.linkError ? 'tree-link-error' : ''}`;
+      linkEl.textContent = `→ ${item.linkTarget}`;
+      linkEl.title = describeLink(item);
+      headerEl.appendChild(linkEl);
+    }
+
     headerEl.appendChild(metaEl);
 
     // Add edit and delete buttons if validated
-    if (state.isValidated) {
+    if (editable) {
       // Double-click on name to rename
       nameEl.addEventListener('dblclick', (e) => {
         e.stopPropagation();
@@ -87,6 +236,88 @@ export function renderTree(items, container, currentPath = '') {
       });
       actionsEl.appendChild(editBtn);
 
+      const duplicateBtn = document.createElement('button');
+      duplicateBtn.className = 'tree-action-btn tree-duplicate-btn';
+      duplicateBtn.textContent = '📑';
+      duplicateBtn.title = 'Duplicate';
+      duplicateBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        duplicateItem(itemPath, item);
+      });
+      actionsEl.appendChild(duplicateBtn);
+
+      if (item.mode !== undefined && !item.isSymlink) {
+        const permissionsBtn = document.createElement('button');
+        permissionsBtn.className = 'tree-action-btn tree-permissions-btn';
+        permissionsBtn.textContent = '🔐';
+        permissionsBtn.title = 'Permissions';
+        permissionsBtn.addEventListener('click', (e) => {
+          e.stopPropagation();
+          showPermissions(itemPath, item, changes => performPermissions(itemPath, changes));
+        });
+        actionsEl.appendChild(permissionsBtn);
+      }
+
+      if (!item.isSymlink) {
+        const archiveBtn = document.createElement('button');
+        archiveBtn.className = 'tree-action-btn tree-archive-btn';
+        archiveBtn.textContent = '🗜️';
+        archiveBtn.title = 'Archive';
+        archiveBtn.addEventListener('click', (e) => {
+          e.stopPropagation();
+          showArchiveDialog(itemPath, item, options => performArchive(itemPath, options));
+        });
+        actionsEl.appendChild(archiveBtn);
+      }
+
+      if (!item.isDirectory && !item.isSymlink && isArchiveName(item.name)) {
+        const extractBtn = document.createElement('button');
+        extractBtn.className = 'tree-action-btn tree-extract-btn';
+        extractBtn.textContent = '📤';
+        extractBtn.title = 'Extract';
+        extractBtn.addEventListener('click', (e) => {
+          e.stopPropagation();
+          showExtractDialog(itemPath, item, options => performExtract(itemPath, options));
+        });
+        actionsEl.appendChild(extractBtn);
+      }
+
+      // Links are changed, never entered
+      if (item.isDirectory && !item.isSymlink) {
+        const newFolderBtn = document.createElement('button');
+        newFolderBtn.className = 'tree-action-btn tree-new-folder-btn';
+        newFolderBtn.textContent = '➕';
+        newFolderBtn.title = 'New folder';
+        newFolderBtn.addEventListener('click', async (e) => {
+          e.stopPropagation();
+          if (item.childrenLoaded === false) {
+            await expandUnloaded(item, itemEl, itemPath, false);
+            if (item.childrenLoaded === false) return;
+          }
+          const childrenEl = itemEl.querySelector(':scope > .tree-children');
+          toggleEl.classList.add('expanded');
+          childrenEl.classList.add('expanded');
+          startNewFolder(itemPath, item.children, childrenEl);
+        });
+        actionsEl.appendChild(newFolderBtn);
+
+        const bulkRenameBtn = document.createElement('button');
+        bulkRenameBtn.className = 'tree-action-btn tree-bulk-rename-btn';
+        bulkRenameBtn.textContent = '🔤';
+        bulkRenameBtn.title = 'Bulk rename the contents';
+        bulkRenameBtn.addEventListener('click', async (e) => {
+          e.stopPropagation();
+          try {
+            await loadChildren(item);
+          } catch (err) {
+            showError(`Cannot load "${itemPath}": ${err.message}`);
+            return;
+          }
+          showBulkRename(itemPath, item.children || [], renames => performBulkRename(itemPath, renames));
+        });
+        actionsEl.appendChild(bulkRenameBtn);
+      }
+
       const deleteBtn = document.createElement('button');
       deleteBtn.className = 'tree-action-btn tree-delete-btn';
       deleteBtn.textContent = '🗑️';
@@ -106,7 +337,7 @@ export function renderTree(items, container, currentPath = '') {
         state.draggedItem = item;
         state.draggedItemPath = itemPath;
         headerEl.classList.add('dragging');
-        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.effectAllowed = 'copyMove';
         e.dataTransfer.setData('text/plain', itemPath);
       });
 
@@ -118,8 +349,8 @@ export function renderTree(items, container, currentPath = '') {
         document.querySelectorAll('.drop-target').forEach(el => el.classList.remove('drop-target'));
       });
 
-      // If this is a directory, make it a drop target
-      if (item.isDirectory) {
+      // If this is a directory, make it a drop target; links are changed, never entered
+      if (item.isDirectory && !item.isSymlink) {
         setupDirectoryDropTarget(headerEl, itemEl, item, itemPath);
       }
     }
@@ -131,7 +362,7 @@ export function renderTree(items, container, currentPath = '') {
       const childrenEl = document.createElement('div');
       childrenEl.className = 'tree-children';
       
-      if (state.isValidated) {
+      if (editable && !item.isSymlink) {
         const dropZone = document.createElement('div');
         dropZone.className = 'drop-zone';
         dropZone.dataset.targetPath = itemPath;
@@ -141,14 +372,18 @@ export function renderTree(items, container, currentPath = '') {
       }
 
       if (hasChildren) {
-        renderTree(item.children, childrenEl, itemPath);
+        renderTree(item.children, childrenEl, itemPath, readOnly || item.isSymlink);
       }
       
       itemEl.appendChild(childrenEl);
 
-      // Toggle expand/collapse
-      const toggleClick = (e) => {
-        if (e.target.closest('.tree-edit-btn') || e.target.closest('.tree-delete-btn')) return;
+      // Toggle expand/collapse, loading the children from the server first
+      const toggleClick = async (e) => {
+        if (e.target.closest('.tree-action-btn')) return;
+        if (item.childrenLoaded === false) {
+          await expandUnloaded(item, itemEl, itemPath, readOnly || item.isSymlink);
+          return;
+        }
         toggleEl.classList.toggle('expanded');
         childrenEl.classList.toggle('expanded');
       };
@@ -168,6 +403,55 @@ export function renderTree(items, container, currentPath = '') {
   }
 }
 
+/**
+ * Format the size of an item, which is unknown for folders not loaded yet
+ * @param {number|null} size - Size in bytes
+ * @returns {string} Formatted size
+ */
+export function formatItemSize(size) {
+  return size === null ? '—' : formatSize(size);
+}
+
+/**
+ * Load the children of a folder from the server and show them
+ *
+ * The rest of the tree is left as it is, so expanded folders stay open.
+ *
+ * @param {Object} item - Folder item
+ * @param {HTMLElement} itemEl - Tree element of the folder
+ * @param {string} itemPath - Path of the folder
+ * @param {boolean} readOnly - Render the children without editing
+ */
+async function expandUnloaded(item, itemEl, itemPath, readOnly) {
+  const toggleEl = itemEl.querySelector(':scope > .tree-item-header > .tree-toggle');
+  const childrenEl = itemEl.querySelector(':scope > .tree-children');
+  toggleEl.textContent = '⏳';
+
+  try {
+    await loadChildren(item);
+  } catch (err) {
+    showError(`Cannot load "${itemPath}": ${err.message}`);
+    return;
+  } finally {
+    toggleEl.textContent = '▶';
+  }
+
+  if (item.children.length > 0) {
+    renderTree(item.children, childrenEl, itemPath, readOnly);
+  } else {
+    toggleEl.style.visibility = 'hidden';
+  }
+  toggleEl.classList.add('expanded');
+  childrenEl.classList.add('expanded');
+
+  // The sizes of the folder and its parents are known now
+  for (let el = itemEl; el?.classList.contains('tree-item'); el = el.parentElement.closest('.tree-item')) {
+    const shown = findItemByPath(state.folderStructure, el.dataset.path);
+    el.querySelector(':scope > .tree-item-header .tree-size').textContent = formatItemSize(shown?.size ?? null);
+  }
+  updateStats();
+}
+
 /**
  * Set up a directory header as a drop target
  */
@@ -175,46 +459,88 @@ function setupDirectoryDropTarget(headerEl, itemEl, item, itemPath) {
   headerEl.addEventListener('dragover', (e) => {
     e.preventDefault();
     e.stopPropagation();
+
+    if (isFileDrag(e)) {
+      headerEl.classList.add('drop-target');
+      e.dataTransfer.dropEffect = 'copy';
+      return;
+    }
+
+    if (state.draggedFromSecondary) {
+      headerEl.classList.add('drop-target');
+      e.dataTransfer.dropEffect = 'move';
+      return;
+    }
     
     if (!state.draggedItem || !state.draggedItemPath) return;
     if (state.draggedItemPath === itemPath) return;
     if (itemPath.startsWith(state.draggedItemPath + '/')) return;
     
     const draggedParentPath = getParentPath(state.draggedItemPath);
-    if (draggedParentPath === itemPath) return;
+    if (draggedParentPath === itemPath && !isCopyDrag(e)) return;
     
     headerEl.classList.add('drop-target');
-    e.dataTransfer.dropEffect = 'move';
+    e.dataTransfer.dropEffect = isCopyDrag(e) ? 'copy' : 'move';
   });
 
   headerEl.addEventListener('dragleave', (e) => {
     headerEl.classList.remove('drop-target');
   });
 
-  headerEl.addEventListener('drop', (e) => {
+  headerEl.addEventListener('drop', async (e) => {
     e.preventDefault();
     e.stopPropagation();
     headerEl.classList.remove('drop-target');
 
+    if (isFileDrag(e)) {
+      const dropped = getDroppedFiles(e.dataTransfer);
+      try {
+        await loadChildren(item);
+      } catch (err) {
+        showError(`Cannot load "${itemPath}": ${err.message}`);
+        return;
+      }
+      addUploads(dropped, itemPath, item.children || []);
+      return;
+    }
+
+    if (state.draggedFromSecondary) {
+      const draggedItem = state.draggedItem;
+      const draggedItemPath = state.draggedItemPath;
+      try {
+        await loadChildren(item);
+      } catch (err) {
+        showError(`Cannot load "${itemPath}": ${err.message}`);
+        return;
+      }
+      dropFromSecondary(draggedItem, draggedItemPath, itemPath, item.children || []);
+      return;
+    }
+
     if (!state.draggedItem || !state.draggedItemPath) return;
     if (state.draggedItemPath === itemPath) return;
     
+    const copy = isCopyDrag(e);
     if (itemPath.startsWith(state.draggedItemPath + '/')) {
-      showError('Cannot move a folder into itself');
+      showError(`Cannot ${copy ? 'copy' : 'move'} a folder into itself`);
       return;
     }
 
     const draggedParentPath = getParentPath(state.draggedItemPath);
-    if (draggedParentPath === itemPath) return;
-
-    const targetChildren = item.children || [];
-    const conflict = findConflict(targetChildren, state.draggedItem.name);
-    
-    if (conflict) {
-      showConflictModal(state.draggedItem, state.draggedItemPath, itemPath, conflict);
-    } else {
-      performMove(state.draggedItemPath, itemPath);
+    if (draggedParentPath === itemPath && !copy) return;
+
+    // Conflicts can only be found once the folder's contents are known; the
+    // drag ends while they load
+    const draggedItem = state.draggedItem;
+    const draggedItemPath = state.draggedItemPath;
+    try {
+      await loadChildren(item);
+    } catch (err) {
+      showError(`Cannot load "${itemPath}": ${err.message}`);
+      return;
     }
+
+    dropItem(draggedItem, draggedItemPath, itemPath, item.children || [], copy);
   });
 }
 
@@ -225,16 +551,22 @@ function setupDropZone(dropZone, targetPath) {
   dropZone.addEventListener('dragover', (e) => {
     e.preventDefault();
     e.stopPropagation();
+
+    if (isFileDrag(e) || state.draggedFromSecondary) {
+      dropZone.classList.add('drag-over');
+      e.dataTransfer.dropEffect = isFileDrag(e) ? 'copy' : 'move';
+      return;
+    }
     
     if (!state.draggedItem || !state.draggedItemPath) return;
     if (targetPath && targetPath.startsWith(state.draggedItemPath + '/')) return;
     if (state.draggedItemPath === targetPath) return;
     
     const draggedParentPath = getParentPath(state.draggedItemPath);
-    if (draggedParentPath === targetPath) return;
+    if (draggedParentPath === targetPath && !isCopyDrag(e)) return;
     
     dropZone.classList.add('drag-over');
-    e.dataTransfer.dropEffect = 'move';
+    e.dataTransfer.dropEffect = isCopyDrag(e) ? 'copy' : 'move';
   });
 
   dropZone.addEventListener('dragleave', (e) => {
@@ -247,15 +579,26 @@ function setupDropZone(dropZone, targetPath) {
     e.stopPropagation();
     dropZone.classList.remove('drag-over');
 
+    if (isFileDrag(e)) {
+      addUploads(getDroppedFiles(e.dataTransfer), targetPath, getTargetArray(targetPath) || []);
+      return;
+    }
+
+    if (state.draggedFromSecondary) {
+      dropFromSecondary(state.draggedItem, state.draggedItemPath, targetPath, getTargetArray(targetPath) || []);
+      return;
+    }
+
     if (!state.draggedItem || !state.draggedItemPath) return;
 
+    const copy = isCopyDrag(e);
     if (targetPath && targetPath.startsWith(state.draggedItemPath + '/')) {
-      showError('Cannot move a folder into itself');
+      showError(`Cannot ${copy ? 'copy' : 'move'} a folder into itself`);
       return;
     }
 
     const draggedParentPath = getParentPath(state.draggedItemPath);
-    if (draggedParentPath === targetPath) return;
+    if (draggedParentPath === targetPath && !copy) return;
 
     let currentTargetArray;
     if (targetPath === '') {
@@ -265,14 +608,138 @@ function setupDropZone(dropZone, targetPath) {
       currentTargetArray = targetItem?.children || [];
     }
 
-    const conflict = findConflict(currentTargetArray, state.draggedItem.name);
-    
-    if (conflict) {
-      showConflictModal(state.draggedItem, state.draggedItemPath, targetPath, conflict);
+    dropItem(state.draggedItem, state.draggedItemPath, targetPath, currentTargetArray, copy);
+  });
+}
+
+/**
+ * Move or copy a dropped item into a folder, asking first when the name is taken
+ * @param {Object} draggedItem - Dropped item
+ * @param {string} draggedItemPath - Path of the dropped item
+ * @param {string} targetPath - Folder path, empty for the root
+ * @param {Array} targetChildren - Items of the folder
+ * @param {boolean} copy - Whether to copy instead of move
+ */
+function dropItem(draggedItem, draggedItemPath, targetPath, targetChildren, copy) {
+  // A copy dropped into its own folder becomes a duplicate next to the original
+  const name = copy && getParentPath(draggedItemPath) === targetPath
+    ? getCopyName(targetChildren, draggedItem.name)
+    : draggedItem.name;
+
+  if (rejectIgnoredPath(targetPath ? `${targetPath}/${name}` : name)) return;
+
+  const conflict = findConflict(targetChildren, name);
+  const conflictPath = targetPath ? `${targetPath}/${name}` : name;
+
+  if (conflict && draggedItemPath.startsWith(`${conflictPath}/`)) {
+    showError(`Cannot replace "${conflictPath}", it contains "${draggedItemPath}"`);
+  } else if (conflict) {
+    showConflictModal(draggedItem, draggedItemPath, targetPath, conflict, copy);
+  } else if (copy) {
+    performCopy(draggedItemPath, targetPath, name);
+  } else {
+    performMove(draggedItemPath, targetPath);
+  }
+}
+
+/**
+ * Add files dropped from outside the page to a folder, as pending uploads
+ *
+ * Files are hashed first so the server can verify what it receives. Files
+ * that cannot be added are reported together, the others are added.
+ *
+ * @param {Object} dropped - { files, folderCount } from getDroppedFiles
+ * @param {string} targetPath - Folder path, empty for the root
+ * @param {Array} targetChildren - Items of the folder
+ */
+async function addUploads({ files, folderCount }, targetPath, targetChildren) {
+  const problems = [];
+  if (folderCount > 0) {
+    problems.push({ message: `${folderCount} folder(s) left out, only files can be uploaded` });
+  }
+
+  const accepted = [];
+  for (const file of files) {
+    const filePath = targetPath ? `${targetPath}/${file.name}` : file.name;
+    if (isPathIgnored(state.isIgnored, filePath)) {
+      problems.push({ message: `"${filePath}" matches an ignore pattern` });
+    } else if (findConflict(targetChildren, file.name) || accepted.some(other => other.name === file.name)) {
+      problems.push({ message: `"${filePath}" already exists` });
     } else {
-      performMove(state.draggedItemPath, targetPath);
+      accepted.push(file);
     }
+  }
+
+  if (accepted.length > 0) {
+    showProgress('Reading files to upload...');
+    let hashes;
+    try {
+      hashes = await hashFiles(accepted, ({ filesDone, filesTotal, bytesDone, bytesTotal }) => {
+        const percent = bytesTotal > 0 ? Math.round((bytesDone / bytesTotal) * 100) : 100;
+        updateProgress(percent, `${filesDone} / ${filesTotal} files · ${formatSize(bytesDone)} of ${formatSize(bytesTotal)}`);
+      });
+    } catch (err) {
+      showError(`Cannot read the dropped files: ${err.message}`);
+      return;
+    }
+    hideModal();
+
+    for (const file of accepted) {
+      performUpload(targetPath, file, hashes.get(file));
+    }
+    refreshTreeAndStats();
+  }
+
+  if (problems.length > 0) {
+    showError(`${problems.length} item(s) could not be added`, problems);
+  }
+}
+
+/**
+ * Add a file to upload to a folder
+ * @param {string} targetPath - Folder path, empty for the root
+ * @param {File} file - File to upload
+ * @param {string} sha256 - Hex encoded hash of the file
+ */
+export function performUpload(targetPath, file, sha256) {
+  const targetArray = getTargetArray(targetPath);
+  if (!targetArray) return;
+
+  const uploadId = `${Date.now().toString(36)}${generateId()}${generateId()}`;
+  state.uploads.set(uploadId, file);
+
+  targetArray.push({
+    name: file.name,
+    isDirectory: false,
+    size: file.size,
+    lastModified: new Date(file.lastModified).toISOString(),
+    pendingUpload: true
   });
+  sortItems(targetArray);
+  recalculateSizes(state.folderStructure);
+
+  state.changeLog.push({
+    type: 'upload',
+    timestamp: new Date().toISOString(),
+    path: targetPath ? `${targetPath}/${file.name}` : file.name,
+    uploadId,
+    size: file.size,
+    sha256
+  });
+}
+
+/**
+ * Get the items of a folder of the edited structure
+ * @param {string} targetPath - Folder path, empty for the root
+ * @returns {Array|null} Items, or null when the path is not a folder
+ */
+function getTargetArray(targetPath) {
+  if (targetPath === '') return state.folderStructure;
+
+  const targetItem = findItemByPath(state.folderStructure, targetPath);
+  if (!targetItem || !targetItem.isDirectory) return null;
+  if (!targetItem.children) targetItem.children = [];
+  return targetItem.children;
 }
 
 /**
@@ -285,15 +752,8 @@ export function performMove(sourcePath, targetPath, override = false) {
   const movedItem = JSON.parse(JSON.stringify(sourceLocation.item));
   sourceLocation.parent.splice(sourceLocation.index, 1);
 
-  let targetArray;
-  if (targetPath === '') {
-    targetArray = state.folderStructure;
-  } else {
-    const targetItem = findItemByPath(state.folderStructure, targetPath);
-    if (!targetItem || !targetItem.isDirectory) return;
-    if (!targetItem.children) targetItem.children = [];
-    targetArray = targetItem.children;
-  }
+  const targetArray = getTargetArray(targetPath);
+  if (!targetArray) return;
 
   if (override) {
     const existingIndex = targetArray.findIndex(it => it.name === movedItem.name);
@@ -317,6 +777,297 @@ export function performMove(sourcePath, targetPath, override = false) {
   refreshTreeAndStats();
 }
 
+/**
+ * Perform the copy operation
+ * @param {string} sourcePath - Path of the copied item
+ * @param {string} targetPath - Folder to copy into, empty for the root
+ * @param {string} name - Name of the copy
+ * @param {boolean} override - Whether the copy replaces an item with that name
+ */
+export function performCopy(sourcePath, targetPath, name, override = false) {
+  const source = findItemByPath(state.folderStructure, sourcePath);
+  if (!source) return;
+
+  const targetArray = getTargetArray(targetPath);
+  if (!targetArray) return;
+
+  // Folders not loaded yet keep their sourcePath and load the original's contents
+  const copiedItem = JSON.parse(JSON.stringify(source));
+  copiedItem.name = name;
+
+  if (override) {
+    const existingIndex = targetArray.findIndex(it => it.name === name);
+    if (existingIndex !== -1) {
+      targetArray.splice(existingIndex, 1);
+    }
+  }
+
+  targetArray.push(copiedItem);
+  sortItems(targetArray);
+  recalculateSizes(state.folderStructure);
+
+  state.changeLog.push({
+    type: 'copy',
+    timestamp: new Date().toISOString(),
+    from: sourcePath,
+    to: targetPath ? `${targetPath}/${name}` : name,
+    override
+  });
+
+  refreshTreeAndStats();
+}
+
+/**
+ * Copy an item next to itself under a free name
+ * @param {string} itemPath - Path of the item
+ * @param {Object} item - Item to duplicate
+ */
+function duplicateItem(itemPath, item) {
+  const location = findItemLocation(state.folderStructure, itemPath);
+  if (!location) return;
+
+  const parentPath = getParentPath(itemPath);
+  const name = getCopyName(location.parent, item.name);
+  if (rejectIgnoredPath(parentPath ? `${parentPath}/${name}` : name)) return;
+
+  performCopy(itemPath, parentPath, name);
+}
+
+/**
+ * Prompt for the name of a new folder in a row at the top of a folder
+ * @param {string} parentPath - Path of the folder, empty for the root
+ * @param {Array} siblings - Items of the folder
+ * @param {HTMLElement} containerEl - Element holding the folder's rows
+ */
+function startNewFolder(parentPath, siblings, containerEl) {
+  const rowEl = document.createElement('div');
+  rowEl.className = 'tree-item';
+  rowEl.innerHTML = `
+    <div class="tree-item-header">
+      <span class="tree-toggle" style="visibility: hidden;">▶</span>
+      <span class="tree-icon">📁</span>
+      <span class="tree-name"></span>
+    </div>
+  `;
+
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.className = 'tree-name-input';
+  input.placeholder = 'New folder';
+  rowEl.querySelector('.tree-name').appendChild(input);
+
+  // Below the drop zone or root actions, above the existing items
+  const anchor = containerEl.querySelector(':scope > .drop-zone');
+  containerEl.insertBefore(rowEl, anchor ? anchor.nextSibling : containerEl.firstChild);
+  input.focus();
+
+  let finished = false;
+  const finishNewFolder = (create) => {
+    if (finished) return;
+    finished = true;
+    const name = input.value.trim();
+    rowEl.remove();
+
+    if (!create || !name) return;
+
+    if (!isValidName(name)) {
+      showError(`"${name}" is not a valid folder name`);
+      return;
+    }
+
+    const folderPath = parentPath ? `${parentPath}/${name}` : name;
+    if (rejectIgnoredPath(folderPath)) return;
+
+    const conflict = findConflict(siblings, name);
+    if (conflict) {
+      showError(`A ${conflict.isDirectory ? 'folder' : 'file'} named "${name}" already exists in "${parentPath || 'root'}"`);
+      return;
+    }
+
+    performMkdir(parentPath, name);
+  };
+
+  input.addEventListener('blur', () => finishNewFolder(true));
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      input.blur();
+    } else if (e.key === 'Escape') {
+      finishNewFolder(false);
+    }
+  });
+}
+
+/**
+ * Perform the folder creation
+ * @param {string} parentPath - Folder to create it in, empty for the root
+ * @param {string} name - Name of the new folder
+ */
+export function performMkdir(parentPath, name) {
+  const targetArray = getTargetArray(parentPath);
+  if (!targetArray) return;
+
+  targetArray.push({
+    name,
+    isDirectory: true,
+    size: 0,
+    lastModified: new Date().toISOString(),
+    children: []
+  });
+  sortItems(targetArray);
+  recalculateSizes(state.folderStructure);
+
+  state.changeLog.push({
+    type: 'mkdir',
+    timestamp: new Date().toISOString(),
+    path: parentPath ? `${parentPath}/${name}` : name
+  });
+
+  refreshTreeAndStats();
+}
+
+/**
+ * Change the mode and owner of an item, and of the loaded items inside it
+ * @param {string} itemPath - Path of the item
+ * @param {Object} changes - { chmod, chown, recursive } from showPermissions
+ */
+export function performPermissions(itemPath, { chmod, chown, recursive }) {
+  const item = findItemByPath(state.folderStructure, itemPath);
+  if (!item) return;
+
+  // The server changes links inside a folder with lchown and leaves their mode alone
+  const update = (target, isTarget) => {
+    if (chmod && !target.isSymlink) {
+      target.mode = target.isDirectory || isTarget ? chmod.mode : chmod.fileMode;
+    }
+    if (chown?.uid !== undefined) target.uid = chown.uid;
+    if (chown?.gid !== undefined) target.gid = chown.gid;
+    if (recursive && target.children && !target.isSymlink) {
+      target.children.forEach(child => update(child, false));
+    }
+  };
+  update(item, true);
+
+  if (chmod) {
+    state.changeLog.push({
+      type: 'chmod',
+      timestamp: new Date().toISOString(),
+      path: itemPath,
+      mode: chmod.mode,
+      ...(recursive ? { fileMode: chmod.fileMode } : {}),
+      recursive
+    });
+  }
+  if (chown) {
+    state.changeLog.push({
+      type: 'chown',
+      timestamp: new Date().toISOString(),
+      path: itemPath,
+      ...(chown.uid !== undefined ? { uid: chown.uid } : {}),
+      ...(chown.gid !== undefined ? { gid: chown.gid } : {}),
+      recursive
+    });
+  }
+
+  refreshTreeAndStats();
+}
+
+/**
+ * Archive an item, showing the archive as a pending file
+ * @param {string} itemPath - Path of the item
+ * @param {Object} options - { to, format, deleteSource, override } from showArchiveDialog
+ */
+export function performArchive(itemPath, { to, format, deleteSource, override }) {
+  const targetArray = getTargetArray(getParentPath(to));
+  if (!targetArray) return;
+
+  const name = to.split('/').pop();
+  if (override) {
+    const existingIndex = targetArray.findIndex(it => it.name === name);
+    if (existingIndex !== -1) {
+      targetArray.splice(existingIndex, 1);
+    }
+  }
+
+  if (deleteSource) {
+    const location = findItemLocation(state.folderStructure, itemPath);
+    if (location) location.parent.splice(location.index, 1);
+  }
+
+  // Its size is only known once written
+  targetArray.push({
+    name,
+    isDirectory: false,
+    size: null,
+    lastModified: new Date().toISOString(),
+    pendingArchive: true
+  });
+  sortItems(targetArray);
+  recalculateSizes(state.folderStructure);
+
+  state.changeLog.push({
+    type: 'archive',
+    timestamp: new Date().toISOString(),
+    path: itemPath,
+    to,
+    format,
+    deleteSource,
+    override
+  });
+
+  refreshTreeAndStats();
+}
+
+/**
+ * Extract an archive into a folder, showing its contents as pending items
+ * @param {string} itemPath - Path of the archive
+ * @param {Object} options - { to, conflict, entries } from showExtractDialog
+ */
+export async function performExtract(itemPath, { to, conflict, entries }) {
+  const items = buildEntryItems(entries);
+  const existing = findItemByPath(state.folderStructure, to);
+
+  if (existing) {
+    try {
+      await loadMergedFolders(existing, items);
+    } catch (err) {
+      showError(`Cannot load "${to}": ${err.message}`);
+      return;
+    }
+
+    const conflicts = findExtractConflicts(existing.children, items, to);
+    if (conflict === 'fail' && conflicts.length > 0) {
+      showError(`${conflicts.length} item(s) already exist, choose to keep, replace or rename them`,
+        conflicts.map(conflictPath => ({ message: `"${conflictPath}" already exists` })));
+      return;
+    }
+    mergeEntryItems(existing.children, items, conflict);
+  } else {
+    const targetArray = getTargetArray(getParentPath(to));
+    if (!targetArray) return;
+    targetArray.push({
+      name: to.split('/').pop(),
+      isDirectory: true,
+      size: 0,
+      lastModified: new Date().toISOString(),
+      children: items,
+      pendingExtract: true
+    });
+  }
+  sortItems(state.folderStructure);
+  recalculateSizes(state.folderStructure);
+
+  state.changeLog.push({
+    type: 'extract',
+    timestamp: new Date().toISOString(),
+    path: itemPath,
+    to,
+    conflict
+  });
+
+  refreshTreeAndStats();
+}
+
 /**
  * Start renaming an item
  */
@@ -346,6 +1097,12 @@ export function startRename(itemPath, nameEl, item) {
       return;
     }
 
+    const parentPath = getParentPath(itemPath);
+    if (rejectIgnoredPath(parentPath ? `${parentPath}/${newName}` : newName)) {
+      nameEl.textContent = currentName;
+      return;
+    }
+
     const conflict = findConflict(location.parent, newName, item);
     
     if (conflict) {
@@ -370,6 +1127,29 @@ export function startRename(itemPath, nameEl, item) {
  * Perform the rename operation
  */
 export function performRename(itemPath, newName, override = false) {
+  renameItem(itemPath, newName, override);
+  refreshTreeAndStats();
+}
+
+/**
+ * Rename several items of a folder
+ * @param {string} folderPath - Folder path, empty for the root
+ * @param {Array} renames - { oldName, newName } in an order where every new name is free
+ */
+export function performBulkRename(folderPath, renames) {
+  for (const { oldName, newName } of renames) {
+    renameItem(folderPath ? `${folderPath}/${oldName}` : oldName, newName);
+  }
+  refreshTreeAndStats();
+}
+
+/**
+ * Rename an item of the edited structure and record the change
+ * @param {string} itemPath - Path of the item
+ * @param {string} newName - New name
+ * @param {boolean} override - Whether an item with the new name is replaced
+ */
+function renameItem(itemPath, newName, override = false) {
   const location = findItemLocation(state.folderStructure, itemPath);
   if (!location) return;
 
@@ -393,8 +1173,6 @@ export function performRename(itemPath, newName, override = false) {
     newName,
     override
   });
-
-  refreshTreeAndStats();
 }
 
 /**
@@ -412,6 +1190,7 @@ function confirmDelete(itemPath, item) {
       <h3>Remove ${itemType}?</h3>
       <p>Are you sure you want to remove "<strong>${escapeHtml(item.name)}</strong>"?</p>
       ${childWarning}
+      ${state.serverMode ? '<p class="backup-note">It is moved to the trash of the server and can be restored from there.</p>' : ''}
     </div>
     <div class="modal-actions">
       <button type="button" class="btn btn-secondary" id="deleteCancelBtn">Cancel</button>
@@ -448,9 +1227,9 @@ function performDelete(itemPath, item) {
 }
 
 /**
- * Show conflict modal for move operations
+ * Show conflict modal for move and copy operations
  */
-function showConflictModal(movedItem, sourcePath, targetPath, existingItem) {
+function showConflictModal(movedItem, sourcePath, targetPath, existingItem, copy = false) {
   const targetDisplay = targetPath || 'root';
   
   showModal(`
@@ -469,7 +1248,11 @@ function showConflictModal(movedItem, sourcePath, targetPath, existingItem) {
   document.getElementById('conflictCancelBtn').addEventListener('click', hideModal);
   document.getElementById('conflictConfirmBtn').addEventListener('click', () => {
     hideModal();
-    performMove(sourcePath, targetPath, true);
+    if (copy) {
+      performCopy(sourcePath, targetPath, movedItem.name, true);
+    } else {
+      performMove(sourcePath, targetPath, true);
+    }
   });
 }
 
@@ -501,16 +1284,24 @@ function showRenameConflictModal(item, itemPath, newName, existingItem, nameEl)
 }
 
 /**
- * Refresh the tree display and stats
+ * Refresh the tree display and stats, and the second pane
  */
 export function refreshTreeAndStats() {
+  updateStats();
+  renderTree(state.folderStructure, elements.folderTree);
+  renderSecondPane();
+  updateSubmitButtonState();
+}
+
+/**
+ * Refresh the stats above the tree
+ */
+function updateStats() {
   const stats = calculateStats(state.folderStructure);
   elements.previewStats.innerHTML = `
     <span>📁 ${stats.dirCount} folders</span>
     <span>📄 ${stats.fileCount} files</span>
     <span>💾 ${formatSize(stats.totalSize)}</span>
+    ${stats.unloadedCount > 0 ? `<span title="Open them to load their contents">⏳ ${stats.unloadedCount} folders not loaded</span>` : ''}
   `;
-
-  renderTree(state.folderStructure, elements.folderTree);
-  updateSubmitButtonState();
 }
@@ -5,6 +5,9 @@
 import { state, resetState, deepClone } from './state.js';
 import { elements } from './dom.js';
 import { hasStructureChanged } from './folder.js';
+import { resetSourcePaths } from './server-tree.js';
+import { clearPendingUploads } from './uploads.js';
+import { clearPendingArchives } from './archives.js';
 
 /**
  * Update button state based on form validity
@@ -13,6 +16,7 @@ export function updateButtonState() {
   const hasPath = elements.absolutePathInput.value.trim().length > 0;
   const hasFolder = state.folderStructure.length > 0;
   elements.startChangesBtn.disabled = !(hasPath && hasFolder);
+  elements.serverModeBtn.disabled = !hasPath || state.isValidated;
 }
 
 /**
@@ -46,9 +50,19 @@ export function resetUI() {
   // Reset inputs
   elements.absolutePathInput.value = '';
   elements.absolutePathInput.disabled = false;
+  elements.browseBtn.disabled = false;
+  elements.validationProfileSelect.value = 'structure';
+  elements.validationProfileSelect.disabled = false;
   elements.folderInput.value = '';
   elements.folderInput.disabled = false;
   elements.selectFolderBtn.disabled = false;
+  elements.serverModeBtn.disabled = true;
+  elements.compareContentsCheckbox.checked = false;
+  elements.compareContentsCheckbox.disabled = false;
+  elements.followSymlinksCheckbox.checked = true;
+  elements.followSymlinksCheckbox.disabled = false;
+  elements.ignorePatternsInput.value = '';
+  elements.ignorePatternsInput.disabled = false;
   
   // Reset folder selection display
   elements.selectedFolderName.textContent = '';
@@ -58,6 +72,11 @@ export function resetUI() {
   elements.previewSection.style.display = 'none';
   elements.folderTree.innerHTML = '';
   elements.previewStats.innerHTML = '';
+  elements.secondPane.style.display = 'none';
+  elements.treePanes.classList.remove('tree-panes-split');
+  elements.secondaryTree.innerHTML = '';
+  elements.secondaryPathInput.value = '';
+  elements.secondaryPathInput.disabled = false;
 
   // Reset buttons
   elements.startChangesBtn.disabled = true;
@@ -75,6 +94,11 @@ export function resetUI() {
  * Reset the UI after successful submit
  */
 export function resetAfterSubmit() {
+  if (state.serverMode) {
+    resetSourcePaths(state.folderStructure);
+  }
+  clearPendingUploads(state.folderStructure);
+  clearPendingArchives(state.folderStructure);
   state.originalStructure = deepClone(state.folderStructure);
   state.changeLog = [];
   updateSubmitButtonState();
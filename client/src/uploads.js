@@ -0,0 +1,93 @@
+/**
+ * File Uploads
+ *
+ * Files dropped into the tree are kept in memory until the changes are
+ * applied, then sent to the server in chunks. An upload the server already
+ * has, whole or in part, is resumed instead of sent again.
+ */
+
+import { state } from './state.js';
+import * as api from './api.js';
+
+const CHUNK_SIZE = 8 * 1024 * 1024;
+
+/**
+ * Send one file, continuing where the server's copy ends
+ * @param {Object} change - Upload change
+ * @param {File} file - File to send
+ * @param {Function} onBytes - Called with the number of bytes the server has
+ */
+async function sendFile(change, file, onBytes) {
+  const status = await api.getUpload(change.uploadId);
+  let offset = 0;
+  if (status.ok && status.upload.size === file.size) {
+    if (status.upload.complete && status.upload.sha256 === change.sha256) {
+      onBytes(file.size);
+      return;
+    }
+    offset = status.upload.complete ? 0 : status.upload.received;
+  }
+
+  do {
+    const data = await api.uploadChunk(change.uploadId, offset, file.size, file.slice(offset, offset + CHUNK_SIZE));
+
+    if (data.code === 'UPLOAD_OFFSET_MISMATCH') {
+      // Another attempt got further or failed; continue from what the server has
+      offset = data.upload.received;
+      continue;
+    }
+    if (data.code === 'UPLOAD_NOT_FOUND' && offset > 0) {
+      // The server lost the upload, e.g. when it restarted; start over
+      offset = 0;
+      continue;
+    }
+    if (!data.ok) {
+      throw new Error(`Cannot upload "${change.path}": ${data.error}`);
+    }
+
+    offset = data.upload.received;
+    onBytes(offset);
+  } while (offset < file.size);
+}
+
+/**
+ * Send the files of the pending uploads of a change log
+ * @param {Array} changeLog - Change log
+ * @param {Function} onProgress - Called with { filesDone, filesTotal, bytesDone, bytesTotal }
+ */
+export async function sendUploads(changeLog, onProgress = () => {}) {
+  const changes = changeLog.filter(change => change.type === 'upload');
+  const progress = {
+    filesDone: 0,
+    filesTotal: changes.length,
+    bytesDone: 0,
+    bytesTotal: changes.reduce((total, change) => total + change.size, 0)
+  };
+
+  for (const change of changes) {
+    const file = state.uploads.get(change.uploadId);
+    if (!file) {
+      throw new Error(`The file to upload to "${change.path}" is not available anymore, reset and add it again`);
+    }
+
+    const bytesBefore = progress.bytesDone;
+    await sendFile(change, file, (bytes) => {
+      progress.bytesDone = bytesBefore + bytes;
+      onProgress({ ...progress });
+    });
+    progress.filesDone++;
+    onProgress({ ...progress });
+  }
+}
+
+/**
+ * Forget the pending uploads once the changes were applied
+ * @param {Array} structure - Folder structure
+ */
+export function clearPendingUploads(structure) {
+  for (const item of structure) {
+    delete item.pendingUpload;
+    if (item.children) clearPendingUploads(item.children);
+  }
+  state.uploads.clear();
+}
@@ -0,0 +1,54 @@
+/**
+ * User and Group Accounts
+ *
+ * Owners are numeric IDs on disk. Their names are read from /etc/passwd and
+ * /etc/group where these exist, so the client can show and accept names.
+ */
+
+import fs from 'fs/promises';
+
+/**
+ * Read the ID and name of every entry of an account database
+ * @param {string} filePath - /etc/passwd or /etc/group
+ * @returns {Promise<Array>} { id, name } sorted by name, empty when unreadable
+ */
+async function readAccountFile(filePath) {
+  let content;
+  try {
+    content = await fs.readFile(filePath, 'utf8');
+  } catch (err) {
+    return [];
+  }
+
+  return content
+    .split('\n')
+    .filter(line => line && !line.startsWith('#'))
+    .map(line => line.split(':'))
+    .filter(fields => fields.length >= 3 && /^\d+$/.test(fields[2]))
+    .map(fields => ({ id: Number(fields[2]), name: fields[0] }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Get the identity of the server process, which limits the modes and
+ * owners it may change
+ * @returns {Object|null} { uid, groups, isRoot }, null on platforms without IDs
+ */
+export function getProcessIdentity() {
+  if (typeof process.getuid !== 'function') return null;
+  const uid = process.getuid();
+  return { uid, groups: process.getgroups(), isRoot: uid === 0 };
+}
+
+/**
+ * List the users and groups of the server
+ * @returns {Promise<Object>} { users, groups, server } where server is the
+ *   identity of the server process
+ */
+export async function listAccounts() {
+  const [users, groups] = await Promise.all([
+    readAccountFile('/etc/passwd'),
+    readAccountFile('/etc/group')
+  ]);
+  return { users, groups, server: getProcessIdentity() };
+}
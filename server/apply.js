@@ -0,0 +1,326 @@
+/**
+ * Change Log Application
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import {
+  PathError,
+  isWithin,
+  resolveEntryPath,
+  validateEntryName
+} from './paths.js';
+import { getFreeName, pathExists } from './fs-utils.js';
+import { isPathIgnored } from './ignore.js';
+import { writeUploadTemp } from './uploads.js';
+import { extractArchiveTemp, writeArchiveTemp } from './archives.js';
+
+/**
+ * List the relative paths a change reads or writes in the target folder
+ * @param {Object} change - Change log entry
+ * @returns {Array<string>} Relative paths
+ */
+export function getChangePaths(change) {
+  if (change.type === 'move' || change.type === 'copy') {
+    return [change.from, change.to];
+  }
+  if (change.type === 'transfer') {
+    return [change.inbound ? change.to : change.from];
+  }
+  if (change.type === 'archive' || change.type === 'extract') {
+    return [change.path, change.to];
+  }
+  if (change.type === 'rename') {
+    const parent = path.posix.dirname(change.path);
+    return [change.path, parent === '.' ? change.newName : `${parent}/${change.newName}`];
+  }
+  if (['delete', 'mkdir', 'upload', 'chmod', 'chown'].includes(change.type)) {
+    return [change.path];
+  }
+  return [];
+}
+
+/**
+ * List the relative paths a change reads or writes in the second folder
+ * @param {Object} change - Change log entry
+ * @returns {Array<string>} Relative paths
+ */
+export function getSecondaryPaths(change) {
+  if (change.type === 'transfer') {
+    return [change.inbound ? change.from : change.to];
+  }
+  return [];
+}
+
+/**
+ * Reject changes touching entries excluded by the ignore rules
+ * @param {Array} changeLog - Array of changes, with checked paths
+ * @param {Function} isIgnored - Ignore matcher of the folder
+ * @param {Function} isSecondaryIgnored - Ignore matcher of the second folder, if any
+ */
+export function checkChangeLogIgnored(changeLog, isIgnored, isSecondaryIgnored = null) {
+  changeLog.forEach((change, index) => {
+    const ignoredPath = getChangePaths(change).find(p => isPathIgnored(isIgnored, p))
+      ?? (isSecondaryIgnored && getSecondaryPaths(change).find(p => isPathIgnored(isSecondaryIgnored, p)));
+    if (ignoredPath) {
+      throw new PathError(`Change ${index + 1}: "${ignoredPath}" is ignored and cannot be changed`, 'IGNORED_PATH');
+    }
+  });
+}
+
+/**
+ * Error raised when an apply is cancelled between two steps
+ */
+export class ApplyCancelledError extends Error {
+  constructor(step) {
+    super(`Cancelled before step ${step + 1}`);
+    this.name = 'ApplyCancelledError';
+    this.step = step;
+  }
+}
+
+/**
+ * Describe a change for progress reporting
+ * @param {Object} change - Change log entry
+ * @returns {string} Human readable description
+ */
+export function describeChange(change) {
+  if (change.type === 'move') return `Move ${change.from} → ${change.to}`;
+  if (change.type === 'rename') return `Rename ${change.path} → ${change.newName}`;
+  if (change.type === 'delete') return `Delete ${change.path}`;
+  if (change.type === 'copy') return `Copy ${change.from} → ${change.to}`;
+  if (change.type === 'mkdir') return `Create folder ${change.path}`;
+  if (change.type === 'upload') return `Upload ${change.path}`;
+  if (change.type === 'chmod') return `Change mode of ${change.path}${change.recursive ? ' recursively' : ''}`;
+  if (change.type === 'chown') return `Change owner of ${change.path}${change.recursive ? ' recursively' : ''}`;
+  if (change.type === 'archive') return `Archive ${change.path} → ${change.to}`;
+  if (change.type === 'extract') return `Extract ${change.path} → ${change.to}`;
+  if (change.type === 'transfer') {
+    return change.inbound
+      ? `Transfer ${change.from} from the second folder → ${change.to}`
+      : `Transfer ${change.from} → ${change.to} in the second folder`;
+  }
+  return `Unknown change "${change.type}"`;
+}
+
+/**
+ * Move extracted items into an existing folder, merging folders
+ * @param {string} fromDir - Absolute path of the extracted folder
+ * @param {string} toDir - Absolute path of the existing folder
+ * @param {string} conflict - What to do with items that exist already:
+ *   "fail", "skip", "overwrite" or "rename"
+ * @param {Journal} journal - Journal recording the applied actions
+ * @param {number} step - Index of the change log entry
+ */
+async function mergeExtracted(fromDir, toDir, conflict, journal, step) {
+  const names = (await fs.readdir(fromDir)).sort();
+
+  for (const name of names) {
+    const fromPath = path.join(fromDir, name);
+    const toPath = path.join(toDir, name);
+    const existing = await fs.lstat(toPath).catch(err => {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    });
+
+    if (!existing) {
+      await journal.place(fromPath, toPath, step);
+      continue;
+    }
+
+    const extracted = await fs.lstat(fromPath);
+    if (extracted.isDirectory() && existing.isDirectory()) {
+      await mergeExtracted(fromPath, toPath, conflict, journal, step);
+    } else if (conflict === 'overwrite') {
+      await journal.stage(toPath, step);
+      await journal.place(fromPath, toPath, step);
+    } else if (conflict === 'rename') {
+      await journal.place(fromPath, path.join(toDir, await getFreeName(toDir, name)), step);
+    } else if (conflict !== 'skip') {
+      throw new PathError(`"${journal.relative(toPath)}" already exists`, 'TARGET_EXISTS');
+    }
+  }
+}
+
+/**
+ * Apply changes to the folder structure
+ *
+ * Every completed file system action is recorded in the journal; overwritten
+ * items are staged in it and deleted items moved to the trash rather than
+ * removed. The change log must have passed validateChangeLog.
+ *
+ * @param {string} basePath - Real path of the folder
+ * @param {Array} changeLog - Array of changes to apply
+ * @param {Journal} journal - Journal recording the applied actions
+ * @param {Object} options - Optional hooks
+ * @param {string} options.secondaryPath - Real path of the second folder of transfers
+ * @param {Function} options.onStep - Called with (step, change) before each step
+ * @param {Function} options.onProgress - Called with (step, { bytes, totalBytes })
+ *   while an item is copied to another file system
+ * @param {Function} options.isCancelled - Checked before each step
+ */
+export async function applyChanges(basePath, changeLog, journal, options = {}) {
+  const { secondaryPath = null, onStep = () => {}, onProgress = () => {}, isCancelled = () => false } = options;
+
+  for (const [step, change] of changeLog.entries()) {
+    if (isCancelled()) {
+      throw new ApplyCancelledError(step);
+    }
+    await onStep(step, change);
+    const reportProgress = progress => onProgress(step, progress);
+
+    if (change.type === 'move') {
+      const fromPath = await resolveEntryPath(basePath, change.from);
+      const toPath = await resolveEntryPath(basePath, change.to);
+      
+      // Ensure target directory exists
+      await journal.mkdir(path.dirname(toPath), step);
+      
+      // If override, set the existing item aside
+      if (change.override && await pathExists(toPath)) {
+        await journal.stage(toPath, step);
+      }
+      
+      // Move the file/folder
+      await journal.rename(fromPath, toPath, step, reportProgress);
+      
+    } else if (change.type === 'rename') {
+      validateEntryName(change.newName);
+      const oldPath = await resolveEntryPath(basePath, change.path);
+      const parentDir = path.dirname(oldPath);
+      const newPath = path.join(parentDir, change.newName);
+      
+      // If override, set the existing item aside
+      if (change.override && await pathExists(newPath)) {
+        await journal.stage(newPath, step);
+      }
+      
+      // Rename the file/folder
+      await journal.rename(oldPath, newPath, step, reportProgress);
+      
+    } else if (change.type === 'transfer') {
+      if (!secondaryPath) {
+        throw new PathError('A transfer needs a second folder', 'SECONDARY_PATH_REQUIRED');
+      }
+      const [fromBase, toBase] = change.inbound ? [secondaryPath, basePath] : [basePath, secondaryPath];
+      const fromPath = await resolveEntryPath(fromBase, change.from);
+      const toPath = await resolveEntryPath(toBase, change.to);
+
+      await journal.mkdir(path.dirname(toPath), step);
+
+      // The fingerprint only covers the target folder, so the second folder
+      // is checked here, under the lock; a rename would replace the item
+      if (await pathExists(toPath)) {
+        if (!change.override) {
+          throw new PathError(`"${change.to}" already exists${change.inbound ? '' : ' in the second folder'}`, 'TARGET_EXISTS');
+        }
+        await journal.stage(toPath, step);
+      }
+
+      // A rename when both folders share a file system, otherwise a verified
+      // copy followed by the removal of the original
+      await journal.rename(fromPath, toPath, step, reportProgress);
+
+    } else if (change.type === 'copy') {
+      const fromPath = await resolveEntryPath(basePath, change.from);
+      const toPath = await resolveEntryPath(basePath, change.to);
+
+      await journal.mkdir(path.dirname(toPath), step);
+
+      // If override, set the existing item aside
+      if (change.override && await pathExists(toPath)) {
+        await journal.stage(toPath, step);
+      }
+
+      // Copy the file/folder with its metadata
+      await journal.copy(fromPath, toPath, step);
+
+    } else if (change.type === 'mkdir') {
+      const dirPath = await resolveEntryPath(basePath, change.path);
+
+      if (await pathExists(dirPath)) {
+        throw new PathError(`"${change.path}" already exists`, 'TARGET_EXISTS');
+      }
+
+      // Create the folder, and missing parents, recorded for rollback
+      await journal.mkdir(dirPath, step);
+
+    } else if (change.type === 'upload') {
+      const toPath = await resolveEntryPath(basePath, change.path);
+
+      if (await pathExists(toPath)) {
+        throw new PathError(`"${change.path}" already exists`, 'TARGET_EXISTS');
+      }
+      await journal.mkdir(path.dirname(toPath), step);
+
+      // Write and verify the whole file under a temporary name first, so the
+      // target never holds a partial upload
+      const tempPath = await writeUploadTemp(change, toPath);
+      await journal.place(tempPath, toPath, step);
+
+    } else if (change.type === 'archive') {
+      const sourcePath = await resolveEntryPath(basePath, change.path);
+      const toPath = await resolveEntryPath(basePath, change.to);
+
+      if (isWithin(sourcePath, toPath)) {
+        throw new PathError(`"${change.to}" is inside "${change.path}"`, 'ARCHIVE_INTO_ITSELF');
+      }
+      await journal.mkdir(path.dirname(toPath), step);
+
+      if (await pathExists(toPath)) {
+        if (!change.override) {
+          throw new PathError(`"${change.to}" already exists`, 'TARGET_EXISTS');
+        }
+        await journal.stage(toPath, step);
+      }
+
+      // The archive is streamed to a temporary file, so the target never
+      // holds a partial archive
+      const tempPath = await writeArchiveTemp(sourcePath, toPath, change.format);
+      await journal.place(tempPath, toPath, step);
+
+      if (change.deleteSource) {
+        await journal.trash(sourcePath, step);
+      }
+
+    } else if (change.type === 'extract') {
+      const archivePath = await resolveEntryPath(basePath, change.path);
+      const toPath = await resolveEntryPath(basePath, change.to);
+
+      await journal.mkdir(path.dirname(toPath), step);
+
+      // The whole archive is extracted and checked before anything is placed
+      const tempPath = await extractArchiveTemp(archivePath, toPath);
+      try {
+        const existing = await fs.lstat(toPath).catch(() => null);
+        if (!existing) {
+          await journal.place(tempPath, toPath, step);
+        } else if (!existing.isDirectory()) {
+          throw new PathError(`"${change.to}" is not a folder`, 'TARGET_NOT_DIRECTORY');
+        } else {
+          await mergeExtracted(tempPath, toPath, change.conflict || 'fail', journal, step);
+        }
+      } finally {
+        // Items skipped, or not placed because of an error, are left behind
+        await fs.rm(tempPath, { recursive: true, force: true });
+      }
+
+    } else if (change.type === 'chmod' || change.type === 'chown') {
+      const targetPath = await resolveEntryPath(basePath, change.path);
+      const { mode, fileMode, uid, gid } = change;
+
+      // The previous modes and owners are listed in the journal first
+      await journal.setAttributes(targetPath, step, { mode, fileMode, uid, gid }, change.recursive);
+
+    } else if (change.type === 'delete') {
+      const deletePath = await resolveEntryPath(basePath, change.path);
+
+      // Deleted items stay recoverable in the trash of their root
+      await journal.trash(deletePath, step);
+
+    } else {
+      // Change logs are validated against the schema, this is a bug
+      throw new Error(`Unknown change type "${change.type}"`);
+    }
+  }
+}
@@ -0,0 +1,989 @@
+/**
+ * Archives
+ *
+ * Writes zip and tar.gz archives of files and folders, and lists and extracts
+ * zip, tar.gz and tar archives, with nothing but zlib. Everything is streamed
+ * one entry at a time, so memory stays flat however large the archive; only
+ * the central directory of a zip being written, a few dozen bytes per entry,
+ * is kept until the end.
+ *
+ * Zip archives are limited to 65535 entries and 4 GB, tar.gz has no limit.
+ */
+
+import fs from 'fs/promises';
+import { createReadStream, createWriteStream } from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import zlib from 'zlib';
+import { pipeline } from 'stream/promises';
+import { Transform, pipeline as pipeStreams } from 'stream';
+
+export const ARCHIVE_FORMATS = ['zip', 'tar.gz'];
+export const LIST_LIMIT = 10000;
+
+const BLOCK = 512;
+const ZIP_MAX_SIZE = 0xFFFFFFFF;
+const ZIP_MAX_ENTRIES = 0xFFFF;
+const MAX_HEADER_DATA = 1024 * 1024;
+const MAX_LINK_TARGET = 4096;
+
+const S_IFMT = 0o170000;
+const S_IFDIR = 0o040000;
+const S_IFREG = 0o100000;
+const S_IFLNK = 0o120000;
+
+const ZIP_LOCAL_HEADER = 0x04034b50;
+const ZIP_DATA_DESCRIPTOR = 0x08074b50;
+const ZIP_CENTRAL_HEADER = 0x02014b50;
+const ZIP_END = 0x06054b50;
+const ZIP64_END = 0x06064b50;
+const ZIP64_LOCATOR = 0x07064b50;
+
+const utf8Decoder = new TextDecoder('utf-8', { fatal: true });
+
+/**
+ * Error raised for archives that cannot be written, read or extracted
+ */
+export class ArchiveError extends Error {
+  /**
+   * @param {string} message - Human readable message
+   * @param {string} code - Machine readable error code
+   * @param {number} status - HTTP status to answer with
+   */
+  constructor(message, code, status = 400) {
+    super(message);
+    this.name = 'ArchiveError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+/**
+ * Create the error of an archive that ends early or has broken headers
+ * @param {string} detail - What is wrong
+ * @returns {ArchiveError} Error
+ */
+function corrupt(detail) {
+  return new ArchiveError(`Archive is corrupt: ${detail}`, 'ARCHIVE_CORRUPT');
+}
+
+/**
+ * Walk a file, folder or link and everything inside it, depth first
+ * @param {string} itemPath - Absolute path of the item
+ * @param {string} name - Path of the item in the archive
+ * @yields {Object} { absolutePath, name, stats, linkTarget }
+ */
+async function* walk(itemPath, name) {
+  const stats = await fs.lstat(itemPath);
+  if (!stats.isFile() && !stats.isDirectory() && !stats.isSymbolicLink()) {
+    console.warn(`Not archiving ${itemPath}: not a file, folder or link`);
+    return;
+  }
+
+  const entry = { absolutePath: itemPath, name, stats };
+  if (stats.isSymbolicLink()) entry.linkTarget = await fs.readlink(itemPath);
+  yield entry;
+
+  if (stats.isDirectory()) {
+    for (const child of (await fs.readdir(itemPath)).sort()) {
+      yield* walk(path.join(itemPath, child), `${name}/${child}`);
+    }
+  }
+}
+
+/**
+ * Write an octal number field of a tar header
+ * @param {Buffer} header - Header block
+ * @param {number} value - Value
+ * @param {number} offset - Field offset
+ * @param {number} length - Field length, the last byte being NUL
+ * @returns {boolean} Whether the value fits
+ */
+function writeOctal(header, value, offset, length) {
+  const digits = value.toString(8);
+  if (digits.length > length - 1) return false;
+  header.write(digits.padStart(length - 1, '0'), offset, length - 1, 'latin1');
+  return true;
+}
+
+/**
+ * Format a PAX extended header record, which starts with its own length
+ * @param {string} key - Keyword
+ * @param {string} value - Value
+ * @returns {string} Record
+ */
+function paxRecord(key, value) {
+  const body = ` ${key}=${value}\n`;
+  const base = Buffer.byteLength(body);
+  let length = base + String(base).length;
+  if (String(length).length > String(base).length) length = base + String(length).length;
+  return `${length}${body}`;
+}
+
+/**
+ * Build a ustar header block
+ * @param {Object} fields - { name, mode, uid, gid, size, mtime, type, linkName }
+ * @returns {Object} { header, overflow } where overflow lists the fields
+ *   needing a PAX record
+ */
+function ustarHeader({ name, mode, uid, gid, size, mtime, type, linkName = '' }) {
+  const header = Buffer.alloc(BLOCK);
+  const overflow = {};
+
+  if (Buffer.byteLength(name) > 100) overflow.path = name;
+  header.write(name, 0, 100, 'utf8');
+  writeOctal(header, mode, 100, 8);
+  if (!writeOctal(header, uid, 108, 8)) overflow.uid = String(uid);
+  if (!writeOctal(header, gid, 116, 8)) overflow.gid = String(gid);
+  if (!writeOctal(header, size, 124, 12)) overflow.size = String(size);
+  writeOctal(header, mtime, 136, 12);
+  header.write(type, 156, 1, 'latin1');
+  if (Buffer.byteLength(linkName) > 100) overflow.linkpath = linkName;
+  header.write(linkName, 157, 100, 'utf8');
+  header.write('ustar\u000000', 257, 8, 'latin1');
+
+  // The checksum is computed with its own field filled with spaces
+  header.fill(0x20, 148, 156);
+  const checksum = header.reduce((sum, byte) => sum + byte, 0);
+  header.write(`${checksum.toString(8).padStart(6, '0')}\u0000 `, 148, 8, 'latin1');
+
+  return { header, overflow };
+}
+
+/**
+ * Build the header blocks of a tar entry, with a PAX header before it for
+ * long names, large files and large IDs
+ * @param {Object} entry - Walked entry
+ * @param {number} size - Size of the data following the header
+ * @returns {Buffer} Header blocks
+ */
+function tarHeaders(entry, size) {
+  const { stats } = entry;
+  const isDirectory = stats.isDirectory();
+  const fields = {
+    name: isDirectory ? `${entry.name}/` : entry.name,
+    mode: stats.mode & 0o7777,
+    uid: stats.uid,
+    gid: stats.gid,
+    size,
+    mtime: Math.floor(stats.mtimeMs / 1000),
+    type: isDirectory ? '5' : entry.linkTarget !== undefined ? '2' : '0',
+    linkName: entry.linkTarget
+  };
+
+  const { header, overflow } = ustarHeader(fields);
+  if (Object.keys(overflow).length === 0) return header;
+
+  const records = Buffer.from(Object.entries(overflow).map(([key, value]) => paxRecord(key, value)).join(''));
+  const { header: paxHeader } = ustarHeader({
+    ...fields,
+    name: `PaxHeader/${path.posix.basename(fields.name).slice(0, 80)}`,
+    size: records.length,
+    type: 'x',
+    linkName: ''
+  });
+  const padding = Buffer.alloc((BLOCK - records.length % BLOCK) % BLOCK);
+  return Buffer.concat([paxHeader, records, padding, header]);
+}
+
+/**
+ * Produce the bytes of a tar archive of an item
+ * @param {string} sourcePath - Absolute path of the item
+ * @param {string} rootName - Name of the item in the archive
+ * @yields {Buffer} Archive data
+ */
+async function* tarStream(sourcePath, rootName) {
+  for await (const entry of walk(sourcePath, rootName)) {
+    const size = entry.stats.isFile() ? entry.stats.size : 0;
+    yield tarHeaders(entry, size);
+    if (size === 0) continue;
+
+    // The header announced the size, a file changing meanwhile would break the archive
+    let written = 0;
+    for await (const chunk of createReadStream(entry.absolutePath, { end: size - 1 })) {
+      written += chunk.length;
+      yield chunk;
+    }
+    if (written !== size) {
+      throw new ArchiveError(`"${entry.name}" changed while it was archived`, 'SOURCE_CHANGED');
+    }
+    if (size % BLOCK) yield Buffer.alloc(BLOCK - size % BLOCK);
+  }
+
+  // Two empty blocks end the archive
+  yield Buffer.alloc(BLOCK * 2);
+}
+
+/**
+ * Convert a date to the MS-DOS time and date of zip headers
+ * @param {Date} date - Date
+ * @returns {Object} { time, date }
+ */
+function toDosDateTime(date) {
+  const year = Math.min(Math.max(date.getFullYear(), 1980), 2107);
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+/**
+ * Convert the MS-DOS time and date of zip headers to a date
+ * @param {number} date - DOS date
+ * @param {number} time - DOS time
+ * @returns {Date} Date
+ */
+function fromDosDateTime(date, time) {
+  return new Date(1980 + (date >> 9), ((date >> 5) & 0xF) - 1, date & 0x1F,
+    time >> 11, (time >> 5) & 0x3F, (time & 0x1F) * 2);
+}
+
+/**
+ * Build the local header of a zip entry
+ * @param {Object} record - Entry record
+ * @returns {Buffer} Header
+ */
+function zipLocalHeader(record) {
+  const header = Buffer.alloc(30);
+  // Sizes and checksum follow the data when they are not known yet
+  const known = !(record.flags & 0x0008);
+  header.writeUInt32LE(ZIP_LOCAL_HEADER, 0);
+  header.writeUInt16LE(20, 4);
+  header.writeUInt16LE(record.flags, 6);
+  header.writeUInt16LE(record.method, 8);
+  header.writeUInt16LE(record.time, 10);
+  header.writeUInt16LE(record.date, 12);
+  header.writeUInt32LE(known ? record.crc : 0, 14);
+  header.writeUInt32LE(known ? record.compressedSize : 0, 18);
+  header.writeUInt32LE(known ? record.size : 0, 22);
+  header.writeUInt16LE(record.name.length, 26);
+  return Buffer.concat([header, record.name]);
+}
+
+/**
+ * Build the data descriptor following the data of a zip entry
+ * @param {Object} record - Entry record
+ * @returns {Buffer} Descriptor
+ */
+function zipDataDescriptor(record) {
+  const descriptor = Buffer.alloc(16);
+  descriptor.writeUInt32LE(ZIP_DATA_DESCRIPTOR, 0);
+  descriptor.writeUInt32LE(record.crc, 4);
+  descriptor.writeUInt32LE(record.compressedSize, 8);
+  descriptor.writeUInt32LE(record.size, 12);
+  return descriptor;
+}
+
+/**
+ * Build the central directory header of a zip entry
+ * @param {Object} record - Entry record
+ * @returns {Buffer} Header
+ */
+function zipCentralHeader(record) {
+  const header = Buffer.alloc(46);
+  header.writeUInt32LE(ZIP_CENTRAL_HEADER, 0);
+  // Made by Unix, so the mode in the external attributes is read back
+  header.writeUInt16LE((3 << 8) | 20, 4);
+  header.writeUInt16LE(20, 6);
+  header.writeUInt16LE(record.flags, 8);
+  header.writeUInt16LE(record.method, 10);
+  header.writeUInt16LE(record.time, 12);
+  header.writeUInt16LE(record.date, 14);
+  header.writeUInt32LE(record.crc, 16);
+  header.writeUInt32LE(record.compressedSize, 20);
+  header.writeUInt32LE(record.size, 24);
+  header.writeUInt16LE(record.name.length, 28);
+  header.writeUInt32LE(((record.mode << 16) | (record.isDirectory ? 0x10 : 0)) >>> 0, 38);
+  header.writeUInt32LE(record.offset, 42);
+  return Buffer.concat([header, record.name]);
+}
+
+/**
+ * Produce the bytes of a zip archive of an item
+ * @param {string} sourcePath - Absolute path of the item
+ * @param {string} rootName - Name of the item in the archive
+ * @yields {Buffer} Archive data
+ */
+async function* zipStream(sourcePath, rootName) {
+  const central = [];
+  let offset = 0;
+  const tooLarge = () => new ArchiveError('Archive is too large for a zip file, use tar.gz instead', 'ARCHIVE_TOO_LARGE');
+
+  for await (const entry of walk(sourcePath, rootName)) {
+    if (central.length === ZIP_MAX_ENTRIES || offset >= ZIP_MAX_SIZE) throw tooLarge();
+
+    const { stats } = entry;
+    const isDirectory = stats.isDirectory();
+    const isLink = entry.linkTarget !== undefined;
+    const record = {
+      name: Buffer.from(isDirectory ? `${entry.name}/` : entry.name),
+      // UTF-8 names
+      flags: 0x0800,
+      method: 0,
+      ...toDosDateTime(stats.mtime),
+      crc: 0,
+      compressedSize: 0,
+      size: 0,
+      mode: (stats.mode & 0o7777) | (isDirectory ? S_IFDIR : isLink ? S_IFLNK : S_IFREG),
+      isDirectory,
+      offset
+    };
+
+    if (stats.isFile()) {
+      // Deflated, with the checksum and sizes in a descriptor after the data
+      record.method = 8;
+      record.flags |= 0x0008;
+      const header = zipLocalHeader(record);
+      offset += header.length;
+      yield header;
+
+      // The checksum and size are those of the data going into the deflate stream
+      const counter = new Transform({
+        transform(chunk, encoding, callback) {
+          record.crc = zlib.crc32(chunk, record.crc);
+          record.size += chunk.length;
+          callback(null, chunk);
+        }
+      });
+      const deflated = pipeStreams(createReadStream(entry.absolutePath), counter, zlib.createDeflateRaw(), () => {});
+      for await (const chunk of deflated) {
+        record.compressedSize += chunk.length;
+        offset += chunk.length;
+        yield chunk;
+      }
+      if (record.size >= ZIP_MAX_SIZE || record.compressedSize >= ZIP_MAX_SIZE) throw tooLarge();
+
+      const descriptor = zipDataDescriptor(record);
+      offset += descriptor.length;
+      yield descriptor;
+    } else {
+      // Links are stored with their target as contents
+      const content = isLink ? Buffer.from(entry.linkTarget) : Buffer.alloc(0);
+      record.crc = zlib.crc32(content);
+      record.size = content.length;
+      record.compressedSize = content.length;
+      const header = zipLocalHeader(record);
+      offset += header.length + content.length;
+      yield header;
+      if (content.length > 0) yield content;
+    }
+    central.push(record);
+  }
+
+  const centralOffset = offset;
+  for (const record of central) {
+    const header = zipCentralHeader(record);
+    offset += header.length;
+    yield header;
+  }
+  if (offset >= ZIP_MAX_SIZE) throw tooLarge();
+
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(ZIP_END, 0);
+  end.writeUInt16LE(central.length, 8);
+  end.writeUInt16LE(central.length, 10);
+  end.writeUInt32LE(offset - centralOffset, 12);
+  end.writeUInt32LE(centralOffset, 16);
+  yield end;
+}
+
+/**
+ * Reads exact amounts of bytes from a stream of chunks
+ */
+class ByteReader {
+  /**
+   * @param {AsyncIterable<Buffer>} source - Chunks
+   */
+  constructor(source) {
+    this.iterator = source[Symbol.asyncIterator]();
+    this.buffer = Buffer.alloc(0);
+    this.ended = false;
+  }
+
+  /**
+   * Buffer at least some bytes, unless the stream ends first
+   * @param {number} length - Number of bytes
+   */
+  async fill(length) {
+    while (this.buffer.length < length && !this.ended) {
+      const { value, done } = await this.iterator.next();
+      if (done) {
+        this.ended = true;
+      } else {
+        this.buffer = this.buffer.length > 0 ? Buffer.concat([this.buffer, value]) : value;
+      }
+    }
+  }
+
+  /**
+   * Check whether the stream has no bytes left
+   * @returns {Promise<boolean>} Whether it ended
+   */
+  async atEnd() {
+    await this.fill(1);
+    return this.buffer.length === 0;
+  }
+
+  /**
+   * Read a number of bytes
+   * @param {number} length - Number of bytes
+   * @returns {Promise<Buffer>} Bytes
+   */
+  async read(length) {
+    await this.fill(length);
+    if (this.buffer.length < length) throw corrupt('it ends too early');
+    const bytes = this.buffer.subarray(0, length);
+    this.buffer = this.buffer.subarray(length);
+    return bytes;
+  }
+
+  /**
+   * Read a number of bytes as they arrive
+   * @param {number} length - Number of bytes
+   * @yields {Buffer} Chunks
+   */
+  async* stream(length) {
+    let left = length;
+    while (left > 0) {
+      await this.fill(1);
+      if (this.buffer.length === 0) throw corrupt('it ends too early');
+      const chunk = this.buffer.subarray(0, Math.min(left, this.buffer.length));
+      this.buffer = this.buffer.subarray(chunk.length);
+      left -= chunk.length;
+      yield chunk;
+    }
+  }
+
+  /**
+   * Skip a number of bytes
+   * @param {number} length - Number of bytes
+   */
+  async skip(length) {
+    const chunks = this.stream(length);
+    while (!(await chunks.next()).done);
+  }
+
+  /**
+   * Stop reading the stream
+   */
+  async close() {
+    await this.iterator.return?.();
+  }
+}
+
+/**
+ * Read a NUL terminated string field of a tar header
+ * @param {Buffer} buffer - Header block
+ * @param {number} offset - Field offset
+ * @param {number} length - Field length
+ * @returns {string} Value
+ */
+function readString(buffer, offset, length) {
+  const end = buffer.indexOf(0, offset);
+  return buffer.toString('utf8', offset, end === -1 || end > offset + length ? offset + length : end);
+}
+
+/**
+ * Read a number field of a tar header, octal or GNU base-256
+ * @param {Buffer} buffer - Header block
+ * @param {number} offset - Field offset
+ * @param {number} length - Field length
+ * @returns {number} Value
+ */
+function readNumber(buffer, offset, length) {
+  if (buffer[offset] & 0x80) {
+    let value = buffer[offset] & 0x7F;
+    for (let i = offset + 1; i < offset + length; i++) value = value * 256 + buffer[i];
+    return value;
+  }
+  return Number.parseInt(readString(buffer, offset, length).trim() || '0', 8);
+}
+
+/**
+ * Parse the records of a PAX extended header
+ * @param {Buffer} data - Header data
+ * @returns {Object} Values by keyword
+ */
+function parsePax(data) {
+  const values = {};
+  let position = 0;
+  while (position < data.length) {
+    const space = data.indexOf(0x20, position);
+    const length = Number.parseInt(data.toString('latin1', position, space), 10);
+    if (space === -1 || !(length > 0) || position + length > data.length) throw corrupt('invalid PAX header');
+    const record = data.toString('utf8', space + 1, position + length - 1);
+    const equals = record.indexOf('=');
+    if (equals !== -1) values[record.slice(0, equals)] = record.slice(equals + 1);
+    position += length;
+  }
+  return values;
+}
+
+/**
+ * Read the entries of a tar stream
+ *
+ * Each entry's data must be read with `open()` before asking for the next
+ * entry, or it is skipped.
+ *
+ * @param {AsyncIterable<Buffer>} source - Uncompressed tar data
+ * @yields {Object} { path, type, size, mode, mtime, linkTarget, open }
+ */
+async function* readTarEntries(source) {
+  const reader = new ByteReader(source);
+  let pax = {};
+  let longName = null;
+  let longLink = null;
+
+  try {
+    // Some writers leave out the empty blocks ending the archive
+    while (!(await reader.atEnd())) {
+      const header = await reader.read(BLOCK);
+      if (header.every(byte => byte === 0)) return;
+
+      const stored = readNumber(header, 148, 8);
+      const checksum = header.reduce((sum, byte, index) => sum + (index >= 148 && index < 156 ? 0x20 : byte), 0);
+      if (stored !== checksum) throw corrupt('invalid tar header');
+
+      const type = header[156] === 0 ? '0' : String.fromCharCode(header[156]);
+      const size = pax.size !== undefined ? Number(pax.size) : readNumber(header, 124, 12);
+      const padding = (BLOCK - size % BLOCK) % BLOCK;
+
+      // Extended headers describe the next entry
+      if (['x', 'g', 'L', 'K'].includes(type)) {
+        if (size > MAX_HEADER_DATA) throw corrupt('extended header too large');
+        const data = await reader.read(size);
+        await reader.skip(padding);
+        if (type === 'x') pax = parsePax(data);
+        if (type === 'L') longName = readString(data, 0, size);
+        if (type === 'K') longLink = readString(data, 0, size);
+        continue;
+      }
+
+      const prefix = header.toString('latin1', 257, 262) === 'ustar' ? readString(header, 345, 155) : '';
+      const name = pax.path ?? longName ?? (prefix ? `${prefix}/${readString(header, 0, 100)}` : readString(header, 0, 100));
+      let entryType = 'other';
+      if (type === '0' || type === '7') entryType = name.endsWith('/') ? 'directory' : 'file';
+      if (type === '5') entryType = 'directory';
+      if (type === '2') entryType = 'symlink';
+
+      let opened = false;
+      const entry = {
+        path: name,
+        type: entryType,
+        size: entryType === 'file' ? size : 0,
+        mode: readNumber(header, 100, 8) & 0o7777,
+        mtime: new Date(Number(pax.mtime ?? readNumber(header, 136, 12)) * 1000),
+        linkTarget: entryType === 'symlink' ? pax.linkpath ?? longLink ?? readString(header, 157, 100) : undefined,
+        open: () => {
+          opened = true;
+          return reader.stream(size);
+        }
+      };
+      pax = {};
+      longName = null;
+      longLink = null;
+
+      yield entry;
+      if (!opened) await reader.skip(size);
+      await reader.skip(padding);
+    }
+  } finally {
+    await reader.close();
+  }
+}
+
+/**
+ * Find the central directory of a zip file
+ * @param {FileHandle} handle - Open archive
+ * @param {number} size - Size of the archive
+ * @returns {Promise<Object>} { entryCount, centralSize, centralOffset }
+ */
+async function readZipEnd(handle, size) {
+  // The end record is followed by a comment of up to 64 KB
+  const tailLength = Math.min(size, 22 + 0xFFFF);
+  const tail = Buffer.alloc(tailLength);
+  await handle.read(tail, 0, tailLength, size - tailLength);
+
+  let position = -1;
+  for (let i = tailLength - 22; i >= 0; i--) {
+    if (tail.readUInt32LE(i) === ZIP_END) {
+      position = i;
+      break;
+    }
+  }
+  if (position === -1) throw corrupt('no zip central directory');
+
+  let entryCount = tail.readUInt16LE(position + 10);
+  let centralSize = tail.readUInt32LE(position + 12);
+  let centralOffset = tail.readUInt32LE(position + 16);
+
+  // ZIP64 archives keep the real values in a record the locator points to
+  if (entryCount === 0xFFFF || centralSize === 0xFFFFFFFF || centralOffset === 0xFFFFFFFF) {
+    const locatorPosition = size - tailLength + position - 20;
+    if (locatorPosition < 0) throw corrupt('no ZIP64 locator');
+    const locator = Buffer.alloc(20);
+    await handle.read(locator, 0, 20, locatorPosition);
+    if (locator.readUInt32LE(0) !== ZIP64_LOCATOR) throw corrupt('no ZIP64 locator');
+
+    const record = Buffer.alloc(56);
+    await handle.read(record, 0, 56, Number(locator.readBigUInt64LE(8)));
+    if (record.readUInt32LE(0) !== ZIP64_END) throw corrupt('no ZIP64 end record');
+    entryCount = Number(record.readBigUInt64LE(32));
+    centralSize = Number(record.readBigUInt64LE(40));
+    centralOffset = Number(record.readBigUInt64LE(48));
+  }
+
+  if (centralOffset + centralSize > size) throw corrupt('central directory out of bounds');
+  return { entryCount, centralSize, centralOffset };
+}
+
+/**
+ * Read the data of a zip entry, checking its size and checksum
+ * @param {FileHandle} handle - Open archive
+ * @param {string} archivePath - Path of the archive
+ * @param {Object} record - Central directory record of the entry
+ * @yields {Buffer} Uncompressed data
+ */
+async function* readZipData(handle, archivePath, record) {
+  if (record.flags & 0x0001) {
+    throw new ArchiveError(`"${record.path}" is encrypted`, 'ARCHIVE_UNSUPPORTED');
+  }
+  if (record.method !== 0 && record.method !== 8) {
+    throw new ArchiveError(`"${record.path}" uses an unsupported compression method`, 'ARCHIVE_UNSUPPORTED');
+  }
+
+  const local = Buffer.alloc(30);
+  await handle.read(local, 0, 30, record.localOffset);
+  if (local.readUInt32LE(0) !== ZIP_LOCAL_HEADER) throw corrupt(`no local header for "${record.path}"`);
+
+  let crc = 0;
+  let size = 0;
+  if (record.compressedSize > 0) {
+    const start = record.localOffset + 30 + local.readUInt16LE(26) + local.readUInt16LE(28);
+    const raw = createReadStream(archivePath, { start, end: start + record.compressedSize - 1 });
+    const data = record.method === 8 ? pipeStreams(raw, zlib.createInflateRaw(), () => {}) : raw;
+
+    for await (const chunk of data) {
+      crc = zlib.crc32(chunk, crc);
+      size += chunk.length;
+      if (size > record.size) break;
+      yield chunk;
+    }
+  }
+
+  if (size !== record.size || crc !== record.crc) throw corrupt(`"${record.path}" does not match its checksum`);
+}
+
+/**
+ * Decode the name of a zip entry
+ *
+ * Many Unix tools write UTF-8 names without setting the UTF-8 flag, so names
+ * are only read as Latin-1 when they are not valid UTF-8.
+ *
+ * @param {Buffer} name - Raw name
+ * @param {number} flags - Flags of the entry
+ * @returns {string} Name
+ */
+function decodeZipName(name, flags) {
+  if (flags & 0x0800) return name.toString('utf8');
+  try {
+    return utf8Decoder.decode(name);
+  } catch (err) {
+    return name.toString('latin1');
+  }
+}
+
+/**
+ * Read the entries of a zip file from its central directory
+ * @param {string} archivePath - Path of the archive
+ * @yields {Object} { path, type, size, mode, mtime, linkTarget, open }
+ */
+async function* readZipEntries(archivePath) {
+  const handle = await fs.open(archivePath, 'r');
+  try {
+    const { size } = await handle.stat();
+    const { entryCount, centralSize, centralOffset } = await readZipEnd(handle, size);
+    if (entryCount === 0) return;
+
+    const reader = new ByteReader(createReadStream(archivePath, { start: centralOffset, end: centralOffset + centralSize - 1 }));
+    try {
+      for (let index = 0; index < entryCount; index++) {
+        const header = await reader.read(46);
+        if (header.readUInt32LE(0) !== ZIP_CENTRAL_HEADER) throw corrupt('invalid central directory');
+
+        const flags = header.readUInt16LE(8);
+        const record = {
+          flags,
+          method: header.readUInt16LE(10),
+          crc: header.readUInt32LE(16),
+          compressedSize: header.readUInt32LE(20),
+          size: header.readUInt32LE(24),
+          localOffset: header.readUInt32LE(42)
+        };
+        record.path = decodeZipName(await reader.read(header.readUInt16LE(28)), flags);
+        const extra = await reader.read(header.readUInt16LE(30));
+        await reader.skip(header.readUInt16LE(32));
+
+        // ZIP64 extra field: 64-bit values of the fields set to 0xFFFFFFFF, in this order
+        for (let position = 0; position + 4 <= extra.length;) {
+          const id = extra.readUInt16LE(position);
+          const length = extra.readUInt16LE(position + 2);
+          if (id === 0x0001) {
+            let field = position + 4;
+            for (const key of ['size', 'compressedSize', 'localOffset']) {
+              if (record[key] === 0xFFFFFFFF && field + 8 <= position + 4 + length) {
+                record[key] = Number(extra.readBigUInt64LE(field));
+                field += 8;
+              }
+            }
+          }
+          position += 4 + length;
+        }
+
+        // Archives made on Unix keep the file type and mode in the external attributes
+        const external = header.readUInt32LE(38);
+        const unixMode = header[5] === 3 ? external >>> 16 : 0;
+        const fileType = unixMode & S_IFMT;
+        let type = 'file';
+        if (record.path.endsWith('/') || fileType === S_IFDIR || (external & 0x10)) {
+          type = 'directory';
+        } else if (fileType === S_IFLNK) {
+          type = 'symlink';
+        } else if (fileType !== 0 && fileType !== S_IFREG) {
+          type = 'other';
+        }
+
+        const entry = {
+          path: record.path,
+          type,
+          size: type === 'file' ? record.size : 0,
+          mode: (unixMode & 0o7777) || (type === 'directory' ? 0o755 : 0o644),
+          mtime: fromDosDateTime(header.readUInt16LE(14), header.readUInt16LE(12)),
+          open: () => readZipData(handle, archivePath, record)
+        };
+        if (type === 'symlink') {
+          if (record.size > MAX_LINK_TARGET) throw corrupt(`link "${record.path}" is too long`);
+          const chunks = [];
+          for await (const chunk of entry.open()) chunks.push(chunk);
+          entry.linkTarget = Buffer.concat(chunks).toString('utf8');
+        }
+        yield entry;
+      }
+    } finally {
+      await reader.close();
+    }
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Recognize the format of an archive from its first bytes
+ * @param {string} archivePath - Path of the archive
+ * @returns {Promise<string>} "zip", "tar.gz" or "tar"
+ */
+export async function detectArchiveFormat(archivePath) {
+  const header = Buffer.alloc(BLOCK);
+  const handle = await fs.open(archivePath, 'r');
+  let bytesRead;
+  try {
+    ({ bytesRead } = await handle.read(header, 0, BLOCK, 0));
+  } finally {
+    await handle.close();
+  }
+
+  if (bytesRead >= 4 && [ZIP_LOCAL_HEADER, ZIP_END].includes(header.readUInt32LE(0))) return 'zip';
+  if (bytesRead >= 2 && header[0] === 0x1F && header[1] === 0x8B) return 'tar.gz';
+  if (bytesRead === BLOCK && header.toString('latin1', 257, 262) === 'ustar') return 'tar';
+  throw new ArchiveError('Not a zip, tar.gz or tar archive', 'ARCHIVE_UNSUPPORTED');
+}
+
+/**
+ * Read the entries of an archive of any supported format
+ * @param {string} archivePath - Path of the archive
+ * @yields {Object} { path, type, size, mode, mtime, linkTarget, open } where
+ *   type is "file", "directory", "symlink" or "other"
+ */
+async function* readArchiveEntries(archivePath) {
+  const format = await detectArchiveFormat(archivePath);
+  try {
+    if (format === 'zip') {
+      yield* readZipEntries(archivePath);
+    } else {
+      const input = createReadStream(archivePath);
+      yield* readTarEntries(format === 'tar.gz' ? pipeStreams(input, zlib.createGunzip(), () => {}) : input);
+    }
+  } catch (err) {
+    // Decompression errors of zlib
+    if (typeof err.code === 'string' && err.code.startsWith('Z_')) throw corrupt(err.message);
+    throw err;
+  }
+}
+
+/**
+ * Split the path of an archive entry, refusing paths leaving the folder it
+ * is extracted to
+ * @param {string} entryPath - Path in the archive
+ * @returns {Array<string>} Segments, empty for the folder itself
+ */
+function toEntrySegments(entryPath) {
+  const segments = entryPath.split('/').filter(segment => segment !== '' && segment !== '.');
+  if (entryPath.startsWith('/') || segments.some(segment => segment === '..' || /[\\\0]/.test(segment))) {
+    throw new ArchiveError(`Archive entry "${entryPath}" has an unsafe path`, 'ARCHIVE_UNSAFE_PATH');
+  }
+  return segments;
+}
+
+/**
+ * List the entries of an archive, without extracting anything
+ * @param {string} archivePath - Path of the archive
+ * @param {number} limit - Maximum number of entries
+ * @returns {Promise<Object>} { format, entries, truncated } where entries
+ *   are { path, isDirectory, isSymlink, size, linkTarget } and only the
+ *   files, folders and links an extraction creates
+ */
+export async function listArchive(archivePath, limit = LIST_LIMIT) {
+  const format = await detectArchiveFormat(archivePath);
+  const entries = [];
+  let truncated = false;
+
+  for await (const entry of readArchiveEntries(archivePath)) {
+    const segments = toEntrySegments(entry.path);
+    if (segments.length === 0 || entry.type === 'other') continue;
+    if (entries.length === limit) {
+      truncated = true;
+      break;
+    }
+    entries.push({
+      path: segments.join('/'),
+      isDirectory: entry.type === 'directory',
+      isSymlink: entry.type === 'symlink',
+      size: entry.size,
+      ...(entry.type === 'symlink' && { linkTarget: entry.linkTarget })
+    });
+  }
+
+  return { format, entries, truncated };
+}
+
+/**
+ * Name a temporary item next to a target, hidden and unique
+ * @param {string} targetPath - Absolute target path
+ * @param {string} suffix - What the item is for
+ * @returns {string} Temporary path
+ */
+function getTempPath(targetPath, suffix) {
+  return path.join(path.dirname(targetPath), `.${path.basename(targetPath)}.${crypto.randomBytes(4).toString('hex')}.${suffix}`);
+}
+
+/**
+ * Write an archive of an item to a temporary file next to its target
+ * @param {string} sourcePath - Absolute path of the item to archive
+ * @param {string} targetPath - Absolute path the archive will be renamed to
+ * @param {string} format - "zip" or "tar.gz"
+ * @returns {Promise<string>} Path of the complete temporary file
+ */
+export async function writeArchiveTemp(sourcePath, targetPath, format) {
+  const tempPath = getTempPath(targetPath, 'archive');
+  const rootName = path.basename(sourcePath);
+  const stages = format === 'zip'
+    ? [zipStream(sourcePath, rootName)]
+    : [tarStream(sourcePath, rootName), zlib.createGzip()];
+
+  try {
+    await pipeline(...stages, createWriteStream(tempPath, { flags: 'wx' }));
+
+    // Make sure the data is on disk before the archive takes its place
+    const handle = await fs.open(tempPath, 'r');
+    try {
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+  } catch (err) {
+    if (err.code !== 'EEXIST') await fs.rm(tempPath, { force: true });
+    throw err;
+  }
+  return tempPath;
+}
+
+/**
+ * Explain the error of an entry written where another entry is in the way,
+ * such as a file and a link of the same path
+ * @param {Error} err - Error of the write
+ * @param {string} entryPath - Path of the entry in the archive
+ * @returns {Error} ArchiveError for conflicting entries, the error otherwise
+ */
+function toEntryConflictError(err, entryPath) {
+  if (!['EEXIST', 'ENOTDIR', 'EISDIR'].includes(err.code)) return err;
+  return new ArchiveError(`Archive entry "${entryPath}" conflicts with another entry of the archive`, 'ARCHIVE_ENTRY_CONFLICT');
+}
+
+/**
+ * Extract an archive to a temporary folder next to its target
+ *
+ * Links are created last and nothing is written through them, so an archive
+ * cannot write outside the folder. Files and folders keep their mode, without
+ * set-user-ID, set-group-ID and sticky bits, and their modification time;
+ * the server's user always keeps access to the folders.
+ *
+ * @param {string} archivePath - Absolute path of the archive
+ * @param {string} targetPath - Absolute path of the folder to extract to
+ * @returns {Promise<string>} Path of the temporary folder
+ */
+export async function extractArchiveTemp(archivePath, targetPath) {
+  const tempPath = getTempPath(targetPath, 'extract');
+  const links = [];
+  const linkPaths = new Set();
+  const folders = [];
+
+  await fs.mkdir(tempPath);
+  try {
+    for await (const entry of readArchiveEntries(archivePath)) {
+      const segments = toEntrySegments(entry.path);
+      if (segments.length === 0) continue;
+      if (segments.some((segment, depth) => linkPaths.has(segments.slice(0, depth + 1).join('/')))) {
+        throw new ArchiveError(`Archive entry "${entry.path}" goes through a link of the archive`, 'ARCHIVE_UNSAFE_PATH');
+      }
+
+      const itemPath = path.join(tempPath, ...segments);
+      try {
+        if (entry.type === 'directory') {
+          await fs.mkdir(itemPath, { recursive: true });
+          folders.push({ itemPath, mode: entry.mode, mtime: entry.mtime });
+        } else if (entry.type === 'file') {
+          await fs.mkdir(path.dirname(itemPath), { recursive: true });
+          await pipeline(entry.open(), createWriteStream(itemPath, { mode: 0o600 }));
+          await fs.chmod(itemPath, entry.mode & 0o777);
+          await fs.utimes(itemPath, entry.mtime, entry.mtime);
+        } else if (entry.type === 'symlink') {
+          links.push({ entryPath: entry.path, itemPath, linkTarget: entry.linkTarget, mtime: entry.mtime });
+          linkPaths.add(segments.join('/'));
+        } else {
+          console.warn(`Not extracting "${entry.path}" of ${archivePath}: not a file, folder or link`);
+        }
+      } catch (err) {
+        throw toEntryConflictError(err, entry.path);
+      }
+    }
+
+    for (const { entryPath, itemPath, linkTarget, mtime } of links) {
+      try {
+        await fs.mkdir(path.dirname(itemPath), { recursive: true });
+        await fs.symlink(linkTarget, itemPath);
+        await fs.lutimes(itemPath, mtime, mtime);
+      } catch (err) {
+        throw toEntryConflictError(err, entryPath);
+      }
+    }
+    // Deepest folders first, their times change as their contents are written
+    for (const { itemPath, mode, mtime } of folders.reverse()) {
+      await fs.chmod(itemPath, (mode & 0o777) | 0o700);
+      await fs.utimes(itemPath, mtime, mtime);
+    }
+  } catch (err) {
+    await fs.rm(tempPath, { recursive: true, force: true });
+    throw err;
+  }
+  return tempPath;
+}
@@ -0,0 +1,263 @@
+/**
+ * Audit Log
+ *
+ * Apply jobs are recorded in `audit.ndjson` in the data directory: a line
+ * when a job starts, with the folder, the change log and who sent it, and a
+ * line when it ends, with its backup and what became of every operation.
+ * Lines are only ever appended, so a crash cannot damage earlier records.
+ */
+
+import fs from 'fs/promises';
+import { createReadStream } from 'fs';
+import path from 'path';
+import readline from 'readline';
+import { isWithin } from './paths.js';
+
+const AUDIT_FILE = 'audit.ndjson';
+const DEFAULT_HISTORY_LIMIT = 100;
+const MAX_HISTORY_LIMIT = 1000;
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Error raised for history queries that cannot be served
+ */
+export class AuditError extends Error {
+  /**
+   * @param {string} message - Human readable message
+   * @param {string} code - Machine readable error code
+   * @param {number} status - HTTP status to answer with
+   */
+  constructor(message, code, status = 400) {
+    super(message);
+    this.name = 'AuditError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+let auditPath = null;
+
+// Appends are chained so concurrent jobs never interleave their lines
+let appendQueue = Promise.resolve();
+
+/**
+ * Prepare the audit log
+ * @param {string} dataDir - Data directory of the server
+ * @returns {Promise<string>} Path of the audit log
+ */
+export async function initAuditLog(dataDir) {
+  await fs.mkdir(dataDir, { recursive: true });
+  auditPath = path.join(dataDir, AUDIT_FILE);
+  return auditPath;
+}
+
+/**
+ * Append a line to the audit log
+ * @param {Object} line - Audit log line
+ * @returns {Promise} Resolved once written; failures are logged, not thrown
+ */
+function appendLine(line) {
+  appendQueue = appendQueue
+    .then(() => fs.appendFile(auditPath, `${JSON.stringify(line)}\n`))
+    .catch(err => {
+      console.error(`Cannot write job ${line.id} to the audit log:`, err);
+    });
+  return appendQueue;
+}
+
+/**
+ * Work out the outcome of every operation of a finished job
+ *
+ * Operations before the one the job stopped at were completed, and undone
+ * again unless the job succeeded or its rollback failed.
+ *
+ * @param {Object} job - Finished job
+ * @returns {Array} { index, status, error? } for every operation
+ */
+function getOperationOutcomes(job) {
+  const { total } = job.progress;
+  const reached = job.status === 'succeeded' ? total : job.reached ?? 0;
+
+  return Array.from({ length: total }, (_, index) => {
+    if (index < reached) {
+      if (job.status === 'succeeded') return { index, status: 'applied' };
+      return { index, status: job.code === 'ROLLBACK_FAILED' ? 'rollback_failed' : 'rolled_back' };
+    }
+    if (index === reached && job.stepError) {
+      return { index, status: 'failed', error: job.stepError };
+    }
+    return { index, status: 'not_run' };
+  });
+}
+
+/**
+ * Record that a job started applying a change log
+ * @param {Object} job - New job, with its change log and client identity
+ * @returns {Promise} Resolved once written
+ */
+export function recordJobStart(job) {
+  return appendLine({
+    event: 'started',
+    id: job.id,
+    path: job.basePath,
+    client: job.client,
+    startedAt: job.createdAt,
+    changeLog: job.changeLog
+  });
+}
+
+/**
+ * Record how a job ended
+ * @param {Object} job - Finished job; `reached` is the index of the first
+ *   operation it did not complete and `stepError` why that operation failed
+ * @returns {Promise} Resolved once written
+ */
+export function recordJobEnd(job) {
+  return appendLine({
+    event: 'finished',
+    id: job.id,
+    finishedAt: job.updatedAt,
+    status: job.status,
+    error: job.error || null,
+    code: job.code || null,
+    backup: job.result?.backupId ? { id: job.result.backupId, path: job.result.tmpPath } : null,
+    operations: getOperationOutcomes(job)
+  });
+}
+
+/**
+ * Parse a date filter of a history query
+ * @param {any} value - Query value, an ISO date or date and time
+ * @param {boolean} endOfDay - Whether a plain date means the end of that day
+ * @returns {number|null} Timestamp, or null without filter
+ */
+export function parseDateFilter(value, endOfDay = false) {
+  if (value === undefined || value === '') return null;
+
+  const time = typeof value === 'string' ? Date.parse(value) : NaN;
+  if (Number.isNaN(time)) {
+    throw new AuditError(`Invalid date "${value}", expected an ISO date such as 2024-01-15`, 'INVALID_DATE');
+  }
+  return endOfDay && DATE_ONLY.test(value) ? time + DAY_MS - 1 : time;
+}
+
+/**
+ * Get the summary of an audit entry, without change log and outcomes
+ * @param {Object} entry - Audit entry
+ * @returns {Object} Entry summary
+ */
+function toSummary({ changeLog, operations, ...entry }) {
+  const outcomes = {};
+  for (const { status } of operations || []) {
+    outcomes[status] = (outcomes[status] || 0) + 1;
+  }
+  return { ...entry, changeCount: changeLog.length, outcomes };
+}
+
+/**
+ * Read the audit log, joining the start and end lines of every job
+ *
+ * Jobs still running are handed out last, with status "running". End lines
+ * without a start line are skipped.
+ *
+ * @param {Function} onEntry - Called with every job entry
+ */
+async function readEntries(onEntry) {
+  let stream;
+  try {
+    stream = createReadStream(auditPath, { encoding: 'utf8' });
+    await new Promise((resolve, reject) => {
+      stream.once('open', resolve);
+      stream.once('error', reject);
+    });
+  } catch (err) {
+    if (err.code === 'ENOENT') return;
+    throw err;
+  }
+
+  const started = new Map();
+  for await (const line of readline.createInterface({ input: stream, crlfDelay: Infinity })) {
+    if (!line.trim()) continue;
+
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch (err) {
+      // A line cut short by a crash must not hide the rest of the history
+      console.warn(`Skipping unreadable audit log line: ${err.message}`);
+      continue;
+    }
+
+    const { event, ...fields } = record;
+    if (event === 'started') {
+      started.set(fields.id, fields);
+    } else if (event === 'finished' && started.has(fields.id)) {
+      onEntry({ ...started.get(fields.id), ...fields });
+      started.delete(fields.id);
+    }
+  }
+
+  for (const entry of started.values()) {
+    onEntry({ ...entry, finishedAt: null, status: 'running', error: null, code: null, backup: null, operations: null });
+  }
+}
+
+/**
+ * Sort entries newest first
+ * @param {Array} entries - Entries or summaries
+ * @returns {Array} The same array
+ */
+function sortNewestFirst(entries) {
+  return entries.sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+}
+
+/**
+ * Query the audit log, newest first
+ * @param {Object} filters - Query filters
+ * @param {string} filters.path - Real path; only changes to it or folders inside it
+ * @param {number} filters.from - Only jobs started at or after this timestamp
+ * @param {number} filters.to - Only jobs started at or before this timestamp
+ * @param {Function} filters.isVisible - Whether an entry's folder may be shown
+ * @param {number} filters.limit - Maximum number of entries
+ * @returns {Promise<Object>} { entries: summaries, total: number of matches }
+ */
+export async function queryHistory({ path: folderPath = null, from = null, to = null, isVisible = () => true, limit = DEFAULT_HISTORY_LIMIT } = {}) {
+  const max = Math.min(Math.max(Number(limit) || DEFAULT_HISTORY_LIMIT, 1), MAX_HISTORY_LIMIT);
+  let entries = [];
+  let total = 0;
+
+  await readEntries(entry => {
+    const startedAt = Date.parse(entry.startedAt);
+    if (folderPath && !isWithin(folderPath, entry.path)) return;
+    if (from !== null && startedAt < from) return;
+    if (to !== null && startedAt > to) return;
+    if (!isVisible(entry.path)) return;
+
+    total++;
+    entries.push(toSummary(entry));
+    // Keep memory flat on long logs: only the newest entries can be returned
+    if (entries.length >= max * 2) {
+      entries = sortNewestFirst(entries).slice(0, max);
+    }
+  });
+
+  return { entries: sortNewestFirst(entries).slice(0, max), total };
+}
+
+/**
+ * Get a single audit entry with its change log and operation outcomes
+ * @param {string} id - Job ID of the entry
+ * @returns {Promise<Object>} Audit entry
+ */
+export async function getHistoryEntry(id) {
+  let found = null;
+  await readEntries(entry => {
+    if (entry.id === id) found = entry;
+  });
+
+  if (!found) {
+    throw new AuditError('No history entry found with this ID', 'HISTORY_NOT_FOUND', 404);
+  }
+  return found;
+}
@@ -0,0 +1,225 @@
+/**
+ * Backup Registry
+ *
+ * Keeps track of the journals kept as backups after a successful apply. The
+ * registry is persisted in the data directory so backups survive restarts.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { Journal } from './journal.js';
+import { getPathSize, pathExists, removeDirectory } from './fs-utils.js';
+import { withLock } from './locks.js';
+
+const REGISTRY_FILE = 'backups.json';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Error raised for backup operations that cannot be performed
+ */
+export class BackupError extends Error {
+  /**
+   * @param {string} message - Human readable message
+   * @param {string} code - Machine readable error code
+   * @param {number} status - HTTP status to answer with
+   */
+  constructor(message, code, status = 400) {
+    super(message);
+    this.name = 'BackupError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+let registryPath = null;
+let backups = [];
+
+// Writes are chained so concurrent requests never interleave them; a failed
+// write only fails its own caller
+let saveQueue = Promise.resolve();
+
+/**
+ * Persist the registry atomically
+ * @param {Array} added - Backups to add, kept only once they are persisted
+ * @returns {Promise} Resolves once written
+ */
+function saveRegistry(added = []) {
+  const write = saveQueue.then(async () => {
+    const tmpFile = `${registryPath}.tmp`;
+    await fs.writeFile(tmpFile, JSON.stringify([...backups, ...added], null, 2));
+    await fs.rename(tmpFile, registryPath);
+    backups.push(...added);
+  });
+  saveQueue = write.catch(() => {});
+  return write;
+}
+
+/**
+ * Load the registry, dropping backups whose folder no longer exists
+ * @param {string} dataDir - Data directory of the server
+ * @returns {Promise<Array>} Known backups
+ */
+export async function initBackupRegistry(dataDir) {
+  await fs.mkdir(dataDir, { recursive: true });
+  registryPath = path.join(dataDir, REGISTRY_FILE);
+
+  try {
+    backups = JSON.parse(await fs.readFile(registryPath, 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      console.warn(`Cannot read backup registry, starting empty: ${err.message}`);
+    }
+    backups = [];
+  }
+
+  const existing = [];
+  for (const backup of backups) {
+    if (await pathExists(backup.backupPath)) {
+      existing.push(backup);
+    } else {
+      console.warn(`Forgetting backup ${backup.id}: ${backup.backupPath} no longer exists`);
+    }
+  }
+  backups = existing;
+  await saveRegistry();
+
+  return backups;
+}
+
+/**
+ * Register the journal of a successful apply as a backup
+ * @param {string} sourcePath - Real path of the folder that was changed
+ * @param {Journal} journal - Journal of the apply
+ * @param {Array} changeLog - Change log that produced the backup
+ * @param {string} secondaryPath - Real path of the second folder of its transfers, if any
+ * @returns {Promise<Object>} Backup metadata
+ */
+export async function registerBackup(sourcePath, journal, changeLog, secondaryPath = null) {
+  const backup = {
+    id: crypto.randomUUID(),
+    sourcePath,
+    secondaryPath,
+    backupPath: journal.path,
+    createdAt: new Date().toISOString(),
+    size: await getPathSize(journal.stagingPath),
+    changeLog
+  };
+
+  await saveRegistry([backup]);
+  return backup;
+}
+
+/**
+ * List backups, newest first
+ * @param {string} sourcePath - Optional real path to filter by
+ * @returns {Array} Backup metadata without change logs
+ */
+export function listBackups(sourcePath = null) {
+  return backups
+    .filter(backup => !sourcePath || backup.sourcePath === sourcePath)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .map(({ changeLog, ...backup }) => ({ ...backup, changeCount: changeLog.length }));
+}
+
+/**
+ * Get a single backup
+ * @param {string} id - Backup ID
+ * @returns {Object} Backup metadata
+ */
+export function getBackup(id) {
+  const backup = backups.find(b => b.id === id);
+  if (!backup) {
+    throw new BackupError('No backup found with this ID', 'BACKUP_NOT_FOUND', 404);
+  }
+  return backup;
+}
+
+/**
+ * Find the newest backup of a folder
+ * @param {string} sourcePath - Real path of the folder
+ * @returns {Object|null} Backup metadata or null
+ */
+export function findLatestBackup(sourcePath) {
+  return listBackups(sourcePath)[0] || null;
+}
+
+/**
+ * Delete a backup and everything it staged
+ * @param {string} id - Backup ID
+ */
+export async function deleteBackup(id) {
+  const backup = getBackup(id);
+  await removeDirectory(backup.backupPath);
+  backups = backups.filter(b => b.id !== id);
+  await saveRegistry();
+}
+
+/**
+ * Undo the change set of a backup, bringing the original folder back
+ *
+ * Only the newest backup of a folder can be restored, as older ones expect
+ * the tree as it was before the newer change sets.
+ *
+ * @param {string} id - Backup ID
+ * @returns {Promise<Object>} Restored backup metadata
+ */
+export async function restoreBackup(id) {
+  const backup = getBackup(id);
+
+  const latest = findLatestBackup(backup.sourcePath);
+  if (latest.id !== backup.id) {
+    throw new BackupError(
+      'A newer backup exists for this folder. Restore or delete it first.',
+      'NEWER_BACKUP_EXISTS',
+      409
+    );
+  }
+
+  if (!(await pathExists(backup.sourcePath))) {
+    throw new BackupError(`Original folder ${backup.sourcePath} no longer exists`, 'SOURCE_MISSING', 409);
+  }
+
+  const journal = await Journal.load(backup.sourcePath, backup.backupPath);
+  try {
+    await journal.rollback();
+  } catch (err) {
+    // Undone actions are marked in the journal, a retry resumes from here
+    throw new BackupError(
+      `Restore stopped: ${err.message}. The folder may have changed since the backup; the backup was kept.`,
+      'RESTORE_FAILED',
+      409
+    );
+  }
+
+  await journal.discard();
+  backups = backups.filter(b => b.id !== id);
+  await saveRegistry();
+  return backup;
+}
+
+/**
+ * Delete backups beyond the retention policy
+ * @param {Object} retention - { maxAgeDays, maxCount }
+ * @returns {Promise<number>} Number of pruned backups
+ */
+export async function pruneBackups({ maxAgeDays, maxCount }) {
+  const cutoff = Date.now() - maxAgeDays * DAY_MS;
+  const expired = listBackups().filter((backup, index) =>
+    index >= maxCount || new Date(backup.createdAt).getTime() < cutoff
+  );
+
+  for (const backup of expired) {
+    try {
+      // A backup being restored or deleted is left for the next run
+      await withLock([backup.backupPath], { operation: 'prune', owner: null }, () => {
+        console.log(`Pruning backup ${backup.backupPath}`);
+        return deleteBackup(backup.id);
+      });
+    } catch (err) {
+      console.warn(`Could not prune backup ${backup.id}: ${err.message}`);
+    }
+  }
+
+  return expired.length;
+}
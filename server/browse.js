@@ -0,0 +1,150 @@
+/**
+ * Directory Browsing
+ *
+ * Lists a single directory level so clients can navigate the allowed roots
+ * without knowing their paths by heart.
+ */
+
+import fs from 'fs/promises';
+import { constants } from 'fs';
+import path from 'path';
+import { PathError, findAllowedRoot, getAllowedRoots } from './paths.js';
+import { DEFAULT_IGNORE_PATTERNS, createIgnoreMatcher } from './ignore.js';
+
+export const BROWSE_LIMIT = 1000;
+
+const isDefaultIgnored = createIgnoreMatcher(DEFAULT_IGNORE_PATTERNS);
+
+/**
+ * Format the permission bits of a mode like `ls -l`
+ * @param {number} mode - File mode
+ * @returns {string} Permissions, e.g. "rwxr-xr-x"
+ */
+function formatPermissions(mode) {
+  const flags = ['r', 'w', 'x'];
+  let result = '';
+  for (let bit = 8; bit >= 0; bit--) {
+    result += mode & (1 << bit) ? flags[(8 - bit) % 3] : '-';
+  }
+  return result;
+}
+
+/**
+ * Check what the server process may do with a path
+ * @param {string} fullPath - Path to check
+ * @returns {Promise<Object>} { readable, writable }
+ */
+async function checkAccess(fullPath) {
+  const can = async mode => {
+    try {
+      await fs.access(fullPath, mode);
+      return true;
+    } catch (err) {
+      return false;
+    }
+  };
+  return { readable: await can(constants.R_OK), writable: await can(constants.W_OK) };
+}
+
+/**
+ * Describe one entry of a directory
+ * @param {string} dirPath - Real path of the directory
+ * @param {fs.Dirent} entry - Directory entry
+ * @returns {Promise<Object>} Entry description
+ */
+async function describeEntry(dirPath, entry) {
+  const fullPath = path.join(dirPath, entry.name);
+  const stats = await fs.lstat(fullPath);
+
+  const item = {
+    name: entry.name,
+    type: 'other',
+    isDirectory: stats.isDirectory(),
+    size: stats.isFile() ? stats.size : null,
+    lastModified: stats.mtime.toISOString(),
+    mode: (stats.mode & 0o777).toString(8).padStart(4, '0'),
+    permissions: formatPermissions(stats.mode),
+    ...(await checkAccess(fullPath))
+  };
+
+  if (stats.isDirectory()) {
+    item.type = 'directory';
+  } else if (stats.isFile()) {
+    item.type = 'file';
+  } else if (stats.isSymbolicLink()) {
+    item.type = 'symlink';
+    item.linkTarget = await fs.readlink(fullPath);
+
+    // Links can be browsed like folders when they lead to one inside the roots
+    try {
+      const realTarget = await fs.realpath(fullPath);
+      item.isDirectory = Boolean(findAllowedRoot(realTarget)) && (await fs.stat(realTarget)).isDirectory();
+    } catch (err) {
+      item.isDirectory = false;
+    }
+  }
+
+  return item;
+}
+
+/**
+ * List the allowed roots
+ * @returns {Object} Listing with one directory entry per root
+ */
+export function listAllowedRoots() {
+  return {
+    path: null,
+    parent: null,
+    root: null,
+    truncated: false,
+    entries: getAllowedRoots().map(root => ({ name: root, type: 'directory', isDirectory: true }))
+  };
+}
+
+/**
+ * List a single level of a directory inside the allowed roots
+ * @param {string} dirPath - Real path of the directory
+ * @param {Object} options - Listing options
+ * @param {string} options.prefix - Only list names starting with this, for autocompletion
+ * @param {number} options.limit - Maximum number of entries
+ * @returns {Promise<Object>} { path, parent, root, truncated, entries }
+ */
+export async function listDirectory(dirPath, { prefix = '', limit = BROWSE_LIMIT } = {}) {
+  const root = findAllowedRoot(dirPath);
+
+  let dirents;
+  try {
+    dirents = await fs.readdir(dirPath, { withFileTypes: true });
+  } catch (err) {
+    if (err.code !== 'EACCES' && err.code !== 'EPERM') throw err;
+    throw new PathError(`Cannot read directory: ${err.message}`, 'PATH_NOT_READABLE', 403);
+  }
+
+  const entries = dirents
+    .filter(entry => entry.name.startsWith(prefix) && !isDefaultIgnored(entry.name, entry.isDirectory()))
+    .sort((a, b) => {
+      // Directories first, then alphabetically
+      if (a.isDirectory() && !b.isDirectory()) return -1;
+      if (!a.isDirectory() && b.isDirectory()) return 1;
+      return a.name.localeCompare(b.name);
+    });
+
+  // Only describe what is returned, directories can be huge
+  const items = [];
+  for (const entry of entries.slice(0, limit)) {
+    try {
+      items.push(await describeEntry(dirPath, entry));
+    } catch (err) {
+      // The entry vanished or cannot be read, leave it out
+      console.warn(`Cannot describe ${path.join(dirPath, entry.name)}: ${err.message}`);
+    }
+  }
+
+  return {
+    path: dirPath,
+    parent: dirPath === root ? null : path.dirname(dirPath),
+    root,
+    truncated: entries.length > limit,
+    entries: items
+  };
+}
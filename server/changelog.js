@@ -0,0 +1,237 @@
+/**
+ * Change Log Schema
+ *
+ * A change log is the list of changes made in the client's tree, in the
+ * order they were made. Every request carrying one is checked against the
+ * schema as a whole before anything is planned or applied, so a malformed
+ * entry can never stop an apply half way.
+ *
+ * Version 1 entries, as produced by the client:
+ *   { type: 'move', from, to, override?, timestamp? }
+ *   { type: 'rename', path, newName, oldName?, override?, timestamp? }
+ *   { type: 'delete', path, itemName?, isDirectory?, timestamp? }
+ *   { type: 'copy', from, to, override?, timestamp? }
+ *   { type: 'mkdir', path, timestamp? }
+ *   { type: 'upload', path, uploadId, size, sha256, timestamp? }
+ *   { type: 'chmod', path, mode, fileMode?, recursive?, timestamp? }
+ *   { type: 'chown', path, uid?, gid?, recursive?, timestamp? }
+ *   { type: 'archive', path, to, format, deleteSource?, override?, timestamp? }
+ *   { type: 'extract', path, to, conflict?, timestamp? }
+ *   { type: 'transfer', from, to, inbound?, override?, timestamp? }
+ * Paths are relative to the target folder and slash separated. A transfer
+ * moves an item between the target folder and the second folder sent with
+ * the change log: `to` is in the second folder, or `from` with `inbound`.
+ */
+
+import { splitRelativePath, validateEntryName } from './paths.js';
+import { isValidUploadId } from './uploads.js';
+import { ARCHIVE_FORMATS } from './archives.js';
+
+export const CHANGE_LOG_VERSION = 1;
+
+/**
+ * Fields of every change type: required ones and optional ones, by kind
+ */
+const CHANGE_SCHEMAS = {
+  move: {
+    required: { from: 'path', to: 'path' },
+    optional: { override: 'boolean' }
+  },
+  rename: {
+    required: { path: 'path', newName: 'name' },
+    optional: { oldName: 'string', override: 'boolean' }
+  },
+  delete: {
+    required: { path: 'path' },
+    optional: { itemName: 'string', isDirectory: 'boolean' }
+  },
+  copy: {
+    required: { from: 'path', to: 'path' },
+    optional: { override: 'boolean' }
+  },
+  mkdir: {
+    required: { path: 'path' },
+    optional: {}
+  },
+  upload: {
+    required: { path: 'path', uploadId: 'uploadId', size: 'size', sha256: 'sha256' },
+    optional: {}
+  },
+  chmod: {
+    required: { path: 'path', mode: 'mode' },
+    optional: { fileMode: 'mode', recursive: 'boolean' }
+  },
+  chown: {
+    required: { path: 'path' },
+    optional: { uid: 'id', gid: 'id', recursive: 'boolean' }
+  },
+  archive: {
+    required: { path: 'path', to: 'path', format: 'archiveFormat' },
+    optional: { deleteSource: 'boolean', override: 'boolean' }
+  },
+  extract: {
+    required: { path: 'path', to: 'path' },
+    optional: { conflict: 'conflict' }
+  },
+  transfer: {
+    required: { from: 'path', to: 'path' },
+    optional: { inbound: 'boolean', override: 'boolean' }
+  }
+};
+
+export const EXTRACT_CONFLICTS = ['fail', 'skip', 'overwrite', 'rename'];
+
+const MAX_ACCOUNT_ID = 2 ** 32 - 2;
+
+const COMMON_FIELDS = { type: 'string', timestamp: 'date' };
+
+/**
+ * Error raised when a change log does not match the schema
+ */
+export class ChangeLogError extends Error {
+  /**
+   * @param {Array} details - { index, field, code, message } of every problem,
+   *   index being null for problems of the whole log
+   */
+  constructor(details) {
+    super(`Invalid change log: ${details.length} problem(s) found`);
+    this.name = 'ChangeLogError';
+    this.code = 'INVALID_CHANGE_LOG';
+    this.status = 400;
+    this.details = details;
+  }
+}
+
+/**
+ * Check a field value against its kind
+ * @param {any} value - Field value
+ * @param {string} kind - "path", "name", "string", "boolean", "date", "size",
+ *   "sha256", "uploadId", "mode", "id", "archiveFormat" or "conflict"
+ * @returns {Object|null} { code, message } of the problem, or null when valid
+ */
+function checkField(value, kind) {
+  if (kind === 'boolean') {
+    return typeof value === 'boolean' ? null : { code: 'INVALID_TYPE', message: 'must be true or false' };
+  }
+  if (kind === 'size') {
+    return Number.isSafeInteger(value) && value >= 0 ? null : { code: 'INVALID_TYPE', message: 'must be a number of bytes' };
+  }
+  if (kind === 'mode') {
+    return Number.isInteger(value) && value >= 0 && value <= 0o7777 ? null : { code: 'INVALID_TYPE', message: 'must be a mode between 0 and 0o7777' };
+  }
+  if (kind === 'id') {
+    return Number.isInteger(value) && value >= 0 && value <= MAX_ACCOUNT_ID ? null : { code: 'INVALID_TYPE', message: 'must be a numeric user or group ID' };
+  }
+  if (typeof value !== 'string') {
+    return { code: 'INVALID_TYPE', message: 'must be a string' };
+  }
+  if (kind === 'archiveFormat' && !ARCHIVE_FORMATS.includes(value)) {
+    return { code: 'INVALID_TYPE', message: `must be one of ${ARCHIVE_FORMATS.join(', ')}` };
+  }
+  if (kind === 'conflict' && !EXTRACT_CONFLICTS.includes(value)) {
+    return { code: 'INVALID_TYPE', message: `must be one of ${EXTRACT_CONFLICTS.join(', ')}` };
+  }
+
+  try {
+    if (kind === 'path') splitRelativePath(value);
+    if (kind === 'name') validateEntryName(value);
+  } catch (err) {
+    return { code: err.code, message: err.message };
+  }
+
+  if (kind === 'date' && Number.isNaN(Date.parse(value))) {
+    return { code: 'INVALID_TYPE', message: 'must be an ISO date' };
+  }
+  if (kind === 'sha256' && !/^[0-9a-f]{64}$/.test(value)) {
+    return { code: 'INVALID_TYPE', message: 'must be a lowercase hex SHA-256' };
+  }
+  if (kind === 'uploadId' && !isValidUploadId(value)) {
+    return { code: 'INVALID_TYPE', message: 'must be 1 to 64 letters, digits, "-" or "_"' };
+  }
+  return null;
+}
+
+/**
+ * List the problems of a single change
+ * @param {any} change - Change log entry
+ * @param {number} index - Index of the entry
+ * @returns {Array} { index, field, code, message } of every problem
+ */
+function checkChange(change, index) {
+  const errors = [];
+  const report = (field, code, message) => {
+    errors.push({ index, field, code, message: `Change ${index + 1}${field ? `, "${field}"` : ''}: ${message}` });
+  };
+
+  if (typeof change !== 'object' || change === null || Array.isArray(change)) {
+    report(null, 'INVALID_TYPE', 'must be an object');
+    return errors;
+  }
+
+  const schema = CHANGE_SCHEMAS[change.type];
+  if (!schema) {
+    report('type', 'UNKNOWN_TYPE', change.type === undefined
+      ? 'is required'
+      : `unknown type ${JSON.stringify(change.type)}, expected one of ${Object.keys(CHANGE_SCHEMAS).join(', ')}`);
+    return errors;
+  }
+
+  const fields = { ...COMMON_FIELDS, ...schema.required, ...schema.optional };
+
+  for (const field of Object.keys(schema.required)) {
+    if (change[field] === undefined) {
+      report(field, 'MISSING_FIELD', `is required for a ${change.type}`);
+    }
+  }
+
+  for (const [field, value] of Object.entries(change)) {
+    if (!Object.hasOwn(fields, field)) {
+      report(field, 'UNKNOWN_FIELD', `is not a field of a ${change.type}`);
+      continue;
+    }
+    const problem = checkField(value, fields[field]);
+    if (problem) report(field, problem.code, problem.message);
+  }
+
+  if (errors.length === 0 && change.type === 'rename' && change.oldName !== undefined
+    && change.path.split('/').pop() !== change.oldName) {
+    report('oldName', 'INVALID_NAME', `"${change.oldName}" does not match the last segment of "path"`);
+  }
+
+  if (errors.length === 0 && change.type === 'chown' && change.uid === undefined && change.gid === undefined) {
+    report('uid', 'MISSING_FIELD', 'a chown needs "uid", "gid" or both');
+  }
+
+  return errors;
+}
+
+/**
+ * Check a whole change log against the schema
+ * @param {any} changeLog - Value of `changeLog` in a request
+ * @param {any} version - Value of `changeLogVersion`, the current version when missing
+ * @throws {ChangeLogError} Listing every problem found
+ */
+export function validateChangeLog(changeLog, version = CHANGE_LOG_VERSION) {
+  if (version !== CHANGE_LOG_VERSION) {
+    throw new ChangeLogError([{
+      index: null,
+      field: 'changeLogVersion',
+      code: 'UNSUPPORTED_VERSION',
+      message: `Change log version ${JSON.stringify(version)} is not supported, expected ${CHANGE_LOG_VERSION}`
+    }]);
+  }
+
+  if (!Array.isArray(changeLog)) {
+    throw new ChangeLogError([{
+      index: null,
+      field: 'changeLog',
+      code: 'INVALID_TYPE',
+      message: 'Change log is required and must be an array'
+    }]);
+  }
+
+  const errors = changeLog.flatMap(checkChange);
+  if (errors.length > 0) {
+    throw new ChangeLogError(errors);
+  }
+}
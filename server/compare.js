@@ -0,0 +1,223 @@
+/**
+ * Folder Structure Comparison
+ */
+
+// Rules a comparison can enforce, by ID
+export const VALIDATION_RULES = {
+  present_on_server: 'Every uploaded item must exist on the server',
+  present_on_client: 'Every server item must exist in the upload',
+  same_type: 'Items must be the same kind (file or folder) on both sides',
+  same_size: 'Files must have the same size',
+  same_mtime: 'Files must have the same modification time, within the tolerance',
+  same_contents: 'Files must have the same SHA-256 hash'
+};
+
+// Validation profiles and the rules each of them enforces
+export const VALIDATION_PROFILES = {
+  structure: {
+    label: 'Structure only',
+    rules: ['present_on_server', 'present_on_client', 'same_type']
+  },
+  subset: {
+    label: 'Subset',
+    rules: ['present_on_server', 'same_type']
+  },
+  superset: {
+    label: 'Superset',
+    rules: ['present_on_client', 'same_type']
+  },
+  strict_metadata: {
+    label: 'Strict metadata',
+    rules: ['present_on_server', 'present_on_client', 'same_type', 'same_size', 'same_mtime']
+  }
+};
+
+export const DEFAULT_PROFILE = 'structure';
+
+// File systems such as FAT only store modification times to 2 seconds
+export const DEFAULT_MTIME_TOLERANCE_MS = 2000;
+
+/**
+ * Get the parent of a relative path
+ * @param {string} relativePath - Slash separated path
+ * @returns {string} Parent path, empty at the top level
+ */
+function getParentPath(relativePath) {
+  const slash = relativePath.lastIndexOf('/');
+  return slash === -1 ? '' : relativePath.slice(0, slash);
+}
+
+/**
+ * Start comparing a client structure with server items arriving one by one
+ *
+ * Server items can be added in any order, e.g. straight from
+ * streamDirectoryEntries, so the comparison runs while the server folder is
+ * still being scanned. Items missing on the server are only known once every
+ * server item was added, in `finish`.
+ *
+ * @param {Array} clientStructure - Structure from client
+ * @param {Object} options - Comparison options
+ * @param {string} options.profile - Validation profile deciding which rules apply
+ * @param {boolean} options.compareContents - Also compare the `hash` of files
+ * @param {number} options.mtimeToleranceMs - Allowed modification time difference
+ * @param {Function} options.onDifference - Called with every difference when found
+ * @returns {Object} { addServerItem(relativePath, item), finish() }
+ */
+export function createComparison(clientStructure, options = {}) {
+  const {
+    profile = DEFAULT_PROFILE,
+    compareContents = false,
+    mtimeToleranceMs = DEFAULT_MTIME_TOLERANCE_MS,
+    onDifference
+  } = options;
+
+  const rules = new Set(VALIDATION_PROFILES[profile].rules);
+  if (compareContents) {
+    rules.add('same_contents');
+  }
+
+  const differences = [];
+
+  // Every difference records the profile rule that produced it
+  function report(rule, difference) {
+    const recorded = { ...difference, profile, rule };
+    differences.push(recorded);
+    onDifference?.(recorded);
+  }
+
+  // Client items by path
+  const clientItems = new Map();
+  (function index(items, pathPrefix) {
+    for (const item of items) {
+      const currentPath = pathPrefix ? `${pathPrefix}/${item.name}` : item.name;
+      clientItems.set(currentPath, item);
+      if (item.isDirectory && item.children) index(item.children, currentPath);
+    }
+  })(clientStructure, '');
+
+  // Paths found on the server, and the folders whose contents are compared
+  const seenPaths = new Set();
+  const comparedFolders = new Set(['']);
+
+  function compareFiles(clientItem, serverItem, currentPath) {
+    if (rules.has('same_size') && clientItem.size !== serverItem.size) {
+      report('same_size', {
+        type: 'size_mismatch',
+        path: currentPath,
+        message: `"${currentPath}" is ${clientItem.size} bytes in upload but ${serverItem.size} bytes on server`
+      });
+    }
+
+    if (rules.has('same_mtime')) {
+      const delta = Math.abs(new Date(clientItem.lastModified) - new Date(serverItem.lastModified));
+      if (!(delta <= mtimeToleranceMs)) {
+        report('same_mtime', {
+          type: 'mtime_mismatch',
+          path: currentPath,
+          message: `"${currentPath}" was modified at ${clientItem.lastModified} in upload but at ${serverItem.lastModified} on server`
+        });
+      }
+    }
+
+    // Compare contents when both sides hashed them
+    if (rules.has('same_contents')) {
+      if (!clientItem.hash || !serverItem.hash) {
+        report('same_contents', {
+          type: 'content_mismatch',
+          path: currentPath,
+          message: `Contents of "${currentPath}" could not be compared: ${clientItem.hash ? 'server' : 'upload'} has no hash`
+        });
+      } else if (clientItem.hash !== serverItem.hash) {
+        report('same_contents', {
+          type: 'content_mismatch',
+          path: currentPath,
+          message: `Contents of "${currentPath}" differ between upload and server`
+        });
+      }
+    }
+  }
+
+  function addServerItem(currentPath, serverItem) {
+    seenPaths.add(currentPath);
+    const clientItem = clientItems.get(currentPath);
+
+    if (!clientItem) {
+      // Only the topmost missing item is reported, not everything inside it.
+      // Browsers cannot list broken links, so the upload never has them
+      const parent = getParentPath(currentPath);
+      const parentListed = parent === '' || clientItems.get(parent)?.isDirectory;
+      if (rules.has('present_on_client') && parentListed && serverItem.linkError !== 'broken') {
+        report('present_on_client', {
+          type: 'missing_on_client',
+          path: currentPath,
+          message: `File/folder "${currentPath}" exists on server but not in uploaded structure`
+        });
+      }
+      return;
+    }
+
+    // Check if type matches (file vs directory)
+    if (clientItem.isDirectory !== serverItem.isDirectory) {
+      report('same_type', {
+        type: 'type_mismatch',
+        path: currentPath,
+        message: `"${currentPath}" is a ${clientItem.isDirectory ? 'directory' : 'file'} in upload but a ${serverItem.isDirectory ? 'directory' : 'file'} on server`
+      });
+      return;
+    }
+
+    // Links that were not followed have nothing more to compare
+    if (serverItem.isSymlink && !serverItem.linkFollowed) return;
+
+    if (clientItem.isDirectory) {
+      comparedFolders.add(currentPath);
+    } else {
+      compareFiles(clientItem, serverItem, currentPath);
+    }
+  }
+
+  function finish() {
+    // Check for items in client but not in server, inside compared folders only
+    if (rules.has('present_on_server')) {
+      for (const currentPath of clientItems.keys()) {
+        if (seenPaths.has(currentPath) || !comparedFolders.has(getParentPath(currentPath))) continue;
+        report('present_on_server', {
+          type: 'missing_on_server',
+          path: currentPath,
+          message: `File/folder "${currentPath}" exists in uploaded structure but not on server`
+        });
+      }
+    }
+
+    // Server items arrive in scan order; report in path order
+    differences.sort((a, b) => a.path.localeCompare(b.path));
+
+    return {
+      isMatch: differences.length === 0,
+      differences
+    };
+  }
+
+  return { addServerItem, finish };
+}
+
+/**
+ * Compare two folder structures for equality
+ * @param {Array} clientStructure - Structure from client
+ * @param {Array} serverStructure - Structure from server
+ * @param {Object} options - Comparison options, see createComparison
+ * @returns {Object} Comparison result with details
+ */
+export function compareStructures(clientStructure, serverStructure, options = {}) {
+  const comparison = createComparison(clientStructure, options);
+
+  (function add(items, pathPrefix) {
+    for (const item of items) {
+      const currentPath = pathPrefix ? `${pathPrefix}/${item.name}` : item.name;
+      comparison.addServerItem(currentPath, item);
+      if (item.children) add(item.children, currentPath);
+    }
+  })(serverStructure, '');
+
+  return comparison.finish();
+}
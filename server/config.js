@@ -0,0 +1,56 @@
+/**
+ * Server Configuration
+ *
+ * All values can be overridden through environment variables.
+ */
+
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const serverDir = path.dirname(fileURLToPath(import.meta.url));
+
+/**
+ * Split a list of paths separated by the platform path delimiter
+ * @param {string|undefined} value - Raw environment value
+ * @returns {Array<string>} Non-empty, absolute-resolved paths
+ */
+function parsePathList(value) {
+  if (!value) return [];
+  return value
+    .split(path.delimiter)
+    .map(p => p.trim())
+    .filter(p => p)
+    .map(p => path.resolve(p));
+}
+
+const envRoots = parsePathList(process.env.ALLOWED_ROOTS);
+
+export const config = {
+  port: Number(process.env.PORT) || 3001,
+  host: process.env.HOST || '0.0.0.0',
+
+  // Directories the server is allowed to read and modify. Every path received
+  // from a client must resolve (following symlinks) inside one of these.
+  // Defaults to the home directory of the user running the server.
+  allowedRoots: envRoots.length > 0 ? envRoots : [os.homedir()],
+
+  // Where the server keeps its own state (backup registry, ...)
+  dataDir: path.resolve(process.env.DATA_DIR || path.join(serverDir, 'data')),
+
+  // Maximum parallel file system calls of a directory scan
+  scanConcurrency: Number(process.env.SCAN_CONCURRENCY) || 32,
+
+  // Backups older than maxAgeDays, or beyond the newest maxCount, are pruned
+  backupRetention: {
+    maxAgeDays: Number(process.env.BACKUP_MAX_AGE_DAYS) || 7,
+    maxCount: Number(process.env.BACKUP_MAX_COUNT) || 20
+  },
+
+  // Trashed items older than maxAgeDays are purged, then the oldest ones
+  // until the trash of every root fits in maxSizeMB
+  trashRetention: {
+    maxAgeDays: Number(process.env.TRASH_MAX_AGE_DAYS) || 30,
+    maxSizeMB: Number(process.env.TRASH_MAX_SIZE_MB) || 10240
+  }
+};
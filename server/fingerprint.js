@@ -0,0 +1,356 @@
+/**
+ * Tree Fingerprints
+ *
+ * A fingerprint records the name, type, size and modification time of the
+ * entries of every scanned folder. Validation hands it to the client, which
+ * sends it back with its change log; the folders the change log touches are
+ * scanned again before applying, so a change log is never applied to a tree
+ * that changed in the meantime.
+ *
+ * Shape: { version, followSymlinks, folders: { [folderPath]: { [name]: signature } } }
+ * where the top level is the folder path "" and a signature is
+ * ['f', size, mtimeMs] for files, ['d'] for folders and ['l', target] for links.
+ * Folder signatures leave out sizes and times: their contents are compared
+ * through their own listing instead.
+ */
+
+import { getDirectoryLevel } from './scanner.js';
+import { PathError } from './paths.js';
+import { getChangePaths } from './apply.js';
+
+export const FINGERPRINT_VERSION = 1;
+
+/**
+ * Error raised when the folder changed since its fingerprint was taken
+ */
+export class StaleTreeError extends Error {
+  /**
+   * @param {Array} details - { type, path, message } of every drifted entry
+   */
+  constructor(details) {
+    super('Tree changed since validation');
+    this.name = 'StaleTreeError';
+    this.code = 'TREE_CHANGED';
+    this.status = 409;
+    this.details = details;
+  }
+}
+
+/**
+ * Get the signature of a scanned item
+ * @param {Object} item - Item from the scanner
+ * @returns {Array} Signature
+ */
+function getSignature(item) {
+  if (item.isSymlink) return ['l', item.linkTarget];
+  if (item.isDirectory) return ['d'];
+  return ['f', item.size, Date.parse(item.lastModified)];
+}
+
+/**
+ * Check whether the contents of a scanned folder item are listed too
+ * @param {Object} item - Item from the scanner
+ * @returns {boolean} Whether the item is a folder whose entries were scanned
+ */
+function hasListing(item) {
+  return item.isDirectory && (!item.isSymlink || item.linkFollowed) && !item.linkError;
+}
+
+/**
+ * Split a relative path into its parent folder and name
+ * @param {string} relativePath - Slash separated path
+ * @returns {Array<string>} [parent, name], the parent being "" at the top level
+ */
+function splitPath(relativePath) {
+  const slash = relativePath.lastIndexOf('/');
+  return slash === -1 ? ['', relativePath] : [relativePath.slice(0, slash), relativePath.slice(slash + 1)];
+}
+
+/**
+ * Join a folder path and a name
+ * @param {string} folderPath - Folder path, "" at the top level
+ * @param {string} name - Entry name
+ * @returns {string} Relative path
+ */
+function joinPath(folderPath, name) {
+  return folderPath ? `${folderPath}/${name}` : name;
+}
+
+/**
+ * Fingerprint the entries of one scanned folder level
+ * @param {Array} items - Items of the folder
+ * @returns {Object} Signatures by name
+ */
+export function fingerprintListing(items) {
+  const listing = {};
+  for (const item of items) {
+    listing[item.name] = getSignature(item);
+  }
+  return listing;
+}
+
+/**
+ * Build a fingerprint from entries handed out one by one by a scan
+ * @param {boolean} followSymlinks - Symlink policy of the scan
+ * @returns {Object} { add(relativePath, item), result() }
+ */
+export function createFingerprintBuilder(followSymlinks) {
+  const folders = { '': {} };
+
+  return {
+    add(relativePath, item) {
+      const [parent, name] = splitPath(relativePath);
+      (folders[parent] ??= {})[name] = getSignature(item);
+      if (hasListing(item)) {
+        folders[relativePath] ??= {};
+      }
+    },
+    result() {
+      return { version: FINGERPRINT_VERSION, followSymlinks, folders };
+    }
+  };
+}
+
+/**
+ * Check the fingerprint sent by a client
+ * @param {any} fingerprint - Value of `fingerprint` in a request
+ * @returns {boolean} Whether it has the expected shape
+ */
+export function isValidFingerprint(fingerprint) {
+  return Boolean(fingerprint)
+    && fingerprint.version === FINGERPRINT_VERSION
+    && typeof fingerprint.folders === 'object'
+    && fingerprint.folders !== null
+    && Object.values(fingerprint.folders).every(listing => typeof listing === 'object' && listing !== null);
+}
+
+/**
+ * Map a path back through earlier changes of a log to where the item was
+ * before the log started, items inside a copy mapping to their original
+ * @param {string} relativePath - Path at the time of a change
+ * @param {Array} earlierChanges - The changes applied before it
+ * @returns {string} Path in the original tree
+ */
+function toOriginalPath(relativePath, earlierChanges) {
+  let current = relativePath;
+  for (let i = earlierChanges.length - 1; i >= 0; i--) {
+    // Extracted items join a folder that may have existed before
+    if (earlierChanges[i].type === 'extract') continue;
+    const [from, to] = getChangePaths(earlierChanges[i]);
+    if (to === undefined) continue;
+    if (current === to) {
+      current = from;
+    } else if (current.startsWith(`${to}/`)) {
+      current = from + current.slice(to.length);
+    }
+  }
+  return current;
+}
+
+/**
+ * Map a path forward through later changes of a log to where the item is
+ * once the log was applied
+ * @param {string} relativePath - Path at the time of a change
+ * @param {Array} laterChanges - The changes applied after it
+ * @returns {string|null} Final path, or null when the item was deleted
+ */
+function toFinalPath(relativePath, laterChanges) {
+  let current = relativePath;
+  for (const change of laterChanges) {
+    // An archive deleting its source deletes it, otherwise archived and
+    // copied items stay where they are
+    if (change.type === 'archive' && change.deleteSource
+      && (current === change.path || current.startsWith(`${change.path}/`))) {
+      return null;
+    }
+    // New folders and files hold no original item, nor do items transferred
+    // from the second folder, and modes and owners do not move anything
+    if (['copy', 'archive', 'extract', 'mkdir', 'upload', 'chmod', 'chown'].includes(change.type)) continue;
+    if (change.type === 'transfer' && change.inbound) continue;
+    const [from, to] = getChangePaths(change);
+    if (current === from || current.startsWith(`${from}/`)) {
+      if (to === undefined) return null;
+      current = to + current.slice(from.length);
+    }
+  }
+  return current;
+}
+
+/**
+ * List the folders of the original tree a change log depends on
+ *
+ * These are the folders a change takes items from or puts items into, and
+ * every folder inside the items it moves, renames, deletes or replaces.
+ *
+ * @param {Array} changeLog - Change log
+ * @returns {Object} { listings: Set of folder paths, subtrees: Set of item paths }
+ */
+function getAffectedPaths(changeLog) {
+  const listings = new Set();
+  const subtrees = new Set();
+
+  changeLog.forEach((change, index) => {
+    for (const changePath of getChangePaths(change)) {
+      const originalPath = toOriginalPath(changePath, changeLog.slice(0, index));
+      listings.add(splitPath(originalPath)[0]);
+      subtrees.add(originalPath);
+    }
+  });
+
+  return { listings, subtrees };
+}
+
+/**
+ * List the fingerprinted folders inside some items, the items included
+ * @param {Object} folders - Folders of a fingerprint
+ * @param {Set<string>} subtrees - Item paths
+ * @returns {Array<string>} Folder paths
+ */
+function findFoldersWithin(folders, subtrees) {
+  return Object.keys(folders).filter(folderPath => {
+    for (const root of subtrees) {
+      if (folderPath === root || folderPath.startsWith(`${root}/`)) return true;
+    }
+    return false;
+  });
+}
+
+/**
+ * Scan one folder level for its listing
+ * @param {string} basePath - Real path of the base folder
+ * @param {string} folderPath - Folder relative to basePath
+ * @param {Object} options - { isIgnored, followSymlinks }
+ * @returns {Promise<Object|null>} Listing, or null when the folder is gone
+ */
+async function scanListing(basePath, folderPath, options) {
+  try {
+    return fingerprintListing(await getDirectoryLevel(basePath, folderPath, options));
+  } catch (err) {
+    if (err instanceof PathError && (err.code === 'PATH_NOT_FOUND' || err.code === 'PATH_NOT_DIRECTORY')) {
+      return null;
+    }
+    throw err;
+  }
+}
+
+/**
+ * Describe the kind of entry a signature stands for
+ * @param {Array} signature - Entry signature
+ * @returns {string} "file", "folder" or "link"
+ */
+function describeKind(signature) {
+  return { f: 'file', d: 'folder', l: 'link' }[signature[0]];
+}
+
+/**
+ * Describe how the entries of a folder drifted
+ * @param {string} folderPath - Folder path
+ * @param {Object} before - Fingerprinted listing
+ * @param {Object} after - Current listing
+ * @returns {Array} { type, path, message } of every drifted entry
+ */
+function diffListings(folderPath, before, after) {
+  const drift = [];
+
+  for (const [name, was] of Object.entries(before)) {
+    const entryPath = joinPath(folderPath, name);
+    const now = after[name];
+
+    if (!now) {
+      drift.push({ type: 'removed', path: entryPath, message: `"${entryPath}" was removed` });
+    } else if (was[0] !== now[0]) {
+      drift.push({ type: 'changed', path: entryPath, message: `"${entryPath}" was a ${describeKind(was)} and is now a ${describeKind(now)}` });
+    } else if (was[0] === 'l' && was[1] !== now[1]) {
+      drift.push({ type: 'changed', path: entryPath, message: `"${entryPath}" now links to ${now[1]} instead of ${was[1]}` });
+    } else if (was[0] === 'f' && was[1] !== now[1]) {
+      drift.push({ type: 'changed', path: entryPath, message: `"${entryPath}" changed size: ${was[1]} → ${now[1]} bytes` });
+    } else if (was[0] === 'f' && was[2] !== now[2]) {
+      drift.push({ type: 'changed', path: entryPath, message: `"${entryPath}" was modified at ${new Date(now[2]).toISOString()}` });
+    }
+  }
+
+  for (const name of Object.keys(after)) {
+    if (!Object.hasOwn(before, name)) {
+      const entryPath = joinPath(folderPath, name);
+      drift.push({ type: 'added', path: entryPath, message: `"${entryPath}" was added` });
+    }
+  }
+
+  return drift;
+}
+
+/**
+ * Scan the folders a change log depends on again and refuse to go on when
+ * they differ from the fingerprint
+ *
+ * Folders missing from the fingerprint, e.g. never loaded in server mode,
+ * are not checked.
+ *
+ * @param {string} basePath - Real path of the folder
+ * @param {Object} fingerprint - Fingerprint taken at validation
+ * @param {Array} changeLog - Change log about to be applied
+ * @param {Function} isIgnored - Ignore matcher of the folder
+ * @throws {StaleTreeError} When a checked folder drifted
+ */
+export async function checkFingerprint(basePath, fingerprint, changeLog, isIgnored) {
+  const { folders } = fingerprint;
+  const { listings, subtrees } = getAffectedPaths(changeLog);
+  const checked = new Set([...listings, ...findFoldersWithin(folders, subtrees)]);
+  const options = { isIgnored, followSymlinks: fingerprint.followSymlinks !== false };
+
+  const drift = [];
+  for (const folderPath of checked) {
+    if (!Object.hasOwn(folders, folderPath)) continue;
+
+    const current = await scanListing(basePath, folderPath, options);
+    if (current === null) {
+      drift.push({ type: 'removed', path: folderPath, message: `Folder "${folderPath}" no longer exists` });
+    } else {
+      drift.push(...diffListings(folderPath, folders[folderPath], current));
+    }
+  }
+
+  if (drift.length > 0) {
+    drift.sort((a, b) => a.path.localeCompare(b.path));
+    throw new StaleTreeError(drift);
+  }
+}
+
+/**
+ * Work out the fingerprint changes caused by a successfully applied change log
+ *
+ * The folders the log depended on are dropped. Where they and the folders
+ * the changed items were taken from or put into are now, is scanned again.
+ *
+ * @param {string} basePath - Real path of the folder
+ * @param {Object} fingerprint - Fingerprint checked before applying
+ * @param {Array} changeLog - Applied change log
+ * @param {Function} isIgnored - Ignore matcher of the folder
+ * @returns {Promise<Object>} { removed: folder paths to drop, folders: new listings }
+ */
+export async function refreshFingerprint(basePath, fingerprint, changeLog, isIgnored) {
+  const { listings, subtrees } = getAffectedPaths(changeLog);
+  const removed = [...new Set([...listings, ...findFoldersWithin(fingerprint.folders, subtrees)])]
+    .filter(folderPath => Object.hasOwn(fingerprint.folders, folderPath));
+
+  const rescanned = new Set();
+  for (const folderPath of removed) {
+    const finalPath = toFinalPath(folderPath, changeLog);
+    if (finalPath !== null) rescanned.add(finalPath);
+  }
+  changeLog.forEach((change, index) => {
+    for (const changePath of getChangePaths(change)) {
+      const finalPath = toFinalPath(changePath, changeLog.slice(index + 1));
+      if (finalPath !== null) rescanned.add(splitPath(finalPath)[0]);
+    }
+  });
+
+  const options = { isIgnored, followSymlinks: fingerprint.followSymlinks !== false };
+  const folders = {};
+  for (const folderPath of rescanned) {
+    const listing = await scanListing(basePath, folderPath, options);
+    if (listing) folders[folderPath] = listing;
+  }
+
+  return { removed, folders };
+}
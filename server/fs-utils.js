@@ -0,0 +1,239 @@
+/**
+ * File System Helpers
+ */
+
+import fs from 'fs/promises';
+import { constants, createReadStream, createWriteStream } from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import { PathError } from './paths.js';
+
+/**
+ * Recreate a symlink with the same target, without following it
+ * @param {string} src - Source link
+ * @param {string} dest - Destination path
+ */
+export async function copySymlink(src, dest) {
+  await fs.symlink(await fs.readlink(src), dest);
+}
+
+/**
+ * Give a copied item the mode, owner and times of its original
+ *
+ * Only a privileged server may give files to another user; otherwise the
+ * copy belongs to the server's user.
+ *
+ * @param {fs.Stats} stats - lstat of the original
+ * @param {string} dest - Copied item
+ */
+async function copyMetadata(stats, dest) {
+  if (!stats.isSymbolicLink()) {
+    await fs.chmod(dest, stats.mode & 0o7777);
+  }
+  try {
+    await fs.lchown(dest, stats.uid, stats.gid);
+  } catch (err) {
+    if (err.code !== 'EPERM') throw err;
+  }
+  await fs.lutimes(dest, stats.atime, stats.mtime);
+}
+
+/**
+ * Copy a file, folder or symlink, keeping links as links and preserving
+ * modes, ownership and modification times
+ *
+ * Nothing is overwritten: the copy fails if the destination exists.
+ *
+ * @param {string} src - Source path
+ * @param {string} dest - Destination path
+ */
+export async function copyPath(src, dest) {
+  const stats = await fs.lstat(src);
+
+  if (stats.isSymbolicLink()) {
+    await copySymlink(src, dest);
+  } else if (stats.isDirectory()) {
+    await fs.mkdir(dest);
+    for (const entry of await fs.readdir(src)) {
+      await copyPath(path.join(src, entry), path.join(dest, entry));
+    }
+  } else {
+    await fs.copyFile(src, dest, constants.COPYFILE_EXCL);
+  }
+
+  // Last, since filling a folder updates its modification time
+  await copyMetadata(stats, dest);
+}
+
+/**
+ * Copy a file as a stream, then read the copy back to check it
+ * @param {string} src - Source file
+ * @param {string} dest - Destination file, which must not exist
+ * @param {Function} onBytes - Called with the size of every copied chunk
+ */
+async function copyFileVerified(src, dest, onBytes) {
+  const hash = crypto.createHash('sha256');
+  const hasher = new Transform({
+    transform(data, encoding, callback) {
+      hash.update(data);
+      onBytes(data.length);
+      callback(null, data);
+    }
+  });
+  await pipeline(createReadStream(src), hasher, createWriteStream(dest, { flags: 'wx' }));
+
+  // The copy is checked once it is on disk, not as it sits in the cache
+  const handle = await fs.open(dest, 'r');
+  try {
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+
+  const written = crypto.createHash('sha256');
+  await pipeline(createReadStream(dest), written);
+  if (written.digest('hex') !== hash.digest('hex')) {
+    throw new PathError(`Copy of ${src} does not match the original`, 'TRANSFER_VERIFY_FAILED');
+  }
+}
+
+/**
+ * Copy a file, folder or symlink with copyFileVerified, preserving modes,
+ * ownership and modification times
+ * @param {string} src - Source path
+ * @param {string} dest - Destination path, which must not exist
+ * @param {Function} onBytes - Called with the size of every copied chunk
+ */
+async function copyPathVerified(src, dest, onBytes) {
+  const stats = await fs.lstat(src);
+
+  if (stats.isSymbolicLink()) {
+    await copySymlink(src, dest);
+  } else if (stats.isDirectory()) {
+    await fs.mkdir(dest);
+    for (const entry of await fs.readdir(src)) {
+      await copyPathVerified(path.join(src, entry), path.join(dest, entry), onBytes);
+    }
+  } else {
+    await copyFileVerified(src, dest, onBytes);
+  }
+
+  await copyMetadata(stats, dest);
+}
+
+/**
+ * Copy a file, folder or symlink to another file system, as the first half
+ * of a move that cannot be a rename
+ *
+ * The item is copied under a temporary name next to the destination, every
+ * file checked against its original, then renamed into place, so the
+ * destination never holds a partial copy. The original is left in place.
+ *
+ * @param {string} src - Source path
+ * @param {string} dest - Destination path, which must not exist
+ * @param {Function} onProgress - Called with { bytes, totalBytes } as files are copied
+ */
+export async function copyAcross(src, dest, onProgress = () => {}) {
+  if (await pathExists(dest)) {
+    throw new Error(`${dest} already exists`);
+  }
+
+  const totalBytes = await getPathSize(src);
+  let bytes = 0;
+  const tempPath = path.join(path.dirname(dest), `.${path.basename(dest)}.${crypto.randomUUID()}.transfer`);
+
+  try {
+    await copyPathVerified(src, tempPath, size => {
+      bytes += size;
+      onProgress({ bytes, totalBytes });
+    });
+    await fs.rename(tempPath, dest);
+  } catch (err) {
+    await fs.rm(tempPath, { recursive: true, force: true });
+    throw err;
+  }
+}
+
+/**
+ * Remove directory recursively
+ * @param {string} dirPath - Directory to remove
+ */
+export async function removeDirectory(dirPath) {
+  try {
+    await fs.rm(dirPath, { recursive: true, force: true });
+  } catch (err) {
+    console.error(`Error removing directory ${dirPath}:`, err);
+    throw err;
+  }
+}
+
+/**
+ * Check whether a path exists, without following a final symlink
+ * @param {string} targetPath - Path to check
+ * @returns {Promise<boolean>} Whether something exists at the path
+ */
+export async function pathExists(targetPath) {
+  try {
+    await fs.lstat(targetPath);
+    return true;
+  } catch (err) {
+    if (err.code === 'ENOENT') return false;
+    throw err;
+  }
+}
+
+/**
+ * Find a free name next to one that is taken, as the client names copies
+ * @param {string} dirPath - Absolute folder path
+ * @param {string} name - Name taken
+ * @param {string} suffix - Word added to the name
+ * @returns {Promise<string>} Free name, like "report copy.txt" or "report copy 2.txt"
+ */
+export async function getFreeName(dirPath, name, suffix = 'copy') {
+  // Keep the extension of files, but not the leading dot of hidden names
+  const dot = name.lastIndexOf('.');
+  const [base, extension] = dot > 0 ? [name.slice(0, dot), name.slice(dot)] : [name, ''];
+
+  let candidate = `${base} ${suffix}${extension}`;
+  for (let n = 2; await pathExists(path.join(dirPath, candidate)); n++) {
+    candidate = `${base} ${suffix} ${n}${extension}`;
+  }
+  return candidate;
+}
+
+/**
+ * Move a file or folder, copying it with copyAcross and removing the
+ * original when source and destination are on different file systems
+ * @param {string} src - Source path
+ * @param {string} dest - Destination path
+ * @param {Function} onProgress - Called with { bytes, totalBytes } while copying
+ */
+export async function movePath(src, dest, onProgress = () => {}) {
+  try {
+    await fs.rename(src, dest);
+  } catch (err) {
+    if (err.code !== 'EXDEV') throw err;
+
+    await copyAcross(src, dest, onProgress);
+    await removeDirectory(src);
+  }
+}
+
+/**
+ * Calculate the total size of a file or folder, without following symlinks
+ * @param {string} targetPath - Path to measure
+ * @returns {Promise<number>} Size in bytes
+ */
+export async function getPathSize(targetPath) {
+  const stats = await fs.lstat(targetPath);
+  if (!stats.isDirectory()) return stats.size;
+
+  const entries = await fs.readdir(targetPath);
+  let total = 0;
+  for (const entry of entries) {
+    total += await getPathSize(path.join(targetPath, entry));
+  }
+  return total;
+}
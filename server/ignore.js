@@ -0,0 +1,187 @@
+/**
+ * Ignore Rules
+ *
+ * Gitignore-style patterns deciding which entries are left out of scans,
+ * comparisons and change logs. The client has a copy of the matcher in
+ * client/src/ignore.js; keep both in sync.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+export const IGNORE_FILE = '.bulkignore';
+
+// Folders of the server itself: the journals and the trash of a root, and
+// the backups older versions kept next to a changed folder. They are ignored
+// whatever the other patterns say, so no change log can reach them.
+const INTERNAL_PATTERNS = [
+  '.*_backup_*/',
+  '.bulk-journals/',
+  '.bulk-trash/'
+];
+
+// Ignored unless a later pattern brings them back
+export const DEFAULT_IGNORE_PATTERNS = [
+  '.git/',
+  'node_modules/',
+  '.DS_Store',
+  'Thumbs.db',
+  ...INTERNAL_PATTERNS
+];
+
+/**
+ * Split the contents of an ignore file into patterns
+ * @param {string} text - Ignore file contents
+ * @returns {Array<string>} Patterns, without blank lines and comments
+ */
+export function parseIgnorePatterns(text) {
+  return text
+    .split(/\r?\n/)
+    .map(line => line.replace(/(?<!\\)\s+$/, ''))
+    .filter(line => line && !line.startsWith('#'));
+}
+
+/**
+ * Convert a glob to a regular expression source
+ * @param {string} glob - Glob without leading or trailing slash
+ * @returns {string} Regular expression source
+ */
+function globToRegExp(glob) {
+  let source = '';
+
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+
+    if (char === '*' && glob[i + 1] === '*') {
+      const atStart = i === 0 || glob[i - 1] === '/';
+      const atEnd = i + 2 === glob.length || glob[i + 2] === '/';
+      if (atStart && atEnd) {
+        // "**/" matches any number of directories, a trailing "**" anything below
+        if (i + 2 === glob.length) {
+          source += '.*';
+        } else {
+          source += '(?:.*/)?';
+          i++;
+        }
+        i++;
+        continue;
+      }
+    }
+
+    if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[' && glob.indexOf(']', i + 2) !== -1) {
+      const end = glob.indexOf(']', i + 2);
+      let set = glob.slice(i + 1, end).replace(/\\/g, '\\\\');
+      if (set.startsWith('!')) set = `^${set.slice(1)}`;
+      source += `[${set}]`;
+      i = end;
+    } else if (char === '\\' && i + 1 < glob.length) {
+      source += glob[++i].replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+    } else {
+      source += char.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+    }
+  }
+
+  return source;
+}
+
+/**
+ * Compile a single pattern
+ * @param {string} pattern - Gitignore-style pattern
+ * @returns {Object|null} Rule, or null for an empty pattern
+ */
+function compilePattern(pattern) {
+  let glob = pattern;
+  const negate = glob.startsWith('!');
+  if (negate) glob = glob.slice(1);
+  if (glob.startsWith('\\!') || glob.startsWith('\\#')) glob = glob.slice(1);
+
+  const directoryOnly = glob.endsWith('/');
+  if (directoryOnly) glob = glob.replace(/\/+$/, '');
+
+  // A slash anywhere but at the end anchors the pattern to the folder root
+  const anchored = glob.includes('/');
+  glob = glob.replace(/^\/+/, '');
+  if (!glob) return null;
+
+  const prefix = anchored ? '^' : '^(?:.*/)?';
+  return {
+    negate,
+    directoryOnly,
+    regExp: new RegExp(`${prefix}${globToRegExp(glob)}$`)
+  };
+}
+
+const internalRules = INTERNAL_PATTERNS.map(compilePattern);
+
+/**
+ * Create a matcher for a list of patterns; the last matching pattern wins,
+ * except for the internal folders, which are always ignored
+ * @param {Array<string>} patterns - Gitignore-style patterns
+ * @returns {Function} (relativePath, isDirectory) => whether the entry is ignored
+ */
+export function createIgnoreMatcher(patterns) {
+  const rules = patterns.map(compilePattern).filter(Boolean);
+
+  return (relativePath, isDirectory) => {
+    if (isDirectory && internalRules.some(rule => rule.regExp.test(relativePath))) return true;
+
+    let ignored = false;
+    for (const rule of rules) {
+      if (rule.directoryOnly && !isDirectory) continue;
+      if (rule.regExp.test(relativePath)) {
+        ignored = !rule.negate;
+      }
+    }
+    return ignored;
+  };
+}
+
+/**
+ * Check whether a path or one of its parent folders is ignored
+ *
+ * The type of the last segment is unknown in a change log, so it counts as
+ * ignored if it would be as either a file or a folder.
+ *
+ * @param {Function} isIgnored - Matcher from createIgnoreMatcher
+ * @param {string} relativePath - Path relative to the folder root
+ * @returns {boolean} Whether the path is ignored
+ */
+export function isPathIgnored(isIgnored, relativePath) {
+  const segments = relativePath.split('/');
+  for (let i = 1; i < segments.length; i++) {
+    if (isIgnored(segments.slice(0, i).join('/'), true)) return true;
+  }
+  return isIgnored(relativePath, false) || isIgnored(relativePath, true);
+}
+
+/**
+ * Check the patterns sent by a client
+ * @param {any} patterns - Value of `ignorePatterns` in a request
+ * @returns {boolean} Whether it is a list of strings
+ */
+export function isValidPatternList(patterns) {
+  return Array.isArray(patterns) && patterns.every(pattern => typeof pattern === 'string');
+}
+
+/**
+ * Load the ignore rules of a folder: the defaults, its .bulkignore file and
+ * the patterns sent with the request, in this order
+ * @param {string} basePath - Real path of the folder
+ * @param {Array<string>} extraPatterns - Additional patterns
+ * @returns {Promise<Object>} { patterns, isIgnored }
+ */
+export async function loadIgnoreRules(basePath, extraPatterns = []) {
+  let filePatterns = [];
+  try {
+    filePatterns = parseIgnorePatterns(await fs.readFile(path.join(basePath, IGNORE_FILE), 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+
+  const patterns = [...DEFAULT_IGNORE_PATTERNS, ...filePatterns, ...extraPatterns];
+  return { patterns, isIgnored: createIgnoreMatcher(patterns) };
+}
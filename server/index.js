@@ -1,135 +1,172 @@
 import express from 'express';
-import cors from 'cors';
-import fs from 'fs/promises';
+import { once } from 'events';
 import path from 'path';
+import cors from 'cors';
+import { config } from './config.js';
+import {
+  PathError,
+  findAllowedRoot,
+  initAllowedRoots,
+  isWithin,
+  resolveBasePath,
+  resolveEntryPath
+} from './paths.js';
+import { getDirectoryLevel, getDirectoryStructure, streamDirectoryEntries } from './scanner.js';
+import { VALIDATION_PROFILES, DEFAULT_PROFILE, createComparison } from './compare.js';
+import { planChanges } from './planner.js';
+import { checkChangeLogIgnored } from './apply.js';
+import { ChangeLogError, validateChangeLog } from './changelog.js';
+import { isPathIgnored, isValidPatternList, loadIgnoreRules } from './ignore.js';
+import { BROWSE_LIMIT, listAllowedRoots, listDirectory } from './browse.js';
+import {
+  StaleTreeError,
+  checkFingerprint,
+  createFingerprintBuilder,
+  fingerprintListing,
+  isValidFingerprint
+} from './fingerprint.js';
+import {
+  JobError,
+  cancelJob,
+  createApplyJob,
+  getJob,
+  initJobs,
+  isFinished,
+  subscribeToJob
+} from './jobs.js';
+import { LockError, acquireLock, findLocks, listLocks, releaseLock, withLock } from './locks.js';
+import { AuditError, getHistoryEntry, initAuditLog, parseDateFilter, queryHistory } from './audit.js';
+import { UploadError, claimUploads, getUpload, initUploads, receiveChunk, releaseUploads } from './uploads.js';
+import { listAccounts } from './accounts.js';
+import { ArchiveError, listArchive } from './archives.js';
+import {
+  TrashError,
+  deleteTrashItem,
+  getTrashFilePath,
+  getTrashItem,
+  listTrash,
+  purgeTrash,
+  restoreTrashItem
+} from './trash.js';
+import {
+  BackupError,
+  deleteBackup,
+  findLatestBackup,
+  getBackup,
+  initBackupRegistry,
+  listBackups,
+  pruneBackups,
+  restoreBackup
+} from './backups.js';
 
 const app = express();
-const PORT = 3001;
+const BACKUP_PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+const VALIDATE_PROGRESS_INTERVAL = 500;
 
 app.use(cors());
 app.use(express.json({ limit: '50mb' }));
 
 /**
- * Recursively reads directory structure and returns file/folder info
- * @param {string} dirPath - The directory path to scan
- * @returns {Promise<Array>} Array of file/folder objects
+ * Check whether an error was caused by the request rather than the server
+ * @param {Error} err - Error to check
+ * @returns {boolean} Whether the error carries its own code and status
  */
-async function getDirectoryStructure(dirPath) {
-  const items = [];
-  
-  try {
-    const entries = await fs.readdir(dirPath, { withFileTypes: true });
-    
-    for (const entry of entries) {
-      const fullPath = path.join(dirPath, entry.name);
-      
-      try {
-        const stats = await fs.stat(fullPath);
-        
-        const item = {
-          name: entry.name,
-          isDirectory: entry.isDirectory(),
-          size: stats.size,
-          lastModified: stats.mtime.toISOString()
-        };
-        
-        if (entry.isDirectory()) {
-          item.children = await getDirectoryStructure(fullPath);
-          // Calculate directory size as sum of all children
-          item.size = calculateDirectorySize(item.children);
-        }
-        
-        items.push(item);
-      } catch (err) {
-        // Skip files we can't access
-        console.warn(`Cannot access ${fullPath}: ${err.message}`);
-      }
-    }
-  } catch (err) {
-    throw new Error(`Cannot read directory: ${err.message}`);
-  }
-  
-  return items.sort((a, b) => {
-    // Directories first, then alphabetically
-    if (a.isDirectory && !b.isDirectory) return -1;
-    if (!a.isDirectory && b.isDirectory) return 1;
-    return a.name.localeCompare(b.name);
-  });
+function isClientError(err) {
+  return err instanceof PathError || err instanceof BackupError || err instanceof JobError
+    || err instanceof StaleTreeError || err instanceof LockError || err instanceof AuditError
+    || err instanceof ChangeLogError || err instanceof UploadError || err instanceof ArchiveError
+    || err instanceof TrashError;
 }
 
 /**
- * Calculate total size of directory from its children
- * @param {Array} children - Array of child items
- * @returns {number} Total size in bytes
+ * Send the JSON error response for a rejected request
+ * @param {Object} res - Express response
+ * @param {PathError|BackupError|JobError|StaleTreeError|LockError|AuditError|ChangeLogError|UploadError|ArchiveError|TrashError} err - Client error
  */
-function calculateDirectorySize(children) {
-  return children.reduce((total, child) => total + child.size, 0);
+function sendClientError(res, err) {
+  return res.status(err.status).json({
+    ok: false,
+    error: err.message,
+    code: err.code,
+    ...(err.details && { details: err.details }),
+    ...(err.lock && { lock: err.lock }),
+    ...(err.upload && { upload: err.upload })
+  });
 }
 
 /**
- * Compare two folder structures for equality
- * @param {Array} clientStructure - Structure from client
- * @param {Array} serverStructure - Structure from server
- * @returns {Object} Comparison result with details
- */
-function compareStructures(clientStructure, serverStructure) {
-  const differences = [];
-
-  function compare(clientItems, serverItems, pathPrefix = '') {
-    // Create maps for easier lookup
-    const clientMap = new Map(clientItems.map(item => [item.name, item]));
-    const serverMap = new Map(serverItems.map(item => [item.name, item]));
-
-    // Check for items in client but not in server
-    for (const [name, clientItem] of clientMap) {
-      const currentPath = pathPrefix ? `${pathPrefix}/${name}` : name;
-      
-      if (!serverMap.has(name)) {
-        differences.push({
-          type: 'missing_on_server',
-          path: currentPath,
-          message: `File/folder "${currentPath}" exists in uploaded structure but not on server`
-        });
-        continue;
-      }
-
-      const serverItem = serverMap.get(name);
+ * Describe the client sending a request, for locks
+ * @param {Object} req - Express request
+ * @returns {Object} { clientId, tabId, address, userAgent }
+ */
+function getClientIdentity(req) {
+  return {
+    clientId: req.get('X-Client-Id') || null,
+    tabId: req.get('X-Client-Tab') || null,
+    address: req.ip,
+    userAgent: req.get('User-Agent') || null
+  };
+}
 
-      // Check if type matches (file vs directory)
-      if (clientItem.isDirectory !== serverItem.isDirectory) {
-        differences.push({
-          type: 'type_mismatch',
-          path: currentPath,
-          message: `"${currentPath}" is a ${clientItem.isDirectory ? 'directory' : 'file'} in upload but a ${serverItem.isDirectory ? 'directory' : 'file'} on server`
-        });
-        continue;
-      }
+/**
+ * Reject a request whose ignore patterns are not a list of strings
+ * @param {Object} res - Express response
+ */
+function sendInvalidIgnorePatterns(res) {
+  return res.status(400).json({
+    ok: false,
+    error: 'ignorePatterns must be an array of strings',
+    code: 'INVALID_IGNORE_PATTERNS'
+  });
+}
 
-      // For directories, recursively compare children
-      if (clientItem.isDirectory && serverItem.isDirectory) {
-        compare(clientItem.children || [], serverItem.children || [], currentPath);
-      }
+/**
+ * Resolve the second folder that the transfers of a change log move items
+ * to and from
+ * @param {any} secondaryPath - Value of `secondaryPath` in a request
+ * @param {string} basePath - Real path of the target folder
+ * @param {Array} changeLog - Validated change log
+ * @returns {Promise<string|null>} Real path of the second folder, or null without one
+ */
+async function resolveSecondaryPath(secondaryPath, basePath, changeLog) {
+  if (!secondaryPath) {
+    if (changeLog.some(change => change.type === 'transfer')) {
+      throw new PathError('Transfers need the second folder as secondaryPath', 'SECONDARY_PATH_REQUIRED');
     }
+    return null;
+  }
 
-    // Check for items in server but not in client
-    for (const [name, serverItem] of serverMap) {
-      if (!clientMap.has(name)) {
-        const currentPath = pathPrefix ? `${pathPrefix}/${name}` : name;
-        differences.push({
-          type: 'missing_on_client',
-          path: currentPath,
-          message: `File/folder "${currentPath}" exists on server but not in uploaded structure`
-        });
-      }
-    }
+  const realPath = await resolveBasePath(secondaryPath);
+  if (isWithin(basePath, realPath) || isWithin(realPath, basePath)) {
+    throw new PathError('The second folder must not contain the target folder or be inside it', 'SECONDARY_PATH_OVERLAPS');
   }
+  return realPath;
+}
+
+/**
+ * Start a streamed NDJSON response, one JSON object per line
+ * @param {Object} res - Express response
+ * @returns {Object} { send(object), signal } where send waits while the
+ *   client is behind and signal aborts when the client disconnects
+ */
+function startNdjson(res) {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) controller.abort(new Error('Client disconnected'));
+  });
 
-  compare(clientStructure, serverStructure);
+  res.writeHead(200, {
+    'Content-Type': 'application/x-ndjson',
+    'Cache-Control': 'no-cache'
+  });
 
-  return {
-    isMatch: differences.length === 0,
-    differences
+  const send = async line => {
+    if (!res.write(`${JSON.stringify(line)}\n`)) {
+      await once(res, 'drain', { signal: controller.signal });
+    }
   };
+
+  return { send, signal: controller.signal };
 }
 
 /**
@@ -138,69 +175,188 @@ function compareStructures(clientStructure, serverStructure) {
  */
 app.post('/api/validate', async (req, res) => {
   try {
-    const { absolutePath, folderStructure } = req.body;
+    const {
+      absolutePath,
+      folderStructure,
+      compareContents = false,
+      profile = DEFAULT_PROFILE,
+      mtimeToleranceMs,
+      ignorePatterns = [],
+      followSymlinks = true
+    } = req.body;
 
-    // Validate input
-    if (!absolutePath || typeof absolutePath !== 'string') {
+    if (!folderStructure || !Array.isArray(folderStructure)) {
       return res.status(400).json({
         ok: false,
-        error: 'Absolute path is required'
+        error: 'Folder structure is required and must be an array'
       });
     }
 
-    if (!folderStructure || !Array.isArray(folderStructure)) {
+    if (!isValidPatternList(ignorePatterns)) {
+      return sendInvalidIgnorePatterns(res);
+    }
+
+    if (!Object.hasOwn(VALIDATION_PROFILES, profile)) {
       return res.status(400).json({
         ok: false,
-        error: 'Folder structure is required and must be an array'
+        error: `Unknown validation profile "${profile}". Use one of: ${Object.keys(VALIDATION_PROFILES).join(', ')}`,
+        code: 'INVALID_PROFILE'
       });
     }
 
-    // Check if path is absolute
-    if (!path.isAbsolute(absolutePath)) {
+    if (mtimeToleranceMs !== undefined && !(Number.isFinite(mtimeToleranceMs) && mtimeToleranceMs >= 0)) {
       return res.status(400).json({
         ok: false,
-        error: 'Path must be an absolute path'
+        error: 'mtimeToleranceMs must be a non-negative number',
+        code: 'INVALID_TOLERANCE'
       });
     }
 
-    // Check if path exists and is accessible
+    // Resolve the path and make sure it is inside an allowed root
+    let basePath;
     try {
-      const stats = await fs.stat(absolutePath);
-      if (!stats.isDirectory()) {
-        return res.status(400).json({
-          ok: false,
-          error: 'Path exists but is not a directory'
-        });
-      }
+      basePath = await resolveBasePath(absolutePath);
     } catch (err) {
-      return res.status(400).json({
-        ok: false,
-        error: `Path is not accessible: ${err.message}`
-      });
+      if (err instanceof PathError) return sendClientError(res, err);
+      throw err;
     }
 
-    // Get server-side folder structure
-    const serverStructure = await getDirectoryStructure(absolutePath);
+    const { patterns, isIgnored } = await loadIgnoreRules(basePath, ignorePatterns);
 
-    // Compare structures
-    const comparison = compareStructures(folderStructure, serverStructure);
+    // From here on, streamed responses report progress and differences as found
+    const stream = req.body.stream === true ? startNdjson(res) : null;
+    const found = [];
+    let scanned = 0;
 
-    if (!comparison.isMatch) {
-      return res.status(400).json({
+    // Compare while scanning, so the server tree is never held in memory
+    const comparison = createComparison(folderStructure, {
+      profile,
+      compareContents,
+      mtimeToleranceMs,
+      onDifference: difference => found.push(difference)
+    });
+    const symlinks = [];
+    const fingerprint = createFingerprintBuilder(Boolean(followSymlinks));
+
+    // Scan the server folder without ignored entries, hashing files in content mode
+    await streamDirectoryEntries(basePath, {
+      hashContents: compareContents,
+      isIgnored,
+      followSymlinks: Boolean(followSymlinks),
+      signal: stream?.signal
+    }, async (entryPath, item) => {
+      scanned++;
+      if (item.isSymlink) {
+        const { linkTarget, linkFollowed, linkError } = item;
+        symlinks.push({ path: entryPath, linkTarget, linkFollowed, linkError });
+      }
+      comparison.addServerItem(entryPath, item);
+      fingerprint.add(entryPath, item);
+
+      if (stream && (found.length > 0 || scanned % VALIDATE_PROGRESS_INTERVAL === 0)) {
+        await stream.send({ type: 'progress', scanned, differences: found.splice(0) });
+      }
+    });
+    const { isMatch, differences } = comparison.finish();
+
+    const { label } = VALIDATION_PROFILES[profile];
+    const result = isMatch
+      ? {
+        ok: true,
+        profile,
+        ignorePatterns: patterns,
+        symlinks,
+        fingerprint: fingerprint.result(),
+        message: compareContents
+          ? `Validation successful (${label})! Folder structure and file contents match.`
+          : `Validation successful (${label})! Folder structure matches.`
+      }
+      : {
         ok: false,
         error: 'Folder structure mismatch',
-        details: comparison.differences
-      });
+        profile,
+        ignorePatterns: patterns,
+        symlinks,
+        details: differences
+      };
+
+    if (stream) {
+      await stream.send({ type: 'result', scanned, ...result });
+      return res.end();
+    }
+    return res.status(isMatch ? 200 : 400).json(result);
+
+  } catch (err) {
+    if (res.headersSent) {
+      // The stream already started; close it with the error unless the client left
+      if (!res.destroyed) {
+        res.end(`${JSON.stringify({ type: 'result', ok: false, error: `Server error: ${err.message}` })}\n`);
+      }
+      return;
+    }
+    console.error('Validation error:', err);
+    return res.status(500).json({
+      ok: false,
+      error: `Server error: ${err.message}`
+    });
+  }
+});
+
+/**
+ * POST /api/plan
+ * Simulates a change log against the current server tree without touching the disk
+ */
+app.post('/api/plan', async (req, res) => {
+  try {
+    const { absolutePath, secondaryPath, changeLog, changeLogVersion, ignorePatterns = [], followSymlinks = true } = req.body;
+
+    // Reject malformed change logs as a whole before looking at the disk
+    validateChangeLog(changeLog, changeLogVersion);
+
+    if (!isValidPatternList(ignorePatterns)) {
+      return sendInvalidIgnorePatterns(res);
+    }
+
+    let basePath;
+    try {
+      basePath = await resolveBasePath(absolutePath);
+    } catch (err) {
+      if (err instanceof PathError) return sendClientError(res, err);
+      throw err;
     }
 
-    // Success!
+    const secondaryBase = await resolveSecondaryPath(secondaryPath, basePath, changeLog);
+
+    const { isIgnored } = await loadIgnoreRules(basePath, ignorePatterns);
+    const serverStructure = await getDirectoryStructure(basePath, {
+      isIgnored,
+      followSymlinks: Boolean(followSymlinks)
+    });
+
+    // The second folder is only scanned when items are transferred
+    let secondary = null;
+    if (secondaryBase) {
+      const rules = await loadIgnoreRules(secondaryBase, ignorePatterns);
+      secondary = {
+        basePath: secondaryBase,
+        isIgnored: rules.isIgnored,
+        structure: await getDirectoryStructure(secondaryBase, {
+          isIgnored: rules.isIgnored,
+          followSymlinks: Boolean(followSymlinks)
+        })
+      };
+    }
+    const plan = await planChanges(basePath, serverStructure, changeLog, { isIgnored, secondary });
+
     return res.json({
       ok: true,
-      message: 'Validation successful! Folder structure matches.'
+      ...plan,
+      locks: findLocks(secondaryBase ? [basePath, secondaryBase] : basePath)
     });
 
   } catch (err) {
-    console.error('Validation error:', err);
+    if (isClientError(err)) return sendClientError(res, err);
+    console.error('Planning error:', err);
     return res.status(500).json({
       ok: false,
       error: `Server error: ${err.message}`
@@ -208,232 +364,250 @@ app.post('/api/validate', async (req, res) => {
   }
 });
 
-// Health check endpoint
-app.get('/api/health', (req, res) => {
-  res.json({ status: 'ok', timestamp: new Date().toISOString() });
+/**
+ * POST /api/tree
+ * Load one folder level of the structure, for editing without a local copy
+ */
+app.post('/api/tree', async (req, res) => {
+  try {
+    const { absolutePath, path: relativePath = '', ignorePatterns = [], followSymlinks = true } = req.body;
+
+    if (!isValidPatternList(ignorePatterns)) {
+      return sendInvalidIgnorePatterns(res);
+    }
+
+    const basePath = await resolveBasePath(absolutePath);
+    const { isIgnored } = await loadIgnoreRules(basePath, ignorePatterns);
+
+    if (relativePath && isPathIgnored(isIgnored, relativePath)) {
+      throw new PathError(`"${relativePath}" is ignored`, 'IGNORED_PATH');
+    }
+
+    const items = await getDirectoryLevel(basePath, relativePath, {
+      isIgnored,
+      followSymlinks: Boolean(followSymlinks)
+    });
+
+    return res.json({
+      ok: true,
+      path: relativePath,
+      items,
+      fingerprint: fingerprintListing(items)
+    });
+
+  } catch (err) {
+    if (isClientError(err)) return sendClientError(res, err);
+    console.error('Tree loading error:', err);
+    return res.status(500).json({
+      ok: false,
+      error: `Server error: ${err.message}`
+    });
+  }
 });
 
 /**
- * Generate a unique tmp folder path
- * @param {string} originalPath - Original folder path
- * @returns {string} Tmp folder path
+ * POST /api/archives/entries
+ * List the files and folders inside an archive of a server folder
  */
-function getTmpFolderPath(originalPath) {
-  const parentDir = path.dirname(originalPath);
-  const folderName = path.basename(originalPath);
-  return path.join(parentDir, `.${folderName}_backup_${Date.now()}`);
-}
+app.post('/api/archives/entries', async (req, res) => {
+  try {
+    const { absolutePath, path: relativePath, ignorePatterns = [] } = req.body;
+
+    if (!isValidPatternList(ignorePatterns)) {
+      return sendInvalidIgnorePatterns(res);
+    }
+    const basePath = await resolveBasePath(absolutePath);
+    const archivePath = await resolveEntryPath(basePath, relativePath);
+    const { isIgnored } = await loadIgnoreRules(basePath, ignorePatterns);
+
+    if (isPathIgnored(isIgnored, relativePath)) {
+      throw new PathError(`"${relativePath}" is ignored`, 'IGNORED_PATH');
+    }
+    let listing;
+    try {
+      listing = await listArchive(archivePath);
+    } catch (err) {
+      if (err.code === 'ENOENT') throw new PathError(`"${relativePath}" does not exist`, 'SOURCE_MISSING', 404);
+      if (err.code === 'EISDIR') throw new ArchiveError(`"${relativePath}" is a folder`, 'NOT_AN_ARCHIVE');
+      throw err;
+    }
+
+    return res.json({ ok: true, path: relativePath, ...listing });
+
+  } catch (err) {
+    if (isClientError(err)) return sendClientError(res, err);
+    console.error('Archive listing error:', err);
+    return res.status(500).json({
+      ok: false,
+      error: `Server error: ${err.message}`
+    });
+  }
+});
 
 /**
- * Copy directory recursively
- * @param {string} src - Source directory
- * @param {string} dest - Destination directory
+ * POST /api/scan
+ * Stream every entry of a server folder as NDJSON while it is being scanned
  */
-async function copyDirectory(src, dest) {
-  await fs.mkdir(dest, { recursive: true });
-  const entries = await fs.readdir(src, { withFileTypes: true });
-  
-  for (const entry of entries) {
-    const srcPath = path.join(src, entry.name);
-    const destPath = path.join(dest, entry.name);
-    
-    if (entry.isDirectory()) {
-      await copyDirectory(srcPath, destPath);
-    } else {
-      await fs.copyFile(srcPath, destPath);
+app.post('/api/scan', async (req, res) => {
+  let stream = null;
+  try {
+    const { absolutePath, hashContents = false, ignorePatterns = [], followSymlinks = true } = req.body;
+
+    if (!isValidPatternList(ignorePatterns)) {
+      return sendInvalidIgnorePatterns(res);
+    }
+
+    const basePath = await resolveBasePath(absolutePath);
+    const { isIgnored } = await loadIgnoreRules(basePath, ignorePatterns);
+
+    stream = startNdjson(res);
+    const count = await streamDirectoryEntries(basePath, {
+      hashContents: Boolean(hashContents),
+      isIgnored,
+      followSymlinks: Boolean(followSymlinks),
+      signal: stream.signal
+    }, (entryPath, item) => stream.send({ type: 'entry', path: entryPath, ...item }));
+
+    await stream.send({ type: 'done', count });
+    return res.end();
+
+  } catch (err) {
+    if (stream) {
+      if (!res.destroyed) {
+        res.end(`${JSON.stringify({ type: 'error', error: `Server error: ${err.message}` })}\n`);
+      }
+      return;
     }
+    if (isClientError(err)) return sendClientError(res, err);
+    console.error('Scan error:', err);
+    return res.status(500).json({
+      ok: false,
+      error: `Server error: ${err.message}`
+    });
   }
-}
+});
 
 /**
- * Remove directory recursively
- * @param {string} dirPath - Directory to remove
+ * GET /api/browse?path=&prefix=&limit=
+ * List one level of a directory inside the allowed roots, or the roots themselves
  */
-async function removeDirectory(dirPath) {
+app.get('/api/browse', async (req, res) => {
   try {
-    await fs.rm(dirPath, { recursive: true, force: true });
+    const { path: dirPath, prefix = '' } = req.query;
+    const limit = Math.min(Number.parseInt(req.query.limit, 10) || BROWSE_LIMIT, BROWSE_LIMIT);
+
+    if (!dirPath) {
+      return res.json({ ok: true, ...listAllowedRoots() });
+    }
+
+    const realPath = await resolveBasePath(String(dirPath));
+    const listing = await listDirectory(realPath, { prefix: String(prefix), limit });
+
+    return res.json({ ok: true, ...listing });
+
   } catch (err) {
-    console.error(`Error removing directory ${dirPath}:`, err);
-    throw err;
+    if (isClientError(err)) return sendClientError(res, err);
+    console.error('Browse error:', err);
+    return res.status(500).json({
+      ok: false,
+      error: `Server error: ${err.message}`
+    });
   }
-}
+});
 
 /**
- * Apply changes to the folder structure
- * @param {string} basePath - Base path of the folder
- * @param {Array} changeLog - Array of changes to apply
- */
-async function applyChanges(basePath, changeLog) {
-  for (const change of changeLog) {
-    if (change.type === 'move') {
-      const fromPath = path.join(basePath, change.from);
-      const toPath = path.join(basePath, change.to);
-      
-      // Ensure target directory exists
-      const toDir = path.dirname(toPath);
-      await fs.mkdir(toDir, { recursive: true });
-      
-      // If override, remove existing
-      if (change.override) {
-        try {
-          const stats = await fs.stat(toPath);
-          if (stats.isDirectory()) {
-            await removeDirectory(toPath);
-          } else {
-            await fs.unlink(toPath);
-          }
-        } catch (err) {
-          // File doesn't exist, that's fine
-        }
-      }
-      
-      // Move the file/folder
-      await fs.rename(fromPath, toPath);
-      
-    } else if (change.type === 'rename') {
-      const oldPath = path.join(basePath, change.path);
-      const parentDir = path.dirname(oldPath);
-      const newPath = path.join(parentDir, change.newName);
-      
-      // If override, remove existing
-      if (change.override) {
-        try {
-          const stats = await fs.stat(newPath);
-          if (stats.isDirectory()) {
-            await removeDirectory(newPath);
-          } else {
-            await fs.unlink(newPath);
-          }
-        } catch (err) {
-          // File doesn't exist, that's fine
-        }
-      }
-      
-      // Rename the file/folder
-      await fs.rename(oldPath, newPath);
-      
-    } else if (change.type === 'delete') {
-      const deletePath = path.join(basePath, change.path);
-      
-      try {
-        const stats = await fs.stat(deletePath);
-        if (stats.isDirectory()) {
-          await removeDirectory(deletePath);
-        } else {
-          await fs.unlink(deletePath);
-        }
-      } catch (err) {
-        console.warn(`Could not delete ${deletePath}: ${err.message}`);
-        // Continue with other changes
-      }
-    }
+ * GET /api/accounts
+ * List the users and groups of the server, and the identity it runs as
+ */
+app.get('/api/accounts', async (req, res) => {
+  try {
+    return res.json({ ok: true, ...(await listAccounts()) });
+  } catch (err) {
+    console.error('Error listing accounts:', err);
+    return res.status(500).json({
+      ok: false,
+      error: `Server error: ${err.message}`
+    });
   }
-}
+});
 
-// Store active tmp folders for cleanup
-const activeTmpFolders = new Map();
+// Health check endpoint
+app.get('/api/health', (req, res) => {
+  res.json({ status: 'ok', timestamp: new Date().toISOString() });
+});
 
 /**
  * POST /api/apply-changes
- * Apply changes to the folder structure
+ * Start a job applying changes to the folder structure
  */
 app.post('/api/apply-changes', async (req, res) => {
-  const { absolutePath, changeLog, clone } = req.body;
-  let tmpPath = null;
+  const { absolutePath, secondaryPath, changeLog, changeLogVersion, clone, ignorePatterns = [], fingerprint = null } = req.body;
 
   try {
-    // Validate input
-    if (!absolutePath || typeof absolutePath !== 'string') {
+    // Reject malformed change logs as a whole before looking at the disk
+    validateChangeLog(changeLog, changeLogVersion);
+    if (changeLog.length === 0) {
       return res.status(400).json({
         ok: false,
-        error: 'Absolute path is required'
+        error: 'Change log is required and must not be empty'
       });
     }
 
-    if (!changeLog || !Array.isArray(changeLog) || changeLog.length === 0) {
-      return res.status(400).json({
-        ok: false,
-        error: 'Change log is required and must not be empty'
-      });
+    if (!isValidPatternList(ignorePatterns)) {
+      return sendInvalidIgnorePatterns(res);
     }
 
-    // Check if path exists
-    try {
-      await fs.access(absolutePath);
-    } catch (err) {
+    if (fingerprint !== null && !isValidFingerprint(fingerprint)) {
       return res.status(400).json({
         ok: false,
-        error: 'Path is not accessible'
+        error: 'fingerprint must be the fingerprint returned by /api/validate',
+        code: 'INVALID_FINGERPRINT'
       });
     }
 
-    // If clone is true, create a backup first
-    if (clone) {
-      tmpPath = getTmpFolderPath(absolutePath);
-      console.log(`Creating backup at: ${tmpPath}`);
-      
-      try {
-        await copyDirectory(absolutePath, tmpPath);
-        console.log('Backup created successfully');
-      } catch (err) {
-        return res.status(500).json({
-          ok: false,
-          error: `Failed to create backup: ${err.message}`
-        });
-      }
-    }
+    // Resolve the path and reject anything outside the allowed roots
+    const basePath = await resolveBasePath(absolutePath);
+    const secondaryBase = await resolveSecondaryPath(secondaryPath, basePath, changeLog);
+    const { isIgnored } = await loadIgnoreRules(basePath, ignorePatterns);
+    const isSecondaryIgnored = secondaryBase && (await loadIgnoreRules(secondaryBase, ignorePatterns)).isIgnored;
+    checkChangeLogIgnored(changeLog, isIgnored, isSecondaryIgnored);
 
-    // Apply changes
+    // The lock is held from the fingerprint check until the job finished
+    const lockedPaths = secondaryBase ? [basePath, secondaryBase] : [basePath];
+    const lock = acquireLock(lockedPaths, { operation: 'apply', owner: getClientIdentity(req) });
+    let job;
+    let claimed = false;
     try {
-      console.log(`Applying ${changeLog.length} changes...`);
-      await applyChanges(absolutePath, changeLog);
-      console.log('Changes applied successfully');
-    } catch (err) {
-      console.error('Error applying changes:', err);
-      
-      // If clone was enabled, restore from backup
-      if (clone && tmpPath) {
-        console.log('Restoring from backup...');
-        try {
-          await removeDirectory(absolutePath);
-          await copyDirectory(tmpPath, absolutePath);
-          await removeDirectory(tmpPath);
-          console.log('Restored from backup successfully');
-        } catch (restoreErr) {
-          console.error('Error during restore:', restoreErr);
-          return res.status(500).json({
-            ok: false,
-            error: `Failed to apply changes and restore failed: ${err.message}. Backup still exists at: ${tmpPath}`
-          });
-        }
+      // Refuse to apply the changes to a tree that changed since validation
+      if (fingerprint) {
+        await checkFingerprint(basePath, fingerprint, changeLog, isIgnored);
       }
-      
-      return res.status(500).json({
-        ok: false,
-        error: `Failed to apply changes: ${err.message}`
-      });
-    }
 
-    // Success response
-    if (clone && tmpPath) {
-      // Store tmp path for later cleanup
-      activeTmpFolders.set(absolutePath, tmpPath);
-      
-      return res.json({
-        ok: true,
-        message: 'Changes applied successfully! Backup is available.',
-        tmpPath,
-        clone: true
-      });
-    } else {
-      return res.json({
-        ok: true,
-        message: 'Changes applied successfully!',
-        clone: false
+      // Every file to upload must have been received whole before starting
+      claimUploads(changeLog);
+      claimed = true;
+
+      job = await createApplyJob(basePath, changeLog, clone, {
+        secondaryPath: secondaryBase,
+        fingerprint,
+        ignorePatterns,
+        lock,
+        client: lock.owner
       });
+    } catch (err) {
+      releaseLock(lock);
+      if (claimed) await releaseUploads(changeLog, false);
+      throw err;
     }
 
+    return res.status(202).json({
+      ok: true,
+      jobId: job.id,
+      job
+    });
+
   } catch (err) {
+    if (isClientError(err)) return sendClientError(res, err);
     console.error('Unexpected error:', err);
     return res.status(500).json({
       ok: false,
@@ -442,46 +616,373 @@ app.post('/api/apply-changes', async (req, res) => {
   }
 });
 
+/**
+ * PUT /api/uploads/:id?offset=&size=
+ * Receive a chunk of a file to upload, as the raw request body; offset 0
+ * starts the upload, later chunks continue where the received data ends
+ */
+app.put('/api/uploads/:id', async (req, res) => {
+  try {
+    // Other bodies, JSON ones above all, are consumed by the body parsers
+    if (req.is('application/octet-stream') === false) {
+      throw new UploadError('Chunks must be sent as application/octet-stream', 'UNSUPPORTED_MEDIA_TYPE', 415);
+    }
+
+    const upload = await receiveChunk(req.params.id, {
+      offset: Number(req.query.offset),
+      size: Number(req.query.size)
+    }, req);
+
+    return res.json({
+      ok: true,
+      upload
+    });
+
+  } catch (err) {
+    if (isClientError(err)) return sendClientError(res, err);
+    console.error('Upload error:', err);
+    return res.status(500).json({
+      ok: false,
+      error: `Server error: ${err.message}`
+    });
+  }
+});
+
+/**
+ * GET /api/uploads/:id
+ * Get how much of an upload was received, to resume it
+ */
+app.get('/api/uploads/:id', (req, res) => {
+  try {
+    return res.json({
+      ok: true,
+      upload: getUpload(req.params.id)
+    });
+  } catch (err) {
+    if (isClientError(err)) return sendClientError(res, err);
+    return res.status(500).json({
+      ok: false,
+      error: `Server error: ${err.message}`
+    });
+  }
+});
+
+/**
+ * GET /api/jobs/:id
+ * Get the status of a job
+ */
+app.get('/api/jobs/:id', (req, res) => {
+  try {
+    return res.json({
+      ok: true,
+      job: getJob(req.params.id)
+    });
+  } catch (err) {
+    if (isClientError(err)) return sendClientError(res, err);
+    return res.status(500).json({
+      ok: false,
+      error: `Server error: ${err.message}`
+    });
+  }
+});
+
+/**
+ * GET /api/jobs/:id/events
+ * Stream the status of a job as Server-Sent Events until it finishes
+ */
+app.get('/api/jobs/:id/events', (req, res) => {
+  let job;
+  try {
+    job = getJob(req.params.id);
+  } catch (err) {
+    if (isClientError(err)) return sendClientError(res, err);
+    throw err;
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+
+  const send = status => res.write(`data: ${JSON.stringify(status)}\n\n`);
+
+  send(job);
+  if (isFinished(job)) {
+    return res.end();
+  }
+
+  const unsubscribe = subscribeToJob(job.id, status => {
+    send(status);
+    if (isFinished(status)) {
+      unsubscribe();
+      res.end();
+    }
+  });
+
+  req.on('close', unsubscribe);
+});
+
+/**
+ * POST /api/jobs/:id/cancel
+ * Stop a job before its next step and roll back the completed ones
+ */
+app.post('/api/jobs/:id/cancel', async (req, res) => {
+  try {
+    const job = await cancelJob(req.params.id);
+    return res.json({
+      ok: true,
+      message: 'Cancelling, completed changes will be rolled back.',
+      job
+    });
+  } catch (err) {
+    if (isClientError(err)) return sendClientError(res, err);
+    console.error('Error cancelling job:', err);
+    return res.status(500).json({
+      ok: false,
+      error: `Server error: ${err.message}`
+    });
+  }
+});
+
 /**
  * POST /api/remove-backup
- * Remove the temporary backup folder
+ * Remove the newest backup of a folder
  */
 app.post('/api/remove-backup', async (req, res) => {
   const { absolutePath } = req.body;
 
   try {
-    if (!absolutePath) {
+    const basePath = await resolveBasePath(absolutePath);
+    const backup = findLatestBackup(basePath);
+    
+    if (!backup) {
       return res.status(400).json({
         ok: false,
-        error: 'Absolute path is required'
+        error: 'No backup found for this path',
+        code: 'BACKUP_NOT_FOUND'
       });
     }
 
-    const tmpPath = activeTmpFolders.get(absolutePath);
-    
-    if (!tmpPath) {
-      return res.status(400).json({
-        ok: false,
-        error: 'No backup found for this path'
-      });
+    // Remove the backup
+    await withLock([backup.backupPath], { operation: 'delete_backup', owner: getClientIdentity(req) }, async () => {
+      console.log(`Removing backup: ${backup.backupPath}`);
+      await deleteBackup(backup.id);
+      console.log('Backup removed successfully');
+    });
+
+    return res.json({
+      ok: true,
+      message: 'Backup removed successfully!'
+    });
+
+  } catch (err) {
+    if (isClientError(err)) return sendClientError(res, err);
+    console.error('Error removing backup:', err);
+    return res.status(500).json({
+      ok: false,
+      error: `Failed to remove backup: ${err.message}`
+    });
+  }
+});
+
+/**
+ * Get a backup whose folders are still inside the allowed roots
+ * @param {string} id - Backup ID
+ * @returns {Object} Backup metadata
+ */
+function getAllowedBackup(id) {
+  const backup = getBackup(id);
+  for (const folderPath of [backup.sourcePath, backup.secondaryPath].filter(Boolean)) {
+    if (!findAllowedRoot(folderPath)) {
+      throw new PathError(
+        `Path "${folderPath}" is outside the allowed root directories`,
+        'PATH_OUTSIDE_ROOTS',
+        403
+      );
     }
+  }
+  return backup;
+}
 
-    // Check if tmp folder exists
-    try {
-      await fs.access(tmpPath);
-    } catch (err) {
-      activeTmpFolders.delete(absolutePath);
-      return res.status(400).json({
-        ok: false,
-        error: 'Backup folder no longer exists'
-      });
+/**
+ * GET /api/history?absolutePath=&from=&to=&limit=
+ * List applied change sets, newest first, optionally only those of a folder
+ * and the folders inside it, or started within a date range
+ */
+app.get('/api/history', async (req, res) => {
+  try {
+    const basePath = req.query.absolutePath
+      ? await resolveBasePath(String(req.query.absolutePath))
+      : null;
+    const from = parseDateFilter(req.query.from);
+    const to = parseDateFilter(req.query.to, true);
+
+    const { entries, total } = await queryHistory({
+      path: basePath,
+      from,
+      to,
+      limit: req.query.limit,
+      isVisible: entryPath => Boolean(findAllowedRoot(entryPath))
+    });
+
+    return res.json({
+      ok: true,
+      entries,
+      total
+    });
+
+  } catch (err) {
+    if (isClientError(err)) return sendClientError(res, err);
+    console.error('Error reading history:', err);
+    return res.status(500).json({
+      ok: false,
+      error: `Failed to read history: ${err.message}`
+    });
+  }
+});
+
+/**
+ * GET /api/history/:id
+ * Get an applied change set with its change log and operation outcomes
+ */
+app.get('/api/history/:id', async (req, res) => {
+  try {
+    const entry = await getHistoryEntry(req.params.id);
+    if (!findAllowedRoot(entry.path)) {
+      throw new PathError(`Path "${entry.path}" is outside the allowed root directories`, 'PATH_OUTSIDE_ROOTS', 403);
     }
 
-    // Remove the backup
-    console.log(`Removing backup: ${tmpPath}`);
-    await removeDirectory(tmpPath);
-    activeTmpFolders.delete(absolutePath);
-    console.log('Backup removed successfully');
+    return res.json({
+      ok: true,
+      entry
+    });
+
+  } catch (err) {
+    if (isClientError(err)) return sendClientError(res, err);
+    console.error('Error reading history entry:', err);
+    return res.status(500).json({
+      ok: false,
+      error: `Failed to read history entry: ${err.message}`
+    });
+  }
+});
+
+/**
+ * GET /api/locks?absolutePath=
+ * List the locks overlapping a folder, or every lock inside the allowed roots
+ */
+app.get('/api/locks', async (req, res) => {
+  try {
+    if (!req.query.absolutePath) {
+      const locks = listLocks().filter(lock => lock.paths.some(p => findAllowedRoot(p)));
+      return res.json({ ok: true, locked: locks.length > 0, locks });
+    }
+
+    const basePath = await resolveBasePath(String(req.query.absolutePath));
+    const locks = findLocks(basePath);
+    return res.json({ ok: true, path: basePath, locked: locks.length > 0, locks });
+
+  } catch (err) {
+    if (isClientError(err)) return sendClientError(res, err);
+    console.error('Error listing locks:', err);
+    return res.status(500).json({
+      ok: false,
+      error: `Server error: ${err.message}`
+    });
+  }
+});
+
+/**
+ * GET /api/backups
+ * List backups, optionally only those of ?absolutePath
+ */
+app.get('/api/backups', async (req, res) => {
+  try {
+    const basePath = req.query.absolutePath
+      ? await resolveBasePath(req.query.absolutePath)
+      : null;
+
+    const backups = listBackups(basePath).filter(backup => findAllowedRoot(backup.sourcePath));
+
+    return res.json({
+      ok: true,
+      backups,
+      retention: config.backupRetention
+    });
+
+  } catch (err) {
+    if (isClientError(err)) return sendClientError(res, err);
+    console.error('Error listing backups:', err);
+    return res.status(500).json({
+      ok: false,
+      error: `Failed to list backups: ${err.message}`
+    });
+  }
+});
+
+/**
+ * GET /api/backups/:id
+ * Get a backup including the change log that produced it
+ */
+app.get('/api/backups/:id', (req, res) => {
+  try {
+    return res.json({
+      ok: true,
+      backup: getAllowedBackup(req.params.id)
+    });
+  } catch (err) {
+    if (isClientError(err)) return sendClientError(res, err);
+    console.error('Error reading backup:', err);
+    return res.status(500).json({
+      ok: false,
+      error: `Failed to read backup: ${err.message}`
+    });
+  }
+});
+
+/**
+ * POST /api/backups/:id/restore
+ * Undo the change set of a backup on the original folder
+ */
+app.post('/api/backups/:id/restore', async (req, res) => {
+  try {
+    const backup = getAllowedBackup(req.params.id);
+
+    const paths = [backup.sourcePath, backup.secondaryPath, backup.backupPath].filter(Boolean);
+    await withLock(paths, { operation: 'restore', owner: getClientIdentity(req) }, async () => {
+      console.log(`Restoring ${backup.sourcePath} from backup ${backup.backupPath}`);
+      await restoreBackup(backup.id);
+      console.log('Backup restored successfully');
+    });
+
+    return res.json({
+      ok: true,
+      message: `Backup restored! ${backup.changeLog.length} change(s) were undone on ${backup.sourcePath}.`
+    });
+
+  } catch (err) {
+    if (isClientError(err)) return sendClientError(res, err);
+    console.error('Error restoring backup:', err);
+    return res.status(500).json({
+      ok: false,
+      error: `Failed to restore backup: ${err.message}`
+    });
+  }
+});
+
+/**
+ * DELETE /api/backups/:id
+ * Delete a backup
+ */
+app.delete('/api/backups/:id', async (req, res) => {
+  try {
+    const backup = getAllowedBackup(req.params.id);
+
+    await withLock([backup.backupPath], { operation: 'delete_backup', owner: getClientIdentity(req) }, () => {
+      console.log(`Removing backup: ${backup.backupPath}`);
+      return deleteBackup(backup.id);
+    });
 
     return res.json({
       ok: true,
@@ -489,6 +990,7 @@ app.post('/api/remove-backup', async (req, res) => {
     });
 
   } catch (err) {
+    if (isClientError(err)) return sendClientError(res, err);
     console.error('Error removing backup:', err);
     return res.status(500).json({
       ok: false,
@@ -497,8 +999,166 @@ app.post('/api/remove-backup', async (req, res) => {
   }
 });
 
-const HOST = '0.0.0.0';
+/**
+ * GET /api/trash
+ * List trashed items, optionally only those deleted from inside ?absolutePath
+ */
+app.get('/api/trash', async (req, res) => {
+  try {
+    const basePath = req.query.absolutePath
+      ? await resolveBasePath(req.query.absolutePath)
+      : null;
+
+    const items = await listTrash(basePath);
+
+    return res.json({
+      ok: true,
+      items,
+      size: items.reduce((total, item) => total + item.size, 0),
+      retention: config.trashRetention
+    });
+
+  } catch (err) {
+    if (isClientError(err)) return sendClientError(res, err);
+    console.error('Error listing the trash:', err);
+    return res.status(500).json({
+      ok: false,
+      error: `Failed to list the trash: ${err.message}`
+    });
+  }
+});
+
+/**
+ * POST /api/trash/purge
+ * Delete trashed items older than maxAgeDays or beyond maxSizeMB, by default
+ * following the retention policy, optionally only those of absolutePath
+ */
+app.post('/api/trash/purge', async (req, res) => {
+  try {
+    const { absolutePath, maxAgeDays, maxSizeMB } = req.body;
+    const isLimit = value => value === undefined || (Number.isFinite(value) && value >= 0);
+
+    if (!isLimit(maxAgeDays) || !isLimit(maxSizeMB)) {
+      return res.status(400).json({
+        ok: false,
+        error: 'maxAgeDays and maxSizeMB must be non-negative numbers',
+        code: 'INVALID_POLICY'
+      });
+    }
+
+    const basePath = absolutePath ? await resolveBasePath(absolutePath) : null;
+    const policy = maxAgeDays === undefined && maxSizeMB === undefined
+      ? config.trashRetention
+      : { maxAgeDays, maxSizeMB };
+    const purged = await purgeTrash(policy, basePath);
+
+    return res.json({
+      ok: true,
+      ...purged,
+      message: `${purged.count} item(s) purged from the trash.`
+    });
+
+  } catch (err) {
+    if (isClientError(err)) return sendClientError(res, err);
+    console.error('Error purging the trash:', err);
+    return res.status(500).json({
+      ok: false,
+      error: `Failed to purge the trash: ${err.message}`
+    });
+  }
+});
+
+/**
+ * POST /api/trash/:id/restore
+ * Put a trashed item back where it was deleted from; `conflict` says what to
+ * do when that path is taken: "fail", "rename" or "overwrite"
+ */
+app.post('/api/trash/:id/restore', async (req, res) => {
+  try {
+    const item = await getTrashItem(req.params.id);
+    const paths = [path.dirname(item.path), getTrashFilePath(item.root, item.id)];
+
+    const restored = await withLock(paths, { operation: 'restore_trash', owner: getClientIdentity(req) }, () => {
+      console.log(`Restoring ${item.path} from the trash`);
+      return restoreTrashItem(item, req.body.conflict);
+    });
+
+    return res.json({
+      ok: true,
+      path: restored.path,
+      replaced: restored.replaced,
+      message: restored.replaced
+        ? `Restored to ${restored.path}; the item it replaced was moved to the trash.`
+        : `Restored to ${restored.path}.`
+    });
+
+  } catch (err) {
+    if (isClientError(err)) return sendClientError(res, err);
+    console.error('Error restoring from the trash:', err);
+    return res.status(500).json({
+      ok: false,
+      error: `Failed to restore from the trash: ${err.message}`
+    });
+  }
+});
+
+/**
+ * DELETE /api/trash/:id
+ * Delete a trashed item for good
+ */
+app.delete('/api/trash/:id', async (req, res) => {
+  try {
+    const item = await getTrashItem(req.params.id);
+
+    await withLock([getTrashFilePath(item.root, item.id)], { operation: 'delete_trash', owner: getClientIdentity(req) }, () => {
+      console.log(`Deleting ${item.path} from the trash`);
+      return deleteTrashItem(item);
+    });
+
+    return res.json({
+      ok: true,
+      message: 'Item deleted for good.'
+    });
+
+  } catch (err) {
+    if (isClientError(err)) return sendClientError(res, err);
+    console.error('Error deleting from the trash:', err);
+    return res.status(500).json({
+      ok: false,
+      error: `Failed to delete from the trash: ${err.message}`
+    });
+  }
+});
+
+try {
+  const roots = await initAllowedRoots(config.allowedRoots);
+  console.log(`Allowed roots: ${roots.join(', ')}`);
+
+  const backups = await initBackupRegistry(config.dataDir);
+  console.log(`Known backups: ${backups.length}`);
+  await pruneBackups(config.backupRetention);
+  await purgeTrash(config.trashRetention);
+
+  await initAuditLog(config.dataDir);
+  await initUploads(config.dataDir);
+
+  const jobCount = await initJobs(config.dataDir);
+  console.log(`Known jobs: ${jobCount}`);
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
+
+// Apply the retention policies regularly, not only when backups are created
+setInterval(() => {
+  pruneBackups(config.backupRetention).catch(err => {
+    console.error('Error pruning backups:', err);
+  });
+  purgeTrash(config.trashRetention).catch(err => {
+    console.error('Error purging the trash:', err);
+  });
+}, BACKUP_PRUNE_INTERVAL_MS).unref();
 
-app.listen(PORT, HOST, () => {
-  console.log(`Server running on http://${HOST}:${PORT}`);
+app.listen(config.port, config.host, () => {
+  console.log(`Server running on http://${config.host}:${config.port}`);
 });
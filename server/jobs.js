@@ -0,0 +1,373 @@
+/**
+ * Apply Jobs
+ *
+ * Applying a change log runs in the background as a job. Its status is
+ * persisted in the data directory after every step and pushed to subscribers
+ * (the Server-Sent Events endpoint).
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import { config } from './config.js';
+import { PathError } from './paths.js';
+import { Journal } from './journal.js';
+import { ApplyCancelledError, applyChanges, describeChange } from './apply.js';
+import { pruneBackups, registerBackup } from './backups.js';
+import { refreshFingerprint } from './fingerprint.js';
+import { loadIgnoreRules } from './ignore.js';
+import { releaseLock, setLockJob } from './locks.js';
+import { recordJobEnd, recordJobStart } from './audit.js';
+import { releaseUploads } from './uploads.js';
+import { ArchiveError } from './archives.js';
+
+const FINISHED_STATUSES = ['succeeded', 'failed', 'cancelled'];
+const FINISHED_JOB_TTL_MS = 24 * 60 * 60 * 1000;
+const PROGRESS_INTERVAL_MS = 500;
+
+/**
+ * Error raised for job requests that cannot be served
+ */
+export class JobError extends Error {
+  /**
+   * @param {string} message - Human readable message
+   * @param {string} code - Machine readable error code
+   * @param {number} status - HTTP status to answer with
+   */
+  constructor(message, code, status = 400) {
+    super(message);
+    this.name = 'JobError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+let jobsDir = null;
+const jobs = new Map();
+const events = new EventEmitter();
+events.setMaxListeners(0);
+
+/**
+ * Check whether a job has reached a final status
+ * @param {Object} job - Job
+ * @returns {boolean} Whether the job is finished
+ */
+export function isFinished(job) {
+  return FINISHED_STATUSES.includes(job.status);
+}
+
+/**
+ * Get the public view of a job, without its change log
+ * @param {Object} job - Job
+ * @returns {Object} Job status
+ */
+function toPublic(job) {
+  const { changeLog, client, fingerprint, ignorePatterns, lock, reached, stepError, saveQueue, ...status } = job;
+  return status;
+}
+
+/**
+ * Work out how the fingerprint of a job's folder changed with its changes
+ * @param {Object} job - Job that applied its changes
+ * @returns {Promise<Object|null>} Fingerprint update, or null without one
+ */
+async function getFingerprintUpdate(job) {
+  if (!job.fingerprint) return null;
+
+  try {
+    const { isIgnored } = await loadIgnoreRules(job.basePath, job.ignorePatterns);
+    return await refreshFingerprint(job.basePath, job.fingerprint, job.changeLog, isIgnored);
+  } catch (err) {
+    // The changes are applied; the client just cannot check the next ones
+    console.warn(`Job ${job.id}: cannot refresh the fingerprint: ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * Persist a job and notify its subscribers, recording it in the audit log
+ * once it finished
+ * @param {Object} job - Job to update
+ * @param {Object} changes - Fields to change
+ */
+async function updateJob(job, changes) {
+  const finishing = !isFinished(job) && FINISHED_STATUSES.includes(changes.status);
+  Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+  const snapshot = toPublic(job);
+
+  job.saveQueue = job.saveQueue.then(() =>
+    fs.writeFile(path.join(jobsDir, `${job.id}.json`), JSON.stringify(snapshot, null, 2))
+  ).catch(err => {
+    console.error(`Cannot persist job ${job.id}:`, err);
+  });
+
+  events.emit(job.id, snapshot);
+  await job.saveQueue;
+
+  if (finishing) {
+    await recordJobEnd(job);
+  }
+}
+
+/**
+ * Roll back the journal of a job that was interrupted by a server stop
+ * @param {Object} job - Interrupted job
+ */
+async function recoverJob(job) {
+  if (!job.journalPath) {
+    await updateJob(job, { status: 'failed', error: 'Server stopped before the job started', code: 'INTERRUPTED' });
+    return;
+  }
+
+  // The step in progress was undone with the completed ones
+  job.reached = job.progress.current + 1;
+
+  try {
+    const journal = await Journal.load(job.basePath, job.journalPath);
+    console.log(`Rolling back interrupted job ${job.id} (${journal.actions.length} actions)`);
+    await journal.rollback();
+    await journal.discard();
+    await updateJob(job, {
+      status: 'failed',
+      error: 'Server stopped while applying changes. Completed changes were rolled back.',
+      code: 'INTERRUPTED'
+    });
+  } catch (err) {
+    console.error(`Cannot roll back interrupted job ${job.id}:`, err);
+    await updateJob(job, {
+      status: 'failed',
+      error: `Server stopped while applying changes and rollback failed: ${err.message}. Journal still exists at: ${job.journalPath}`,
+      code: 'ROLLBACK_FAILED'
+    });
+  }
+}
+
+/**
+ * Load persisted jobs, rolling back the ones interrupted by a restart
+ * @param {string} dataDir - Data directory of the server
+ * @returns {Promise<number>} Number of loaded jobs
+ */
+export async function initJobs(dataDir) {
+  jobsDir = path.join(dataDir, 'jobs');
+  await fs.mkdir(jobsDir, { recursive: true });
+
+  for (const file of await fs.readdir(jobsDir)) {
+    if (!file.endsWith('.json')) continue;
+    const filePath = path.join(jobsDir, file);
+
+    try {
+      const job = JSON.parse(await fs.readFile(filePath, 'utf8'));
+      job.saveQueue = Promise.resolve();
+
+      if (isFinished(job) && Date.now() - new Date(job.updatedAt).getTime() > FINISHED_JOB_TTL_MS) {
+        await fs.unlink(filePath);
+        continue;
+      }
+
+      jobs.set(job.id, job);
+      if (!isFinished(job)) {
+        await recoverJob(job);
+      }
+    } catch (err) {
+      console.warn(`Cannot load job ${file}: ${err.message}`);
+    }
+  }
+
+  return jobs.size;
+}
+
+/**
+ * Run an apply job to completion
+ * @param {Object} job - Job to run
+ */
+async function runJob(job) {
+  let journal;
+  try {
+    journal = await Journal.create(job.basePath);
+  } catch (err) {
+    await updateJob(job, { status: 'failed', error: `Failed to create journal: ${err.message}`, code: 'APPLY_FAILED' });
+    return;
+  }
+
+  await updateJob(job, { status: 'running', journalPath: journal.path });
+
+  // Copies across file systems report their bytes, at most this often
+  let progressAt = 0;
+
+  try {
+    console.log(`Job ${job.id}: applying ${job.changeLog.length} changes...`);
+    await applyChanges(job.basePath, job.changeLog, journal, {
+      secondaryPath: job.secondaryPath,
+      isCancelled: () => job.cancelRequested,
+      onStep: (step, change) => updateJob(job, {
+        progress: { current: step, total: job.changeLog.length, operation: describeChange(change) }
+      }),
+      onProgress: (step, { bytes, totalBytes }) => {
+        const now = Date.now();
+        if (bytes < totalBytes && now - progressAt < PROGRESS_INTERVAL_MS) return;
+        progressAt = now;
+        updateJob(job, { progress: { ...job.progress, bytes, totalBytes } });
+      }
+    });
+    console.log(`Job ${job.id}: changes applied successfully`);
+  } catch (err) {
+    const cancelled = err instanceof ApplyCancelledError;
+    if (!cancelled) console.error(`Job ${job.id}: error applying changes:`, err);
+
+    // Where the job stopped, for the audit log
+    job.reached = cancelled ? err.step : job.progress.current;
+    job.stepError = cancelled ? null : err.message;
+
+    // Undo the completed steps only
+    await updateJob(job, { status: 'rolling_back' });
+    try {
+      await journal.rollback();
+      await journal.discard();
+    } catch (rollbackErr) {
+      console.error(`Job ${job.id}: error during rollback:`, rollbackErr);
+      await updateJob(job, {
+        status: 'failed',
+        error: `Failed to apply changes and rollback failed: ${err.message}. Journal still exists at: ${journal.path}`,
+        code: 'ROLLBACK_FAILED'
+      });
+      return;
+    }
+
+    await updateJob(job, cancelled
+      ? { status: 'cancelled', error: `${err.message}. Completed changes were rolled back.`, code: 'CANCELLED' }
+      : {
+        status: 'failed',
+        error: `Failed to apply changes: ${err.message}. Completed changes were rolled back.`,
+        code: err instanceof PathError || err instanceof ArchiveError ? err.code : 'APPLY_FAILED'
+      });
+    return;
+  }
+
+  const progress = { current: job.changeLog.length, total: job.changeLog.length, operation: null };
+  const fingerprint = await getFingerprintUpdate(job);
+
+  if (job.clone) {
+    // Keep the journal as backup, it can undo the whole change set
+    const backup = await registerBackup(job.basePath, journal, job.changeLog, job.secondaryPath);
+    await pruneBackups(config.backupRetention);
+    await updateJob(job, {
+      status: 'succeeded',
+      progress,
+      result: {
+        message: 'Changes applied successfully! Backup is available.',
+        tmpPath: journal.path,
+        backupId: backup.id,
+        clone: true,
+        fingerprint
+      }
+    });
+  } else {
+    await journal.discard();
+    await updateJob(job, {
+      status: 'succeeded',
+      progress,
+      result: {
+        message: 'Changes applied successfully!',
+        clone: false,
+        fingerprint
+      }
+    });
+  }
+}
+
+/**
+ * Create and start a job applying a change log
+ * @param {string} basePath - Real path of the folder
+ * @param {Array} changeLog - Validated change log
+ * @param {boolean} clone - Whether to keep a backup
+ * @param {Object} options - Job options
+ * @param {string} options.secondaryPath - Real path of the second folder of transfers
+ * @param {Object} options.fingerprint - Checked fingerprint, updated once the changes are applied
+ * @param {Array<string>} options.ignorePatterns - Ignore patterns sent with the changes
+ * @param {Object} options.lock - Lock on the folder, released once the job finished
+ * @param {Object} options.client - Identity of the client, for the audit log
+ * @returns {Promise<Object>} Job status
+ */
+export async function createApplyJob(basePath, changeLog, clone, { secondaryPath = null, fingerprint = null, ignorePatterns = [], lock = null, client = null } = {}) {
+  const now = new Date().toISOString();
+  const job = {
+    id: crypto.randomUUID(),
+    type: 'apply',
+    basePath,
+    secondaryPath,
+    clone: Boolean(clone),
+    status: 'queued',
+    progress: { current: 0, total: changeLog.length, operation: null },
+    createdAt: now,
+    updatedAt: now,
+    changeLog,
+    fingerprint,
+    ignorePatterns,
+    lock,
+    client,
+    cancelRequested: false,
+    saveQueue: Promise.resolve()
+  };
+
+  jobs.set(job.id, job);
+  if (lock) setLockJob(lock, job.id);
+  await updateJob(job, {});
+  await recordJobStart(job);
+
+  runJob(job).catch(async err => {
+    console.error(`Job ${job.id}: unexpected error:`, err);
+    await updateJob(job, { status: 'failed', error: `Server error: ${err.message}`, code: 'APPLY_FAILED' });
+  }).finally(() => {
+    if (job.lock) releaseLock(job.lock);
+    // Placed uploads are not needed anymore, others may be applied again
+    releaseUploads(job.changeLog, job.status === 'succeeded').catch(err => {
+      console.error(`Job ${job.id}: error releasing uploads:`, err);
+    });
+  });
+
+  return toPublic(job);
+}
+
+/**
+ * Get the status of a job
+ * @param {string} id - Job ID
+ * @returns {Object} Job status
+ */
+export function getJob(id) {
+  const job = jobs.get(id);
+  if (!job) {
+    throw new JobError('No job found with this ID', 'JOB_NOT_FOUND', 404);
+  }
+  return toPublic(job);
+}
+
+/**
+ * Ask a running job to stop before its next step and roll back
+ * @param {string} id - Job ID
+ * @returns {Promise<Object>} Job status
+ */
+export async function cancelJob(id) {
+  const job = jobs.get(id);
+  if (!job) {
+    throw new JobError('No job found with this ID', 'JOB_NOT_FOUND', 404);
+  }
+
+  if (isFinished(job) || job.status === 'rolling_back') {
+    throw new JobError(`Job is already ${job.status.replace('_', ' ')}`, 'JOB_NOT_CANCELLABLE', 409);
+  }
+
+  await updateJob(job, { cancelRequested: true });
+  return toPublic(job);
+}
+
+/**
+ * Listen to the status updates of a job
+ * @param {string} id - Job ID
+ * @param {Function} listener - Called with every new job status
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToJob(id, listener) {
+  events.on(id, listener);
+  return () => events.off(id, listener);
+}
@@ -0,0 +1,390 @@
+/**
+ * Apply Journal
+ *
+ * Records every file system action performed while applying a change log so
+ * that exactly the completed actions can be undone, in reverse order. Items
+ * that are overwritten are moved into a staging area instead of being
+ * destroyed, and deleted items into the trash of their root, where they stay
+ * once the change set is applied.
+ *
+ * Paths are recorded relative to the folder being changed, with ".." for
+ * the items of a second folder that items are transferred to or from.
+ *
+ * Layout of a journal directory:
+ *   journal.ndjson  one JSON action per line, appended as soon as it completes;
+ *                   rolled back actions are followed by an "undo" line
+ *   staged/         overwritten items, named after their action
+ *   attributes/     modes and owners before a chmod or chown, one list per
+ *                   action with a JSON line per item
+ */
+
+import fs from 'fs/promises';
+import { createReadStream } from 'fs';
+import path from 'path';
+import readline from 'readline';
+import { copyAcross, copyPath, movePath, pathExists, removeDirectory } from './fs-utils.js';
+import { moveToTrash, takeFromTrash } from './trash.js';
+import { PathError, findAllowedRoot } from './paths.js';
+
+export const JOURNALS_DIR = '.bulk-journals';
+
+const JOURNAL_FILE = 'journal.ndjson';
+const STAGING_DIR = 'staged';
+const ATTRIBUTES_DIR = 'attributes';
+
+/**
+ * Generate the journal directory path for a folder
+ *
+ * Journals are kept at the top of the allowed root holding the folder, next
+ * to its trash: inside the roots, and on the same file system as most of the
+ * root so staging an item is a rename.
+ *
+ * @param {string} basePath - Folder the changes are applied to
+ * @returns {string} Journal directory
+ */
+export function getJournalPath(basePath) {
+  const root = findAllowedRoot(basePath);
+  if (!root) {
+    throw new PathError(`${basePath} is outside of the allowed roots`, 'PATH_OUTSIDE_ROOTS', 403);
+  }
+  return path.join(root, JOURNALS_DIR, `${path.basename(basePath)}_backup_${Date.now()}`);
+}
+
+export class Journal {
+  /**
+   * @param {string} basePath - Real path of the folder being changed
+   * @param {string} journalPath - Journal directory
+   */
+  constructor(basePath, journalPath) {
+    this.basePath = basePath;
+    this.path = journalPath;
+    this.actions = [];
+    this.nextId = 0;
+  }
+
+  /**
+   * Create an empty journal for a folder
+   * @param {string} basePath - Real path of the folder being changed
+   * @returns {Promise<Journal>} New journal
+   */
+  static async create(basePath) {
+    const journal = new Journal(basePath, getJournalPath(basePath));
+    await fs.mkdir(path.join(journal.path, STAGING_DIR), { recursive: true });
+    await fs.writeFile(path.join(journal.path, JOURNAL_FILE), '');
+    return journal;
+  }
+
+  /**
+   * Load a journal from disk, skipping actions that were already undone
+   * @param {string} basePath - Real path of the folder that was changed
+   * @param {string} journalPath - Journal directory
+   * @returns {Promise<Journal>} Loaded journal
+   */
+  static async load(basePath, journalPath) {
+    const journal = new Journal(basePath, journalPath);
+    const content = await fs.readFile(path.join(journalPath, JOURNAL_FILE), 'utf8');
+    const entries = content.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+    const undone = new Set(entries.filter(e => e.action === 'undo').map(e => e.target));
+
+    for (const entry of entries) {
+      if (entry.action === 'undo') continue;
+      journal.nextId = Math.max(journal.nextId, entry.id + 1);
+      if (!undone.has(entry.id)) journal.actions.push(entry);
+    }
+
+    return journal;
+  }
+
+  /**
+   * Get the directory holding the staged items
+   * @returns {string} Staging directory
+   */
+  get stagingPath() {
+    return path.join(this.path, STAGING_DIR);
+  }
+
+  /**
+   * Convert an absolute path inside the folder to a journal path
+   * @param {string} absolutePath - Absolute path
+   * @returns {string} Path relative to the folder
+   */
+  relative(absolutePath) {
+    return path.relative(this.basePath, absolutePath);
+  }
+
+  /**
+   * Convert a journal path back to an absolute path
+   * @param {string} relativePath - Path relative to the folder
+   * @returns {string} Absolute path
+   */
+  absolute(relativePath) {
+    return path.join(this.basePath, relativePath);
+  }
+
+  /**
+   * Persist a completed action
+   * @param {Object} action - Action to record
+   */
+  async record(action) {
+    const entry = { ...action, id: this.nextId++, completedAt: new Date().toISOString() };
+    await fs.appendFile(path.join(this.path, JOURNAL_FILE), JSON.stringify(entry) + '\n');
+    this.actions.push(entry);
+  }
+
+  /**
+   * Move an item into the staging area instead of removing it
+   * @param {string} targetPath - Absolute path of the item
+   * @param {number} step - Index of the change log entry
+   */
+  async stage(targetPath, step) {
+    const stagedName = String(this.nextId);
+    await movePath(targetPath, path.join(this.stagingPath, stagedName));
+    await this.record({ action: 'stage', step, path: this.relative(targetPath), staged: stagedName });
+  }
+
+  /**
+   * Move an item into the trash of its root
+   * @param {string} targetPath - Absolute path of the item
+   * @param {number} step - Index of the change log entry
+   */
+  async trash(targetPath, step) {
+    const item = await moveToTrash(targetPath);
+    await this.record({ action: 'trash', step, path: this.relative(targetPath), root: item.root, trashId: item.id });
+  }
+
+  /**
+   * Create a directory and its missing parents
+   * @param {string} dirPath - Absolute directory path
+   * @param {number} step - Index of the change log entry
+   */
+  async mkdir(dirPath, step) {
+    // fs.mkdir returns the first directory it had to create, if any
+    const created = await fs.mkdir(dirPath, { recursive: true });
+    if (created) {
+      const paths = [];
+      for (let dir = dirPath; dir.length >= created.length; dir = path.dirname(dir)) {
+        paths.unshift(this.relative(dir));
+      }
+      await this.record({ action: 'mkdir', step, paths });
+    }
+  }
+
+  /**
+   * Rename a file or folder, moving it to a target path that does not exist
+   * yet; overwritten items must be staged first
+   *
+   * Across file systems the item is copied and verified with copyAcross, and
+   * the original is only removed once the copy is recorded; undoing the
+   * action copies it back.
+   *
+   * @param {string} fromPath - Absolute source path
+   * @param {string} toPath - Absolute target path
+   * @param {number} step - Index of the change log entry
+   * @param {Function} onProgress - Called with { bytes, totalBytes } while copying
+   */
+  async rename(fromPath, toPath, step, onProgress = () => {}) {
+    // fs.rename would replace the item silently; a name differing only in
+    // case is the item itself on case-insensitive file systems
+    const existing = await fs.lstat(toPath).catch(err => {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    });
+    if (existing) {
+      const source = await fs.lstat(fromPath);
+      if (source.dev !== existing.dev || source.ino !== existing.ino) {
+        throw new PathError(`"${this.relative(toPath)}" already exists`, 'TARGET_EXISTS');
+      }
+    }
+
+    try {
+      await fs.rename(fromPath, toPath);
+    } catch (err) {
+      if (err.code !== 'EXDEV') throw err;
+
+      await copyAcross(fromPath, toPath, onProgress);
+      await this.record({ action: 'transfer', step, from: this.relative(fromPath), to: this.relative(toPath) });
+      await removeDirectory(fromPath);
+      return;
+    }
+    await this.record({ action: 'rename', step, from: this.relative(fromPath), to: this.relative(toPath) });
+  }
+
+  /**
+   * Copy a file or folder to a path that does not exist yet
+   * @param {string} fromPath - Absolute source path
+   * @param {string} toPath - Absolute target path
+   * @param {number} step - Index of the change log entry
+   */
+  async copy(fromPath, toPath, step) {
+    if (await pathExists(toPath)) {
+      throw new Error(`${this.relative(toPath)} already exists`);
+    }
+
+    try {
+      await copyPath(fromPath, toPath);
+    } catch (err) {
+      // Remove a partial copy, the action is only recorded once complete
+      await fs.rm(toPath, { recursive: true, force: true });
+      throw err;
+    }
+    await this.record({ action: 'copy', step, from: this.relative(fromPath), to: this.relative(toPath) });
+  }
+
+  /**
+   * Give a complete temporary file or folder its name, which must not exist yet
+   * @param {string} tempPath - Absolute path of the temporary file or folder
+   * @param {string} toPath - Absolute target path
+   * @param {number} step - Index of the change log entry
+   */
+  async place(tempPath, toPath, step) {
+    if (await pathExists(toPath)) {
+      await fs.rm(tempPath, { recursive: true, force: true });
+      throw new Error(`${this.relative(toPath)} already exists`);
+    }
+
+    await fs.rename(tempPath, toPath);
+    await this.record({ action: 'create', step, path: this.relative(toPath) });
+  }
+
+  /**
+   * Change the mode or owner of an item, and of everything inside it
+   *
+   * The action is recorded before anything changes, and the previous mode and
+   * owner of every item are listed before it is changed, so an interrupted
+   * change can be undone as well. Links are changed with lchown and never get
+   * a mode, which they do not have on most systems.
+   *
+   * @param {string} targetPath - Absolute path of the item
+   * @param {number} step - Index of the change log entry
+   * @param {Object} attributes - What to set, every field optional
+   * @param {number} attributes.mode - Mode of the item and the folders inside it
+   * @param {number} attributes.fileMode - Mode of the files inside it, `mode` when missing
+   * @param {number} attributes.uid - Owner
+   * @param {number} attributes.gid - Group
+   * @param {boolean} recursive - Change everything inside a folder too
+   */
+  async setAttributes(targetPath, step, attributes, recursive = false) {
+    const list = `${this.nextId}.ndjson`;
+    const listPath = path.join(this.path, ATTRIBUTES_DIR, list);
+    await fs.mkdir(path.dirname(listPath), { recursive: true });
+    await this.record({ action: 'attributes', step, list });
+
+    const { mode, fileMode = mode, uid = -1, gid = -1 } = attributes;
+    const handle = await fs.open(listPath, 'a');
+    try {
+      // Depth first and one item at a time, however large the folder
+      const visit = async (itemPath, isTarget) => {
+        const stats = await fs.lstat(itemPath);
+        await handle.appendFile(JSON.stringify({
+          path: this.relative(itemPath),
+          mode: stats.mode & 0o7777,
+          uid: stats.uid,
+          gid: stats.gid
+        }) + '\n');
+
+        if (uid !== -1 || gid !== -1) {
+          await fs.lchown(itemPath, uid, gid);
+        }
+        // Changing the owner clears set-user-ID bits, so the mode comes last
+        const itemMode = stats.isDirectory() || isTarget ? mode : fileMode;
+        if (itemMode !== undefined && !stats.isSymbolicLink()) {
+          await fs.chmod(itemPath, itemMode);
+        }
+
+        if (recursive && stats.isDirectory()) {
+          for (const name of await fs.readdir(itemPath)) {
+            await visit(path.join(itemPath, name), false);
+          }
+        }
+      };
+      await visit(targetPath, true);
+    } finally {
+      await handle.close();
+    }
+  }
+
+  /**
+   * Restore the modes and owners listed by setAttributes
+   * @param {string} list - Name of the list
+   */
+  async restoreAttributes(list) {
+    const listPath = path.join(this.path, ATTRIBUTES_DIR, list);
+    if (!(await pathExists(listPath))) return;
+
+    const lines = readline.createInterface({ input: createReadStream(listPath, { encoding: 'utf8' }), crlfDelay: Infinity });
+    for await (const line of lines) {
+      // The last line may have been cut short by a crash; its item was not changed yet
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (err) {
+        continue;
+      }
+
+      const itemPath = this.absolute(entry.path);
+      const stats = await fs.lstat(itemPath);
+      if (stats.uid !== entry.uid || stats.gid !== entry.gid) {
+        await fs.lchown(itemPath, entry.uid, entry.gid);
+      }
+      if (!stats.isSymbolicLink()) {
+        await fs.chmod(itemPath, entry.mode);
+      }
+    }
+  }
+
+  /**
+   * Undo a single recorded action
+   * @param {Object} entry - Recorded action
+   */
+  async undo(entry) {
+    if (entry.action === 'rename') {
+      await fs.rename(this.absolute(entry.to), this.absolute(entry.from));
+    } else if (entry.action === 'transfer') {
+      // The original may be partly removed, the copy is whole
+      await fs.rm(this.absolute(entry.from), { recursive: true, force: true });
+      await movePath(this.absolute(entry.to), this.absolute(entry.from));
+    } else if (entry.action === 'copy') {
+      await fs.rm(this.absolute(entry.to), { recursive: true, force: true });
+    } else if (entry.action === 'create') {
+      await fs.rm(this.absolute(entry.path), { recursive: true, force: true });
+    } else if (entry.action === 'attributes') {
+      await this.restoreAttributes(entry.list);
+    } else if (entry.action === 'stage') {
+      await movePath(path.join(this.stagingPath, entry.staged), this.absolute(entry.path));
+    } else if (entry.action === 'trash') {
+      await takeFromTrash(entry.root, entry.trashId, this.absolute(entry.path));
+    } else if (entry.action === 'mkdir') {
+      // Later actions have already been undone, so the created folders are
+      // empty unless someone else put something in them
+      for (const dir of [...entry.paths].reverse()) {
+        await fs.rmdir(this.absolute(dir));
+      }
+    }
+  }
+
+  /**
+   * Undo every completed action in reverse order
+   */
+  async rollback() {
+    while (this.actions.length > 0) {
+      const entry = this.actions[this.actions.length - 1];
+      console.log(`Undoing ${entry.action} from step ${entry.step + 1}`);
+      await this.undo(entry);
+      this.actions.pop();
+      // Append instead of rewriting so an interrupted rollback can be resumed
+      await fs.appendFile(
+        path.join(this.path, JOURNAL_FILE),
+        JSON.stringify({ action: 'undo', target: entry.id }) + '\n'
+      );
+    }
+  }
+
+  /**
+   * Remove the journal and everything it staged
+   */
+  async discard() {
+    if (await pathExists(this.path)) {
+      await removeDirectory(this.path);
+    }
+  }
+}
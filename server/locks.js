@@ -0,0 +1,132 @@
+/**
+ * Path Locks
+ *
+ * Operations writing to a folder hold a lock on its real path until they
+ * finish. A lock conflicts with every lock on the same path, a folder inside
+ * it or a folder containing it, so two applies or restores can never work on
+ * overlapping trees at the same time. Locks live in memory: jobs interrupted
+ * by a restart are rolled back before the server accepts requests again.
+ */
+
+import crypto from 'crypto';
+import { isWithin } from './paths.js';
+
+/**
+ * Error raised when a path is locked by another operation
+ */
+export class LockError extends Error {
+  /**
+   * @param {string} message - Human readable message
+   * @param {Object} lock - Public view of the conflicting lock
+   */
+  constructor(message, lock) {
+    super(message);
+    this.name = 'LockError';
+    this.code = 'PATH_LOCKED';
+    this.status = 409;
+    this.lock = lock;
+  }
+}
+
+const locks = new Map();
+
+/**
+ * Check whether two paths overlap, one being the same as or inside the other
+ * @param {string} a - Real path
+ * @param {string} b - Real path
+ * @returns {boolean} Whether the paths overlap
+ */
+function overlaps(a, b) {
+  return isWithin(a, b) || isWithin(b, a);
+}
+
+/**
+ * Get the public view of a lock
+ * @param {Object} lock - Lock
+ * @returns {Object} Lock status
+ */
+function toPublic(lock) {
+  return { ...lock, paths: [...lock.paths] };
+}
+
+/**
+ * Find the locks overlapping a path, or any of several paths
+ * @param {string|Array<string>} realPaths - Real path or paths
+ * @returns {Array} Public views of the locks, oldest first
+ */
+export function findLocks(realPaths) {
+  const checked = [].concat(realPaths);
+  return [...locks.values()]
+    .filter(lock => lock.paths.some(lockedPath => checked.some(realPath => overlaps(lockedPath, realPath))))
+    .map(toPublic);
+}
+
+/**
+ * List every held lock
+ * @returns {Array} Public views of the locks, oldest first
+ */
+export function listLocks() {
+  return [...locks.values()].map(toPublic);
+}
+
+/**
+ * Lock paths for an operation
+ * @param {Array<string>} paths - Real paths the operation writes to
+ * @param {Object} info - Lock description
+ * @param {string} info.operation - What the lock is for, e.g. "apply"
+ * @param {Object} info.owner - Identity of the client, see getClientIdentity
+ * @returns {Object} Lock, to release with releaseLock
+ * @throws {LockError} When one of the paths overlaps a held lock
+ */
+export function acquireLock(paths, { operation, owner }) {
+  for (const lock of locks.values()) {
+    const lockedPath = lock.paths.find(p => paths.some(requested => overlaps(p, requested)));
+    if (lockedPath) {
+      throw new LockError(`${lockedPath} is locked by another operation (${lock.operation}) since ${lock.since}`, toPublic(lock));
+    }
+  }
+
+  const lock = {
+    id: crypto.randomUUID(),
+    paths: [...paths],
+    operation,
+    owner,
+    since: new Date().toISOString(),
+    jobId: null
+  };
+  locks.set(lock.id, lock);
+  return lock;
+}
+
+/**
+ * Attach the job working under a lock, for the lock status
+ * @param {Object} lock - Held lock
+ * @param {string} jobId - Job ID
+ */
+export function setLockJob(lock, jobId) {
+  lock.jobId = jobId;
+}
+
+/**
+ * Release a lock; releasing it twice does nothing
+ * @param {Object} lock - Held lock
+ */
+export function releaseLock(lock) {
+  locks.delete(lock.id);
+}
+
+/**
+ * Run an operation while holding a lock on paths
+ * @param {Array<string>} paths - Real paths the operation writes to
+ * @param {Object} info - Lock description, see acquireLock
+ * @param {Function} operation - Async function to run
+ * @returns {Promise<any>} Result of the operation
+ */
+export async function withLock(paths, info, operation) {
+  const lock = acquireLock(paths, info);
+  try {
+    return await operation();
+  } finally {
+    releaseLock(lock);
+  }
+}
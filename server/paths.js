@@ -0,0 +1,216 @@
+/**
+ * Path Confinement
+ *
+ * Every path coming from a client is resolved to its real location (following
+ * symlinks) and rejected unless it lies inside one of the configured roots.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Error raised when a client-supplied path is invalid or not allowed
+ */
+export class PathError extends Error {
+  /**
+   * @param {string} message - Human readable message
+   * @param {string} code - Machine readable error code
+   * @param {number} status - HTTP status to answer with
+   */
+  constructor(message, code, status = 400) {
+    super(message);
+    this.name = 'PathError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+// Real paths of the allowed roots, populated by initAllowedRoots()
+let allowedRoots = [];
+
+/**
+ * Resolve the configured roots to real paths
+ * @param {Array<string>} roots - Configured root directories
+ * @returns {Promise<Array<string>>} Real paths of the usable roots
+ */
+export async function initAllowedRoots(roots) {
+  const resolved = [];
+
+  for (const root of roots) {
+    try {
+      const realRoot = await fs.realpath(root);
+      const stats = await fs.stat(realRoot);
+      if (!stats.isDirectory()) {
+        console.warn(`Ignoring allowed root ${root}: not a directory`);
+        continue;
+      }
+      resolved.push(realRoot);
+    } catch (err) {
+      console.warn(`Ignoring allowed root ${root}: ${err.message}`);
+    }
+  }
+
+  if (resolved.length === 0) {
+    throw new Error('No usable allowed root directory configured (set ALLOWED_ROOTS)');
+  }
+
+  allowedRoots = resolved;
+  return allowedRoots;
+}
+
+/**
+ * Get the real paths of the allowed roots
+ * @returns {Array<string>} Allowed roots
+ */
+export function getAllowedRoots() {
+  return [...allowedRoots];
+}
+
+/**
+ * Check whether a path is the same as, or nested inside, a parent path
+ * @param {string} parentPath - Parent path
+ * @param {string} childPath - Path to check
+ * @returns {boolean} Whether childPath is inside parentPath
+ */
+export function isWithin(parentPath, childPath) {
+  const relative = path.relative(parentPath, childPath);
+  return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+}
+
+/**
+ * Find the allowed root containing a real path
+ * @param {string} realPath - Real path to check
+ * @returns {string|null} Matching root or null
+ */
+export function findAllowedRoot(realPath) {
+  return allowedRoots.find(root => isWithin(root, realPath)) || null;
+}
+
+/**
+ * Resolve and validate the base directory of a request
+ * @param {string} absolutePath - Absolute path sent by the client
+ * @returns {Promise<string>} Real path of the directory
+ */
+export async function resolveBasePath(absolutePath) {
+  if (!absolutePath || typeof absolutePath !== 'string') {
+    throw new PathError('Absolute path is required', 'PATH_REQUIRED');
+  }
+
+  if (absolutePath.includes('\0')) {
+    throw new PathError('Path contains invalid characters', 'INVALID_PATH');
+  }
+
+  if (!path.isAbsolute(absolutePath)) {
+    throw new PathError('Path must be an absolute path', 'PATH_NOT_ABSOLUTE');
+  }
+
+  let realPath;
+  try {
+    realPath = await fs.realpath(absolutePath);
+  } catch (err) {
+    throw new PathError(`Path is not accessible: ${err.message}`, 'PATH_NOT_FOUND');
+  }
+
+  if (!findAllowedRoot(realPath)) {
+    throw new PathError(
+      `Path "${absolutePath}" is outside the allowed root directories`,
+      'PATH_OUTSIDE_ROOTS',
+      403
+    );
+  }
+
+  const stats = await fs.stat(realPath);
+  if (!stats.isDirectory()) {
+    throw new PathError('Path exists but is not a directory', 'PATH_NOT_DIRECTORY');
+  }
+
+  return realPath;
+}
+
+/**
+ * Validate a single file or folder name
+ * @param {string} name - Name to validate
+ */
+export function validateEntryName(name) {
+  if (!name || typeof name !== 'string') {
+    throw new PathError('Name is required', 'INVALID_NAME');
+  }
+
+  if (name === '.' || name === '..' || /[/\\\0]/.test(name)) {
+    throw new PathError(`Invalid name "${name}"`, 'INVALID_NAME');
+  }
+}
+
+/**
+ * Split a change log path into validated segments
+ * @param {string} relativePath - Path relative to the base directory, using "/"
+ * @returns {Array<string>} Path segments
+ */
+export function splitRelativePath(relativePath) {
+  if (!relativePath || typeof relativePath !== 'string') {
+    throw new PathError('Relative path is required', 'INVALID_PATH');
+  }
+
+  if (relativePath.startsWith('/') || path.isAbsolute(relativePath)) {
+    throw new PathError(`Path "${relativePath}" must be relative`, 'INVALID_PATH');
+  }
+
+  const segments = relativePath.split('/');
+  for (const segment of segments) {
+    try {
+      validateEntryName(segment);
+    } catch (err) {
+      throw new PathError(`Invalid path "${relativePath}"`, 'INVALID_PATH');
+    }
+  }
+
+  return segments;
+}
+
+/**
+ * Resolve a change log path inside a base directory
+ *
+ * Parent directories must not be symlinks, so a change never edits a link's
+ * target; the last segment is kept as-is so a symlink entry refers to the
+ * link itself. Segments that do not exist yet are appended to the deepest
+ * existing ancestor.
+ *
+ * @param {string} basePath - Real path of the base directory
+ * @param {string} relativePath - Path relative to the base directory
+ * @returns {Promise<string>} Absolute path inside basePath
+ */
+export async function resolveEntryPath(basePath, relativePath) {
+  const segments = splitRelativePath(relativePath);
+  const parentSegments = segments.slice(0, -1);
+  const missing = [];
+
+  let realParent = null;
+  let candidate;
+  while (realParent === null) {
+    candidate = path.join(basePath, ...parentSegments);
+    try {
+      realParent = await fs.realpath(candidate);
+    } catch (err) {
+      if (err.code !== 'ENOENT' || parentSegments.length === 0) throw err;
+      missing.unshift(parentSegments.pop());
+    }
+  }
+
+  if (!isWithin(basePath, realParent)) {
+    throw new PathError(
+      `Path "${relativePath}" resolves outside of the target directory`,
+      'PATH_OUTSIDE_ROOTS',
+      403
+    );
+  }
+
+  // basePath is a real path, so any difference comes from a symlink
+  if (realParent !== candidate) {
+    throw new PathError(
+      `Path "${relativePath}" goes through a symbolic link`,
+      'THROUGH_SYMLINK'
+    );
+  }
+
+  return path.join(realParent, ...missing, segments[segments.length - 1]);
+}
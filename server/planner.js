@@ -0,0 +1,867 @@
+/**
+ * Change Log Planner
+ *
+ * Replays a change log against an in-memory snapshot of the server tree and
+ * reports, for every operation, whether applyChanges would succeed.
+ */
+
+import fs from 'fs/promises';
+import { constants } from 'fs';
+import path from 'path';
+import { PathError, splitRelativePath, validateEntryName } from './paths.js';
+import { isPathIgnored } from './ignore.js';
+import { getChangePaths, getSecondaryPaths } from './apply.js';
+import { getProcessIdentity } from './accounts.js';
+import { ArchiveError, listArchive } from './archives.js';
+
+/**
+ * Deep clone a directory structure, remembering where each item is on disk
+ * @param {Array} items - Structure from getDirectoryStructure
+ * @param {string} pathPrefix - Relative path of the items' parent
+ * @returns {Array} Cloned structure
+ */
+function cloneStructure(items, pathPrefix = '') {
+  return items.map(item => {
+    const diskPath = pathPrefix ? `${pathPrefix}/${item.name}` : item.name;
+    const clone = {
+      name: item.name,
+      isDirectory: item.isDirectory,
+      size: item.size,
+      uid: item.uid,
+      gid: item.gid,
+      diskPath
+    };
+    if (item.isSymlink) {
+      // Changes never go through links, so their contents are left out
+      clone.isSymlink = true;
+      if (item.isDirectory) clone.children = [];
+    } else if (item.isDirectory) {
+      clone.children = cloneStructure(item.children || [], diskPath);
+    }
+    return clone;
+  });
+}
+
+/**
+ * Count all items nested inside a directory
+ * @param {Object} item - Directory item
+ * @returns {number} Number of nested items
+ */
+function countDescendants(item) {
+  if (!item.isDirectory) return 0;
+  return item.children.reduce((total, child) => total + 1 + countDescendants(child), 0);
+}
+
+/**
+ * Describe an item for human readable messages
+ * @param {Object} item - Tree item
+ * @returns {string} Description
+ */
+function describeItem(item) {
+  if (item.isSymlink) return `link "${item.name}"`;
+  if (!item.isDirectory) return `file "${item.name}"`;
+  const count = countDescendants(item);
+  return `folder "${item.name}"${count > 0 ? ` (${count} nested item(s))` : ''}`;
+}
+
+/**
+ * In-memory view of the server tree
+ */
+class VirtualTree {
+  /**
+   * @param {string} basePath - Real path of the folder
+   * @param {Array} structure - Structure from getDirectoryStructure
+   */
+  constructor(basePath, structure) {
+    this.basePath = basePath;
+    this.root = { name: '', isDirectory: true, diskPath: '', children: cloneStructure(structure) };
+    this.writableCache = new Map();
+    this.device = null;
+  }
+
+  /**
+   * Get the device of the folder, to tell whether moves to another tree are
+   * renames
+   * @returns {Promise<number>} Device ID
+   */
+  async getDevice() {
+    this.device ??= (await fs.stat(this.basePath)).dev;
+    return this.device;
+  }
+
+  /**
+   * Find an item by its path segments
+   * @param {Array<string>} segments - Path segments
+   * @returns {Object|null} Item or null
+   */
+  find(segments) {
+    let current = this.root;
+    for (const segment of segments) {
+      if (!current.isDirectory || current.isSymlink) return null;
+      current = current.children.find(child => child.name === segment);
+      if (!current) return null;
+    }
+    return current;
+  }
+
+  /**
+   * Find the deepest existing item along a path
+   * @param {Array<string>} segments - Path segments
+   * @returns {Object} { item, depth } where depth is the number of segments found
+   */
+  findDeepest(segments) {
+    let current = this.root;
+    let depth = 0;
+    for (const segment of segments) {
+      if (!current.isDirectory || current.isSymlink) break;
+      const next = current.children.find(child => child.name === segment);
+      if (!next) break;
+      current = next;
+      depth++;
+    }
+    return { item: current, depth };
+  }
+
+  /**
+   * Remove an item from its parent directory
+   * @param {Array<string>} segments - Path segments of the item
+   * @returns {Object|null} Removed item
+   */
+  remove(segments) {
+    const parent = this.find(segments.slice(0, -1));
+    if (!parent || !parent.isDirectory) return null;
+    const index = parent.children.findIndex(child => child.name === segments[segments.length - 1]);
+    if (index === -1) return null;
+    return parent.children.splice(index, 1)[0];
+  }
+
+  /**
+   * Insert an item, creating missing parent directories like fs.mkdir({ recursive })
+   * @param {Array<string>} parentSegments - Path segments of the target directory
+   * @param {Object} item - Item to insert
+   */
+  insert(parentSegments, item) {
+    let current = this.root;
+    for (const segment of parentSegments) {
+      let next = current.children.find(child => child.name === segment);
+      if (!next) {
+        next = { name: segment, isDirectory: true, diskPath: null, children: [] };
+        current.children.push(next);
+      }
+      current = next;
+    }
+    current.children = current.children.filter(child => child.name !== item.name);
+    current.children.push(item);
+  }
+
+  /**
+   * Check whether the server process can modify a directory of the tree
+   *
+   * Directories created by earlier steps inherit the answer of the closest
+   * ancestor that exists on disk.
+   *
+   * @param {Array<string>} segments - Path segments of the directory
+   * @returns {Promise<boolean>} Whether the directory is writable
+   */
+  async isWritable(segments) {
+    let diskPath = null;
+    for (let depth = segments.length; depth >= 0 && diskPath === null; depth--) {
+      const item = this.find(segments.slice(0, depth));
+      if (item && item.diskPath !== null) diskPath = item.diskPath;
+    }
+
+    const absolute = path.join(this.basePath, ...(diskPath ? diskPath.split('/') : []));
+    if (!this.writableCache.has(absolute)) {
+      try {
+        await fs.access(absolute, constants.W_OK | constants.X_OK);
+        this.writableCache.set(absolute, true);
+      } catch (err) {
+        this.writableCache.set(absolute, false);
+      }
+    }
+    return this.writableCache.get(absolute);
+  }
+}
+
+/**
+ * Collects the findings of a single operation
+ */
+class OperationVerdict {
+  constructor(index, change) {
+    this.index = index;
+    this.type = change.type;
+    this.issues = [];
+  }
+
+  add(level, code, message) {
+    this.issues.push({ level, code, message });
+  }
+
+  get hasErrors() {
+    return this.issues.some(issue => issue.level === 'error');
+  }
+
+  toJSON() {
+    let status = 'ok';
+    if (this.hasErrors) {
+      status = 'error';
+    } else if (this.issues.some(issue => issue.level === 'warning')) {
+      status = 'warning';
+    }
+    return { index: this.index, type: this.type, status, issues: this.issues };
+  }
+}
+
+/**
+ * Check that the parent directories of a source and a target are writable
+ * @param {VirtualTree} tree - Virtual tree
+ * @param {OperationVerdict} verdict - Verdict to report to
+ * @param {Array<Array<string>>} directories - Directory segments to check
+ */
+async function checkWritable(tree, verdict, directories) {
+  const seen = new Set();
+  for (const segments of directories) {
+    const key = segments.join('/');
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    if (!(await tree.isWritable(segments))) {
+      verdict.add('error', 'NOT_WRITABLE', `No write permission on "${key || '.'}"`);
+    }
+  }
+}
+
+/**
+ * Refuse paths going through a symlink, which would change the link's target
+ * instead of the folder being edited
+ * @param {VirtualTree} tree - Virtual tree
+ * @param {OperationVerdict} verdict - Verdict to report to
+ * @param {Array<Array<string>>} paths - Path segments to check
+ * @returns {boolean} Whether all paths stay out of links
+ */
+function checkNotThroughSymlink(tree, verdict, paths) {
+  for (const segments of paths) {
+    const { item, depth } = tree.findDeepest(segments);
+    if (item.isSymlink && depth < segments.length) {
+      verdict.add('error', 'THROUGH_SYMLINK',
+        `"${segments.slice(0, depth).join('/')}" is a symbolic link, change its target folder instead`);
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Check the target of a move or rename and report what it would replace
+ * @param {VirtualTree} tree - Virtual tree
+ * @param {OperationVerdict} verdict - Verdict to report to
+ * @param {Array<string>} targetSegments - Target path segments
+ * @param {boolean} override - Whether the change overrides existing items
+ */
+function checkTarget(tree, verdict, targetSegments, override) {
+  const parentSegments = targetSegments.slice(0, -1);
+  const { item: deepest, depth } = tree.findDeepest(parentSegments);
+
+  if (!deepest.isDirectory) {
+    verdict.add('error', 'TARGET_PARENT_NOT_DIRECTORY',
+      `"${parentSegments.slice(0, depth).join('/')}" is a file, not a folder`);
+    return;
+  }
+
+  if (depth < parentSegments.length) {
+    verdict.add('info', 'CREATES_FOLDERS',
+      `Missing folder "${parentSegments.join('/')}" will be created`);
+    return;
+  }
+
+  const existing = tree.find(targetSegments);
+  if (!existing) return;
+
+  if (override) {
+    verdict.add('info', 'OVERRIDES_EXISTING', `Replaces existing ${describeItem(existing)}`);
+  } else {
+    verdict.add('error', 'TARGET_EXISTS',
+      `"${targetSegments.join('/')}" already exists and override is not set`);
+  }
+}
+
+/**
+ * Simulate a move operation
+ */
+async function planMove(tree, verdict, change) {
+  const fromSegments = splitRelativePath(change.from);
+  const toSegments = splitRelativePath(change.to);
+  if (!checkNotThroughSymlink(tree, verdict, [fromSegments, toSegments])) return;
+
+  const source = tree.find(fromSegments);
+
+  if (!source) {
+    verdict.add('error', 'SOURCE_MISSING', `"${change.from}" does not exist`);
+    return;
+  }
+
+  if (change.from === change.to) {
+    verdict.add('warning', 'NO_OP', 'Source and target are the same');
+    return;
+  }
+
+  if (change.to.startsWith(`${change.from}/`)) {
+    verdict.add('error', 'MOVE_INTO_ITSELF', `Cannot move "${change.from}" into itself`);
+    return;
+  }
+
+  checkTarget(tree, verdict, toSegments, change.override);
+  await checkWritable(tree, verdict, [fromSegments.slice(0, -1), toSegments.slice(0, -1)]);
+  if (verdict.hasErrors) return;
+
+  tree.remove(fromSegments);
+  source.name = toSegments[toSegments.length - 1];
+  tree.insert(toSegments.slice(0, -1), source);
+}
+
+/**
+ * Deep clone a planned item for a copy, which has no place on disk yet and
+ * belongs to the server process
+ * @param {Object} item - Planned item
+ * @param {string} name - Name of the copy
+ * @returns {Object} Copied item
+ */
+function copyItem(item, name = item.name) {
+  const copy = { ...item, name, diskPath: null, uid: undefined, gid: undefined };
+  if (item.children) copy.children = item.children.map(child => copyItem(child));
+  return copy;
+}
+
+/**
+ * Simulate a copy operation
+ */
+async function planCopy(tree, verdict, change) {
+  const fromSegments = splitRelativePath(change.from);
+  const toSegments = splitRelativePath(change.to);
+  if (!checkNotThroughSymlink(tree, verdict, [fromSegments, toSegments])) return;
+
+  const source = tree.find(fromSegments);
+
+  if (!source) {
+    verdict.add('error', 'SOURCE_MISSING', `"${change.from}" does not exist`);
+    return;
+  }
+
+  if (change.from === change.to || change.to.startsWith(`${change.from}/`)) {
+    verdict.add('error', 'COPY_INTO_ITSELF', `Cannot copy "${change.from}" onto or into itself`);
+    return;
+  }
+
+  if (change.from.startsWith(`${change.to}/`)) {
+    verdict.add('error', 'REPLACES_SOURCE', `Cannot replace "${change.to}", it contains "${change.from}"`);
+    return;
+  }
+
+  checkTarget(tree, verdict, toSegments, change.override);
+  await checkWritable(tree, verdict, [toSegments.slice(0, -1)]);
+  if (verdict.hasErrors) return;
+
+  verdict.add('info', 'COPIES', `Copies ${describeItem(source)}`);
+  tree.insert(toSegments.slice(0, -1), copyItem(source, toSegments[toSegments.length - 1]));
+}
+
+/**
+ * Simulate a folder creation
+ */
+async function planMkdir(tree, verdict, change) {
+  const segments = splitRelativePath(change.path);
+  if (!checkNotThroughSymlink(tree, verdict, [segments])) return;
+
+  if (tree.find(segments)) {
+    verdict.add('error', 'TARGET_EXISTS', `"${change.path}" already exists`);
+    return;
+  }
+
+  checkTarget(tree, verdict, segments, false);
+  await checkWritable(tree, verdict, [segments.slice(0, -1)]);
+  if (verdict.hasErrors) return;
+
+  tree.insert(segments.slice(0, -1), {
+    name: segments[segments.length - 1],
+    isDirectory: true,
+    diskPath: null,
+    children: []
+  });
+}
+
+/**
+ * Simulate an upload of a new file
+ */
+async function planUpload(tree, verdict, change) {
+  const segments = splitRelativePath(change.path);
+  if (!checkNotThroughSymlink(tree, verdict, [segments])) return;
+
+  if (tree.find(segments)) {
+    verdict.add('error', 'TARGET_EXISTS', `"${change.path}" already exists`);
+    return;
+  }
+
+  checkTarget(tree, verdict, segments, false);
+  await checkWritable(tree, verdict, [segments.slice(0, -1)]);
+  if (verdict.hasErrors) return;
+
+  tree.insert(segments.slice(0, -1), {
+    name: segments[segments.length - 1],
+    isDirectory: false,
+    size: change.size,
+    diskPath: null
+  });
+}
+
+/**
+ * Simulate the creation of an archive
+ */
+async function planArchive(tree, verdict, change) {
+  const segments = splitRelativePath(change.path);
+  const toSegments = splitRelativePath(change.to);
+  if (!checkNotThroughSymlink(tree, verdict, [segments, toSegments])) return;
+
+  const source = tree.find(segments);
+
+  if (!source) {
+    verdict.add('error', 'SOURCE_MISSING', `"${change.path}" does not exist`);
+    return;
+  }
+
+  if (change.to === change.path || change.to.startsWith(`${change.path}/`)) {
+    verdict.add('error', 'ARCHIVE_INTO_ITSELF', `Cannot write the archive of "${change.path}" inside it`);
+    return;
+  }
+
+  checkTarget(tree, verdict, toSegments, change.override);
+  const directories = [toSegments.slice(0, -1)];
+  if (change.deleteSource) directories.push(segments.slice(0, -1));
+  await checkWritable(tree, verdict, directories);
+  if (verdict.hasErrors) return;
+
+  const extension = change.format === 'zip' ? '.zip' : '.tar.gz';
+  if (!change.to.toLowerCase().endsWith(extension)) {
+    verdict.add('warning', 'EXTENSION_MISMATCH', `A ${change.format} archive usually ends with "${extension}"`);
+  }
+  verdict.add('info', 'ARCHIVES', `Archives ${describeItem(source)} as ${change.format}`
+    + (change.deleteSource ? ', then deletes it' : ''));
+
+  if (change.deleteSource) tree.remove(segments);
+  tree.insert(toSegments.slice(0, -1), {
+    name: toSegments[toSegments.length - 1],
+    isDirectory: false,
+    diskPath: null
+  });
+}
+
+/**
+ * Build planned items from the entries of an archive
+ * @param {Array} entries - Entries from listArchive
+ * @returns {Array} Items, with missing parent folders
+ */
+function buildEntryItems(entries) {
+  const root = { isDirectory: true, children: [] };
+  const folders = new Map([['', root]]);
+
+  const getFolder = (segments) => {
+    const key = segments.join('/');
+    if (!folders.has(key)) {
+      const folder = { name: segments[segments.length - 1], isDirectory: true, diskPath: null, children: [] };
+      getFolder(segments.slice(0, -1)).children.push(folder);
+      folders.set(key, folder);
+    }
+    return folders.get(key);
+  };
+
+  for (const entry of entries) {
+    const segments = entry.path.split('/');
+    if (entry.isDirectory && !entry.isSymlink) {
+      getFolder(segments);
+      continue;
+    }
+    const parent = getFolder(segments.slice(0, -1));
+    parent.children = parent.children.filter(child => child.name !== segments[segments.length - 1]);
+    parent.children.push({
+      name: segments[segments.length - 1],
+      isDirectory: entry.isDirectory,
+      isSymlink: entry.isSymlink || undefined,
+      ...(entry.isDirectory ? { children: [] } : {}),
+      diskPath: null
+    });
+  }
+  return root.children;
+}
+
+/**
+ * Merge extracted items into a planned folder the way applyChanges does
+ * @param {Object} folder - Planned folder
+ * @param {Array} items - Extracted items
+ * @param {string} conflict - "fail", "skip", "overwrite" or "rename"
+ * @param {Object} counts - Items replaced, skipped and renamed, and paths in conflict
+ * @param {string} folderPath - Relative path of the folder
+ */
+function mergeEntryItems(folder, items, conflict, counts, folderPath) {
+  for (const item of [...items].sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0))) {
+    const itemPath = folderPath ? `${folderPath}/${item.name}` : item.name;
+    const existing = folder.children.find(child => child.name === item.name);
+
+    if (!existing) {
+      folder.children.push(item);
+    } else if (item.isDirectory && !item.isSymlink && existing.isDirectory && !existing.isSymlink) {
+      mergeEntryItems(existing, item.children, conflict, counts, itemPath);
+    } else if (conflict === 'overwrite') {
+      folder.children = folder.children.filter(child => child !== existing);
+      folder.children.push(item);
+      counts.replaced++;
+    } else if (conflict === 'rename') {
+      const taken = new Set(folder.children.map(child => child.name));
+      const dot = item.name.lastIndexOf('.');
+      const [base, extension] = dot > 0 ? [item.name.slice(0, dot), item.name.slice(dot)] : [item.name, ''];
+      item.name = `${base} copy${extension}`;
+      for (let n = 2; taken.has(item.name); n++) {
+        item.name = `${base} copy ${n}${extension}`;
+      }
+      folder.children.push(item);
+      counts.renamed++;
+    } else if (conflict === 'skip') {
+      counts.skipped++;
+    } else {
+      counts.conflicts.push(itemPath);
+    }
+  }
+}
+
+/**
+ * Simulate the extraction of an archive
+ */
+async function planExtract(tree, verdict, change) {
+  const segments = splitRelativePath(change.path);
+  const toSegments = splitRelativePath(change.to);
+  if (!checkNotThroughSymlink(tree, verdict, [segments, toSegments])) return;
+
+  const archive = tree.find(segments);
+
+  if (!archive) {
+    verdict.add('error', 'SOURCE_MISSING', `"${change.path}" does not exist`);
+    return;
+  }
+  if (archive.isDirectory || archive.isSymlink) {
+    verdict.add('error', 'NOT_AN_ARCHIVE', `"${change.path}" is not a file`);
+    return;
+  }
+
+  const target = tree.find(toSegments);
+  if (target && (!target.isDirectory || target.isSymlink)) {
+    verdict.add('error', 'TARGET_NOT_DIRECTORY', `"${change.to}" is not a folder`);
+    return;
+  }
+  if (!target) checkTarget(tree, verdict, toSegments, false);
+  await checkWritable(tree, verdict, [target ? toSegments : toSegments.slice(0, -1)]);
+  if (verdict.hasErrors) return;
+
+  if (archive.diskPath === null) {
+    // Written by an earlier step, there is nothing to list yet
+    verdict.add('info', 'EXTRACTS', 'The contents of the archive are checked when applying');
+    if (!target) {
+      tree.insert(toSegments.slice(0, -1), {
+        name: toSegments[toSegments.length - 1],
+        isDirectory: true,
+        diskPath: null,
+        children: []
+      });
+    }
+    return;
+  }
+
+  let listing;
+  try {
+    listing = await listArchive(path.join(tree.basePath, ...archive.diskPath.split('/')));
+  } catch (err) {
+    if (!(err instanceof ArchiveError) && err.code !== 'ENOENT' && err.code !== 'EACCES') throw err;
+    verdict.add('error', err instanceof ArchiveError ? err.code : 'ARCHIVE_UNREADABLE', `Cannot read "${change.path}": ${err.message}`);
+    return;
+  }
+
+  const items = buildEntryItems(listing.entries);
+  const conflict = change.conflict || 'fail';
+  const counts = { replaced: 0, skipped: 0, renamed: 0, conflicts: [] };
+  const folder = target || { name: toSegments[toSegments.length - 1], isDirectory: true, diskPath: null, children: [] };
+  mergeEntryItems(folder, items, conflict, counts, change.to);
+
+  if (counts.conflicts.length > 0) {
+    const shown = counts.conflicts.slice(0, 5).map(p => `"${p}"`).join(', ');
+    verdict.add('error', 'TARGET_EXISTS', `${counts.conflicts.length} item(s) already exist, such as ${shown}; choose to skip, overwrite or rename them`);
+    return;
+  }
+
+  verdict.add('info', 'EXTRACTS', `Extracts ${listing.entries.length} item(s) from a ${listing.format} archive`);
+  if (counts.replaced > 0) verdict.add('info', 'OVERRIDES_EXISTING', `Replaces ${counts.replaced} existing item(s)`);
+  if (counts.skipped > 0) verdict.add('info', 'SKIPS_EXISTING', `Leaves ${counts.skipped} existing item(s) alone`);
+  if (counts.renamed > 0) verdict.add('info', 'RENAMES_EXTRACTED', `Renames ${counts.renamed} extracted item(s) that exist already`);
+  if (listing.truncated) {
+    verdict.add('warning', 'ARCHIVE_TRUNCATED', `Only the first ${listing.entries.length} entries were checked`);
+  }
+
+  if (!target) tree.insert(toSegments.slice(0, -1), folder);
+}
+
+/**
+ * List an item and, for a recursive change, the items inside it
+ * @param {Object} item - Planned item
+ * @param {boolean} recursive - Include the items inside
+ * @returns {Array} Items
+ */
+function collectItems(item, recursive) {
+  if (!recursive || !item.children) return [item];
+  return [item, ...item.children.flatMap(child => collectItems(child, true))];
+}
+
+/**
+ * Find the item of a chmod or chown, reporting what keeps it from changing
+ * @param {VirtualTree} tree - Virtual tree
+ * @param {OperationVerdict} verdict - Verdict to report to
+ * @param {Object} change - chmod or chown change
+ * @returns {Array|null} The items to change, or null
+ */
+function findAttributeItems(tree, verdict, change) {
+  const segments = splitRelativePath(change.path);
+  if (!checkNotThroughSymlink(tree, verdict, [segments])) return null;
+
+  const item = tree.find(segments);
+  if (!item) {
+    verdict.add('error', 'SOURCE_MISSING', `"${change.path}" does not exist`);
+    return null;
+  }
+  if (item.isSymlink) {
+    verdict.add('error', 'THROUGH_SYMLINK', `"${change.path}" is a symbolic link, change its target instead`);
+    return null;
+  }
+
+  const items = collectItems(item, change.recursive);
+  if (change.recursive && item.isDirectory) {
+    verdict.add('info', 'RECURSIVE', `Changes ${describeItem(item)} and everything inside it`);
+  }
+  return items;
+}
+
+/**
+ * Simulate a mode change
+ */
+async function planChmod(tree, verdict, change) {
+  const items = findAttributeItems(tree, verdict, change);
+  if (!items) return;
+
+  // Only the owner of an item may change its mode, unless the server runs as root
+  const identity = getProcessIdentity();
+  if (identity && !identity.isRoot) {
+    const foreign = items.filter(item => item.uid !== undefined && item.uid !== identity.uid);
+    if (foreign.length > 0) {
+      verdict.add('error', 'NOT_OWNER',
+        `The server (user ${identity.uid}) does not own ${foreign.length} of the item(s) to change, such as "${foreign[0].name}"`);
+    }
+  }
+}
+
+/**
+ * Simulate an owner change
+ */
+async function planChown(tree, verdict, change) {
+  const items = findAttributeItems(tree, verdict, change);
+  if (!items) return;
+
+  // Without root, only the group of one's own items can change, to a group one is in
+  const identity = getProcessIdentity();
+  if (identity && !identity.isRoot) {
+    if (change.uid !== undefined && items.some(item => (item.uid ?? identity.uid) !== change.uid)) {
+      verdict.add('error', 'NOT_PERMITTED', 'Only a server running as root can change the owner of items');
+    } else if (change.gid !== undefined && !identity.groups.includes(change.gid)) {
+      verdict.add('error', 'NOT_PERMITTED', `The server is not a member of group ${change.gid}`);
+    } else if (items.some(item => item.uid !== undefined && item.uid !== identity.uid)) {
+      verdict.add('error', 'NOT_OWNER', `The server (user ${identity.uid}) does not own every item to change`);
+    }
+  }
+  if (verdict.hasErrors) return;
+
+  for (const item of items) {
+    if (change.uid !== undefined) item.uid = change.uid;
+    if (change.gid !== undefined) item.gid = change.gid;
+  }
+}
+
+/**
+ * Simulate a rename operation
+ */
+async function planRename(tree, verdict, change) {
+  const segments = splitRelativePath(change.path);
+  validateEntryName(change.newName);
+  if (!checkNotThroughSymlink(tree, verdict, [segments])) return;
+
+  const source = tree.find(segments);
+
+  if (!source) {
+    verdict.add('error', 'SOURCE_MISSING', `"${change.path}" does not exist`);
+    return;
+  }
+
+  if (source.name === change.newName) {
+    verdict.add('warning', 'NO_OP', 'The new name is the same as the current one');
+    return;
+  }
+
+  const parentSegments = segments.slice(0, -1);
+  checkTarget(tree, verdict, [...parentSegments, change.newName], change.override);
+  await checkWritable(tree, verdict, [parentSegments]);
+  if (verdict.hasErrors) return;
+
+  tree.remove(segments);
+  source.name = change.newName;
+  tree.insert(parentSegments, source);
+}
+
+/**
+ * Deep clone a planned item moved to another tree, where it has no place on
+ * disk yet
+ * @param {Object} item - Planned item
+ * @returns {Object} Moved item
+ */
+function detachItem(item) {
+  const moved = { ...item, diskPath: null };
+  if (item.children) moved.children = item.children.map(detachItem);
+  return moved;
+}
+
+/**
+ * Simulate a transfer between the folder and the second folder
+ */
+async function planTransfer(tree, secondaryTree, verdict, change) {
+  if (!secondaryTree) {
+    verdict.add('error', 'SECONDARY_PATH_REQUIRED', 'A transfer needs a second folder');
+    return;
+  }
+
+  const [sourceTree, targetTree] = change.inbound ? [secondaryTree, tree] : [tree, secondaryTree];
+  const fromSegments = splitRelativePath(change.from);
+  const toSegments = splitRelativePath(change.to);
+  if (!checkNotThroughSymlink(sourceTree, verdict, [fromSegments])
+    || !checkNotThroughSymlink(targetTree, verdict, [toSegments])) return;
+
+  const source = sourceTree.find(fromSegments);
+
+  if (!source) {
+    verdict.add('error', 'SOURCE_MISSING',
+      `"${change.from}" does not exist${change.inbound ? ' in the second folder' : ''}`);
+    return;
+  }
+
+  checkTarget(targetTree, verdict, toSegments, change.override);
+  await checkWritable(sourceTree, verdict, [fromSegments.slice(0, -1)]);
+  await checkWritable(targetTree, verdict, [toSegments.slice(0, -1)]);
+  if (verdict.hasErrors) return;
+
+  if (await sourceTree.getDevice() !== await targetTree.getDevice()) {
+    verdict.add('info', 'COPIES_ACROSS_DEVICES',
+      `The folders are on different file systems: ${describeItem(source)} is copied (${source.size ?? 0} bytes), verified, then deleted`);
+  } else {
+    verdict.add('info', 'TRANSFERS',
+      `Moves ${describeItem(source)} ${change.inbound ? 'from' : 'to'} the second folder`);
+  }
+
+  sourceTree.remove(fromSegments);
+  const moved = detachItem(source);
+  moved.name = toSegments[toSegments.length - 1];
+  targetTree.insert(toSegments.slice(0, -1), moved);
+}
+
+/**
+ * Simulate a delete operation
+ */
+async function planDelete(tree, verdict, change) {
+  const segments = splitRelativePath(change.path);
+  if (!checkNotThroughSymlink(tree, verdict, [segments])) return;
+
+  const source = tree.find(segments);
+
+  if (!source) {
+    verdict.add('error', 'SOURCE_MISSING', `"${change.path}" does not exist`);
+    return;
+  }
+
+  verdict.add('info', 'DELETES', `Moves ${describeItem(source)} to the trash`);
+  await checkWritable(tree, verdict, [segments.slice(0, -1)]);
+  if (verdict.hasErrors) return;
+
+  tree.remove(segments);
+}
+
+/**
+ * Plan a change log against a snapshot of the server tree
+ * @param {string} basePath - Real path of the folder
+ * @param {Array} structure - Fresh structure from getDirectoryStructure
+ * @param {Array} changeLog - Changes to simulate
+ * @param {Object} options - Planning options
+ * @param {Function} options.isIgnored - Ignore matcher of the folder
+ * @param {Object} options.secondary - { basePath, structure, isIgnored } of
+ *   the second folder of transfers, if any
+ * @returns {Promise<Object>} { canApply, summary, operations }
+ */
+export async function planChanges(basePath, structure, changeLog, options = {}) {
+  const tree = new VirtualTree(basePath, structure);
+  const { secondary } = options;
+  const secondaryTree = secondary ? new VirtualTree(secondary.basePath, secondary.structure) : null;
+  const operations = [];
+
+  for (let index = 0; index < changeLog.length; index++) {
+    const change = changeLog[index];
+    const verdict = new OperationVerdict(index, change);
+
+    const ignoredPath = (options.isIgnored && getChangePaths(change)
+      .find(p => typeof p === 'string' && isPathIgnored(options.isIgnored, p)))
+      || (secondary && getSecondaryPaths(change).find(p => isPathIgnored(secondary.isIgnored, p)));
+
+    try {
+      if (ignoredPath) {
+        verdict.add('error', 'IGNORED_PATH', `"${ignoredPath}" is ignored and cannot be changed`);
+      } else if (change.type === 'move') {
+        await planMove(tree, verdict, change);
+      } else if (change.type === 'rename') {
+        await planRename(tree, verdict, change);
+      } else if (change.type === 'delete') {
+        await planDelete(tree, verdict, change);
+      } else if (change.type === 'copy') {
+        await planCopy(tree, verdict, change);
+      } else if (change.type === 'mkdir') {
+        await planMkdir(tree, verdict, change);
+      } else if (change.type === 'upload') {
+        await planUpload(tree, verdict, change);
+      } else if (change.type === 'chmod') {
+        await planChmod(tree, verdict, change);
+      } else if (change.type === 'chown') {
+        await planChown(tree, verdict, change);
+      } else if (change.type === 'archive') {
+        await planArchive(tree, verdict, change);
+      } else if (change.type === 'extract') {
+        await planExtract(tree, verdict, change);
+      } else if (change.type === 'transfer') {
+        await planTransfer(tree, secondaryTree, verdict, change);
+      } else {
+        verdict.add('warning', 'UNKNOWN_TYPE', `Unknown change type "${change.type}" will be ignored`);
+      }
+    } catch (err) {
+      if (!(err instanceof PathError)) throw err;
+      verdict.add('error', err.code, err.message);
+    }
+
+    operations.push(verdict.toJSON());
+  }
+
+  const summary = {
+    errors: operations.filter(op => op.status === 'error').length,
+    warnings: operations.filter(op => op.status === 'warning').length
+  };
+
+  return {
+    canApply: summary.errors === 0,
+    summary,
+    operations
+  };
+}
@@ -0,0 +1,368 @@
+/**
+ * Directory Scanning
+ *
+ * Entries of a directory are scanned in parallel and sub directories are
+ * walked while their siblings are still being read. Only the file system
+ * calls go through the concurrency limit, never the recursion itself, so a
+ * deep tree cannot deadlock by holding every slot while waiting for children.
+ */
+
+import fs from 'fs/promises';
+import { createReadStream } from 'fs';
+import { pipeline } from 'stream/promises';
+import crypto from 'crypto';
+import path from 'path';
+import { config } from './config.js';
+import { PathError, findAllowedRoot, splitRelativePath } from './paths.js';
+
+/**
+ * Create a function running async tasks with at most `concurrency` at a time
+ * @param {number} concurrency - Maximum number of running tasks
+ * @returns {Function} (task) => promise of the task's result
+ */
+function createLimiter(concurrency) {
+  const queue = [];
+  let active = 0;
+
+  const next = () => {
+    if (active >= concurrency || queue.length === 0) return;
+    active++;
+    const { task, resolve, reject } = queue.shift();
+    task().then(resolve, reject).finally(() => {
+      active--;
+      next();
+    });
+  };
+
+  return task => new Promise((resolve, reject) => {
+    queue.push({ task, resolve, reject });
+    next();
+  });
+}
+
+/**
+ * Prepare the options of a scan, with its own concurrency limit
+ * @param {Object} options - Scan options, see getDirectoryStructure
+ * @returns {Object} Options with `limit`
+ */
+function startScan(options) {
+  return { ...options, limit: createLimiter(options.concurrency || config.scanConcurrency) };
+}
+
+/**
+ * Compute the SHA-256 of a file, reading it as a stream
+ * @param {string} filePath - File to hash
+ * @returns {Promise<string>} Hex encoded hash
+ */
+export async function hashFile(filePath) {
+  const hash = crypto.createHash('sha256');
+  await pipeline(createReadStream(filePath), hash);
+  return hash.digest('hex');
+}
+
+/**
+ * Describe a symlink, following it into its target when the policy allows
+ * @param {string} fullPath - Path of the link
+ * @param {Object} item - Item with the link's own lstat info
+ * @param {Object} options - Scan options
+ * @param {Object} context - Scan context of the link's parent
+ * @returns {Promise<Object|null>} Item, or null when the link must be skipped
+ */
+async function scanSymlink(fullPath, item, options, context) {
+  const { limit } = options;
+  item.isSymlink = true;
+  item.linkTarget = await limit(() => fs.readlink(fullPath));
+  item.linkFollowed = false;
+
+  let realTarget;
+  try {
+    realTarget = await limit(() => fs.realpath(fullPath));
+  } catch (err) {
+    item.linkError = 'broken';
+    return item;
+  }
+
+  // Never expose what a symlink points to outside the allowed roots
+  if (!findAllowedRoot(realTarget)) {
+    console.warn(`Skipping ${fullPath}: links outside the allowed roots`);
+    return null;
+  }
+
+  const targetStats = await limit(() => fs.stat(realTarget));
+  item.isDirectory = targetStats.isDirectory();
+  if (!options.followSymlinks) return item;
+
+  if (item.isDirectory) {
+    // A link to one of its own ancestors would recurse forever
+    if (context.ancestors.has(realTarget)) {
+      item.linkError = 'cycle';
+      return item;
+    }
+    item.linkFollowed = true;
+    await scanChildren(realTarget, item, options, {
+      relativePath: context.entryPath,
+      ancestors: new Set([...context.ancestors, realTarget]),
+      depth: context.depth + 1
+    });
+    return item;
+  }
+
+  item.linkFollowed = true;
+  item.size = targetStats.size;
+  item.lastModified = targetStats.mtime.toISOString();
+  if (options.hashContents && targetStats.isFile()) {
+    item.hash = await limit(() => hashFile(realTarget));
+  }
+  return item;
+}
+
+/**
+ * Fill in the children of a directory item, or mark them as not loaded when
+ * the scan depth is reached
+ * @param {string} dirPath - Real path of the directory
+ * @param {Object} item - Directory item
+ * @param {Object} options - Scan options
+ * @param {Object} context - Scan context of the directory itself
+ */
+async function scanChildren(dirPath, item, options, context) {
+  if (options.maxDepth !== undefined && context.depth >= options.maxDepth) {
+    item.children = [];
+    item.childrenLoaded = false;
+    item.size = null;
+    return;
+  }
+
+  item.children = await scanDirectory(dirPath, options, context);
+  // Calculate directory size as sum of all children
+  item.size = calculateDirectorySize(item.children);
+
+  // Streamed scans already handed the children out
+  if (options.keepChildren === false) {
+    delete item.children;
+  }
+}
+
+/**
+ * Scan a single directory entry, recursing into directories
+ * @param {string} dirPath - Directory containing the entry
+ * @param {fs.Dirent} entry - Directory entry
+ * @param {Object} options - Scan options
+ * @param {Object} context - Scan context of the directory
+ * @returns {Promise<Object|null>} Item, or null when it is skipped
+ */
+async function scanEntry(dirPath, entry, options, context) {
+  const fullPath = path.join(dirPath, entry.name);
+  const entryPath = context.relativePath ? `${context.relativePath}/${entry.name}` : entry.name;
+
+  let item;
+  try {
+    // lstat describes links themselves instead of what they point to. The
+    // entry type comes from the Dirent, unless the file system did not report it
+    const stats = await options.limit(() => fs.lstat(fullPath));
+    const typeKnown = entry.isFile() || entry.isDirectory() || entry.isSymbolicLink();
+    const kind = typeKnown ? entry : stats;
+
+    item = {
+      name: entry.name,
+      isDirectory: kind.isDirectory(),
+      size: stats.size,
+      lastModified: stats.mtime.toISOString(),
+      mode: stats.mode & 0o7777,
+      uid: stats.uid,
+      gid: stats.gid
+    };
+
+    if (kind.isSymbolicLink()) {
+      item = await scanSymlink(fullPath, item, options, { ...context, entryPath });
+      if (!item) return null;
+    } else if (kind.isDirectory()) {
+      await scanChildren(fullPath, item, options, {
+        relativePath: entryPath,
+        ancestors: new Set([...context.ancestors, fullPath]),
+        depth: context.depth + 1
+      });
+    } else if (options.hashContents && kind.isFile()) {
+      item.hash = await options.limit(() => hashFile(fullPath));
+    }
+  } catch (err) {
+    if (options.signal?.aborted) throw err;
+    // Skip files we can't access
+    console.warn(`Cannot access ${fullPath}: ${err.message}`);
+    return null;
+  }
+
+  // Folders are handed out once their size is known, after their contents
+  if (options.onEntry) {
+    await options.onEntry(entryPath, item);
+  }
+  return item;
+}
+
+/**
+ * Scan one directory level and recurse into sub directories
+ * @param {string} dirPath - Directory to scan
+ * @param {Object} options - Scan options, see getDirectoryStructure
+ * @param {Object} context - { relativePath, ancestors, depth } where ancestors
+ *   holds the real paths of the directories being scanned, for cycle detection
+ * @returns {Promise<Array>} Array of file/folder objects
+ */
+async function scanDirectory(dirPath, options, context) {
+  options.signal?.throwIfAborted();
+
+  let entries;
+  try {
+    entries = await options.limit(() => fs.readdir(dirPath, { withFileTypes: true }));
+  } catch (err) {
+    throw new Error(`Cannot read directory: ${err.message}`);
+  }
+
+  const scanned = await Promise.all(entries
+    .filter(entry => {
+      const entryPath = context.relativePath ? `${context.relativePath}/${entry.name}` : entry.name;
+      return !options.isIgnored?.(entryPath, entry.isDirectory());
+    })
+    .map(entry => scanEntry(dirPath, entry, options, context)));
+  const items = scanned.filter(Boolean);
+  
+  return items.sort((a, b) => {
+    // Directories first, then alphabetically
+    if (a.isDirectory && !b.isDirectory) return -1;
+    if (!a.isDirectory && b.isDirectory) return 1;
+    return a.name.localeCompare(b.name);
+  });
+}
+
+/**
+ * Recursively reads directory structure and returns file/folder info
+ *
+ * Every item has the permission bits of its `mode` and its owner's `uid` and
+ * `gid`, those of the link itself for symlinks.
+ *
+ * Symlinks are reported with `isSymlink`, `linkTarget` and `linkFollowed`.
+ * When followed, a link looks like its target plus these fields; otherwise it
+ * has no children, and `linkError` tells a `broken` link from a `cycle`.
+ *
+ * @param {string} dirPath - Real path of the directory to scan
+ * @param {Object} options - Scan options
+ * @param {boolean} options.hashContents - Add the SHA-256 of every file as `hash`
+ * @param {Function} options.isIgnored - Ignore matcher, see createIgnoreMatcher
+ * @param {boolean} options.followSymlinks - Scan what symlinks point to
+ * @param {number} options.maxDepth - Levels to scan; deeper folders get
+ *   `childrenLoaded: false`, empty children and a null size
+ * @param {number} options.concurrency - Maximum parallel file system calls,
+ *   defaults to `config.scanConcurrency`
+ * @param {AbortSignal} options.signal - Stops the scan when aborted
+ * @returns {Promise<Array>} Array of file/folder objects
+ */
+export async function getDirectoryStructure(dirPath, options = {}) {
+  return scanDirectory(dirPath, startScan(options), { relativePath: '', ancestors: new Set([dirPath]), depth: 0 });
+}
+
+/**
+ * Scan a directory tree and hand out every entry as soon as it is complete,
+ * without keeping the tree in memory
+ *
+ * Entries come without `children`. A folder comes after everything it
+ * contains, since its size is only known then. The order between siblings is
+ * not defined.
+ *
+ * @param {string} dirPath - Real path of the directory to scan
+ * @param {Object} options - Scan options, see getDirectoryStructure
+ * @param {Function} onEntry - (relativePath, item) => void or a promise; the
+ *   scan waits for returned promises, so slow consumers slow it down
+ * @returns {Promise<number>} Number of entries handed out
+ */
+export async function streamDirectoryEntries(dirPath, options, onEntry) {
+  // A failing consumer stops the scan; without the abort, its error would be
+  // taken for an unreadable entry and skipped
+  const controller = new AbortController();
+  let consumerError = null;
+  let count = 0;
+
+  try {
+    await scanDirectory(dirPath, startScan({
+      ...options,
+      keepChildren: false,
+      signal: options.signal ? AbortSignal.any([options.signal, controller.signal]) : controller.signal,
+      onEntry: async (entryPath, item) => {
+        count++;
+        try {
+          await onEntry(entryPath, item);
+        } catch (err) {
+          consumerError = err;
+          controller.abort(err);
+          throw err;
+        }
+      }
+    }), { relativePath: '', ancestors: new Set([dirPath]), depth: 0 });
+  } catch (err) {
+    throw consumerError || err;
+  }
+  return count;
+}
+
+/**
+ * Scan a single level of a folder below a base directory, for lazy loading
+ * @param {string} basePath - Real path of the base directory
+ * @param {string} relativePath - Folder to list, relative to basePath; empty for basePath
+ * @param {Object} options - Scan options, see getDirectoryStructure
+ * @returns {Promise<Array>} Items of the folder, sub folders not loaded
+ */
+export async function getDirectoryLevel(basePath, relativePath, options = {}) {
+  const segments = relativePath ? splitRelativePath(relativePath) : [];
+
+  // Real paths along the way, so links back up are still reported as cycles
+  const ancestors = new Set([basePath]);
+  let dirPath = basePath;
+  for (let i = 1; i <= segments.length; i++) {
+    try {
+      dirPath = await fs.realpath(path.join(basePath, ...segments.slice(0, i)));
+    } catch (err) {
+      throw new PathError(`Folder "${relativePath}" does not exist`, 'PATH_NOT_FOUND');
+    }
+    if (!findAllowedRoot(dirPath)) {
+      throw new PathError(`Folder "${relativePath}" resolves outside the allowed roots`, 'PATH_OUTSIDE_ROOTS', 403);
+    }
+    ancestors.add(dirPath);
+  }
+
+  if (!(await fs.stat(dirPath)).isDirectory()) {
+    throw new PathError(`"${relativePath}" is not a folder`, 'PATH_NOT_DIRECTORY');
+  }
+
+  return scanDirectory(dirPath, startScan({ ...options, maxDepth: segments.length + 1 }), {
+    relativePath,
+    ancestors,
+    depth: segments.length
+  });
+}
+
+/**
+ * List the symlinks of a structure
+ * @param {Array} structure - Structure from getDirectoryStructure
+ * @param {string} pathPrefix - Relative path of the items' parent
+ * @returns {Array} { path, linkTarget, linkFollowed, linkError } of every link
+ */
+export function collectSymlinks(structure, pathPrefix = '') {
+  const links = [];
+  for (const item of structure) {
+    const itemPath = pathPrefix ? `${pathPrefix}/${item.name}` : item.name;
+    if (item.isSymlink) {
+      const { linkTarget, linkFollowed, linkError } = item;
+      links.push({ path: itemPath, linkTarget, linkFollowed, linkError });
+    }
+    if (item.children) {
+      links.push(...collectSymlinks(item.children, itemPath));
+    }
+  }
+  return links;
+}
+
+/**
+ * Calculate total size of directory from its children
+ * @param {Array} children - Array of child items
+ * @returns {number} Total size in bytes
+ */
+export function calculateDirectorySize(children) {
+  return children.reduce((total, child) => total + child.size, 0);
+}
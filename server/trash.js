@@ -0,0 +1,290 @@
+/**
+ * Trash
+ *
+ * Deleted items are moved into the trash of the allowed root holding them
+ * instead of being destroyed, and can be restored from there until they are
+ * purged. The trash lives inside the root, on the same file system as most
+ * of it, so moving an item there is a rename.
+ *
+ * Layout of the trash of a root:
+ *   .bulk-trash/files/<id>       the deleted item
+ *   .bulk-trash/info/<id>.json   { id, path, name, isDirectory, isSymlink,
+ *                                size, deletedAt }, path being absolute
+ *
+ * The info file is written before the item is moved in and removed after it
+ * is moved out, so every item in the trash has one; info files left without
+ * their item by an interruption are dropped when the trash is listed.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import {
+  PathError,
+  findAllowedRoot,
+  getAllowedRoots,
+  isWithin,
+  resolveEntryPath
+} from './paths.js';
+import { getFreeName, getPathSize, movePath, pathExists, removeDirectory } from './fs-utils.js';
+import { withLock } from './locks.js';
+
+export const TRASH_DIR = '.bulk-trash';
+export const TRASH_CONFLICTS = ['fail', 'rename', 'overwrite'];
+
+const FILES_DIR = 'files';
+const INFO_DIR = 'info';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MB = 1024 * 1024;
+const ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+/**
+ * Error raised for trash operations that cannot be performed
+ */
+export class TrashError extends Error {
+  /**
+   * @param {string} message - Human readable message
+   * @param {string} code - Machine readable error code
+   * @param {number} status - HTTP status to answer with
+   */
+  constructor(message, code, status = 400) {
+    super(message);
+    this.name = 'TrashError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+/**
+ * Get where a trashed item is kept
+ * @param {string} root - Allowed root of the trash
+ * @param {string} id - Trash item ID
+ * @returns {string} Absolute path of the item in the trash
+ */
+export function getTrashFilePath(root, id) {
+  return path.join(root, TRASH_DIR, FILES_DIR, id);
+}
+
+/**
+ * Get where the description of a trashed item is kept
+ * @param {string} root - Allowed root of the trash
+ * @param {string} id - Trash item ID
+ * @returns {string} Absolute path of the info file
+ */
+function getInfoPath(root, id) {
+  return path.join(root, TRASH_DIR, INFO_DIR, `${id}.json`);
+}
+
+/**
+ * Move an item into the trash of its root
+ * @param {string} targetPath - Absolute path of the item, inside an allowed root
+ * @returns {Promise<Object>} Trash item { id, root, path, name, isDirectory,
+ *   isSymlink, size, deletedAt }
+ */
+export async function moveToTrash(targetPath) {
+  const root = findAllowedRoot(targetPath);
+  if (!root) {
+    throw new PathError(`${targetPath} is outside of the allowed roots`, 'PATH_OUTSIDE_ROOTS', 403);
+  }
+
+  const stats = await fs.lstat(targetPath);
+  const item = {
+    id: crypto.randomUUID(),
+    path: targetPath,
+    name: path.basename(targetPath),
+    isDirectory: stats.isDirectory(),
+    isSymlink: stats.isSymbolicLink(),
+    size: await getPathSize(targetPath),
+    deletedAt: new Date().toISOString()
+  };
+
+  await fs.mkdir(path.join(root, TRASH_DIR, FILES_DIR), { recursive: true });
+  await fs.mkdir(path.join(root, TRASH_DIR, INFO_DIR), { recursive: true });
+
+  const infoPath = getInfoPath(root, item.id);
+  await fs.writeFile(`${infoPath}.tmp`, JSON.stringify(item, null, 2));
+  await fs.rename(`${infoPath}.tmp`, infoPath);
+
+  try {
+    await movePath(targetPath, getTrashFilePath(root, item.id));
+  } catch (err) {
+    await fs.rm(infoPath, { force: true });
+    throw err;
+  }
+  return { ...item, root };
+}
+
+/**
+ * Move a trashed item back to a path and forget it
+ * @param {string} root - Allowed root of the trash
+ * @param {string} id - Trash item ID
+ * @param {string} toPath - Absolute path to move it to, which must be free
+ */
+export async function takeFromTrash(root, id, toPath) {
+  const filePath = getTrashFilePath(root, id);
+  if (!(await pathExists(filePath))) {
+    throw new TrashError(`Item ${id} is not in the trash of ${root} anymore`, 'TRASH_NOT_FOUND', 404);
+  }
+
+  await movePath(filePath, toPath);
+  await fs.rm(getInfoPath(root, id), { force: true });
+}
+
+/**
+ * List the items in the trash of a root, newest first
+ * @param {string} root - Allowed root
+ * @returns {Promise<Array>} Trash items, with their root
+ */
+async function listRootTrash(root) {
+  let files;
+  try {
+    files = await fs.readdir(path.join(root, TRASH_DIR, INFO_DIR));
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+
+  const items = [];
+  for (const file of files) {
+    const id = file.slice(0, -'.json'.length);
+    if (!file.endsWith('.json') || !ID_PATTERN.test(id)) continue;
+
+    if (!(await pathExists(getTrashFilePath(root, id)))) {
+      await fs.rm(getInfoPath(root, id), { force: true });
+      continue;
+    }
+    try {
+      items.push({ ...JSON.parse(await fs.readFile(getInfoPath(root, id), 'utf8')), root });
+    } catch (err) {
+      console.warn(`Cannot read trash item ${id} of ${root}: ${err.message}`);
+    }
+  }
+
+  return items.sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+}
+
+/**
+ * List trashed items, newest first
+ * @param {string} basePath - Optional real path; only items deleted from
+ *   inside it are listed
+ * @returns {Promise<Array>} Trash items
+ */
+export async function listTrash(basePath = null) {
+  const roots = basePath ? [findAllowedRoot(basePath)] : getAllowedRoots();
+  const items = (await Promise.all(roots.map(listRootTrash))).flat();
+
+  return items
+    .filter(item => !basePath || isWithin(basePath, item.path))
+    .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+}
+
+/**
+ * Get a trashed item
+ * @param {string} id - Trash item ID
+ * @returns {Promise<Object>} Trash item
+ */
+export async function getTrashItem(id) {
+  if (typeof id === 'string' && ID_PATTERN.test(id)) {
+    for (const root of getAllowedRoots()) {
+      const item = (await listRootTrash(root)).find(other => other.id === id);
+      if (item) return item;
+    }
+  }
+  throw new TrashError('No trashed item found with this ID', 'TRASH_NOT_FOUND', 404);
+}
+
+/**
+ * Put a trashed item back where it was deleted from
+ *
+ * Missing parent folders are created again. When the original path is
+ * taken, `conflict` decides: "fail" refuses, "rename" restores the item
+ * under a free name next to it and "overwrite" moves the item in its way to
+ * the trash first.
+ *
+ * @param {Object} item - Trash item from getTrashItem
+ * @param {string} conflict - "fail", "rename" or "overwrite"
+ * @returns {Promise<Object>} { path, replaced } - where the item was restored,
+ *   and the trash item of what it replaced, if any
+ */
+export async function restoreTrashItem(item, conflict = 'fail') {
+  if (!TRASH_CONFLICTS.includes(conflict)) {
+    throw new TrashError(`conflict must be one of ${TRASH_CONFLICTS.join(', ')}`, 'INVALID_CONFLICT');
+  }
+
+  // The folders on the way may have been replaced by links since
+  let targetPath = await resolveEntryPath(item.root, path.relative(item.root, item.path).split(path.sep).join('/'));
+  let replaced = null;
+
+  if (await pathExists(targetPath)) {
+    if (conflict === 'fail') {
+      throw new TrashError(`${item.path} exists again, restore the item under another name or replace it`, 'TRASH_TARGET_EXISTS', 409);
+    }
+    if (conflict === 'rename') {
+      const dirPath = path.dirname(targetPath);
+      targetPath = path.join(dirPath, await getFreeName(dirPath, path.basename(targetPath), 'restored'));
+    } else {
+      replaced = await moveToTrash(targetPath);
+    }
+  }
+
+  await fs.mkdir(path.dirname(targetPath), { recursive: true });
+  await takeFromTrash(item.root, item.id, targetPath);
+  return { path: targetPath, replaced };
+}
+
+/**
+ * Delete a trashed item for good
+ * @param {Object} item - Trash item from getTrashItem
+ */
+export async function deleteTrashItem(item) {
+  await removeDirectory(getTrashFilePath(item.root, item.id));
+  await fs.rm(getInfoPath(item.root, item.id), { force: true });
+}
+
+/**
+ * Delete trashed items beyond a purge policy
+ *
+ * The trash of every root is purged on its own: items older than maxAgeDays
+ * go, then the oldest ones until the rest fits in maxSizeMB.
+ *
+ * @param {Object} policy - { maxAgeDays, maxSizeMB }, either may be missing
+ * @param {string} basePath - Optional real path; only items deleted from
+ *   inside it are purged
+ * @returns {Promise<Object>} { count, size } of the purged items
+ */
+export async function purgeTrash({ maxAgeDays, maxSizeMB }, basePath = null) {
+  const cutoff = maxAgeDays === undefined ? -Infinity : Date.now() - maxAgeDays * DAY_MS;
+  const maxSize = maxSizeMB === undefined ? Infinity : maxSizeMB * MB;
+  const purged = { count: 0, size: 0 };
+
+  const roots = basePath ? [findAllowedRoot(basePath)] : getAllowedRoots();
+  for (const root of roots) {
+    // Newest first: once the size is reached, every older item goes, and
+    // nothing is kept with a size of 0
+    let kept = 0;
+    let full = maxSize === 0;
+    const expired = (await listRootTrash(root)).filter(item => {
+      if (basePath && !isWithin(basePath, item.path)) return false;
+      if (new Date(item.deletedAt).getTime() < cutoff) return true;
+      full = full || kept + item.size > maxSize;
+      if (!full) kept += item.size;
+      return full;
+    });
+
+    for (const item of expired) {
+      try {
+        // An item being restored is left for the next run
+        await withLock([getTrashFilePath(root, item.id)], { operation: 'purge_trash', owner: null }, () => {
+          console.log(`Purging ${item.path} from the trash`);
+          return deleteTrashItem(item);
+        });
+        purged.count++;
+        purged.size += item.size;
+      } catch (err) {
+        console.warn(`Could not purge trash item ${item.id}: ${err.message}`);
+      }
+    }
+  }
+
+  return purged;
+}
@@ -0,0 +1,292 @@
+/**
+ * Uploads
+ *
+ * Files added from the client's computer are sent before the change log that
+ * places them, in chunks of any size, and staged in the `uploads` folder of
+ * the data directory. The SHA-256 of every upload is computed as its chunks
+ * arrive and must match the one in the change log. Staged uploads are claimed
+ * by the job applying them and removed once it succeeded; unclaimed uploads
+ * are removed when left alone for a day.
+ */
+
+import fs from 'fs/promises';
+import { createReadStream, createWriteStream } from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { pipeline } from 'stream/promises';
+import { Transform } from 'stream';
+
+const UPLOADS_DIR = 'uploads';
+const UPLOAD_ID = /^[A-Za-z0-9_-]{1,64}$/;
+const STALE_UPLOAD_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Error raised for uploads that cannot be received or applied
+ */
+export class UploadError extends Error {
+  /**
+   * @param {string} message - Human readable message
+   * @param {string} code - Machine readable error code
+   * @param {number} status - HTTP status to answer with
+   * @param {Object} upload - Public view of the upload, when it exists
+   */
+  constructor(message, code, status = 400, upload = null) {
+    super(message);
+    this.name = 'UploadError';
+    this.code = code;
+    this.status = status;
+    this.upload = upload;
+  }
+}
+
+let uploadsDir = null;
+
+// Uploads by ID; they only live in memory, like the chunks being received
+const uploads = new Map();
+
+/**
+ * Prepare the staging folder, removing uploads left by an earlier run
+ * @param {string} dataDir - Data directory of the server
+ * @returns {Promise<string>} Staging folder
+ */
+export async function initUploads(dataDir) {
+  uploadsDir = path.join(dataDir, UPLOADS_DIR);
+  await fs.rm(uploadsDir, { recursive: true, force: true });
+  await fs.mkdir(uploadsDir, { recursive: true });
+  return uploadsDir;
+}
+
+/**
+ * Check whether a value can be used as an upload ID
+ * @param {any} id - Value to check
+ * @returns {boolean} Whether it is a valid upload ID
+ */
+export function isValidUploadId(id) {
+  return typeof id === 'string' && UPLOAD_ID.test(id);
+}
+
+/**
+ * Get the public view of an upload
+ * @param {Object} upload - Upload
+ * @returns {Object} Upload status
+ */
+function toPublic(upload) {
+  return {
+    id: upload.id,
+    size: upload.size,
+    received: upload.received,
+    complete: upload.received === upload.size,
+    sha256: upload.sha256,
+    updatedAt: upload.updatedAt
+  };
+}
+
+/**
+ * Remove an upload and its staged file
+ * @param {Object} upload - Upload
+ */
+async function removeUpload(upload) {
+  uploads.delete(upload.id);
+  await fs.rm(upload.path, { force: true });
+}
+
+/**
+ * Remove the uploads nobody sent a chunk to or claimed for a day
+ */
+async function removeStaleUploads() {
+  const now = Date.now();
+  for (const upload of [...uploads.values()]) {
+    if (!upload.claimed && !upload.receiving && now - Date.parse(upload.updatedAt) > STALE_UPLOAD_MS) {
+      await removeUpload(upload);
+    }
+  }
+}
+
+/**
+ * Get the status of an upload
+ * @param {string} id - Upload ID
+ * @returns {Object} Upload status
+ */
+export function getUpload(id) {
+  const upload = uploads.get(id);
+  if (!upload) {
+    throw new UploadError('No upload found with this ID', 'UPLOAD_NOT_FOUND', 404);
+  }
+  return toPublic(upload);
+}
+
+/**
+ * Receive a chunk of an upload
+ *
+ * A chunk at offset 0 starts the upload over; any other chunk must continue
+ * exactly where the received data ends.
+ *
+ * @param {string} id - Upload ID, chosen by the client
+ * @param {Object} chunk - Chunk position
+ * @param {number} chunk.offset - Position of the chunk in the file
+ * @param {number} chunk.size - Size of the whole file
+ * @param {Readable} stream - Chunk data
+ * @returns {Promise<Object>} Upload status
+ */
+export async function receiveChunk(id, { offset, size }, stream) {
+  if (!isValidUploadId(id)) {
+    throw new UploadError('Upload ID must be 1 to 64 letters, digits, "-" or "_"', 'INVALID_UPLOAD_ID');
+  }
+  if (!Number.isSafeInteger(offset) || offset < 0 || !Number.isSafeInteger(size) || size < 0 || offset > size) {
+    throw new UploadError('offset and size must be integers with 0 <= offset <= size', 'INVALID_UPLOAD_RANGE');
+  }
+
+  let upload = uploads.get(id);
+  if (upload?.claimed) {
+    throw new UploadError('Upload is being applied and cannot change', 'UPLOAD_IN_USE', 409, toPublic(upload));
+  }
+  if (upload?.receiving) {
+    throw new UploadError('Another chunk of this upload is being received', 'UPLOAD_BUSY', 409, toPublic(upload));
+  }
+
+  if (offset === 0) {
+    await removeStaleUploads();
+    upload = {
+      id,
+      path: path.join(uploadsDir, id),
+      size,
+      received: 0,
+      hash: crypto.createHash('sha256'),
+      sha256: null,
+      claimed: false,
+      receiving: false,
+      updatedAt: new Date().toISOString()
+    };
+    uploads.set(id, upload);
+    await fs.writeFile(upload.path, '');
+  } else if (!upload) {
+    throw new UploadError('No upload found with this ID, start it at offset 0', 'UPLOAD_NOT_FOUND', 404);
+  } else if (upload.size !== size || upload.received !== offset) {
+    throw new UploadError(`Upload has ${upload.received} of ${upload.size} bytes, continue from there`,
+      'UPLOAD_OFFSET_MISMATCH', 409, toPublic(upload));
+  }
+
+  upload.receiving = true;
+  try {
+    // Count and hash the bytes on their way to disk, refusing more than announced
+    const counter = new Transform({
+      transform(data, encoding, callback) {
+        if (upload.received + data.length > upload.size) {
+          callback(new UploadError(`Upload is larger than the announced ${upload.size} bytes`, 'UPLOAD_TOO_LARGE', 413));
+          return;
+        }
+        upload.received += data.length;
+        upload.hash.update(data);
+        callback(null, data);
+      }
+    });
+    await pipeline(stream, counter, createWriteStream(upload.path, { flags: 'a' }));
+  } catch (err) {
+    // The hash cannot be rewound, so a broken chunk restarts the upload
+    await removeUpload(upload);
+    throw err;
+  } finally {
+    upload.receiving = false;
+    upload.updatedAt = new Date().toISOString();
+  }
+
+  if (upload.received === upload.size) {
+    upload.sha256 = upload.hash.digest('hex');
+  }
+  return toPublic(upload);
+}
+
+/**
+ * Check that every upload of a change log was received whole and intact,
+ * and reserve them for the job applying it
+ * @param {Array} changeLog - Validated change log
+ * @throws {UploadError} When an upload is missing, incomplete, in use or corrupt
+ */
+export function claimUploads(changeLog) {
+  const claimed = [];
+  for (const [index, change] of changeLog.entries()) {
+    if (change.type !== 'upload') continue;
+    const upload = uploads.get(change.uploadId);
+    const prefix = `Change ${index + 1}: upload of "${change.path}"`;
+
+    if (!upload) {
+      throw new UploadError(`${prefix} was not received`, 'UPLOAD_NOT_FOUND');
+    }
+    if (upload.received !== upload.size || upload.size !== change.size) {
+      throw new UploadError(`${prefix} is incomplete (${upload.received} of ${change.size} bytes)`, 'UPLOAD_INCOMPLETE', 400, toPublic(upload));
+    }
+    if (upload.sha256 !== change.sha256) {
+      throw new UploadError(`${prefix} does not match its checksum`, 'UPLOAD_CHECKSUM_MISMATCH', 400, toPublic(upload));
+    }
+    if (upload.claimed && !claimed.includes(upload)) {
+      throw new UploadError(`${prefix} is being applied by another job`, 'UPLOAD_IN_USE', 409, toPublic(upload));
+    }
+    if (upload.receiving) {
+      throw new UploadError(`${prefix} is still receiving data`, 'UPLOAD_BUSY', 409, toPublic(upload));
+    }
+    claimed.push(upload);
+  }
+  claimed.forEach(upload => { upload.claimed = true; });
+}
+
+/**
+ * Give back the uploads of a change log once its job finished
+ * @param {Array} changeLog - Change log of the job
+ * @param {boolean} discard - Remove them, after the job placed them
+ */
+export async function releaseUploads(changeLog, discard) {
+  for (const change of changeLog) {
+    if (change.type !== 'upload') continue;
+    const upload = uploads.get(change.uploadId);
+    if (!upload) continue;
+    upload.claimed = false;
+    upload.updatedAt = new Date().toISOString();
+    if (discard) await removeUpload(upload);
+  }
+}
+
+/**
+ * Write a claimed upload to a temporary file next to its target
+ *
+ * The data is hashed again on its way and the temporary file is removed
+ * unless it matches the checksum of the change log.
+ *
+ * @param {Object} change - Upload change
+ * @param {string} targetPath - Absolute path the file will be renamed to
+ * @returns {Promise<string>} Path of the complete temporary file
+ */
+export async function writeUploadTemp(change, targetPath) {
+  const upload = uploads.get(change.uploadId);
+  if (!upload?.claimed) {
+    throw new UploadError(`Upload of "${change.path}" is not available`, 'UPLOAD_NOT_FOUND');
+  }
+
+  const tempPath = path.join(path.dirname(targetPath), `.${path.basename(targetPath)}.${upload.id}.upload`);
+  const hash = crypto.createHash('sha256');
+  const hasher = new Transform({
+    transform(data, encoding, callback) {
+      hash.update(data);
+      callback(null, data);
+    }
+  });
+
+  try {
+    await pipeline(createReadStream(upload.path), hasher, createWriteStream(tempPath, { flags: 'wx' }));
+
+    if (hash.digest('hex') !== change.sha256) {
+      throw new UploadError(`Upload of "${change.path}" was corrupted while writing it`, 'UPLOAD_CHECKSUM_MISMATCH');
+    }
+
+    // Make sure the data is on disk before the file takes its place
+    const handle = await fs.open(tempPath, 'r');
+    try {
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+  } catch (err) {
+    if (err.code !== 'EEXIST') await fs.rm(tempPath, { force: true });
+    throw err;
+  }
+  return tempPath;
+}